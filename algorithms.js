@@ -1318,6 +1318,188 @@ class RollingWindowAlgorithm extends BaseAlgorithm {
     calculateNextInterval(difficulty, currentInterval, successRate) { return 1000; }
 }
 
+// FSRS (Free Spaced Repetition Scheduler, v4.5)
+// Models each card's memory with a stability (days until recall probability
+// falls to 90%) and a difficulty (1-10), and schedules the next review for
+// when recall is predicted to fall to the target retention.
+// Memory state is kept in progress.memory: { stability, difficulty, retrievability, lastReview },
+// where retrievability is the predicted recall probability at the last review.
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;  // Makes retrievability 0.9 when elapsed days equal stability
+const FSRS_DAY_MS = 24 * 60 * 60 * 1000;
+
+class FSRSAlgorithm extends BaseAlgorithm {
+    constructor() {
+        super();
+        this.name = 'FSRS';
+        this.config = {
+            ...this.getDefaultConfig(),
+            maxNewCardsPerDay: 10,
+            requestRetention: 0.9,  // Target probability of recalling a card when it comes due
+            maxInterval: 365 * 24 * 60 * 60 * 1000,
+            againInterval: 5 * 60 * 1000,  // Relearning delay after a failed card, in ms
+            // FSRS grade (1 Again, 2 Hard, 3 Good, 4 Easy) for each app rating 1-5
+            gradeMap: [1, 1, 2, 3, 4],
+            // Model weights (FSRS-4.5 defaults)
+            w: [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+                0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755]
+        };
+    }
+
+    getGrade(difficulty) {
+        const grade = this.config.gradeMap[difficulty - 1];
+        return Math.min(4, Math.max(1, Math.round(grade) || 1));
+    }
+
+    isCardFailed(difficulty) {
+        return this.getGrade(difficulty) === 1;
+    }
+
+    isCardCorrect(difficulty) {
+        return this.getGrade(difficulty) > 1;
+    }
+
+    // Predicted probability of recall after elapsedDays with the given stability
+    static retrievability(elapsedDays, stability) {
+        return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+    }
+
+    // Current predicted recall for a card's progress (null without memory state)
+    static currentRetrievability(progress, now = Date.now()) {
+        const memory = progress && progress.memory;
+        if (!memory) return null;
+        return FSRSAlgorithm.retrievability(Math.max(0, now - memory.lastReview) / FSRS_DAY_MS, memory.stability);
+    }
+
+    initialStability(grade) {
+        return Math.max(0.1, this.config.w[grade - 1]);
+    }
+
+    initialDifficulty(grade) {
+        const w = this.config.w;
+        return w[4] - (grade - 3) * w[5];
+    }
+
+    clampDifficulty(difficulty) {
+        return Math.min(10, Math.max(1, difficulty));
+    }
+
+    // Difficulty moves with the grade, then reverts a little towards the default
+    nextDifficulty(difficulty, grade) {
+        const w = this.config.w;
+        const updated = difficulty - w[6] * (grade - 3);
+        return this.clampDifficulty(w[7] * this.initialDifficulty(3) + (1 - w[7]) * updated);
+    }
+
+    nextRecallStability(difficulty, stability, retrievability, grade) {
+        const w = this.config.w;
+        const hardPenalty = grade === 2 ? w[15] : 1;
+        const easyBonus = grade === 4 ? w[16] : 1;
+        return stability * (1 + Math.exp(w[8]) * (11 - difficulty) * Math.pow(stability, -w[9]) *
+            (Math.exp(w[10] * (1 - retrievability)) - 1) * hardPenalty * easyBonus);
+    }
+
+    nextForgetStability(difficulty, stability, retrievability) {
+        const w = this.config.w;
+        const forgotten = w[11] * Math.pow(difficulty, -w[12]) * (Math.pow(stability + 1, w[13]) - 1) *
+            Math.exp(w[14] * (1 - retrievability));
+        // Forgetting never makes a card more stable than it was
+        return Math.min(forgotten, stability);
+    }
+
+    // Days until retrievability falls to the target retention
+    stabilityToInterval(stability) {
+        const days = stability / FSRS_FACTOR * (Math.pow(this.config.requestRetention, 1 / FSRS_DECAY) - 1);
+        return Math.min(Math.max(days * FSRS_DAY_MS, this.config.againInterval), this.config.maxInterval);
+    }
+
+    /**
+     * New memory state and interval for a rating. Called by the app in place of
+     * calculateInitialInterval/calculateNextInterval; memory is the card's
+     * progress.memory (null or missing for a card with no memory state yet).
+     * Returns { memory, interval } without changing the memory passed in.
+     */
+    scheduleReview(memory, difficulty, now = Date.now()) {
+        const grade = this.getGrade(difficulty);
+        let stability;
+        let cardDifficulty;
+        let retrievability;
+
+        if (!memory) {
+            stability = this.initialStability(grade);
+            cardDifficulty = this.clampDifficulty(this.initialDifficulty(grade));
+            retrievability = 1;
+        } else {
+            const elapsedDays = Math.max(0, now - memory.lastReview) / FSRS_DAY_MS;
+            retrievability = FSRSAlgorithm.retrievability(elapsedDays, memory.stability);
+            cardDifficulty = this.nextDifficulty(memory.difficulty, grade);
+            stability = grade === 1
+                ? this.nextForgetStability(memory.difficulty, memory.stability, retrievability)
+                : this.nextRecallStability(memory.difficulty, memory.stability, retrievability, grade);
+        }
+
+        return {
+            memory: { stability, difficulty: cardDifficulty, retrievability, lastReview: now },
+            interval: grade === 1 ? this.config.againInterval : this.stabilityToInterval(stability)
+        };
+    }
+
+    getNextCard(characters, userProgress, state) {
+        const now = Date.now();
+        const lastShown = state ? state.lastShownIndex : null;
+        const dueCards = [];
+        const newCards = [];
+        let weakest = null;
+
+        for (let i = 0; i < characters.length; i++) {
+            const char = characters[i];
+            const progress = userProgress[i];
+
+            if (!progress) {
+                newCards.push({ char, index: i, priority: i });
+                continue;
+            }
+
+            // Lowest predicted recall first; cards without memory state count as forgotten
+            const retrievability = FSRSAlgorithm.currentRetrievability(progress, now);
+            const card = { char, index: i, priority: retrievability === null ? 0 : retrievability };
+            if (now >= progress.nextReview) {
+                dueCards.push(card);
+            }
+            if (i !== lastShown && (!weakest || card.priority < weakest.priority)) {
+                weakest = card;
+            }
+        }
+
+        dueCards.sort((a, b) => a.priority - b.priority);
+        const due = dueCards.find(card => card.index !== lastShown) || dueCards[0];
+        if (due) {
+            return due;
+        }
+
+        const newCardsToday = this.getNewCardsSeenToday(userProgress);
+        if (newCards.length > 0 && newCardsToday < this.config.maxNewCardsPerDay) {
+            return { ...newCards[0], isNew: true };
+        }
+
+        // Nothing due: review ahead, starting with the card most likely to be forgotten
+        return weakest || newCards[0] || { char: characters[0], index: 0, priority: 0 };
+    }
+
+    // Used only when the app doesn't pass memory state (see scheduleReview)
+    calculateInitialInterval(difficulty) {
+        return this.scheduleReview(null, difficulty).interval;
+    }
+
+    // Without memory state, assume the last interval matched the target retention
+    calculateNextInterval(difficulty, currentInterval, successRate) {
+        const now = Date.now();
+        const stability = Math.max(0.1, currentInterval / this.stabilityToInterval(1));
+        const memory = { stability, difficulty: this.initialDifficulty(3), lastReview: now - currentInterval };
+        return this.scheduleReview(memory, difficulty, now).interval;
+    }
+}
+
 // Export the algorithms
 const ALGORITHMS = {
     improved: ImprovedSSRAlgorithm,
@@ -1327,11 +1509,249 @@ const ALGORITHMS = {
     bucket: BucketAlgorithm,
     score: FocusedSetsAlgorithm,
     knownSet: KnownSetAlgorithm,
-    rollingWindow: RollingWindowAlgorithm
+    rollingWindow: RollingWindowAlgorithm,
+    fsrs: FSRSAlgorithm
 };
 
 // Factory function to create algorithm instances
 function createAlgorithm(type = 'rollingWindow') {
     const AlgorithmClass = ALGORITHMS[type] || RollingWindowAlgorithm;
     return new AlgorithmClass();
-}
\ No newline at end of file
+}
+
+/**
+ * Update a card's progress record for a rating: history, success rate,
+ * interval and the fields each algorithm keeps (mastery, bucket, set, score,
+ * memory). Shared by the app and the simulator so both rate cards the same way.
+ * @param progress - the card's record, or undefined the first time it's rated
+ * @param options.character - the card's hanzi
+ * @param options.result - the getNextCard result the card was shown for
+ * @param options.log - where card events (mastered, added to set...) are reported
+ * Returns { progress, graduated }; graduated is set when a Focused Sets card
+ * left its set, and the caller should backfill the set.
+ */
+function recordRating(algorithm, progress, difficulty, { character, now = Date.now(), result = null, log = console.log } = {}) {
+    let graduated = false;
+
+    // Calculate target review position for MasteryBased algorithm
+    let targetReviewPosition;
+    if (algorithm.calculateTargetReviewPosition) {
+        targetReviewPosition = algorithm.calculateTargetReviewPosition(difficulty);
+    }
+
+    if (!progress) {
+        // First time seeing this card
+        let initialInterval = algorithm.calculateInitialInterval(difficulty);
+
+        // Memory model state (for FSRS)
+        let memory;
+        if (algorithm.scheduleReview) {
+            ({ memory, interval: initialInterval } = algorithm.scheduleReview(null, difficulty, now));
+        }
+
+        // Initialize score for FocusedSetsAlgorithm and KnownSetAlgorithm
+        let initialScore = 0;
+        if ((algorithm.name === 'Focused Sets' || algorithm.name === 'Known Set' || algorithm.name === 'Rolling Window') && algorithm.config) {
+            initialScore = algorithm.config.initialScore;
+        }
+
+        const isAddingToSet = result && result.addToSet;
+
+        progress = {
+            character: character,
+            firstSeen: now,
+            reviewCount: 1,
+            successCount: algorithm.isCardCorrect(difficulty) ? 1 : 0,
+            successRate: algorithm.isCardCorrect(difficulty) ? 1 : 0,
+            lastDifficulty: difficulty,
+            lastSeen: now,
+            nextReview: now + initialInterval,
+            interval: initialInterval,
+            history: [difficulty],
+            targetReviewPosition: targetReviewPosition, // Add target position
+            // Mastery tracking fields (for algorithms that use them)
+            consecutiveGood: difficulty >= 4 ? 1 : 0,
+            wasUnmastered: false,
+            masteredAt: null,
+            // Bucket tracking (for Bucket algorithm)
+            inBucket: result && result.addToBucket ? true : false,
+            // Set tracking (for FocusedSetsAlgorithm)
+            inSet: isAddingToSet,
+            setEntryScore: isAddingToSet ? initialScore : undefined,
+            // Score tracking (for FocusedSetsAlgorithm)
+            score: initialScore,
+            // Stability, difficulty and retrievability (for FSRSAlgorithm)
+            memory: memory
+        };
+
+        // Update score for FocusedSetsAlgorithm and KnownSetAlgorithm
+        if ((algorithm.name === 'Focused Sets' || algorithm.name === 'Known Set' || algorithm.name === 'Rolling Window') && algorithm.updateScore) {
+            progress.score = algorithm.updateScore(initialScore, difficulty);
+
+            if (progress.inSet) {
+                log(`Card ${character} added to set! Entry score: ${progress.setEntryScore}, New score: ${progress.score}`);
+            }
+        }
+    } else {
+        // Updating existing card
+        progress.reviewCount++;
+        progress.lastDifficulty = difficulty;
+        progress.lastSeen = now;
+
+        // Add to history
+        if (!progress.history) {
+            progress.history = [];
+        }
+        progress.history.push(difficulty);
+
+        // Update success rate
+        if (algorithm.isCardCorrect(difficulty)) {
+            progress.successCount++;
+        }
+        progress.successRate = progress.successCount / progress.reviewCount;
+
+        // Track consecutive good ratings for mastery-based algorithms
+        if (difficulty >= 4) {
+            progress.consecutiveGood = (progress.consecutiveGood || 0) + 1;
+
+            // Check if card just reached mastery threshold
+            if (algorithm.config.masteryThreshold &&
+                progress.consecutiveGood === algorithm.config.masteryThreshold &&
+                !progress.masteredAt) {
+                progress.masteredAt = now;
+                progress.wasUnmastered = false;
+                // Remove from bucket when mastered
+                if (algorithm.name === 'Bucket Learning') {
+                    progress.inBucket = false;
+                }
+                log(`Card ${character} mastered!`);
+            }
+        } else {
+            // Reset consecutive good count
+            progress.consecutiveGood = 0;
+
+            // If this was a mastered card, mark it as unmastered
+            if (algorithm.config.masteryThreshold && progress.masteredAt) {
+                progress.wasUnmastered = true;
+                progress.masteredAt = null;
+                // Add back to bucket when unmastered
+                if (algorithm.name === 'Bucket Learning') {
+                    progress.inBucket = true;
+                }
+                log(`Card ${character} unmastered (got difficulty ${difficulty})`);
+            }
+        }
+
+        // Calculate next interval using the algorithm
+        if (algorithm.scheduleReview) {
+            const review = algorithm.scheduleReview(progress.memory, difficulty, now);
+            progress.memory = review.memory;
+            progress.interval = review.interval;
+        } else {
+            progress.interval = algorithm.calculateNextInterval(
+                difficulty,
+                progress.interval,
+                progress.successRate
+            );
+        }
+        progress.nextReview = now + progress.interval;
+
+        // Update target review position if using MasteryBased
+        if (targetReviewPosition !== undefined) {
+            progress.targetReviewPosition = targetReviewPosition;
+        }
+
+        // Update score for FocusedSetsAlgorithm and KnownSetAlgorithm
+        if ((algorithm.name === 'Focused Sets' || algorithm.name === 'Known Set' || algorithm.name === 'Rolling Window') && algorithm.updateScore) {
+            const currentScore = progress.score !== undefined ? progress.score : algorithm.config.initialScore;
+            const oldScore = currentScore;
+            progress.score = algorithm.updateScore(currentScore, difficulty);
+
+            // Check if this card is being added to the set
+            if (result && result.addToSet && !progress.inSet) {
+                progress.inSet = true;
+                progress.setEntryScore = oldScore; // Track score when entering set
+                log(`Card ${character} added to set! Entry score: ${progress.setEntryScore}`);
+            }
+
+            // For Focused Sets: Remove from set if score became lower than entry score (card got easier)
+            // For Known Set: Cards stay in set, just shown with different frequency
+            if (algorithm.name === 'Focused Sets' && progress.inSet && progress.setEntryScore !== undefined) {
+                if (progress.score < progress.setEntryScore) {
+                    progress.inSet = false;
+                    log(`Card ${character} graduated from set! Score improved from ${progress.setEntryScore} to ${progress.score}`);
+
+                    // The caller backfills the set with a new card
+                    graduated = true;
+                }
+            }
+        }
+    }
+
+    return { progress, graduated };
+}
+
+/**
+ * Repair progress records corrupted by an invalid (NaN/null) rating:
+ * strip the bad history entries and back out the side effects they caused
+ * (inflated reviewCount/successRate, NaN lastDifficulty). Returns the
+ * number of corrupt values fixed. Only touches affected cards.
+ */
+function sanitizeProgress(userProgress) {
+    let fixes = 0;
+    for (const key in userProgress) {
+        const p = userProgress[key];
+        if (!p || typeof p !== 'object') continue;
+
+        if (Array.isArray(p.history)) {
+            const cleaned = p.history.filter(v => Number.isFinite(v));
+            const removed = p.history.length - cleaned.length;
+            if (removed > 0) {
+                p.history = cleaned;
+                // Each bad rating had bumped reviewCount; back it out.
+                if (Number.isFinite(p.reviewCount)) {
+                    p.reviewCount = Math.max(0, p.reviewCount - removed);
+                }
+                // Bad ratings never counted as correct, so successCount is
+                // unchanged — just recompute the rate against the new count.
+                if (Number.isFinite(p.successCount)) {
+                    p.successRate = p.reviewCount > 0
+                        ? p.successCount / p.reviewCount
+                        : 0;
+                }
+                fixes += removed;
+            }
+        }
+
+        // A NaN rating also corrupted lastDifficulty; restore it from the
+        // most recent valid rating (or clear it).
+        if (p.lastDifficulty !== undefined && p.lastDifficulty !== null
+            && !Number.isFinite(p.lastDifficulty)) {
+            p.lastDifficulty = (Array.isArray(p.history) && p.history.length > 0)
+                ? p.history[p.history.length - 1]
+                : null;
+            fixes++;
+        }
+    }
+    return fixes;
+}
+
+// Allow loading from Node (simulator, unit tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BaseAlgorithm,
+        ImprovedSSRAlgorithm,
+        AnkiAlgorithm,
+        AggressiveAlgorithm,
+        MasteryBasedAlgorithm,
+        BucketAlgorithm,
+        FocusedSetsAlgorithm,
+        KnownSetAlgorithm,
+        RollingWindowAlgorithm,
+        FSRSAlgorithm,
+        ALGORITHMS,
+        createAlgorithm,
+        recordRating,
+        sanitizeProgress
+    };
+}
@@ -1,56 +1,166 @@
 // Simplified Chinese Character Practice App with Anki-like Spaced Repetition
 
+// Card types are separate skills. Each is scheduled independently with its own
+// saved progress, so knowing how to read a character says nothing about writing it.
+const CARD_TYPES = {
+    writing: { name: 'Writing', storageKey: 'chineseCharProgress' },           // Prompt pinyin + meaning, draw the hanzi
+    recognition: { name: 'Recognition', storageKey: 'chineseCharRecognitionProgress' }, // Prompt hanzi, type pinyin / pick meaning
+    tones: { name: 'Tones', storageKey: 'chineseCharToneProgress' }           // Prompt hanzi + toneless pinyin, pick each tone
+};
+
+// Saved progress format, stored next to each progress blob as <storageKey>Version.
+// 1: keyed by index into the sorted character list. 2: keyed by hanzi.
+const PROGRESS_VERSION = 2;
+
+// Difficulty tiers: each studies the `size` most frequent cards. Colors are in
+// style.css (.level-<key>).
+const LEVELS = {
+    novice: { name: 'Novice', size: 10 },
+    beginner: { name: 'Beginner', size: 25 },
+    intermediate: { name: 'Intermediate', size: 100 },
+    advanced: { name: 'Advanced', size: 1000 },
+    master: { name: 'Master', size: Infinity }   // Every card (9900+ with the full data)
+};
+
+// A JSON object (not null or an array)
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 class ChineseCharacterApp {
     constructor(algorithmType = 'rollingWindow') {  // Using RollingWindowAlgorithm
         this.characters = [];
         this.currentChar = null;
         this.currentCharIndex = null;
         this.currentResult = null;  // Store the full result from getNextCard
-        this.userProgress = this.loadProgress();
         this.canvas = null;
         this.ctx = null;
         this.isDrawing = false;
-        this.lastX = 0;
-        this.lastY = 0;
+        this.activePointerId = null;  // Pointer drawing the current stroke
+        this.currentWidth = 0;        // Brush width at the stroke's last point
         this.hasBackground = false;
-        this.charCount = 1;  // Track number of characters in current word (1 or 2)
+        this.charCount = 1;  // Number of characters in the current word, one canvas cell each
 
         // Stroke tracking for undo functionality
         this.strokes = [];  // Array of completed strokes
-        this.currentStroke = [];  // Current stroke being drawn
+        this.currentStroke = [];  // Current stroke being drawn: {x, y, pressure, tiltX, tiltY, time} points
+        this.brush = new Brush();
 
         // Track loaded images for cleanup
         this.backgroundImages = [];  // Array to store background Image objects for cleanup
 
+        // Vector stroke data (keyed by character) and its renderers
+        this.strokeData = {};
+        this.strokeRenderer = new StrokeRenderer();
+        this.grid = new GridRenderer();  // Practice grid behind the strokes, as chosen in settings
+        this.attemptGallery = new AttemptGallery(this.strokeRenderer, this.brush, this.grid);
+        this.strokePlayers = [];  // Answer panel stroke order players, destroyed on cleanup
+        this.backgroundGlyphs = [];  // Vector reference glyphs drawn behind the strokes
+
+        // Stroke grading against reference stroke data
+        this.strokeGrader = new StrokeGrader();
+        this.currentGrade = null;  // Grade of the current attempt, set when the answer is shown
+        this.attemptStrokes = [];  // Strokes of the current attempt as they were when the answer was shown
+        this.answerShown = false;
+        this.cardShownAt = null;     // When the current card appeared, for attempt timing
+        this.answerShownAt = null;
+        this.maxStrokeAttempts = 20; // Per-card stroke attempt records kept in userProgress
+
+        // Guided tracing: strokes must follow the reference stroke order
+        this.traceMode = localStorage.getItem('chineseCharPracticeMode') === 'trace';
+        this.traceTargets = [];  // Expected strokes in order: { glyph, cell, index }
+        this.traceHints = [];    // One { cell, index } per rejected stroke on this card
+        this.traceHintTimeout = null;
+
         // Speech synthesis
         this.speechSynth = window.speechSynthesis;
         this.chineseVoice = null;
 
-        // Initialize the algorithm
+        // Recognition cards
+        this.meaningChoices = [];      // Definitions offered for the current card
+        this.selectedMeaning = null;
+        this.recognitionResult = null; // Set when the answer is checked
+        this.toneOptional = localStorage.getItem('chineseCharToneOptional') === 'true';  // Accept "ni" for nǐ
+
+        // Tone drill cards
+        this.toneSyllables = [];    // Expected syllables of the current card: { letters, tone }
+        this.toneAnswers = [];      // Tones picked so far, one per syllable (null = gave up)
+        this.toneResult = null;     // Set when every syllable is answered
+        this.toneAdvanceTimeout = null;
+
+        // Level: how many of the most frequent cards are studied. Chosen on the
+        // level screen, which opens on first launch; until then every card is in play.
+        const savedLevel = localStorage.getItem('chineseCharLevel');
+        this.level = LEVELS[savedLevel] ? savedLevel : 'master';
+        this.levelChosen = !!LEVELS[savedLevel];
+
+        // Deck: which cards are studied (HSK, frequency, radical, stroke count),
+        // within the level. Progress is kept for every card whatever the deck.
+        this.deck = new DeckFilter(this.loadDeckFilters());
+        this.deckIndices = null;  // Indices of the deck's cards, null when every card is in it
+
+        // Initialize the algorithm: the one picked in settings, with its saved config overrides
+        this.settings = new AlgorithmSettings();
+        const savedAlgorithm = localStorage.getItem('chineseCharAlgorithm');
+        if (ALGORITHMS[savedAlgorithm]) {
+            algorithmType = savedAlgorithm;
+        }
         this.currentAlgorithmType = algorithmType;
-        this.algorithm = createAlgorithm(algorithmType);
-
-        // Algorithm state (managed by the app, used by algorithms)
-        this.algorithmState = {
-            recentFailedCards: new Set(),
-            sessionCorrectStreak: 0,
-            todayReviews: 0,
-            lastShownIndex: null
-        };
+        this.optimizerRunning = false; // From loading the review log until the fit finishes
+        this.optimizerWorker = null;   // Web Worker fitting parameters, while one runs
+        this.optimizerResult = null;   // Last fit, until applied or the algorithm changes
+
+        // Progress storage (storage.js), opened in init()
+        this.store = null;
+
+        // One progress map (keyed by hanzi), algorithm and algorithm state per card type.
+        // this.userProgress, this.algorithm and this.algorithmState point at the active one.
+        // Progress is loaded in init() once the store is open.
+        const savedCardType = localStorage.getItem('chineseCharCardType');
+        this.cardType = CARD_TYPES[savedCardType] ? savedCardType : 'writing';
+        this.sessions = {};
+        for (const [type, cardType] of Object.entries(CARD_TYPES)) {
+            this.sessions[type] = {
+                progress: {},
+                algorithm: this.buildAlgorithm(algorithmType),
+                // Algorithm state (managed by the app, used by algorithms)
+                algorithmState: {
+                    recentFailedCards: new Set(),
+                    sessionCorrectStreak: 0,
+                    todayReviews: 0,
+                    lastShownIndex: null
+                }
+            };
+        }
+        this.useSession(this.cardType);
+
+        this.init().catch(error => {
+            console.error('Error starting the app:', error);
+            alert(`Character Cram couldn't start: ${error.message}`);
+        });
+    }
 
-        this.init();
+    // Create an algorithm with the user's saved config overrides applied
+    buildAlgorithm(algorithmType) {
+        const algorithm = createAlgorithm(algorithmType);
+        this.settings.apply(algorithmType, algorithm.config);
+        return algorithm;
     }
 
     // Method to switch algorithms
     switchAlgorithm(algorithmType) {
-        if (this.currentAlgorithmType === algorithmType) return;
+        if (this.currentAlgorithmType === algorithmType || !ALGORITHMS[algorithmType]) return;
 
         this.currentAlgorithmType = algorithmType;
-        this.algorithm = createAlgorithm(algorithmType);
+        localStorage.setItem('chineseCharAlgorithm', algorithmType);
 
-        // Reset algorithm state for new algorithm
-        this.algorithmState.sessionCorrectStreak = 0;
-        this.algorithmState.recentFailedCards.clear();
+        // Every card type follows the same algorithm choice; reset their state
+        for (const session of Object.values(this.sessions)) {
+            session.algorithm = this.buildAlgorithm(algorithmType);
+            session.algorithmState.sessionCorrectStreak = 0;
+            session.algorithmState.recentFailedCards.clear();
+        }
+        this.algorithm = this.sessions[this.cardType].algorithm;
 
         // Update UI
         const algorithmNameElement = document.getElementById('algorithmName');
@@ -62,9 +172,65 @@ class ChineseCharacterApp {
         this.showToast(`Algorithm: ${this.algorithm.name}`, '#667eea');
 
         // Get next card with new algorithm
+        this.initializeAlgorithmSet();
+        this.nextCharacter();
+    }
+
+    /**
+     * Change one config value of the current algorithm (path as in
+     * AlgorithmSettings.fields), live for every card type and saved for next time
+     */
+    setAlgorithmSetting(path, value) {
+        this.settings.set(this.currentAlgorithmType, path, value);
+        for (const session of Object.values(this.sessions)) {
+            AlgorithmSettings.setValue(session.algorithm.config, path, value);
+        }
+    }
+
+    // Drop the current algorithm's overrides and go back to its defaults
+    resetAlgorithmSettings() {
+        this.settings.reset(this.currentAlgorithmType);
+        for (const session of Object.values(this.sessions)) {
+            session.algorithm.config = createAlgorithm(this.currentAlgorithmType).config;
+        }
+    }
+
+    // Point the app at one card type's progress, algorithm and state
+    useSession(type) {
+        const session = this.sessions[type];
+        this.userProgress = session.progress;
+        this.algorithm = session.algorithm;
+        this.algorithmState = session.algorithmState;
+    }
+
+    // Switch between card types (writing, recognition, tones)
+    setCardType(type) {
+        if (this.cardType === type || !CARD_TYPES[type]) return;
+
+        this.cardType = type;
+        localStorage.setItem('chineseCharCardType', type);
+        this.useSession(type);
+        this.initializeAlgorithmSet();
+        this.updateCardTypeButton();
+
+        this.showToast(`${CARD_TYPES[type].name} cards`, '#667eea');
         this.nextCharacter();
     }
 
+    // Move on to the next card type, in CARD_TYPES order
+    cycleCardType() {
+        const types = Object.keys(CARD_TYPES);
+        this.setCardType(types[(types.indexOf(this.cardType) + 1) % types.length]);
+    }
+
+    updateCardTypeButton() {
+        const cardTypeBtn = document.getElementById('cardTypeBtn');
+        if (cardTypeBtn) {
+            cardTypeBtn.firstChild.textContent = `${CARD_TYPES[this.cardType].name} `;
+            cardTypeBtn.classList.toggle('active', this.cardType !== 'writing');
+        }
+    }
+
     // Get current algorithm info
     getAlgorithmInfo() {
         return {
@@ -163,22 +329,59 @@ class ChineseCharacterApp {
     }
 
     async init() {
+        try {
+            this.store = await openProgressStore();
+            if (this.store.openError && this.store.openError.name === 'UpgradeBlockedError') {
+                alert(this.store.openError.message);
+            }
+            await this.loadAllProgress();
+        } catch (error) {
+            // The store opened but couldn't be read or written (e.g. full storage); carry on with localStorage
+            console.error('Error loading saved progress, saving to localStorage instead:', error);
+            alert('Your saved progress couldn\'t be loaded. This session saves to the browser\'s local storage instead.');
+            this.store = new LocalStorageProgressStore();
+            await this.loadAllProgress();
+        }
+        this.useSession(this.cardType);
+
         await this.loadCharacters();
+        await this.loadStrokeData();
+        this.fillStrokeCounts();
+        this.applyLevelTheme();
+        this.applyDeck();
         this.setupCanvas();
         this.setupEventListeners();
         this.setupDebugModal();
+        this.setupDeckModal();
+        this.setupStatsModal();
+        this.setupAttemptsModal();
+        this.setupLevelModal();
+        this.setupSettingsModal();
         this.loadChineseVoice();
+        this.initializeAlgorithmSet();
+        this.startNewRound();
+    }
+
+    async loadAllProgress() {
+        for (const [type, cardType] of Object.entries(CARD_TYPES)) {
+            this.sessions[type].progress = await this.loadProgress(cardType.storageKey);
+        }
+    }
 
-        // Initialize set for FocusedSetsAlgorithm and KnownSetAlgorithm
+    // Initialize set for FocusedSetsAlgorithm and KnownSetAlgorithm
+    initializeAlgorithmSet() {
         if ((this.algorithm.name === 'Focused Sets' || this.algorithm.name === 'Known Set' || this.algorithm.name === 'Rolling Window') && this.algorithm.initializeSet) {
-            const initialSetIndices = this.algorithm.initializeSet(this.characters, this.userProgress);
+            const view = this.getDeckView();
+            const initialSetIndices = this.algorithm.initializeSet(view.characters, view.userProgress)
+                .map(position => view.toIndex(position));
 
             // Add initial cards to userProgress
             const now = Date.now();
             for (const index of initialSetIndices) {
-                if (!this.userProgress[index]) {
-                    this.userProgress[index] = {
-                        character: this.characters[index].character,
+                const key = this.characters[index].character;
+                if (!this.userProgress[key]) {
+                    this.userProgress[key] = {
+                        character: key,
                         firstSeen: now,
                         reviewCount: 0,
                         successCount: 0,
@@ -200,12 +403,10 @@ class ChineseCharacterApp {
             }
 
             if (initialSetIndices.length > 0) {
-                this.saveProgress();
+                this.saveProgress(...initialSetIndices.map(index => this.characters[index].character));
                 console.log(`Initialized set with ${initialSetIndices.length} cards`);
             }
         }
-
-        this.startNewRound();
     }
 
     async loadCharacters() {
@@ -218,7 +419,12 @@ class ChineseCharacterApp {
                         pinyin: char.pinyin,
                         definition: char.definition || 'No definition',
                         frequency_rank: parseInt(char.frequency_rank),
-                        hsk_level: char.hsk_level
+                        hsk_level: char.hsk_level,
+                        // Only the full chars_data.js has these; word lists leave them null
+                        radical: char.radical || null,
+                        radical_code: char.radical_code || null,  // Kangxi radical number.residual strokes, e.g. "72.5"
+                        stroke_count: this.parseOptionalInt(char.stroke_count),
+                        general_standard_num: this.parseOptionalInt(char.general_standard_num)  // Table of General Standard Chinese Characters
                     }))
                     .sort((a, b) => a.frequency_rank - b.frequency_rank);
             } else {
@@ -231,11 +437,74 @@ class ChineseCharacterApp {
         }
     }
 
+    // Numeric data fields arrive as strings ("08"); missing or junk values become null
+    parseOptionalInt(value) {
+        const number = parseInt(value, 10);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // Characters without a stroke_count get one from the vector stroke data,
+    // summed across a word, when every character has it
+    fillStrokeCounts() {
+        for (const char of this.characters) {
+            if (char.stroke_count !== null) continue;
+
+            const glyphs = char.character.split('').map(c => this.getGlyph(c));
+            if (glyphs.every(glyph => glyph)) {
+                char.stroke_count = glyphs.reduce((sum, glyph) => sum + glyph.strokes.length, 0);
+            }
+        }
+    }
+
+    async loadStrokeData() {
+        try {
+            if (typeof STROKE_DATA !== 'undefined') {
+                // Keep only well-formed entries: one median per stroke outline
+                this.strokeData = {};
+                for (const [char, glyph] of Object.entries(STROKE_DATA)) {
+                    if (glyph && Array.isArray(glyph.strokes) && Array.isArray(glyph.medians) &&
+                        glyph.strokes.length === glyph.medians.length) {
+                        this.strokeData[char] = glyph;
+                    }
+                }
+            } else {
+                // Optional data: every character falls back to its stroke order GIF
+                console.warn('Stroke data not loaded, using GIFs');
+                this.strokeData = {};
+            }
+        } catch (error) {
+            console.error('Error loading stroke data:', error);
+            this.strokeData = {};
+        }
+    }
+
+    // Vector stroke data for a single character, or null if it only has a GIF
+    getGlyph(char) {
+        return this.strokeData[char] || null;
+    }
+
     setupCanvas() {
         this.canvas = document.getElementById('drawingCanvas');
         this.ctx = this.canvas.getContext('2d');
 
-        // Set up canvas style for calligraphy-like strokes
+        // Fit the canvas to the screen, and refit (redrawing the strokes) when it changes
+        this.layout = new CanvasLayout(this.canvas, this.canvas.closest('.canvas-wrapper'));
+        this.layout.resize(this.charCount);
+        this.applyCanvasStyle();
+        this.layout.observe(() => this.onCanvasResize());
+
+        // Draw guide lines
+        this.clearCanvas();
+
+        // Pointer events cover mouse, touch and stylus alike
+        this.canvas.addEventListener('pointerdown', (e) => this.startDrawing(e));
+        this.canvas.addEventListener('pointermove', (e) => this.draw(e));
+        this.canvas.addEventListener('pointerup', (e) => this.stopDrawing(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.stopDrawing(e));
+    }
+
+    // Canvas style for calligraphy-like strokes; resizing the canvas resets it
+    applyCanvasStyle() {
         this.ctx.lineWidth = 10;
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
@@ -245,66 +514,13 @@ class ChineseCharacterApp {
         // Enable smoothing for better line quality
         this.ctx.imageSmoothingEnabled = true;
         this.ctx.imageSmoothingQuality = 'high';
+    }
 
-        // Draw guide lines
-        this.clearCanvas();
-
-        // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-        this.canvas.addEventListener('mouseout', () => this.stopDrawing());
-
-        // Touch events for mobile
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            const x = (touch.clientX - rect.left) * scaleX;
-            const y = (touch.clientY - rect.top) * scaleY;
-
-            this.isDrawing = true;
-            this.lastX = x;
-            this.lastY = y;
-
-            // Start a new stroke
-            this.currentStroke = [{x, y}];
-
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, y);
-        });
-
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            if (!this.isDrawing) return;
-
-            const touch = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            const x = (touch.clientX - rect.left) * scaleX;
-            const y = (touch.clientY - rect.top) * scaleY;
-
-            // Add point to current stroke
-            this.currentStroke.push({x, y});
-
-            // Use quadratic curves for smoother lines
-            const midX = (this.lastX + x) / 2;
-            const midY = (this.lastY + y) / 2;
-
-            this.ctx.quadraticCurveTo(this.lastX, this.lastY, midX, midY);
-            this.ctx.stroke();
-
-            this.lastX = x;
-            this.lastY = y;
-        });
-
-        this.canvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            this.stopDrawing();
-        });
+    // The window, screen or orientation changed the canvas size: redraw at the new size
+    onCanvasResize() {
+        this.applyCanvasStyle();
+        this.redrawStrokes();
+        if (this.isDrawing) this.drawStrokePath(this.currentStroke);
     }
 
     clearCanvas() {
@@ -313,77 +529,14 @@ class ChineseCharacterApp {
         this.currentStroke = [];
         this.updateUndoButton();
 
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.layout.width, this.layout.height);
 
         // Draw guide lines
-        this.ctx.strokeStyle = '#4a4f5c';
-        this.ctx.lineWidth = 1;
-
-        if (this.charCount === 2) {
-            // For 2 characters: draw guide lines for each half
-            const halfWidth = this.canvas.width / 2;
-
-            // Left character guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth / 2, 0);
-            this.ctx.lineTo(halfWidth / 2, this.canvas.height);
-            this.ctx.moveTo(0, this.canvas.height / 2);
-            this.ctx.lineTo(halfWidth, this.canvas.height / 2);
-            this.ctx.stroke();
-
-            // Left diagonal guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, 0);
-            this.ctx.lineTo(halfWidth, this.canvas.height);
-            this.ctx.moveTo(halfWidth, 0);
-            this.ctx.lineTo(0, this.canvas.height);
-            this.ctx.stroke();
-
-            // Right character guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth + halfWidth / 2, 0);
-            this.ctx.lineTo(halfWidth + halfWidth / 2, this.canvas.height);
-            this.ctx.moveTo(halfWidth, this.canvas.height / 2);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height / 2);
-            this.ctx.stroke();
-
-            // Right diagonal guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth, 0);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height);
-            this.ctx.moveTo(this.canvas.width, 0);
-            this.ctx.lineTo(halfWidth, this.canvas.height);
-            this.ctx.stroke();
-
-            // Subtle vertical divider
-            this.ctx.strokeStyle = '#555b6a';
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth, 0);
-            this.ctx.lineTo(halfWidth, this.canvas.height);
-            this.ctx.stroke();
-            this.ctx.strokeStyle = '#4a4f5c';
-            this.ctx.lineWidth = 1;
-        } else {
-            // For 1 character: draw centered guides (same as before)
-            this.ctx.beginPath();
-            this.ctx.moveTo(this.canvas.width / 2, 0);
-            this.ctx.lineTo(this.canvas.width / 2, this.canvas.height);
-            this.ctx.moveTo(0, this.canvas.height / 2);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height / 2);
-            this.ctx.stroke();
-
-            // Draw diagonal guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, 0);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height);
-            this.ctx.moveTo(this.canvas.width, 0);
-            this.ctx.lineTo(0, this.canvas.height);
-            this.ctx.stroke();
-        }
-
-        // Draw border
-        this.ctx.strokeRect(0, 0, this.canvas.width, this.canvas.height);
+        this.grid.draw(this.ctx, this.charCount, this.layout.width, this.layout.height);
+
+        // Keep the vector reference visible after clearing
+        this.drawBackgroundGlyphs();
+        this.drawTraceGuide();
 
         // Reset drawing style for calligraphy
         this.ctx.strokeStyle = '#d4d7dc';
@@ -392,57 +545,192 @@ class ChineseCharacterApp {
         this.ctx.lineJoin = 'round';
     }
 
+    // Pointer position normalized to the canvas (0-1), with the pressure, tilt and time the brush uses
+    getCanvasPoint(e) {
+        const { x, y } = this.layout.toNormalized(e.clientX, e.clientY);
+        return Brush.createPoint(e, x, y);
+    }
+
     startDrawing(e) {
-        this.isDrawing = true;
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        const x = (e.clientX - rect.left) * scaleX;
-        const y = (e.clientY - rect.top) * scaleY;
+        // One stroke at a time: ignore extra fingers and non-primary buttons
+        if (this.isDrawing || !e.isPrimary || e.button !== 0) return;
+        e.preventDefault();
 
-        this.lastX = x;
-        this.lastY = y;
+        // Keep receiving the stroke's events if it strays off the canvas
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
 
-        // Start a new stroke
-        this.currentStroke = [{x, y}];
+        this.isDrawing = true;
+        this.activePointerId = e.pointerId;
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, y);
+        // Start a new stroke with a dot, so taps show up too
+        this.currentStroke = [this.getCanvasPoint(e)];
+        this.currentWidth = this.brush.nextWidth(null, null, this.layout.toCanvas(this.currentStroke[0]));
+        this.drawStrokePath(this.currentStroke);
     }
 
     draw(e) {
-        if (!this.isDrawing) return;
-
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        const x = (e.clientX - rect.left) * scaleX;
-        const y = (e.clientY - rect.top) * scaleY;
-
-        // Add point to current stroke
-        this.currentStroke.push({x, y});
-
-        // Use quadratic curves for smoother lines
-        const midX = (this.lastX + x) / 2;
-        const midY = (this.lastY + y) / 2;
-
-        this.ctx.quadraticCurveTo(this.lastX, this.lastY, midX, midY);
-        this.ctx.stroke();
-
-        this.lastX = x;
-        this.lastY = y;
+        if (!this.isDrawing || e.pointerId !== this.activePointerId) return;
+
+        // Pens can report several points per frame; the browser coalesces them into one event
+        const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        for (const event of coalesced.length > 0 ? coalesced : [e]) {
+            this.currentStroke.push(this.getCanvasPoint(event));
+
+            // The brush works in drawing units; only the last three points shape the new segment
+            const recent = this.layout.toCanvasStroke(this.currentStroke.slice(-3));
+            const i = recent.length - 1;
+            this.currentWidth = this.brush.nextWidth(this.currentWidth, recent[i - 1], recent[i]);
+            this.brush.drawSegment(this.ctx, recent, i, this.currentWidth);
+        }
     }
 
-    stopDrawing() {
+    stopDrawing(e) {
+        if (e && e.pointerId !== this.activePointerId) return;
+
         if (this.isDrawing && this.currentStroke.length > 0) {
+            // Guided tracing: only keep strokes that match the next expected stroke
+            const target = this.getNextTraceTarget();
+            if (target && !this.checkTraceStroke(this.currentStroke, target)) {
+                this.currentStroke = [];
+                this.isDrawing = false;
+                return;
+            }
+
             // Save the completed stroke
             this.strokes.push([...this.currentStroke]);
             this.currentStroke = [];
             this.updateUndoButton();
+
+            if (target) {
+                // Move the outline on to the next expected stroke
+                this.redrawStrokes();
+                if (!this.getNextTraceTarget()) {
+                    this.showToast('Traced! Press SPACE to check', '#667eea');
+                }
+            }
         }
         this.isDrawing = false;
     }
 
+    // Guided tracing is active for the current attempt
+    isTracing() {
+        return this.traceMode && this.traceTargets.length > 0 && !this.answerShown;
+    }
+
+    // Guided tracing: the stroke the learner should draw next, or null when done
+    getNextTraceTarget() {
+        if (!this.isTracing()) return null;
+        return this.traceTargets[this.strokes.length] || null;
+    }
+
+    // Build the expected stroke sequence for the current word.
+    // Words with a character lacking vector data can only be free drawn.
+    startTrace() {
+        this.traceTargets = [];
+        this.traceHints = [];
+
+        const glyphs = this.currentChar.character.split('').map(char => this.getGlyph(char));
+        if (glyphs.some(glyph => !glyph)) return;
+
+        glyphs.forEach((glyph, cell) => {
+            glyph.strokes.forEach((_, index) => {
+                this.traceTargets.push({ glyph, cell, index });
+            });
+        });
+    }
+
+    // Check a finished stroke against the expected one; on a miss, record a hint and show it
+    checkTraceStroke(stroke, target) {
+        const status = this.strokeGrader.checkStroke(
+            stroke,
+            target.glyph.medians[target.index],
+            target.cell,
+            1,  // Strokes are stored normalized to the canvas
+            1,
+            this.charCount
+        );
+        if (status === 'correct') return true;
+
+        this.traceHints.push({ cell: target.cell, index: target.index });
+        this.showTraceHint(stroke, target, status);
+        return false;
+    }
+
+    // Flash the rejected stroke in red over the expected stroke and its starting point
+    showTraceHint(stroke, target, status) {
+        const cellWidth = this.layout.width / this.charCount;
+        const cellX = target.cell * cellWidth;
+
+        this.redrawStrokes();
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ef4444';
+        this.ctx.globalAlpha = 0.8;
+        this.drawStrokePath(stroke);
+
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.fillStyle = '#f59e0b';
+        this.strokeRenderer.drawGlyph(this.ctx, target.glyph, cellX, 0, cellWidth, this.layout.height, [target.index]);
+
+        const start = this.strokeRenderer.toCanvasPoint(
+            target.glyph.medians[target.index][0], cellX, 0, cellWidth, this.layout.height
+        );
+        this.ctx.globalAlpha = 1;
+        this.ctx.beginPath();
+        this.ctx.arc(start.x, start.y, 8, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+
+        this.showToast(status === 'wrongDirection' ? 'Wrong direction' : 'Not the next stroke', '#ef4444');
+
+        // Fade the hint back to the normal outline unless a new stroke has started
+        clearTimeout(this.traceHintTimeout);
+        this.traceHintTimeout = setTimeout(() => {
+            if (!this.isDrawing) this.redrawStrokes();
+        }, 800);
+    }
+
+    // Guided tracing: faint outline of the next expected stroke
+    drawTraceGuide() {
+        const target = this.getNextTraceTarget();
+        if (!target) return;
+
+        const cellWidth = this.layout.width / this.charCount;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.25;
+        this.ctx.fillStyle = '#667eea';
+        this.strokeRenderer.drawGlyph(
+            this.ctx, target.glyph, target.cell * cellWidth, 0, cellWidth, this.layout.height, [target.index]
+        );
+        this.ctx.restore();
+    }
+
+    toggleTraceMode() {
+        this.traceMode = !this.traceMode;
+        localStorage.setItem('chineseCharPracticeMode', this.traceMode ? 'trace' : 'free');
+        this.updateTraceButton();
+
+        if (this.traceMode && this.traceTargets.length === 0) {
+            this.showToast('No stroke data to trace this card', '#f59e0b');
+        } else {
+            this.showToast(this.traceMode ? 'Guided tracing' : 'Free drawing', '#667eea');
+        }
+
+        // Restart the attempt in the new mode
+        if (!this.answerShown) {
+            this.traceHints = [];
+            this.clearCanvas();
+        }
+    }
+
+    updateTraceButton() {
+        const traceBtn = document.getElementById('traceModeBtn');
+        if (traceBtn) {
+            traceBtn.classList.toggle('active', this.traceMode);
+        }
+    }
+
     undo() {
         if (this.strokes.length === 0) return;
 
@@ -458,77 +746,14 @@ class ChineseCharacterApp {
 
     redrawStrokes() {
         // Clear the canvas completely
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.layout.width, this.layout.height);
 
         // Redraw guide lines
-        this.ctx.strokeStyle = '#4a4f5c';
-        this.ctx.lineWidth = 1;
-
-        if (this.charCount === 2) {
-            // For 2 characters: draw guide lines for each half
-            const halfWidth = this.canvas.width / 2;
-
-            // Left character guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth / 2, 0);
-            this.ctx.lineTo(halfWidth / 2, this.canvas.height);
-            this.ctx.moveTo(0, this.canvas.height / 2);
-            this.ctx.lineTo(halfWidth, this.canvas.height / 2);
-            this.ctx.stroke();
-
-            // Left diagonal guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, 0);
-            this.ctx.lineTo(halfWidth, this.canvas.height);
-            this.ctx.moveTo(halfWidth, 0);
-            this.ctx.lineTo(0, this.canvas.height);
-            this.ctx.stroke();
-
-            // Right character guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth + halfWidth / 2, 0);
-            this.ctx.lineTo(halfWidth + halfWidth / 2, this.canvas.height);
-            this.ctx.moveTo(halfWidth, this.canvas.height / 2);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height / 2);
-            this.ctx.stroke();
-
-            // Right diagonal guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth, 0);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height);
-            this.ctx.moveTo(this.canvas.width, 0);
-            this.ctx.lineTo(halfWidth, this.canvas.height);
-            this.ctx.stroke();
-
-            // Subtle vertical divider
-            this.ctx.strokeStyle = '#555b6a';
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.moveTo(halfWidth, 0);
-            this.ctx.lineTo(halfWidth, this.canvas.height);
-            this.ctx.stroke();
-            this.ctx.strokeStyle = '#4a4f5c';
-            this.ctx.lineWidth = 1;
-        } else {
-            // For 1 character: draw centered guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(this.canvas.width / 2, 0);
-            this.ctx.lineTo(this.canvas.width / 2, this.canvas.height);
-            this.ctx.moveTo(0, this.canvas.height / 2);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height / 2);
-            this.ctx.stroke();
-
-            // Draw diagonal guides
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, 0);
-            this.ctx.lineTo(this.canvas.width, this.canvas.height);
-            this.ctx.moveTo(this.canvas.width, 0);
-            this.ctx.lineTo(0, this.canvas.height);
-            this.ctx.stroke();
-        }
-
-        // Draw border
-        this.ctx.strokeRect(0, 0, this.canvas.width, this.canvas.height);
+        this.grid.draw(this.ctx, this.charCount, this.layout.width, this.layout.height);
+
+        // Redraw the vector reference underneath the strokes
+        this.drawBackgroundGlyphs();
+        this.drawTraceGuide();
 
         // Reset drawing style for calligraphy
         this.ctx.strokeStyle = '#d4d7dc';
@@ -538,24 +763,15 @@ class ChineseCharacterApp {
 
         // Redraw all strokes
         for (const stroke of this.strokes) {
-            if (stroke.length === 0) continue;
-
-            this.ctx.beginPath();
-            this.ctx.moveTo(stroke[0].x, stroke[0].y);
-
-            for (let i = 1; i < stroke.length; i++) {
-                const prevPoint = stroke[i - 1];
-                const currPoint = stroke[i];
-                const midX = (prevPoint.x + currPoint.x) / 2;
-                const midY = (prevPoint.y + currPoint.y) / 2;
-
-                this.ctx.quadraticCurveTo(prevPoint.x, prevPoint.y, midX, midY);
-            }
-
-            this.ctx.stroke();
+            this.drawStrokePath(stroke);
         }
     }
 
+    // Draw a captured (normalized) stroke with the same brush used while drawing
+    drawStrokePath(stroke) {
+        this.brush.drawStroke(this.ctx, this.layout.toCanvasStroke(stroke));
+    }
+
     updateUndoButton() {
         const undoBtn = document.getElementById('undoBtn');
         if (undoBtn) {
@@ -584,6 +800,41 @@ class ChineseCharacterApp {
             this.showAnswer();
         });
 
+        // Guided tracing toggle
+        document.getElementById('traceModeBtn').addEventListener('click', () => {
+            this.toggleTraceMode();
+        });
+        this.updateTraceButton();
+
+        // Card type: writing -> recognition -> tones
+        document.getElementById('cardTypeBtn').addEventListener('click', () => {
+            this.cycleCardType();
+        });
+
+        // Tone drill buttons
+        document.querySelectorAll('.tone-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.answerTone(parseInt(e.currentTarget.dataset.tone));
+            });
+        });
+        this.updateCardTypeButton();
+
+        // Recognition: Enter in the pinyin field checks the answer
+        document.getElementById('pinyinInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.showAnswer();
+            }
+        });
+
+        // Tone-optional pinyin checking
+        const toneOptionalToggle = document.getElementById('toneOptionalToggle');
+        toneOptionalToggle.checked = this.toneOptional;
+        toneOptionalToggle.addEventListener('change', () => {
+            this.toneOptional = toneOptionalToggle.checked;
+            localStorage.setItem('chineseCharToneOptional', this.toneOptional);
+        });
+
         // Difficulty buttons
         document.querySelectorAll('.difficulty-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -601,14 +852,14 @@ class ChineseCharacterApp {
                 };
 
                 // Capture mastery metric before recording (for score/strength-based algorithms)
-                const oldMetric = this.getDisplayMetric(this.userProgress[this.currentCharIndex]);
+                const oldMetric = this.getDisplayMetric(this.userProgress[this.currentChar.character]);
 
                 this.recordDifficulty(difficulty);
 
                 // Append the updated metric to the toast if the algorithm exposes one
                 let toastMessage = difficultyText;
                 if (oldMetric !== null) {
-                    const newMetric = this.getDisplayMetric(this.userProgress[this.currentCharIndex]);
+                    const newMetric = this.getDisplayMetric(this.userProgress[this.currentChar.character]);
                     const delta = newMetric - oldMetric;
                     const deltaSign = delta > 0 ? '+' : '';
                     toastMessage += ` • ${this.getMetricLabel()}: ${newMetric} (${deltaSign}${delta})`;
@@ -621,7 +872,7 @@ class ChineseCharacterApp {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
                 return;
             }
 
@@ -634,6 +885,34 @@ class ChineseCharacterApp {
                 }
             }
 
+            // T to toggle guided tracing
+            if (e.code === 'KeyT' && this.cardType === 'writing') {
+                e.preventDefault();
+                this.toggleTraceMode();
+            }
+
+            // R to switch card type
+            if (e.code === 'KeyR') {
+                e.preventDefault();
+                this.cycleCardType();
+            }
+
+            // Number keys pick the tone on tone drill cards (5 or 0 = neutral)
+            if (this.cardType === 'tones' && e.code >= 'Digit0' && e.code <= 'Digit5') {
+                e.preventDefault();
+                const tone = parseInt(e.code.slice(-1));
+                this.answerTone(tone === 0 ? 5 : tone);
+                return;
+            }
+
+            // Number keys 1-4 pick a meaning on recognition cards
+            if (this.cardType === 'recognition' && !this.answerShown &&
+                e.code >= 'Digit1' && e.code <= 'Digit4') {
+                e.preventDefault();
+                this.selectMeaning(parseInt(e.code.slice(-1)) - 1);
+                return;
+            }
+
             // Number keys 1-5 for difficulty buttons
             if (e.code >= 'Digit1' && e.code <= 'Digit5') {
                 e.preventDefault();
@@ -657,14 +936,14 @@ class ChineseCharacterApp {
                     };
 
                     // Capture mastery metric before recording (for score/strength-based algorithms)
-                    const oldMetric = this.getDisplayMetric(this.userProgress[this.currentCharIndex]);
+                    const oldMetric = this.getDisplayMetric(this.userProgress[this.currentChar.character]);
 
                     this.recordDifficulty(difficulty);
 
                     // Append the updated metric to the toast if the algorithm exposes one
                     let toastMessage = difficultyNames[difficulty];
                     if (oldMetric !== null) {
-                        const newMetric = this.getDisplayMetric(this.userProgress[this.currentCharIndex]);
+                        const newMetric = this.getDisplayMetric(this.userProgress[this.currentChar.character]);
                         const delta = newMetric - oldMetric;
                         const deltaSign = delta > 0 ? '+' : '';
                         toastMessage += ` • ${this.getMetricLabel()}: ${newMetric} (${deltaSign}${delta})`;
@@ -681,9 +960,194 @@ class ChineseCharacterApp {
         this.nextCharacter();
     }
 
-    // Delegate to the selected algorithm
+    // Delegate to the selected algorithm, which only sees the cards in the deck
     getNextCharacter() {
-        return this.algorithm.getNextCard(this.characters, this.userProgress, this.algorithmState);
+        const view = this.getDeckView();
+        const result = this.algorithm.getNextCard(view.characters, view.userProgress, view.state);
+        if (result && result.char) {
+            result.index = view.toIndex(result.index);
+        }
+        return result;
+    }
+
+    /**
+     * The deck as the algorithms see it: the deck's characters, with progress
+     * and state keyed by position in the deck (algorithms index progress by
+     * position, storage keys it by hanzi). Progress records are shared, not
+     * copied, so updates still land in this.userProgress. toIndex maps a
+     * position back to an index into this.characters.
+     */
+    getDeckView() {
+        if (!this.deckIndices) {
+            return {
+                characters: this.characters,
+                userProgress: this.getIndexedProgress(),
+                state: this.algorithmState,
+                toIndex: position => position
+            };
+        }
+
+        const indices = this.deckIndices;
+        const positions = new Map(indices.map((index, position) => [index, position]));
+        const toPosition = index => positions.has(Number(index)) ? positions.get(Number(index)) : null;
+
+        const userProgress = {};
+        indices.forEach((index, position) => {
+            const progress = this.userProgress[this.characters[index].character];
+            if (progress) userProgress[position] = progress;
+        });
+
+        const state = this.algorithmState;
+        return {
+            characters: indices.map(index => this.characters[index]),
+            userProgress,
+            state: {
+                ...state,
+                recentFailedCards: new Set([...state.recentFailedCards].map(toPosition).filter(p => p !== null)),
+                lastShownIndex: state.lastShownIndex === null ? null : toPosition(state.lastShownIndex)
+            },
+            toIndex: position => indices[position]
+        };
+    }
+
+    // Progress keyed by index into this.characters, for algorithm helpers that
+    // report cards by index (getActiveSet, getActiveBucket, ...)
+    getIndexedProgress() {
+        const indexed = {};
+        this.characters.forEach((char, i) => {
+            const progress = this.userProgress[char.character];
+            if (progress) indexed[i] = progress;
+        });
+        return indexed;
+    }
+
+    // Indices into this.characters of every card in the deck
+    getDeckIndices() {
+        return this.deckIndices || this.characters.map((_, i) => i);
+    }
+
+    loadDeckFilters() {
+        try {
+            return JSON.parse(localStorage.getItem('chineseCharDeck')) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable saved deck:', error);
+            return {};
+        }
+    }
+
+    // Number of cards in a level: the first `size` of the frequency-sorted list
+    getLevelSize(level = this.level) {
+        return Math.min(LEVELS[level].size, this.characters.length);
+    }
+
+    // Indices of the deck's cards within the current level
+    getDeckMatches(deck = this.deck) {
+        const levelSize = this.getLevelSize();
+        return deck.apply(this.characters).filter(i => i < levelSize);
+    }
+
+    /**
+     * Work out which cards are in the deck, within the current level. A deck
+     * nothing matches (e.g. an HSK filter on a word list without HSK levels)
+     * falls back to the whole level. Returns false when it had to fall back.
+     */
+    applyDeck() {
+        const levelSize = this.getLevelSize();
+        let indices = this.getDeckMatches();
+        let matched = true;
+        if (indices.length === 0) {
+            indices = this.characters.slice(0, levelSize).map((_, i) => i);
+            matched = this.deck.isEmpty();
+            if (!matched) {
+                this.showToast(`No ${LEVELS[this.level].name} cards match ${this.deck.describe()}, studying the whole level`, '#f59e0b');
+            }
+        }
+
+        this.deckIndices = indices.length === this.characters.length ? null : indices;
+        return matched;
+    }
+
+    // Switch to a new level, saved for next time
+    setLevel(level) {
+        if (!LEVELS[level]) return;
+
+        this.level = level;
+        this.levelChosen = true;
+        localStorage.setItem('chineseCharLevel', level);
+        this.applyLevelTheme();
+
+        if (this.applyDeck()) {
+            this.showToast(`${LEVELS[level].name}: ${this.getDeckIndices().length} cards`, '#667eea');
+        }
+        this.initializeAlgorithmSet();
+        this.nextCharacter();
+    }
+
+    applyLevelTheme() {
+        for (const level of Object.keys(LEVELS)) {
+            document.body.classList.toggle(`level-${level}`, level === this.level);
+        }
+        const levelBtn = document.getElementById('levelBtn');
+        if (levelBtn) {
+            levelBtn.title = `Level: ${LEVELS[this.level].name}`;
+        }
+    }
+
+    // Learning stage of one card: 'new', 'learning', 'familiar' or 'mastered'
+    getCardStage(progress) {
+        if (!progress || !(progress.reviewCount > 0)) return 'new';
+
+        const { reviewCount, successRate } = progress;
+        if ((reviewCount >= 5 && successRate >= 0.8) || (reviewCount >= 3 && successRate >= 0.9)) {
+            return 'mastered';
+        }
+        if (reviewCount >= 3 && successRate >= 0.6) return 'familiar';
+        return 'learning';
+    }
+
+    /**
+     * Completion of a level for the active card type: cards seen and mastered,
+     * and the average of every rating given to its cards (null if none yet)
+     */
+    getLevelStats(level) {
+        const size = this.getLevelSize(level);
+        let seen = 0;
+        let mastered = 0;
+        let ratingTotal = 0;
+        let ratingCount = 0;
+
+        for (const char of this.characters.slice(0, size)) {
+            const progress = this.userProgress[char.character];
+            const stage = this.getCardStage(progress);
+            if (stage !== 'new') seen++;
+            if (stage === 'mastered') mastered++;
+
+            if (progress && Array.isArray(progress.history)) {
+                for (const rating of progress.history) {
+                    ratingTotal += rating;
+                    ratingCount++;
+                }
+            }
+        }
+
+        return {
+            size,
+            seen,
+            mastered,
+            averageRating: ratingCount > 0 ? ratingTotal / ratingCount : null
+        };
+    }
+
+    // Switch to a new deck, saved for next time
+    setDeck(filters) {
+        this.deck = new DeckFilter(filters);
+        localStorage.setItem('chineseCharDeck', JSON.stringify(this.deck.filters));
+
+        if (this.applyDeck()) {
+            this.showToast(`Deck: ${this.deck.describe()} (${this.getDeckIndices().length} cards)`, '#667eea');
+        }
+        this.initializeAlgorithmSet();
+        this.nextCharacter();
     }
 
     nextCharacter() {
@@ -698,28 +1162,14 @@ class ChineseCharacterApp {
         this.currentResult = result;  // Store the full result
         this.algorithmState.lastShownIndex = result.index;
 
-        // Detect if character field contains 1 or 2 characters
+        // Words of any length get one cell per character
         this.charCount = this.currentChar.character.length;
 
-        // Adjust canvas dimensions based on character count
-        if (this.charCount === 1) {
-            // Square canvas for 1 character
-            this.canvas.width = 300;
-            this.canvas.height = 300;
-        } else {
-            // Rectangular canvas for 2 characters
-            this.canvas.width = 600;
-            this.canvas.height = 300;
-        }
+        // One square cell per character
+        this.layout.resize(this.charCount);
 
         // Reset drawing style after canvas resize (resizing resets context)
-        this.ctx.lineWidth = 10;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.strokeStyle = '#d4d7dc';
-        this.ctx.globalCompositeOperation = 'source-over';
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'high';
+        this.applyCanvasStyle();
 
         // Update UI
         document.getElementById('pinyin').textContent = this.currentChar.pinyin || 'N/A';
@@ -729,7 +1179,7 @@ class ChineseCharacterApp {
         const pinyinContainer = document.querySelector('.pinyin-container');
         let newBadge = pinyinContainer.querySelector('.new-badge');
 
-        const isNewCard = !this.userProgress[this.currentCharIndex];
+        const isNewCard = !this.userProgress[this.currentChar.character];
         if (isNewCard) {
             if (!newBadge) {
                 newBadge = document.createElement('span');
@@ -747,6 +1197,28 @@ class ChineseCharacterApp {
         document.getElementById('answerContainer').classList.add('hidden');
         document.getElementById('difficultySection').classList.add('hidden');
 
+        // Drop the previous attempt's grade, recognition / tone check and suggestion
+        this.currentGrade = null;
+        this.attemptStrokes = [];
+        this.recognitionResult = null;
+        this.toneResult = null;
+        clearTimeout(this.toneAdvanceTimeout);
+        this.answerShown = false;
+        this.cardShownAt = Date.now();
+        this.answerShownAt = null;
+        this.showGradeSuggestion(null);
+
+        // Expected strokes for guided tracing (drawn by clearCanvas below)
+        this.startTrace();
+
+        // Recognition and tone cards swap the canvas for answer fields
+        this.updateCardTypeView();
+        if (this.cardType === 'recognition') {
+            this.startRecognition();
+        } else if (this.cardType === 'tones') {
+            this.startToneDrill();
+        }
+
         // Show the show answer button again
         document.querySelector('.canvas-controls').style.display = 'flex';
         document.getElementById('showAnswerBtn').style.display = 'inline-block';
@@ -761,10 +1233,13 @@ class ChineseCharacterApp {
             this.speechSynth.cancel();
         }
 
-        // Play sound (autoplay - may fail on iOS/mobile without user interaction)
-        setTimeout(() => {
-            this.playSound();
-        }, 300);
+        // Play sound (autoplay - may fail on iOS/mobile without user interaction).
+        // Recognition cards wait until the answer is checked, since the sound gives the pinyin away.
+        if (this.cardType === 'writing') {
+            setTimeout(() => {
+                this.playSound();
+            }, 300);
+        }
 
         // Force scroll to the top
         setTimeout(() => {
@@ -775,32 +1250,47 @@ class ChineseCharacterApp {
     showAnswer() {
         if (!this.currentChar) return;
 
+        if (this.cardType === 'recognition') {
+            this.checkRecognition();
+            return;
+        }
+
+        if (this.cardType === 'tones') {
+            // Reveal gives up on the remaining syllables; once answered, move straight on
+            if (this.toneResult) {
+                this.nextCharacter();
+            } else {
+                this.finishToneDrill();
+            }
+            return;
+        }
+
         const answerContainer = document.getElementById('answerContainer');
         const difficultySection = document.getElementById('difficultySection');
-        const gif1 = document.getElementById('strokeGif1');
-        const gif2 = document.getElementById('strokeGif2');
+        const panels = document.getElementById('strokeOrderPanels');
 
         const chars = this.currentChar.character.split('');
 
-        if (chars.length === 1) {
-            // Single character: show only first GIF
-            gif1.src = `img/${chars[0]}.gif`;
-            gif1.classList.remove('hidden');
-            gif2.classList.add('hidden');
-
-            // Set single character as canvas background
-            this.setCanvasBackground(`img/${chars[0]}.gif`, 0);
-        } else if (chars.length === 2) {
-            // Two characters: show both GIFs
-            gif1.src = `img/${chars[0]}.gif`;
-            gif2.src = `img/${chars[1]}.gif`;
-            gif1.classList.remove('hidden');
-            gif2.classList.remove('hidden');
+        // Grade the attempt before the background is drawn over the canvas
+        this.currentGrade = this.gradeAttempt();
+        this.attemptStrokes = [...this.strokes];
+        this.showGradeSuggestion(this.currentGrade);
+        this.answerShown = true;
+        this.answerShownAt = Date.now();
+
+        // One stroke order panel and canvas background per character
+        panels.classList.toggle('many', chars.length > 2);
+        chars.forEach((char, position) => {
+            const gif = document.createElement('img');
+            gif.className = 'stroke-gif hidden';
+            gif.alt = `Stroke order animation for ${char}`;
+            panels.appendChild(gif);
+
+            this.showStrokeOrder(char, gif, position);
+            this.setCanvasBackground(char, position);
+        });
 
-            // Set both characters as canvas backgrounds
-            this.setCanvasBackground(`img/${chars[0]}.gif`, 0);
-            this.setCanvasBackground(`img/${chars[1]}.gif`, 1);
-        }
+        this.showCharacterInfo();
 
         // Show the answer container and difficulty buttons
         answerContainer.classList.remove('hidden');
@@ -819,6 +1309,367 @@ class ChineseCharacterApp {
         }, 100);
     }
 
+    // Radical and stroke count under the stroke order, when the data has them
+    showCharacterInfo() {
+        const info = document.getElementById('characterInfo');
+        const details = this.describeCharacter(this.currentChar);
+
+        info.textContent = details.join(' • ');
+        info.classList.toggle('hidden', details.length === 0);
+    }
+
+    // Short descriptions of a character's radical, stroke count and standard number
+    describeCharacter(char) {
+        const details = [];
+        if (char.radical) {
+            const radicalNumber = this.parseOptionalInt(char.radical_code);
+            details.push(radicalNumber !== null ? `Radical ${char.radical} (${radicalNumber})` : `Radical ${char.radical}`);
+        }
+        if (char.stroke_count !== null) {
+            details.push(`${char.stroke_count} stroke${char.stroke_count === 1 ? '' : 's'}`);
+        }
+        if (char.general_standard_num !== null) {
+            details.push(`General Standard #${char.general_standard_num}`);
+        }
+        return details;
+    }
+
+    // Show a character's stroke order in place of the given GIF element:
+    // a stroke order player when vector data exists, otherwise the GIF itself.
+    // Strokes the grader flagged are marked so they can be stepped to directly.
+    showStrokeOrder(char, gif, charPosition) {
+        const glyph = this.getGlyph(char);
+        if (!glyph) {
+            gif.src = `img/${char}.gif`;
+            gif.classList.remove('hidden');
+            return;
+        }
+
+        const charGrade = this.currentGrade ? this.currentGrade.characters[charPosition] : null;
+        const markedStrokes = charGrade
+            ? [...charGrade.wrongStrokes, ...charGrade.outOfOrderStrokes]
+            : [];
+
+        gif.classList.add('hidden');
+        const player = new StrokePlayer(this.strokeRenderer, glyph, markedStrokes);
+        gif.parentNode.insertBefore(player.element, gif);
+        this.strokePlayers.push(player);
+        player.play();
+    }
+
+    // Grade the current canvas attempt against reference stroke data.
+    // Returns null when any character in the word has no reference strokes.
+    gradeAttempt() {
+        const references = [];
+        for (const char of this.currentChar.character) {
+            const glyph = this.getGlyph(char);
+            if (!glyph) return null;
+            references.push(glyph.medians);
+        }
+
+        // Strokes are stored normalized, so the canvas is 1 x 1 to the grader
+        const grade = this.strokeGrader.grade(this.strokes, references, 1, 1);
+
+        // Traced strokes are right by construction, so the hints needed drive the rating
+        return this.isTracing() ? this.strokeGrader.applyHints(grade, this.traceHints) : grade;
+    }
+
+    // Highlight the suggested difficulty button and explain the grade
+    showGradeSuggestion(grade) {
+        if (!grade) {
+            this.showSuggestion(null, '');
+            return;
+        }
+
+        const outOfOrder = grade.characters.reduce((sum, c) => sum + c.outOfOrderStrokes.length, 0);
+        let text = `Suggested: ${grade.suggestedRating} • ${grade.correctCount}/${grade.expectedCount} strokes correct`;
+        if (grade.drawnCount !== grade.expectedCount) {
+            text += ` • drew ${grade.drawnCount}`;
+        }
+        if (outOfOrder > 0) {
+            text += ` • ${outOfOrder} out of order`;
+        }
+        if (grade.hints !== undefined) {
+            text += ` • ${grade.hints} hint${grade.hints === 1 ? '' : 's'}`;
+        }
+        this.showSuggestion(grade.suggestedRating, text);
+    }
+
+    // Highlight a suggested rating (null clears it) with an explanation
+    showSuggestion(rating, text) {
+        const suggestion = document.getElementById('gradeSuggestion');
+        document.querySelectorAll('.difficulty-btn').forEach(btn => {
+            btn.classList.toggle('suggested', rating !== null && parseInt(btn.dataset.difficulty) === rating);
+        });
+
+        suggestion.textContent = text;
+        suggestion.classList.toggle('hidden', rating === null);
+    }
+
+    // Show the prompt and answer area for the current card type
+    updateCardTypeView() {
+        const gameArea = document.querySelector('.game-area');
+        for (const type of Object.keys(CARD_TYPES)) {
+            gameArea.classList.toggle(type, type === this.cardType);
+        }
+        gameArea.classList.remove('revealed');
+    }
+
+    // Recognition card: show the hanzi, reset the pinyin field and offer meanings
+    startRecognition() {
+        document.getElementById('hanziPrompt').textContent = this.currentChar.character;
+
+        const input = document.getElementById('pinyinInput');
+        input.value = '';
+        input.disabled = false;
+        input.classList.remove('correct', 'wrong');
+
+        const feedback = document.getElementById('pinyinFeedback');
+        feedback.classList.add('hidden');
+        feedback.innerHTML = '';
+
+        this.selectedMeaning = null;
+        this.meaningChoices = this.buildMeaningChoices();
+
+        const choicesDiv = document.getElementById('meaningChoices');
+        choicesDiv.innerHTML = '';
+        this.meaningChoices.forEach((definition, i) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'meaning-choice';
+            button.innerHTML = `<span class="hotkey-number">${i + 1}</span>`;
+            button.appendChild(document.createTextNode(definition));
+            button.addEventListener('click', () => this.selectMeaning(i));
+            choicesDiv.appendChild(button);
+        });
+
+        setTimeout(() => input.focus(), 0);
+    }
+
+    // The correct definition plus up to three others, shuffled
+    buildMeaningChoices() {
+        const answer = this.currentChar.definition;
+        const others = [...new Set(this.characters.map(char => char.definition))]
+            .filter(definition => definition !== answer);
+
+        const choices = [answer];
+        while (choices.length < 4 && others.length > 0) {
+            choices.push(others.splice(Math.floor(Math.random() * others.length), 1)[0]);
+        }
+
+        for (let i = choices.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [choices[i], choices[j]] = [choices[j], choices[i]];
+        }
+        return choices;
+    }
+
+    selectMeaning(choice) {
+        if (this.answerShown || choice >= this.meaningChoices.length) return;
+
+        // Clicking the selected meaning again clears it
+        this.selectedMeaning = this.selectedMeaning === this.meaningChoices[choice]
+            ? null
+            : this.meaningChoices[choice];
+
+        document.querySelectorAll('.meaning-choice').forEach((button, i) => {
+            button.classList.toggle('selected', this.meaningChoices[i] === this.selectedMeaning);
+        });
+    }
+
+    // Recognition card: check the typed pinyin and chosen meaning, then reveal the answer
+    checkRecognition() {
+        if (this.answerShown) return;
+
+        const input = document.getElementById('pinyinInput');
+        const typed = input.value.trim();
+
+        // Structured pinyin check: { correct, syllableCorrect, toneCorrect, syllables }
+        const pinyin = typed.length > 0
+            ? { typed, ...checkPinyin(typed, this.currentChar.pinyin || '', { toneOptional: this.toneOptional }) }
+            : null;
+
+        const result = {
+            pinyin,
+            pinyinAnswered: pinyin !== null,
+            pinyinCorrect: pinyin !== null && pinyin.correct,
+            meaningAnswered: this.selectedMeaning !== null,
+            meaningCorrect: this.selectedMeaning === this.currentChar.definition
+        };
+        result.suggestedRating = this.suggestRecognitionRating(result);
+        this.recognitionResult = result;
+        this.answerShown = true;
+        this.answerShownAt = Date.now();
+
+        // Mark the answers
+        input.disabled = true;
+        if (pinyin) {
+            input.classList.add(pinyin.correct ? 'correct' : 'wrong');
+            this.showPinyinFeedback(pinyin);
+        }
+        document.querySelectorAll('.meaning-choice').forEach((button, i) => {
+            const definition = this.meaningChoices[i];
+            button.classList.toggle('correct', definition === this.currentChar.definition);
+            button.classList.toggle('wrong', definition === this.selectedMeaning && !result.meaningCorrect);
+        });
+
+        const describe = (answered, correct) => !answered ? 'skipped' : (correct ? '✓' : '✗');
+        const pinyinText = pinyin && !pinyin.correct && pinyin.syllableCorrect
+            ? 'wrong tone'
+            : describe(result.pinyinAnswered, result.pinyinCorrect);
+        this.showSuggestion(
+            result.suggestedRating,
+            `Suggested: ${result.suggestedRating} • pinyin ${pinyinText} • meaning ${describe(result.meaningAnswered, result.meaningCorrect)}`
+        );
+
+        // Reveal pinyin and definition, then let the learner rate
+        document.querySelector('.game-area').classList.add('revealed');
+        document.getElementById('difficultySection').classList.remove('hidden');
+        document.getElementById('showAnswerBtn').style.display = 'none';
+        this.playSound();
+    }
+
+    // Show the expected pinyin syllable by syllable: green if right, amber for a
+    // wrong tone, red for a wrong syllable
+    showPinyinFeedback(pinyin) {
+        const feedback = document.getElementById('pinyinFeedback');
+        const spans = pinyin.syllables.map(syllable => {
+            let className = 'syllable-correct';
+            if (!syllable.syllableCorrect) {
+                className = 'syllable-wrong';
+            } else if (syllable.toneCorrect === false) {
+                className = 'tone-wrong';
+            }
+            const text = markPinyinSyllable(syllable.expected.letters, syllable.expected.tone);
+            return `<span class="${className}">${text}</span>`;
+        });
+
+        let html = spans.join(' ');
+        if (pinyin.toneCorrect === null) {
+            html += ' <small>(tones skipped)</small>';
+        }
+        feedback.innerHTML = html;
+        feedback.classList.remove('hidden');
+    }
+
+    // Tone drill card: show toneless pinyin and wait for a tone per syllable
+    startToneDrill() {
+        document.getElementById('hanziPrompt').textContent = this.currentChar.character;
+
+        this.toneSyllables = (parsePinyin(this.currentChar.pinyin || '') || [])
+            .map(s => ({ letters: s.letters, tone: s.tone || 5 }));
+        this.toneAnswers = [];
+        this.renderToneSyllables();
+    }
+
+    // Toneless pinyin with the syllable being asked highlighted; answered syllables
+    // show their real tone, green if picked right and red if not
+    renderToneSyllables() {
+        const pinyin = document.getElementById('pinyin');
+        if (this.toneSyllables.length === 0) {
+            pinyin.textContent = 'No pinyin to drill (Space to skip)';
+            return;
+        }
+        pinyin.innerHTML = this.toneSyllables.map((syllable, i) => {
+            if (i < this.toneAnswers.length) {
+                const className = this.toneAnswers[i] === syllable.tone ? 'tone-correct' : 'tone-wrong';
+                return `<span class="${className}">${markPinyinSyllable(syllable.letters, syllable.tone)}</span>`;
+            }
+            const className = i === this.toneAnswers.length ? 'tone-current' : '';
+            return `<span class="${className}">${syllable.letters}</span>`;
+        }).join(' ');
+    }
+
+    // Tone drill: answer the current syllable (1-4, 5 = neutral)
+    answerTone(tone) {
+        if (this.toneResult || this.toneAnswers.length >= this.toneSyllables.length) return;
+
+        this.toneAnswers.push(tone);
+        this.renderToneSyllables();
+
+        if (this.toneAnswers.length === this.toneSyllables.length) {
+            this.finishToneDrill();
+        }
+    }
+
+    // Score the tone drill, record it through the normal rating path and move on.
+    // Unanswered syllables (answer revealed early) count as wrong. Cards whose
+    // pinyin doesn't parse have nothing to answer, so they're skipped unrated.
+    finishToneDrill() {
+        if (this.toneResult) return;
+        if (this.toneSyllables.length === 0) {
+            this.nextCharacter();
+            return;
+        }
+
+        while (this.toneAnswers.length < this.toneSyllables.length) {
+            this.toneAnswers.push(null);
+        }
+        this.renderToneSyllables();
+
+        const chars = this.currentChar.character.split('');
+        const syllables = this.toneSyllables.map((syllable, i) => ({
+            // Syllables line up with characters; fall back to the whole word if they don't
+            character: chars.length === this.toneSyllables.length ? chars[i] : this.currentChar.character,
+            expected: syllable.tone,
+            answered: this.toneAnswers[i],
+            correct: this.toneAnswers[i] === syllable.tone
+        }));
+        const correctCount = syllables.filter(s => s.correct).length;
+        const ratio = correctCount / syllables.length;
+
+        this.toneResult = {
+            syllables,
+            correctCount,
+            // All right: 5; at least half right: 3; otherwise 1
+            rating: ratio === 1 ? 5 : (ratio >= 0.5 ? 3 : 1)
+        };
+        this.answerShown = true;
+        this.answerShownAt = Date.now();
+
+        document.querySelector('.game-area').classList.add('revealed');
+        this.playSound();
+
+        const rating = this.toneResult.rating;
+        this.recordDifficulty(rating);
+        this.showToast(
+            `Tones ${correctCount}/${syllables.length}`,
+            rating === 5 ? '#10b981' : (rating === 3 ? '#f59e0b' : '#ef4444')
+        );
+
+        // Linger longer on a mistake so the right tone can sink in (Space skips ahead)
+        this.toneAdvanceTimeout = setTimeout(() => this.nextCharacter(), rating === 5 ? 1000 : 2500);
+    }
+
+    // Each answered part earns credit: meaning 1 or 0; pinyin 1, 0.75 with tones
+    // skipped, 0.5 with only the tones wrong. All credit: 5 (4 if only one part was
+    // tried); otherwise scaled down to 1 for nothing right.
+    suggestRecognitionRating(result) {
+        let answered = 0;
+        let credit = 0;
+
+        if (result.pinyin) {
+            answered++;
+            if (result.pinyin.correct) {
+                credit += result.pinyin.toneCorrect === null ? 0.75 : 1;
+            } else if (result.pinyin.syllableCorrect) {
+                credit += 0.5;
+            }
+        }
+        if (result.meaningAnswered) {
+            answered++;
+            if (result.meaningCorrect) credit += 1;
+        }
+
+        if (answered === 0 || credit === 0) return 1;
+
+        const ratio = credit / answered;
+        if (ratio === 1) return answered === 2 ? 5 : 4;
+        if (ratio >= 0.75) return 4;
+        if (ratio >= 0.5) return 3;
+        return 2;
+    }
+
     // Returns a display-friendly mastery metric for score/strength-based algorithms,
     // or null if the current algorithm doesn't expose one. Higher is always better.
     getDisplayMetric(progress) {
@@ -839,7 +1690,12 @@ class ChineseCharacterApp {
         return this.algorithm.name === 'Rolling Window' ? 'Strength' : 'Score';
     }
 
-    recordDifficulty(difficulty) {
+    /**
+     * @param difficulty - 1-5 rating
+     * @param pinyinCheck - optional typed pinyin result from checkPinyin() (plus the typed text);
+     *                      defaults to the current recognition card's check
+     */
+    recordDifficulty(difficulty, pinyinCheck = this.recognitionResult ? this.recognitionResult.pinyin : null) {
         if (!this.currentChar) return;
         // Guard against a corrupt rating (e.g. NaN) being written into history,
         // which would poison strength calculations downstream.
@@ -850,169 +1706,191 @@ class ChineseCharacterApp {
 
         const now = Date.now();
         const index = this.currentCharIndex;
+        const key = this.currentChar.character;  // Progress is keyed by hanzi
 
         // Update algorithm state
         if (this.algorithm.isCardFailed(difficulty)) {
-            this.algorithmState.recentFailedCards.add(index);
-            this.algorithmState.sessionCorrectStreak = 0;
+            const algorithmState = this.algorithmState;
+            algorithmState.recentFailedCards.add(index);
+            algorithmState.sessionCorrectStreak = 0;
 
-            // Auto-remove from failed set after timeout
+            // Auto-remove from failed set after timeout (even if the card type has changed since)
             setTimeout(() => {
-                this.algorithmState.recentFailedCards.delete(index);
+                algorithmState.recentFailedCards.delete(index);
             }, this.algorithm.config.failedCardTimeout);
         } else {
             this.algorithmState.sessionCorrectStreak++;
             this.algorithmState.recentFailedCards.delete(index);
         }
 
-        // Calculate target review position for MasteryBased algorithm
-        let targetReviewPosition;
-        if (this.algorithm.calculateTargetReviewPosition) {
-            targetReviewPosition = this.algorithm.calculateTargetReviewPosition(difficulty);
+        const rating = recordRating(this.algorithm, this.userProgress[key], difficulty, {
+            character: key,
+            now,
+            result: this.currentResult
+        });
+        this.userProgress[key] = rating.progress;
+
+        // Refill the set right away when a card graduated from it
+        if (rating.graduated) {
+            this.backfillSet();
         }
 
-        if (!this.userProgress[index]) {
-            // First time seeing this card
-            const initialInterval = this.algorithm.calculateInitialInterval(difficulty);
+        // Per-stroke analytics, when the attempt could be graded
+        if (this.currentGrade) {
+            this.recordStrokeAttempt(this.userProgress[key], difficulty, now);
+        }
 
-            // Initialize score for FocusedSetsAlgorithm and KnownSetAlgorithm
-            let initialScore = 0;
-            if ((this.algorithm.name === 'Focused Sets' || this.algorithm.name === 'Known Set' || this.algorithm.name === 'Rolling Window') && this.algorithm.config) {
-                initialScore = this.algorithm.config.initialScore;
-            }
+        // Handwriting history for the attempt gallery
+        if (this.attemptStrokes.length > 0) {
+            this.saveAttempt(key, difficulty, now);
+        }
 
-            const isAddingToSet = this.currentResult && this.currentResult.addToSet;
-
-            this.userProgress[index] = {
-                character: this.currentChar.character,
-                firstSeen: now,
-                reviewCount: 1,
-                successCount: this.algorithm.isCardCorrect(difficulty) ? 1 : 0,
-                successRate: this.algorithm.isCardCorrect(difficulty) ? 1 : 0,
-                lastDifficulty: difficulty,
-                lastSeen: now,
-                nextReview: now + initialInterval,
-                interval: initialInterval,
-                history: [difficulty],
-                targetReviewPosition: targetReviewPosition, // Add target position
-                // Mastery tracking fields (for algorithms that use them)
-                consecutiveGood: difficulty >= 4 ? 1 : 0,
-                wasUnmastered: false,
-                masteredAt: null,
-                // Bucket tracking (for Bucket algorithm)
-                inBucket: this.currentResult && this.currentResult.addToBucket ? true : false,
-                // Set tracking (for FocusedSetsAlgorithm)
-                inSet: isAddingToSet,
-                setEntryScore: isAddingToSet ? initialScore : undefined,
-                // Score tracking (for FocusedSetsAlgorithm)
-                score: initialScore
-            };
+        // Typed pinyin accuracy, when the card asked for pinyin
+        if (pinyinCheck) {
+            this.recordPinyinCheck(this.userProgress[key], pinyinCheck);
+        }
 
-            // Update score for FocusedSetsAlgorithm and KnownSetAlgorithm
-            if ((this.algorithm.name === 'Focused Sets' || this.algorithm.name === 'Known Set' || this.algorithm.name === 'Rolling Window') && this.algorithm.updateScore) {
-                this.userProgress[index].score = this.algorithm.updateScore(initialScore, difficulty);
+        // Tone accuracy per character, on tone drill cards
+        if (this.toneResult) {
+            this.recordToneResult(this.userProgress[key], this.toneResult);
+        }
 
-                if (this.userProgress[index].inSet) {
-                    console.log(`Card ${this.currentChar.character} added to set! Entry score: ${this.userProgress[index].setEntryScore}, New score: ${this.userProgress[index].score}`);
-                }
-            }
-        } else {
-            // Updating existing card
-            const progress = this.userProgress[index];
-            progress.reviewCount++;
-            progress.lastDifficulty = difficulty;
-            progress.lastSeen = now;
-
-            // Add to history
-            if (!progress.history) {
-                progress.history = [];
-            }
-            progress.history.push(difficulty);
+        // Update stats
+        this.algorithmState.todayReviews++;
 
-            // Update success rate
-            if (this.algorithm.isCardCorrect(difficulty)) {
-                progress.successCount++;
-            }
-            progress.successRate = progress.successCount / progress.reviewCount;
-
-            // Track consecutive good ratings for mastery-based algorithms
-            if (difficulty >= 4) {
-                progress.consecutiveGood = (progress.consecutiveGood || 0) + 1;
-
-                // Check if card just reached mastery threshold
-                if (this.algorithm.config.masteryThreshold &&
-                    progress.consecutiveGood === this.algorithm.config.masteryThreshold &&
-                    !progress.masteredAt) {
-                    progress.masteredAt = now;
-                    progress.wasUnmastered = false;
-                    // Remove from bucket when mastered
-                    if (this.algorithm.name === 'Bucket Learning') {
-                        progress.inBucket = false;
-                    }
-                    console.log(`Card ${this.currentChar.character} mastered!`);
-                }
-            } else {
-                // Reset consecutive good count
-                progress.consecutiveGood = 0;
-
-                // If this was a mastered card, mark it as unmastered
-                if (this.algorithm.config.masteryThreshold && progress.masteredAt) {
-                    progress.wasUnmastered = true;
-                    progress.masteredAt = null;
-                    // Add back to bucket when unmastered
-                    if (this.algorithm.name === 'Bucket Learning') {
-                        progress.inBucket = true;
-                    }
-                    console.log(`Card ${this.currentChar.character} unmastered (got difficulty ${difficulty})`);
-                }
-            }
+        this.saveProgress(key);
+        this.logReview(key, difficulty, now);
+    }
 
-            // Calculate next interval using the algorithm
-            progress.interval = this.algorithm.calculateNextInterval(
-                difficulty,
-                progress.interval,
-                progress.successRate
-            );
-            progress.nextReview = now + progress.interval;
+    /**
+     * Append one entry to the review log, which is only ever added to:
+     * what was rated, how, and how the card came to be scheduled.
+     * elapsed is the time from the card appearing to the rating, and
+     * answerTime the time from the card appearing to the answer being
+     * revealed, in ms.
+     */
+    logReview(character, difficulty, now) {
+        const result = this.currentResult || {};
+        const entry = {
+            time: now,
+            cardType: this.cardType,
+            character,
+            rating: difficulty,
+            elapsed: this.cardShownAt ? now - this.cardShownAt : null,
+            answerTime: this.cardShownAt && this.answerShownAt ? this.answerShownAt - this.cardShownAt : null,
+            algorithm: this.algorithm.name,
+            isNew: !!result.isNew,
+            addToSet: !!result.addToSet
+        };
+        this.store.addReview(entry).catch(error => console.error('Error logging review:', error));
+    }
 
-            // Update target review position if using MasteryBased
-            if (targetReviewPosition !== undefined) {
-                progress.targetReviewPosition = targetReviewPosition;
-            }
+    // Save the attempt's strokes with its ratings; the store keeps ATTEMPT_LIMIT per card
+    saveAttempt(character, difficulty, now) {
+        const attempt = {
+            cardType: this.cardType,
+            character,
+            time: now,
+            rating: difficulty,
+            suggestedRating: this.currentGrade ? this.currentGrade.suggestedRating : null,
+            strokes: packStrokes(this.attemptStrokes)
+        };
+        this.store.addAttempt(attempt, ATTEMPT_LIMIT).catch(error => {
+            console.error('Error saving attempt:', error);
+            this.showToast('Could not save this attempt to your history', '#ef4444');
+        });
+    }
 
-            // Update score for FocusedSetsAlgorithm and KnownSetAlgorithm
-            if ((this.algorithm.name === 'Focused Sets' || this.algorithm.name === 'Known Set' || this.algorithm.name === 'Rolling Window') && this.algorithm.updateScore) {
-                const currentScore = progress.score !== undefined ? progress.score : this.algorithm.config.initialScore;
-                const oldScore = currentScore;
-                progress.score = this.algorithm.updateScore(currentScore, difficulty);
-
-                // Check if this card is being added to the set
-                if (this.currentResult && this.currentResult.addToSet && !progress.inSet) {
-                    progress.inSet = true;
-                    progress.setEntryScore = oldScore; // Track score when entering set
-                    console.log(`Card ${this.currentChar.character} added to set! Entry score: ${progress.setEntryScore}`);
-                }
+    /**
+     * Store what went wrong stroke by stroke on a card's progress record.
+     * attempts keeps the most recent maxStrokeAttempts graded attempts;
+     * strokeMisses keeps a running count per character and stroke index
+     * (wrong, missing or out of order) so older attempts still count.
+     */
+    recordStrokeAttempt(progress, difficulty, now) {
+        const grade = this.currentGrade;
+        const chars = this.currentChar.character.split('');
 
-                // For Focused Sets: Remove from set if score became lower than entry score (card got easier)
-                // For Known Set: Cards stay in set, just shown with different frequency
-                if (this.algorithm.name === 'Focused Sets' && progress.inSet && progress.setEntryScore !== undefined) {
-                    if (progress.score < progress.setEntryScore) {
-                        progress.inSet = false;
-                        console.log(`Card ${this.currentChar.character} graduated from set! Score improved from ${progress.setEntryScore} to ${progress.score}`);
+        const attempt = {
+            time: now,
+            difficulty: difficulty,
+            suggestedRating: grade.suggestedRating,
+            duration: this.cardShownAt ? (this.answerShownAt || now) - this.cardShownAt : null,
+            strokesDrawn: grade.drawnCount,
+            strokesExpected: grade.expectedCount,
+            characters: grade.characters.map((character, i) => ({
+                character: chars[i],
+                drawn: character.drawnCount,
+                expected: character.expectedCount,
+                wrongStrokes: character.wrongStrokes,
+                outOfOrderStrokes: character.outOfOrderStrokes
+            }))
+        };
+        if (grade.hints !== undefined) {
+            attempt.hints = grade.hints;
+        }
 
-                        // Immediately backfill the set with a new card
-                        this.backfillSet();
-                    }
-                }
+        if (!progress.attempts) {
+            progress.attempts = [];
+        }
+        progress.attempts.push(attempt);
+        if (progress.attempts.length > this.maxStrokeAttempts) {
+            progress.attempts.splice(0, progress.attempts.length - this.maxStrokeAttempts);
+        }
+
+        if (!progress.strokeMisses) {
+            progress.strokeMisses = {};
+        }
+        for (const character of attempt.characters) {
+            const misses = progress.strokeMisses[character.character] || {};
+            for (const stroke of [...character.wrongStrokes, ...character.outOfOrderStrokes]) {
+                misses[stroke] = (misses[stroke] || 0) + 1;
             }
+            progress.strokeMisses[character.character] = misses;
         }
+    }
 
-        // Update stats
-        this.algorithmState.todayReviews++;
+    /**
+     * Keep running syllable and tone accuracy on a card's progress record.
+     * Checks where tones were skipped (tone-optional mode) don't count toward tone accuracy.
+     */
+    recordPinyinCheck(progress, pinyinCheck) {
+        const stats = progress.pinyinStats || { checks: 0, syllablesCorrect: 0, toneChecks: 0, tonesCorrect: 0 };
+        stats.checks++;
+        if (pinyinCheck.syllableCorrect) stats.syllablesCorrect++;
+        if (pinyinCheck.toneCorrect !== null) {
+            stats.toneChecks++;
+            if (pinyinCheck.toneCorrect) stats.tonesCorrect++;
+        }
+        progress.pinyinStats = stats;
 
-        this.saveProgress();
+        progress.lastPinyin = {
+            typed: pinyinCheck.typed,
+            correct: pinyinCheck.correct,
+            syllableCorrect: pinyinCheck.syllableCorrect,
+            toneCorrect: pinyinCheck.toneCorrect
+        };
     }
 
+    /**
+     * Keep tone accuracy per character on a card's progress record:
+     * toneStats[hanzi] = { asked, correct, confusions: { pickedTone: count } }
+     */
+    recordToneResult(progress, toneResult) {
+        if (!progress.toneStats) {
+            progress.toneStats = {};
+        }
+        for (const syllable of toneResult.syllables) {
+            const stats = progress.toneStats[syllable.character] || { asked: 0, correct: 0, confusions: {} };
+            stats.asked++;
+            if (syllable.correct) {
+                stats.correct++;
+            } else if (syllable.answered !== null) {
+                stats.confusions[syllable.answered] = (stats.confusions[syllable.answered] || 0) + 1;
+            }
+            progress.toneStats[syllable.character] = stats;
+        }
+    }
 
     showToast(message, color = '#000000') {
         const toast = document.getElementById('toast');
@@ -1032,45 +1910,39 @@ class ChineseCharacterApp {
             '0, 0, 0';
     }
 
-    setCanvasBackground(gifSrc, charPosition = 0) {
+    setCanvasBackground(char, charPosition = 0) {
+        // Vector data: draw the outline behind the existing strokes
+        const glyph = this.getGlyph(char);
+        if (glyph) {
+            this.backgroundGlyphs.push({ glyph, position: charPosition });
+            this.redrawStrokes();
+            this.hasBackground = true;
+            return;
+        }
+
+        const gifSrc = `img/${char}.gif`;
         const img = new Image();
         img.crossOrigin = 'anonymous';
         img.onload = () => {
+            // Image data is in backing pixels, outside the drawing-unit transform
             const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
 
             this.clearCanvas();
 
             this.ctx.globalAlpha = 0.3;
 
-            if (this.charCount === 2) {
-                // For 2 characters: position in left or right half
-                const halfWidth = this.canvas.width / 2;
-                const scale = Math.min(
-                    halfWidth / img.width,
-                    this.canvas.height / img.height
-                );
-                const width = img.width * scale;
-                const height = img.height * scale;
-
-                // Calculate x position based on character position (0 = left, 1 = right)
-                const xOffset = charPosition === 0 ? 0 : halfWidth;
-                const x = xOffset + (halfWidth - width) / 2;
-                const y = (this.canvas.height - height) / 2;
-
-                this.ctx.drawImage(img, x, y, width, height);
-            } else {
-                // For 1 character: center it
-                const scale = Math.min(
-                    this.canvas.width / img.width,
-                    this.canvas.height / img.height
-                );
-                const width = img.width * scale;
-                const height = img.height * scale;
-                const x = (this.canvas.width - width) / 2;
-                const y = (this.canvas.height - height) / 2;
-
-                this.ctx.drawImage(img, x, y, width, height);
-            }
+            // Centre the image in the character's own cell
+            const cellWidth = this.layout.width / this.charCount;
+            const scale = Math.min(
+                cellWidth / img.width,
+                this.layout.height / img.height
+            );
+            const width = img.width * scale;
+            const height = img.height * scale;
+            const x = charPosition * cellWidth + (cellWidth - width) / 2;
+            const y = (this.layout.height - height) / 2;
+
+            this.ctx.drawImage(img, x, y, width, height);
 
             this.ctx.globalAlpha = 1;
             this.ctx.putImageData(imageData, 0, 0);
@@ -1082,6 +1954,7 @@ class ChineseCharacterApp {
     }
 
     removeCanvasBackground() {
+        this.backgroundGlyphs = [];
         if (this.hasBackground) {
             this.clearCanvas();
             this.hasBackground = false;
@@ -1094,17 +1967,33 @@ class ChineseCharacterApp {
         this.backgroundImages = [];
     }
 
+    // Draw vector reference glyphs as a faint guide in their character cells
+    drawBackgroundGlyphs() {
+        if (this.backgroundGlyphs.length === 0) return;
+
+        const cellWidth = this.layout.width / this.charCount;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.3;
+        this.ctx.fillStyle = '#a8adb7';
+        for (const { glyph, position } of this.backgroundGlyphs) {
+            this.strokeRenderer.drawGlyph(this.ctx, glyph, position * cellWidth, 0, cellWidth, this.layout.height);
+        }
+        this.ctx.restore();
+    }
+
     cleanupGifs() {
-        // Clear GIF sources to free memory (important for iOS)
-        const gif1 = document.getElementById('strokeGif1');
-        const gif2 = document.getElementById('strokeGif2');
-        if (gif1) {
-            gif1.src = '';
-            gif1.classList.add('hidden');
-        }
-        if (gif2) {
-            gif2.src = '';
-            gif2.classList.add('hidden');
+        // Stop and remove vector stroke order players
+        this.strokePlayers.forEach(player => player.destroy());
+        this.strokePlayers = [];
+
+        // Clear GIF sources to free memory (important for iOS), then drop the panels
+        const panels = document.getElementById('strokeOrderPanels');
+        if (panels) {
+            panels.querySelectorAll('.stroke-gif').forEach(gif => {
+                gif.src = '';
+                gif.remove();
+            });
         }
     }
 
@@ -1158,10 +2047,10 @@ class ChineseCharacterApp {
         // Only for Focused Sets algorithm (not Known Set - it manages its own set growth)
         if (this.algorithm.name !== 'Focused Sets') return;
 
-        // Find candidates to add to set (cards not currently in set)
+        // Find candidates to add to set (cards in the deck not currently in set)
         const candidates = [];
-        for (let i = 0; i < this.characters.length; i++) {
-            const progress = this.userProgress[i];
+        for (const i of this.getDeckIndices()) {
+            const progress = this.userProgress[this.characters[i].character];
 
             // Skip if already in set
             if (progress && progress.inSet === true) continue;
@@ -1177,12 +2066,13 @@ class ChineseCharacterApp {
         // Add a new card to set using weighted selection
         if (candidates.length > 0) {
             const selected = this.algorithm.weightedRandomSelect(candidates, item => item.score);
+            const key = selected.char.character;
             const now = Date.now();
 
             // Create or update progress for the new card
-            if (!this.userProgress[selected.index]) {
-                this.userProgress[selected.index] = {
-                    character: this.characters[selected.index].character,
+            if (!this.userProgress[key]) {
+                this.userProgress[key] = {
+                    character: key,
                     firstSeen: now,
                     reviewCount: 0,
                     successCount: 0,
@@ -1202,89 +2092,119 @@ class ChineseCharacterApp {
                 };
             } else {
                 // Card already exists, just add to set
-                this.userProgress[selected.index].inSet = true;
-                this.userProgress[selected.index].setEntryScore = selected.score;
+                this.userProgress[key].inSet = true;
+                this.userProgress[key].setEntryScore = selected.score;
             }
 
-            this.saveProgress();
+            this.saveProgress(key);
             console.log(`Backfilled set with card: ${this.characters[selected.index].character} (entry score: ${selected.score})`);
         }
     }
 
-    saveProgress() {
-        localStorage.setItem('chineseCharProgress', JSON.stringify(this.userProgress));
+    // Save the active card type's progress: only the given cards (hanzi), or every card
+    saveProgress(...characters) {
+        const storageKey = CARD_TYPES[this.cardType].storageKey;
+        const saved = characters.length > 0
+            ? this.store.saveCards(storageKey, this.userProgress, characters)
+            : this.store.replaceProgress(storageKey, this.userProgress, PROGRESS_VERSION);
+        saved.catch(error => console.error('Error saving progress:', error));
     }
 
-    loadProgress() {
-        const saved = localStorage.getItem('chineseCharProgress');
-        const progress = saved ? JSON.parse(saved) : {};
-        const fixes = this.sanitizeProgress(progress);
+    async loadProgress(storageKey = 'chineseCharProgress') {
+        const saved = await this.store.loadProgress(storageKey);
+        // Nothing saved yet still gets written, so the set is marked with the current version
+        let progress = saved ? saved.progress : {};
+        let rewrite = !saved || !!saved.fromLocalStorage;
+
+        if (saved && saved.version < PROGRESS_VERSION) {
+            progress = this.migrateProgress(progress, saved.version);
+            rewrite = true;
+            console.log(`Migrated ${storageKey} from version ${saved.version} to ${PROGRESS_VERSION}`);
+        }
+
+        const fixes = sanitizeProgress(progress);
         if (fixes > 0) {
             // Persist the cleaned data immediately so the junk is gone for good.
-            localStorage.setItem('chineseCharProgress', JSON.stringify(progress));
+            rewrite = true;
             console.warn(`Sanitized ${fixes} corrupt rating(s) from saved progress.`);
         }
+
+        if (rewrite) {
+            await this.store.replaceProgress(storageKey, progress, PROGRESS_VERSION);
+        }
         return progress;
     }
 
     /**
-     * Repair progress records corrupted by an invalid (NaN/null) rating:
-     * strip the bad history entries and back out the side effects they caused
-     * (inflated reviewCount/successRate, NaN lastDifficulty). Returns the
-     * number of corrupt values fixed. Only touches affected cards.
+     * Bring saved progress from an older format up to PROGRESS_VERSION.
+     * Version 1 keyed cards by their index in the sorted character list, which
+     * pointed progress at the wrong cards whenever the data file or sort order
+     * changed; each record's own character field says which card it belongs to.
      */
-    sanitizeProgress(userProgress) {
-        let fixes = 0;
-        for (const key in userProgress) {
-            const p = userProgress[key];
-            if (!p || typeof p !== 'object') continue;
-
-            if (Array.isArray(p.history)) {
-                const cleaned = p.history.filter(v => Number.isFinite(v));
-                const removed = p.history.length - cleaned.length;
-                if (removed > 0) {
-                    p.history = cleaned;
-                    // Each bad rating had bumped reviewCount; back it out.
-                    if (Number.isFinite(p.reviewCount)) {
-                        p.reviewCount = Math.max(0, p.reviewCount - removed);
-                    }
-                    // Bad ratings never counted as correct, so successCount is
-                    // unchanged — just recompute the rate against the new count.
-                    if (Number.isFinite(p.successCount)) {
-                        p.successRate = p.reviewCount > 0
-                            ? p.successCount / p.reviewCount
-                            : 0;
-                    }
-                    fixes += removed;
+    migrateProgress(progress, fromVersion) {
+        if (fromVersion < 2) {
+            const byCharacter = {};
+            let dropped = 0;
+            for (const record of Object.values(progress)) {
+                if (!record || typeof record !== 'object' || typeof record.character !== 'string') {
+                    dropped++;
+                    continue;
+                }
+                // The same hanzi twice (a data file with duplicates): keep the more reviewed record
+                const existing = byCharacter[record.character];
+                if (!existing || (record.reviewCount || 0) > (existing.reviewCount || 0)) {
+                    byCharacter[record.character] = record;
                 }
             }
-
-            // A NaN rating also corrupted lastDifficulty; restore it from the
-            // most recent valid rating (or clear it).
-            if (p.lastDifficulty !== undefined && p.lastDifficulty !== null
-                && !Number.isFinite(p.lastDifficulty)) {
-                p.lastDifficulty = (Array.isArray(p.history) && p.history.length > 0)
-                    ? p.history[p.history.length - 1]
-                    : null;
-                fixes++;
+            if (dropped > 0) {
+                console.warn(`Dropped ${dropped} progress record(s) with no character to migrate by.`);
             }
+            progress = byCharacter;
         }
-        return fixes;
+        return progress;
     }
 
     // Data management methods
-    exportData() {
-        const data = JSON.stringify(this.userProgress);
+    // Exports every card type: { version, progress: { writing: {...}, recognition: {...} } }
+    async exportData() {
+        try {
+            const progress = {};
+            for (const [type, cardType] of Object.entries(CARD_TYPES)) {
+                const saved = await this.store.loadProgress(cardType.storageKey);
+                progress[type] = saved ? saved.progress : {};
+            }
+            const data = JSON.stringify({ version: PROGRESS_VERSION, progress });
+            this.downloadFile(data, `chinese-char-progress-${new Date().toISOString().split('T')[0]}.json`);
+            this.showToast('Data exported successfully!');
+        } catch (error) {
+            this.showToast('Error exporting data', '#ef4444');
+            console.error('Export error:', error);
+        }
+    }
+
+    // Exports the review log, oldest first: { reviews: [{ time, cardType, character, rating, elapsed, ... }] }
+    async exportReviewLog() {
+        try {
+            const reviews = await this.store.getReviews();
+            const data = JSON.stringify({ reviews });
+            this.downloadFile(data, `chinese-char-review-log-${new Date().toISOString().split('T')[0]}.json`);
+            this.showToast(`Exported ${reviews.length} reviews`);
+        } catch (error) {
+            this.showToast('Error exporting review log', '#ef4444');
+            console.error('Review log export error:', error);
+        }
+    }
+
+    downloadFile(data, filename) {
         const blob = new Blob([data], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `chinese-char-progress-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        this.showToast('Data exported successfully!');
     }
 
     importData() {
@@ -1295,12 +2215,31 @@ class ChineseCharacterApp {
             const file = e.target.files[0];
             if (file) {
                 const reader = new FileReader();
-                reader.onload = (event) => {
+                reader.onload = async (event) => {
                     try {
                         const imported = JSON.parse(event.target.result);
-                        this.sanitizeProgress(imported);
-                        this.userProgress = imported;
-                        this.saveProgress();
+                        if (!isPlainObject(imported)) throw new Error('Not an export file');
+                        // Older exports hold writing progress only, and exports
+                        // without a version are index-keyed (version 1)
+                        const progressByType = imported.progress || { writing: imported };
+                        const version = imported.progress ? (imported.version || 1) : 1;
+
+                        // Check every card type before saving any, so a bad file changes nothing
+                        if (!isPlainObject(progressByType)) throw new Error('progress is not an object');
+                        const importedTypes = Object.entries(progressByType).filter(([type]) => CARD_TYPES[type]);
+                        for (const [type, importedProgress] of importedTypes) {
+                            if (!isPlainObject(importedProgress) || !Object.values(importedProgress).every(isPlainObject)) {
+                                throw new Error(`${type} progress is not a set of card records`);
+                            }
+                        }
+
+                        for (const [type, importedProgress] of importedTypes) {
+                            const progress = this.migrateProgress(importedProgress, version);
+                            sanitizeProgress(progress);
+                            await this.store.replaceProgress(CARD_TYPES[type].storageKey, progress, PROGRESS_VERSION);
+                            this.sessions[type].progress = progress;
+                        }
+                        this.useSession(this.cardType);
                         this.showToast('Data imported successfully!');
                         this.updateDebugInfo();
                     } catch (error) {
@@ -1314,13 +2253,25 @@ class ChineseCharacterApp {
         input.click();
     }
 
-    clearData() {
-        if (confirm('Are you sure you want to clear all progress data? This action cannot be undone.')) {
-            this.userProgress = {};
-            this.saveProgress();
+    async clearData() {
+        if (!confirm('Are you sure you want to clear all progress data? This action cannot be undone.')) return;
+
+        try {
+            // Each card type's progress is only dropped from memory once the store has cleared it,
+            // so a failure part way leaves memory matching what's saved
+            for (const [type, session] of Object.entries(this.sessions)) {
+                await this.store.replaceProgress(CARD_TYPES[type].storageKey, {}, PROGRESS_VERSION);
+                session.progress = {};
+            }
+            await this.store.clearReviews();
+            await this.store.clearAttempts();
             this.showToast('All data cleared!');
-            this.updateDebugInfo();
+        } catch (error) {
+            this.showToast('Error clearing data: some of it may not have been cleared', '#ef4444');
+            console.error('Clear data error:', error);
         }
+        this.useSession(this.cardType);
+        this.updateDebugInfo();
     }
 
     // Debug methods
@@ -1349,14 +2300,602 @@ class ChineseCharacterApp {
 
         // Data management buttons
         const exportBtn = document.getElementById('exportDataBtn');
+        const exportLogBtn = document.getElementById('exportReviewLogBtn');
         const importBtn = document.getElementById('importDataBtn');
         const clearBtn = document.getElementById('clearDataBtn');
 
         exportBtn.addEventListener('click', () => this.exportData());
+        exportLogBtn.addEventListener('click', () => this.exportReviewLog());
         importBtn.addEventListener('click', () => this.importData());
         clearBtn.addEventListener('click', () => this.clearData());
     }
 
+    setupDeckModal() {
+        const deckBtn = document.getElementById('deckBtn');
+        const modal = document.getElementById('deckModal');
+        const closeBtn = document.getElementById('deckCloseBtn');
+        const matchCount = document.getElementById('deckMatchCount');
+
+        // Range filters and their from/to inputs
+        const ranges = {
+            hsk: ['deckHskMin', 'deckHskMax'],
+            frequency: ['deckFrequencyMin', 'deckFrequencyMax'],
+            strokes: ['deckStrokesMin', 'deckStrokesMax']
+        };
+        const radicalInput = document.getElementById('deckRadical');
+
+        const readFilters = () => {
+            const filters = { radical: radicalInput.value };
+            for (const [key, [minId, maxId]] of Object.entries(ranges)) {
+                filters[key] = {
+                    min: document.getElementById(minId).value,
+                    max: document.getElementById(maxId).value
+                };
+            }
+            return filters;
+        };
+
+        const fillInputs = (filters) => {
+            radicalInput.value = filters.radical || '';
+            for (const [key, [minId, maxId]] of Object.entries(ranges)) {
+                const range = filters[key] || {};
+                document.getElementById(minId).value = range.min ?? '';
+                document.getElementById(maxId).value = range.max ?? '';
+            }
+        };
+
+        // Live count of the level's cards the filters being edited would keep
+        const updateMatchCount = () => {
+            const deck = new DeckFilter(readFilters());
+            const count = this.getDeckMatches(deck).length;
+            const levelName = LEVELS[this.level].name;
+            matchCount.textContent = deck.isEmpty()
+                ? `All ${this.getLevelSize()} ${levelName} cards`
+                : `${count} of ${this.getLevelSize()} ${levelName} cards match`;
+            matchCount.classList.toggle('no-match', count === 0);
+        };
+
+        // Suggest the radicals that occur in the character list, in Kangxi order
+        const radicals = new Map();
+        for (const char of this.characters) {
+            if (char.radical && !radicals.has(char.radical)) {
+                radicals.set(char.radical, parseFloat(char.radical_code) || 0);
+            }
+        }
+        document.getElementById('deckRadicals').innerHTML = [...radicals.entries()]
+            .sort((a, b) => a[1] - b[1])
+            .map(([radical]) => `<option value="${radical}"></option>`)
+            .join('');
+
+        // Open modal
+        deckBtn.addEventListener('click', () => {
+            fillInputs(this.deck.filters);
+            updateMatchCount();
+            modal.classList.add('open');
+        });
+
+        // Close modal
+        closeBtn.addEventListener('click', () => {
+            modal.classList.remove('open');
+        });
+
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.classList.remove('open');
+            }
+        });
+
+        modal.addEventListener('input', updateMatchCount);
+
+        document.getElementById('deckApplyBtn').addEventListener('click', () => {
+            modal.classList.remove('open');
+            this.setDeck(readFilters());
+        });
+
+        document.getElementById('deckResetBtn').addEventListener('click', () => {
+            fillInputs({});
+            updateMatchCount();
+        });
+    }
+
+    setupSettingsModal() {
+        const settingsBtn = document.getElementById('settingsBtn');
+        const modal = document.getElementById('settingsModal');
+        const closeBtn = document.getElementById('settingsCloseBtn');
+        const algorithmSelect = document.getElementById('algorithmSelect');
+
+        algorithmSelect.innerHTML = Object.keys(ALGORITHMS)
+            .map(type => `<option value="${type}">${createAlgorithm(type).name}</option>`)
+            .join('');
+
+        // Open modal
+        settingsBtn.addEventListener('click', () => {
+            this.renderSettings();
+            modal.classList.add('open');
+        });
+
+        // Close modal
+        closeBtn.addEventListener('click', () => {
+            modal.classList.remove('open');
+        });
+
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.classList.remove('open');
+            }
+        });
+
+        algorithmSelect.addEventListener('change', () => {
+            this.switchAlgorithm(algorithmSelect.value);
+            this.renderSettings();
+        });
+
+        // Practice grid: each choice is saved and redrawn as soon as it's made
+        document.getElementById('gridStyleSelect').innerHTML = Object.entries(GRID_STYLES)
+            .map(([style, { label }]) => `<option value="${style}">${label}</option>`)
+            .join('');
+        document.getElementById('gridBorderSelect').innerHTML = Object.entries(GRID_BORDERS)
+            .map(([border, label]) => `<option value="${border}">${label}</option>`)
+            .join('');
+
+        document.getElementById('gridSettings').addEventListener('input', (e) => {
+            const name = e.target.dataset.grid;
+            if (name && this.grid.set(name, e.target.value)) {
+                this.redrawStrokes();
+            }
+        });
+
+        document.getElementById('gridResetBtn').addEventListener('click', () => {
+            this.grid.reset();
+            this.renderGridSettings();
+            this.redrawStrokes();
+        });
+
+        // Apply each valid edit as soon as it's made
+        document.getElementById('algorithmSettings').addEventListener('change', (e) => {
+            const input = e.target.closest('.settings-input');
+            if (!input) return;
+
+            const result = AlgorithmSettings.parse(this.algorithm.config, input.dataset.path, input.value);
+            const status = document.getElementById('settingsStatus');
+            input.classList.toggle('invalid', !!result.error);
+            status.classList.toggle('invalid', !!result.error);
+            if (result.error) {
+                status.textContent = result.error;
+                return;
+            }
+
+            this.setAlgorithmSetting(input.dataset.path, result.value);
+            input.value = Array.isArray(result.value) ? result.value.join(', ') : result.value;
+            input.classList.add('overridden');
+            status.textContent = `${input.dataset.path} saved`;
+        });
+
+        document.getElementById('settingsResetBtn').addEventListener('click', () => {
+            this.resetAlgorithmSettings();
+            this.renderSettings();
+            this.showToast(`${this.algorithm.name} settings reset`, '#667eea');
+        });
+
+        document.getElementById('optimizerRunBtn').addEventListener('click', () => this.runOptimizer());
+        document.getElementById('optimizerApplyBtn').addEventListener('click', () => this.applyOptimizerResult());
+    }
+
+    // Fill the settings panel with the current algorithm's config
+    renderSettings() {
+        this.renderGridSettings();
+        document.getElementById('algorithmSelect').value = this.currentAlgorithmType;
+
+        const overrides = this.settings.getOverrides(this.currentAlgorithmType);
+        document.getElementById('algorithmSettings').innerHTML = AlgorithmSettings.fields(this.algorithm.config)
+            .map(({ path, value, kind }) => `
+                <div class="deck-filter-row">
+                    <span><code>${path}</code></span>
+                    <input class="deck-input settings-input${path in overrides ? ' overridden' : ''}"
+                           type="text" inputmode="${kind === 'list' ? 'text' : 'decimal'}"
+                           data-path="${path}" value="${kind === 'list' ? value.join(', ') : value}">
+                </div>
+            `).join('');
+
+        const status = document.getElementById('settingsStatus');
+        status.textContent = 'Changes apply immediately and are saved per algorithm';
+        status.classList.remove('invalid');
+
+        this.renderOptimizer();
+    }
+
+    // Show the saved practice grid choices
+    renderGridSettings() {
+        document.querySelectorAll('#gridSettings [data-grid]').forEach(input => {
+            input.value = this.grid.config[input.dataset.grid];
+        });
+    }
+
+    // Show the optimizer for algorithms that have one, with the last fit if it's for this algorithm
+    renderOptimizer() {
+        const Optimizer = OPTIMIZERS[this.currentAlgorithmType];
+        document.getElementById('optimizerSection').style.display = Optimizer ? '' : 'none';
+        if (!Optimizer) return;
+
+        const result = this.optimizerResult && this.optimizerResult.algorithmType === this.currentAlgorithmType
+            ? this.optimizerResult
+            : null;
+        document.getElementById('optimizerPath').textContent = new Optimizer(this.algorithm, []).path;
+        document.getElementById('optimizerRunBtn').disabled = this.optimizerRunning;
+        document.getElementById('optimizerApplyBtn').style.display = result ? '' : 'none';
+        document.getElementById('optimizerResult').innerHTML = result ? `
+            <div class="debug-info-row">
+                <span>Log-loss:</span> <strong>${result.lossBefore.toFixed(4)} → ${result.lossAfter.toFixed(4)}</strong>
+            </div>
+            <div class="debug-info-row">
+                <span>Reviews:</span> <strong>${result.reviewCount}</strong>
+            </div>
+            <div class="debug-info-row">
+                <span><code>${result.path}</code>:</span> <strong>${result.params.join(', ')}</strong>
+            </div>
+        ` : '';
+    }
+
+    /**
+     * Fit the current algorithm's parameters to this card type's review log in a
+     * Web Worker; the result is shown for the user to apply
+     */
+    async runOptimizer() {
+        if (this.optimizerRunning || !OPTIMIZERS[this.currentAlgorithmType]) return;
+        this.optimizerRunning = true;
+
+        const algorithmType = this.currentAlgorithmType;
+        const status = document.getElementById('optimizerStatus');
+        const setStatus = (text, invalid = false) => {
+            status.textContent = text;
+            status.classList.toggle('invalid', invalid);
+        };
+
+        let worker = null;
+        const finish = () => {
+            if (worker) worker.terminate();
+            if (this.optimizerWorker === worker) this.optimizerWorker = null;
+            this.optimizerRunning = false;
+            this.renderOptimizer();
+        };
+
+        try {
+            setStatus('Loading review log…');
+            this.renderOptimizer();
+            const reviews = (await this.store.getReviews()).filter(review => review.cardType === this.cardType);
+            this.optimizerResult = null;
+            worker = new Worker('optimizer.js');
+            this.optimizerWorker = worker;
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    setStatus(`Optimizing… ${Math.round(message.progress * 100)}% (log-loss ${message.loss.toFixed(4)})`);
+                } else if (message.type === 'result') {
+                    this.optimizerResult = { ...message, algorithmType };
+                    setStatus(message.lossAfter < message.lossBefore
+                        ? 'Done. Apply to use the fitted parameters.'
+                        : 'Done. The current parameters already fit your history best.');
+                    finish();
+                } else if (message.type === 'error') {
+                    setStatus(message.message, true);
+                    finish();
+                }
+            };
+            worker.onerror = (error) => {
+                console.error('Optimizer failed:', error);
+                setStatus('Optimizer failed', true);
+                finish();
+            };
+
+            setStatus(`Optimizing on ${reviews.length} reviews…`);
+            this.renderOptimizer();
+            worker.postMessage({ algorithmType, config: this.algorithm.config, reviews });
+        } catch (error) {
+            console.error('Optimizer failed:', error);
+            setStatus('Optimizer failed to start', true);
+            finish();
+        }
+    }
+
+    // Save the last fit as a config override, checked like any settings edit
+    applyOptimizerResult() {
+        const result = this.optimizerResult;
+        if (!result || result.algorithmType !== this.currentAlgorithmType) return;
+
+        const status = document.getElementById('optimizerStatus');
+        const parsed = AlgorithmSettings.parse(this.algorithm.config, result.path, result.params.join(', '));
+        if (parsed.error) {
+            status.textContent = parsed.error;
+            status.classList.add('invalid');
+            return;
+        }
+
+        this.setAlgorithmSetting(result.path, parsed.value);
+        this.optimizerResult = null;
+        this.renderSettings();
+        status.textContent = '';
+        this.showToast(`Fitted ${result.path} applied`, '#10b981');
+    }
+
+    setupLevelModal() {
+        const levelBtn = document.getElementById('levelBtn');
+        const modal = document.getElementById('levelModal');
+        const closeBtn = document.getElementById('levelCloseBtn');
+
+        levelBtn.addEventListener('click', () => this.openLevelSelector());
+
+        // Close modal
+        closeBtn.addEventListener('click', () => {
+            modal.classList.remove('open');
+        });
+
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.classList.remove('open');
+            }
+        });
+
+        // Pick a level
+        document.getElementById('levelGrid').addEventListener('click', (e) => {
+            const card = e.target.closest('.level-card');
+            if (!card) return;
+            modal.classList.remove('open');
+            this.setLevel(card.dataset.level);
+        });
+
+        // First launch: ask which level to start at
+        if (!this.levelChosen) {
+            this.openLevelSelector();
+        }
+    }
+
+    // Show the level screen with each level's completion and average rating
+    openLevelSelector() {
+        document.getElementById('levelSubtitle').textContent = `Progress for ${CARD_TYPES[this.cardType].name} cards`;
+        document.getElementById('levelGrid').innerHTML = Object.entries(LEVELS).map(([level, { name }]) => {
+            const stats = this.getLevelStats(level);
+            const seenPercent = stats.size > 0 ? stats.seen / stats.size * 100 : 0;
+            const masteredPercent = stats.size > 0 ? stats.mastered / stats.size * 100 : 0;
+            const average = stats.averageRating === null
+                ? 'Not started'
+                : `Avg rating ${stats.averageRating.toFixed(1)}`;
+
+            return `
+                <button class="level-card level-${level}${level === this.level ? ' active' : ''}" data-level="${level}">
+                    <span class="level-name">${name}</span>
+                    <span class="level-size">${stats.size} cards</span>
+                    <span class="level-progress" title="${Math.round(masteredPercent)}% mastered">
+                        <span class="level-progress-seen" style="width: ${seenPercent}%"></span>
+                        <span class="level-progress-mastered" style="width: ${masteredPercent}%"></span>
+                    </span>
+                    <span class="level-completion">${stats.mastered}/${stats.size} mastered • ${stats.seen} seen</span>
+                    <span class="level-average">${average}</span>
+                </button>
+            `;
+        }).join('');
+
+        document.getElementById('levelModal').classList.add('open');
+    }
+
+    setupStatsModal() {
+        const statsBtn = document.getElementById('statsBtn');
+        const modal = document.getElementById('statsModal');
+        const closeBtn = document.getElementById('statsCloseBtn');
+
+        // Open modal
+        statsBtn.addEventListener('click', () => {
+            this.showStats().catch(error => {
+                console.error('Error loading statistics:', error);
+                document.getElementById('statsSubtitle').textContent = 'Statistics could not be loaded. Please try again.';
+                for (const id of ['statsSummary', 'statsReviewsChart', 'statsHeatmap', 'statsRetentionChart', 'statsLearnedChart', 'statsForecastChart']) {
+                    document.getElementById(id).replaceChildren();
+                }
+            });
+            modal.classList.add('open');
+        });
+
+        // Close modal
+        closeBtn.addEventListener('click', () => {
+            modal.classList.remove('open');
+        });
+
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.classList.remove('open');
+            }
+        });
+    }
+
+    setupAttemptsModal() {
+        const historyBtn = document.getElementById('attemptHistoryBtn');
+        const modal = document.getElementById('attemptsModal');
+        const closeBtn = document.getElementById('attemptsCloseBtn');
+
+        const close = () => {
+            this.attemptGallery.stop();
+            modal.classList.remove('open');
+        };
+
+        // Open modal for the current card, once its attempts are loaded
+        historyBtn.addEventListener('click', async () => {
+            try {
+                await this.showAttemptHistory();
+            } catch (error) {
+                console.error('Error loading attempts:', error);
+                this.attemptGallery.stop();
+                document.getElementById('attemptsSubtitle').textContent = 'Past attempts could not be loaded. Please try again.';
+                for (const id of ['attemptsCompare', 'attemptsProgressSection']) {
+                    document.getElementById(id).style.display = 'none';
+                }
+                document.getElementById('attemptsWeeks').replaceChildren();
+            }
+            modal.classList.add('open');
+        });
+
+        // Close modal
+        closeBtn.addEventListener('click', close);
+
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+    }
+
+    /**
+     * Fill the attempt gallery for the current card: the reference next to a
+     * replay of the latest attempt, the grader's rating by week, and every
+     * saved attempt grouped by week (click one to replay it)
+     */
+    async showAttemptHistory() {
+        const word = this.currentChar.character;
+        const chars = word.split('');
+        const attempts = await this.store.getAttempts(this.cardType, word);
+        const gallery = this.attemptGallery;
+        document.getElementById('attemptsCompare').style.display = '';
+
+        document.getElementById('attemptsSubtitle').textContent = attempts.length > 0
+            ? `${word} • ${attempts.length} saved (your first attempt and the ${ATTEMPT_LIMIT - 1} most recent are kept)`
+            : `${word} • No saved attempts yet. Attempts are saved when you rate them.`;
+
+        const reference = gallery.prepareCanvas(document.getElementById('attemptsReference'), chars.length, gallery.config.replaySize);
+        gallery.drawReference(reference, chars, chars.map(char => this.getGlyph(char)));
+
+        const replayCanvas = document.getElementById('attemptsReplay');
+        const replay = gallery.prepareCanvas(replayCanvas, chars.length, gallery.config.replaySize);
+        const caption = document.getElementById('attemptsReplayCaption');
+        const describe = attempt => {
+            const grade = attempt.suggestedRating ? `, graded ${attempt.suggestedRating}` : '';
+            return `${StatsChart.formatDay(attempt.time)}: rated ${attempt.rating}${grade}`;
+        };
+        const play = (attempt, thumb) => {
+            document.querySelectorAll('.attempt-thumb.selected').forEach(el => el.classList.remove('selected'));
+            if (thumb) thumb.classList.add('selected');
+            caption.textContent = describe(attempt);
+            gallery.replay(replay, unpackStrokes(attempt.strokes));
+        };
+        gallery.stop();
+        gallery.drawAttempt(replay, []);
+        caption.textContent = 'Replay';
+
+        // Improvement: the grader's average rating per week, once there's more than one week
+        const weeks = AttemptGallery.byWeek(attempts);
+        const graded = weeks
+            .map(({ week, attempts: weekAttempts }) => ({ week, value: AttemptGallery.average(weekAttempts, 'suggestedRating') }))
+            .filter(({ value }) => value !== null);
+        document.getElementById('attemptsProgressSection').style.display = graded.length > 1 ? '' : 'none';
+        document.getElementById('attemptsProgressChart').replaceChildren(
+            new StatsChart().barChart(graded.map(({ week, value }) => ({
+                label: StatsChart.formatDay(week),
+                value: Math.round(value * 10) / 10,
+                title: `Week of ${StatsChart.formatDay(week)}: graded ${value.toFixed(1)} on average`
+            })), { max: 5, formatValue: value => value.toFixed(1) })
+        );
+
+        // Newest week first, each with its attempts as replayable thumbnails
+        const container = document.getElementById('attemptsWeeks');
+        container.replaceChildren();
+        let latest = null;
+        for (const { week, attempts: weekAttempts } of [...weeks].reverse()) {
+            const section = document.createElement('div');
+            section.className = 'attempts-week';
+
+            const averageRating = AttemptGallery.average(weekAttempts, 'rating');
+            const heading = document.createElement('h3');
+            heading.textContent = `Week of ${StatsChart.formatDay(week)}`;
+            const summary = document.createElement('span');
+            summary.textContent = ` • ${weekAttempts.length} attempt${weekAttempts.length === 1 ? '' : 's'} • average rating ${averageRating.toFixed(1)}`;
+            heading.appendChild(summary);
+
+            const row = document.createElement('div');
+            row.className = 'attempts-row';
+            for (const attempt of weekAttempts) {
+                const thumb = document.createElement('button');
+                thumb.className = 'attempt-thumb';
+                thumb.title = describe(attempt);
+
+                const canvas = document.createElement('canvas');
+                canvas.className = 'attempt-canvas';
+                const layout = gallery.prepareCanvas(canvas, chars.length, gallery.config.thumbnailSize);
+                gallery.drawAttempt(layout, unpackStrokes(attempt.strokes));
+
+                const label = document.createElement('span');
+                label.textContent = `${StatsChart.formatDay(attempt.time)} • ${attempt.rating}`;
+
+                thumb.append(canvas, label);
+                thumb.addEventListener('click', () => play(attempt, thumb));
+                row.appendChild(thumb);
+
+                if (!latest || attempt.time > latest.attempt.time) latest = { attempt, thumb };
+            }
+
+            section.append(heading, row);
+            container.appendChild(section);
+        }
+
+        if (latest) play(latest.attempt, latest.thumb);
+    }
+
+    // Fill the statistics dashboard for the active card type
+    async showStats() {
+        const reviews = (await this.store.getReviews()).filter(r => r.cardType === this.cardType);
+        const stats = new ReviewStats(this.userProgress, reviews, {
+            isCorrect: rating => this.algorithm.isCardCorrect(rating)
+        });
+        const chart = new StatsChart();
+        const byDay = series => series.map(({ day, count }) => ({ label: StatsChart.formatDay(day), value: count }));
+
+        document.getElementById('statsSubtitle').textContent = `${CARD_TYPES[this.cardType].name} cards`;
+
+        const totals = stats.totals();
+        const averageTime = stats.averageTime();
+        const summary = [
+            [totals.reviews, 'Reviews'],
+            [totals.reviewsToday, 'Today'],
+            [totals.cards, 'Cards Studied'],
+            [averageTime === null ? '–' : `${(averageTime / 1000).toFixed(1)}s`, 'Avg Time / Card']
+        ];
+        document.getElementById('statsSummary').innerHTML = summary.map(([value, label]) => `
+            <div class="stat-card">
+                <span class="stat-value">${value}</span>
+                <span class="stat-label">${label}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('statsReviewsChart').replaceChildren(
+            chart.barChart(byDay(stats.reviewsPerDay(30)), { labelEvery: 7 })
+        );
+
+        document.getElementById('statsHeatmap').replaceChildren(chart.heatmap(stats.heatmap()));
+
+        const retention = stats.retentionByRating().map(({ rating, reviews, recalled, rate }) => ({
+            label: String(rating),
+            value: rate === null ? 0 : Math.round(rate * 100),
+            title: rate === null
+                ? `Rated ${rating}: no later reviews yet`
+                : `Rated ${rating}: recalled next time ${Math.round(rate * 100)}% (${recalled}/${reviews})`
+        }));
+        document.getElementById('statsRetentionChart').replaceChildren(
+            chart.barChart(retention, { max: 100, formatValue: value => `${value}%`, color: '#10b981' })
+        );
+
+        document.getElementById('statsLearnedChart').replaceChildren(
+            chart.lineChart(byDay(stats.learnedOverTime(90)), { labelEvery: 14 })
+        );
+
+        const forecast = byDay(stats.dueForecast(30));
+        forecast[0].label = 'Today';
+        document.getElementById('statsForecastChart').replaceChildren(
+            chart.barChart(forecast, { labelEvery: 7, color: '#f59e0b' })
+        );
+    }
+
     updateDebugInfo() {
         // Session info
         const sessionInfo = document.getElementById('debugSessionInfo');
@@ -1364,8 +2903,9 @@ class ChineseCharacterApp {
         // Get bucket/mastered counts if using Bucket algorithm
         let bucketInfo = '';
         if (this.algorithm.name === 'Bucket Learning') {
-            const bucketCards = this.algorithm.getActiveBucket(this.userProgress);
-            const masteredCards = this.algorithm.getMasteredCards(this.userProgress);
+            const indexedProgress = this.getIndexedProgress();
+            const bucketCards = this.algorithm.getActiveBucket(indexedProgress);
+            const masteredCards = this.algorithm.getMasteredCards(indexedProgress);
             bucketInfo = `
                 <div class="debug-info-row">
                     <span>Active Bucket:</span> <strong>${bucketCards.length} / ${this.algorithm.config.bucketSize}</strong>
@@ -1378,7 +2918,8 @@ class ChineseCharacterApp {
 
         // Get set info for FocusedSetsAlgorithm and KnownSetAlgorithm
         if (this.algorithm.name === 'Focused Sets' || this.algorithm.name === 'Known Set' || this.algorithm.name === 'Rolling Window') {
-            const setCards = this.algorithm.getActiveSet ? this.algorithm.getActiveSet(this.userProgress) : (this.algorithm.getWorkingSet ? this.algorithm.getWorkingSet(this.userProgress) : this.algorithm.getKnownSet(this.userProgress));
+            const indexedProgress = this.getIndexedProgress();
+            const setCards = this.algorithm.getActiveSet ? this.algorithm.getActiveSet(indexedProgress) : (this.algorithm.getWorkingSet ? this.algorithm.getWorkingSet(indexedProgress) : this.algorithm.getKnownSet(indexedProgress));
 
             bucketInfo = `
                 <div class="debug-info-row">
@@ -1388,9 +2929,18 @@ class ChineseCharacterApp {
         }
 
         sessionInfo.innerHTML = `
+            <div class="debug-info-row">
+                <span>Card Type:</span> <strong>${CARD_TYPES[this.cardType].name}</strong>
+            </div>
             <div class="debug-info-row">
                 <span>Algorithm:</span> <strong>${this.algorithm.name}</strong>
             </div>
+            <div class="debug-info-row">
+                <span>Level:</span> <strong>${LEVELS[this.level].name} (${this.getLevelSize()} cards)</strong>
+            </div>
+            <div class="debug-info-row">
+                <span>Deck:</span> <strong>${this.deck.describe()} (${this.getDeckIndices().length} cards)</strong>
+            </div>
             ${bucketInfo}
             <div class="debug-info-row">
                 <span>Cards Seen (Session):</span> <strong>${this.algorithm.sessionCardsSeen || 0}</strong>
@@ -1409,7 +2959,7 @@ class ChineseCharacterApp {
         // Current card info
         const currentCard = document.getElementById('debugCurrentCard');
         if (this.currentChar) {
-            const progress = this.userProgress[this.currentCharIndex];
+            const progress = this.userProgress[this.currentChar.character];
 
             // Check mastery status for Bucket algorithm
             let masteryStatus = '';
@@ -1455,6 +3005,11 @@ class ChineseCharacterApp {
                     <span class="debug-pinyin">${this.currentChar.pinyin}</span>
                     <span class="debug-small">${this.currentChar.definition}</span>
                 </div>
+                ${this.describeCharacter(this.currentChar).length > 0 ? `
+                    <div class="debug-info-row">
+                        <span>Character:</span> <strong>${this.describeCharacter(this.currentChar).join(' • ')}</strong>
+                    </div>
+                ` : ''}
                 ${progress ? `
                     ${masteryStatus ? `<div class="debug-info-row"><span>Status:</span> ${masteryStatus}</div>` : ''}
                     ${scoreInfo}
@@ -1464,11 +3019,21 @@ class ChineseCharacterApp {
                     <div class="debug-info-row">
                         <span>Success Rate:</span> <strong>${Math.round(progress.successRate * 100)}%</strong>
                     </div>
+                    ${progress.toneStats ? `
+                        <div class="debug-info-row">
+                            <span>Tone Accuracy:</span> <strong>${Object.entries(progress.toneStats).map(([char, stats]) => `${char} ${stats.correct}/${stats.asked}`).join(', ')}</strong>
+                        </div>
+                    ` : ''}
                     ${progress.consecutiveGood !== undefined ? `
                         <div class="debug-info-row">
                             <span>Consecutive Good:</span> <strong>${progress.consecutiveGood}</strong>
                         </div>
                     ` : ''}
+                    ${progress.memory ? `
+                        <div class="debug-info-row">
+                            <span>Memory:</span> <strong>stability ${progress.memory.stability.toFixed(1)}d • difficulty ${progress.memory.difficulty.toFixed(1)} • recall ${Math.round(FSRSAlgorithm.currentRetrievability(progress) * 100)}%</strong>
+                        </div>
+                    ` : ''}
                     ${progress.targetReviewPosition ? `
                         <div class="debug-info-row">
                             <span>Target Position:</span> <strong>${progress.targetReviewPosition}</strong>
@@ -1485,6 +3050,9 @@ class ChineseCharacterApp {
 
         // Show card categories
         this.showCardCategories();
+
+        // Show the strokes learners get wrong most
+        this.showStrokeMistakes();
     }
 
     showUpcomingCards() {
@@ -1493,7 +3061,8 @@ class ChineseCharacterApp {
 
         // Show set contents if using FocusedSetsAlgorithm or KnownSetAlgorithm
         if (this.algorithm.name === 'Focused Sets' || this.algorithm.name === 'Known Set' || this.algorithm.name === 'Rolling Window') {
-            const setCards = this.algorithm.getActiveSet ? this.algorithm.getActiveSet(this.userProgress) : (this.algorithm.getWorkingSet ? this.algorithm.getWorkingSet(this.userProgress) : this.algorithm.getKnownSet(this.userProgress));
+            const indexedProgress = this.getIndexedProgress();
+            const setCards = this.algorithm.getActiveSet ? this.algorithm.getActiveSet(indexedProgress) : (this.algorithm.getWorkingSet ? this.algorithm.getWorkingSet(indexedProgress) : this.algorithm.getKnownSet(indexedProgress));
 
             html += '<h4 style="margin-bottom: 10px; color: #667eea;">Active Set Cards:</h4>';
 
@@ -1536,7 +3105,7 @@ class ChineseCharacterApp {
             // Show all cards sorted by score
             const allCards = [];
             for (let i = 0; i < this.characters.length; i++) {
-                const progress = this.userProgress[i];
+                const progress = this.userProgress[this.characters[i].character];
                 const score = this.algorithm.getCardScore(progress);
                 const inSet = progress && progress.inSet;
                 allCards.push({
@@ -1590,7 +3159,7 @@ class ChineseCharacterApp {
 
         // Show bucket contents if using Bucket algorithm
         if (this.algorithm.name === 'Bucket Learning') {
-            const bucketCards = this.algorithm.getActiveBucket(this.userProgress);
+            const bucketCards = this.algorithm.getActiveBucket(this.getIndexedProgress());
 
             html += '<h4 style="margin-bottom: 10px; color: #667eea;">Active Bucket Cards:</h4>';
 
@@ -1599,7 +3168,7 @@ class ChineseCharacterApp {
             } else {
                 html += bucketCards.map((index, idx) => {
                     const char = this.characters[index];
-                    const progress = this.userProgress[index];
+                    const progress = this.userProgress[this.characters[index].character];
 
                     // Skip if no progress data (shouldn't happen, but safety check)
                     if (!progress) return '';
@@ -1635,9 +3204,9 @@ class ChineseCharacterApp {
 
         // Simulate next 20 cards
         for (let i = 0; i < 20; i++) {
-            const result = this.algorithm.getNextCard(this.characters, this.userProgress, this.algorithmState);
+            const result = this.getNextCharacter();
             if (result && result.char) {
-                const progress = this.userProgress[result.index];
+                const progress = this.userProgress[result.char.character];
                 upcoming.push({
                     char: result.char.character,
                     pinyin: result.char.pinyin,
@@ -1690,7 +3259,7 @@ class ChineseCharacterApp {
     showCardCategories() {
         const categoriesDiv = document.getElementById('debugCardCategories');
 
-        // Categorize all cards
+        // Categorize every card in the deck
         const categories = {
             dueNow: 0,
             dueSoon: 0,
@@ -1704,32 +3273,20 @@ class ChineseCharacterApp {
 
         const sessionCards = this.algorithm.sessionCardsSeen || 0;
 
-        for (let i = 0; i < this.characters.length; i++) {
-            const progress = this.userProgress[i];
+        for (const i of this.getDeckIndices()) {
+            const progress = this.userProgress[this.characters[i].character];
 
-            if (!progress) {
-                categories.new++;
-            } else {
-                // Check mastery level
-                const { reviewCount, successRate } = progress;
-                if ((reviewCount >= 5 && successRate >= 0.8) || (reviewCount >= 3 && successRate >= 0.9)) {
-                    categories.mastered++;
-                } else if (reviewCount >= 3 && successRate >= 0.6) {
-                    categories.familiar++;
-                } else if (reviewCount > 0) {
-                    categories.learning++;
-                }
+            categories[this.getCardStage(progress)]++;
 
-                // Check due status
-                if (progress.targetReviewPosition !== undefined) {
-                    const cardsUntilDue = progress.targetReviewPosition - sessionCards;
-                    if (cardsUntilDue <= 0) {
-                        categories.dueNow++;
-                    } else if (cardsUntilDue <= 5) {
-                        categories.dueSoon++;
-                    } else {
-                        categories.dueLater++;
-                    }
+            // Check due status
+            if (progress && progress.targetReviewPosition !== undefined) {
+                const cardsUntilDue = progress.targetReviewPosition - sessionCards;
+                if (cardsUntilDue <= 0) {
+                    categories.dueNow++;
+                } else if (cardsUntilDue <= 5) {
+                    categories.dueSoon++;
+                } else {
+                    categories.dueLater++;
                 }
             }
         }
@@ -1772,6 +3329,59 @@ class ChineseCharacterApp {
         `;
     }
 
+    showStrokeMistakes() {
+        const mistakesDiv = document.getElementById('debugStrokeMistakes');
+
+        // Merge miss counts per character across every card it appears in
+        const byCharacter = {};
+        for (const progress of Object.values(this.userProgress)) {
+            if (!progress || !progress.strokeMisses) continue;
+
+            for (const [char, misses] of Object.entries(progress.strokeMisses)) {
+                if (!byCharacter[char]) {
+                    byCharacter[char] = { char, total: 0, strokes: {} };
+                }
+                const entry = byCharacter[char];
+                for (const [stroke, count] of Object.entries(misses)) {
+                    entry.strokes[stroke] = (entry.strokes[stroke] || 0) + count;
+                    entry.total += count;
+                }
+            }
+        }
+
+        const entries = Object.values(byCharacter)
+            .filter(entry => entry.total > 0)
+            .sort((a, b) => b.total - a.total);
+
+        if (entries.length === 0) {
+            mistakesDiv.innerHTML = '<div style="padding: 10px; color: #999; font-style: italic;">No stroke mistakes recorded yet</div>';
+            return;
+        }
+
+        let html = '<div style="max-height: 300px; overflow-y: auto;">';
+        html += entries.map(entry => {
+            // Top three strokes, shown 1-based like the stroke order player
+            const strokes = Object.entries(entry.strokes)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([stroke, count]) => `<span style="background: #ef4444; color: white; padding: 2px 6px; border-radius: 4px; margin-right: 4px;">Stroke ${Number(stroke) + 1} ×${count}</span>`)
+                .join('');
+
+            return `
+                <div class="debug-upcoming-card" style="padding: 4px 8px;">
+                    <span class="debug-char-small">${entry.char}</span>
+                    <span class="debug-stats" style="font-size: 11px;">
+                        ${strokes}
+                        ${entry.total} misses total
+                    </span>
+                </div>
+            `;
+        }).join('');
+        html += '</div>';
+
+        mistakesDiv.innerHTML = html;
+    }
+
 }
 
 // Initialize app when DOM is ready
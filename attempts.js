@@ -0,0 +1,161 @@
+// Attempt History Module
+// Each rated handwriting attempt is saved with its strokes (see storage.js),
+// and the attempt gallery shows a card's past attempts: replayed stroke by
+// stroke next to the reference, and grouped by week so improvement shows.
+
+// Saved attempts per card: the first, kept as a baseline, and the most recent after it
+const ATTEMPT_LIMIT = 12;
+
+// Longest pause between strokes kept when replaying, in ms
+const ATTEMPT_REPLAY_MAX_PAUSE = 400;
+
+/**
+ * Strokes as saved: one flat [x, y, pressure, time, ...] list per stroke.
+ * Positions stay normalized (rounded to 1/10000 of the canvas) and times are
+ * whole ms from the attempt's first point.
+ */
+function packStrokes(strokes) {
+    const first = strokes.length > 0 ? strokes[0][0] : null;
+    const start = first && Number.isFinite(first.time) ? first.time : 0;
+    const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+    return strokes.map(stroke => stroke.flatMap(point => [
+        round(point.x, 4),
+        round(point.y, 4),
+        Number.isFinite(point.pressure) ? round(point.pressure, 2) : 0,
+        Number.isFinite(point.time) ? Math.round(point.time - start) : 0
+    ]));
+}
+
+function unpackStrokes(packed) {
+    return packed.map(values => {
+        const stroke = [];
+        for (let i = 0; i + 3 < values.length; i += 4) {
+            stroke.push({ x: values[i], y: values[i + 1], pressure: values[i + 2], time: values[i + 3] });
+        }
+        return stroke;
+    });
+}
+
+// Canvas drawing for the gallery: attempts and references on the practice grid, and replays
+class AttemptGallery {
+    constructor(strokeRenderer, brush, grid) {
+        this.strokeRenderer = strokeRenderer;
+        this.brush = brush;
+        this.grid = grid;
+        this.config = {
+            strokeColor: '#d4d7dc',     // Same as the drawing canvas
+            referenceColor: '#a8adb7',
+            replaySize: 160,            // CSS px per character cell
+            thumbnailSize: 64
+        };
+        this.replayFrame = null;
+    }
+
+    // Size a canvas for cellCount cells of cellSize CSS px; the layout maps normalized points onto it
+    prepareCanvas(canvas, cellCount, cellSize) {
+        const layout = new CanvasLayout(canvas, null);
+        layout.cellSize = cellSize;
+        layout.resize(cellCount);
+        return layout;
+    }
+
+    // The reference characters on the grid; characters without stroke data are drawn as text
+    drawReference(layout, characters, glyphs) {
+        const ctx = layout.ctx;
+        const cellWidth = layout.width / layout.cellCount;
+
+        ctx.clearRect(0, 0, layout.width, layout.height);
+        this.grid.draw(ctx, layout.cellCount, layout.width, layout.height);
+
+        ctx.save();
+        ctx.fillStyle = this.config.referenceColor;
+        characters.forEach((character, cell) => {
+            if (glyphs[cell]) {
+                this.strokeRenderer.drawGlyph(ctx, glyphs[cell], cell * cellWidth, 0, cellWidth, layout.height);
+            } else {
+                ctx.font = `${layout.height * 0.8}px serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(character, cell * cellWidth + cellWidth / 2, layout.height / 2);
+            }
+        });
+        ctx.restore();
+    }
+
+    // An attempt's strokes on the grid, leaving out points drawn after `until` ms
+    drawAttempt(layout, strokes, until = Infinity) {
+        const ctx = layout.ctx;
+        ctx.clearRect(0, 0, layout.width, layout.height);
+        this.grid.draw(ctx, layout.cellCount, layout.width, layout.height);
+
+        ctx.save();
+        ctx.strokeStyle = this.config.strokeColor;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        for (const stroke of strokes) {
+            const drawn = until === Infinity ? stroke : stroke.filter(point => point.time <= until);
+            this.brush.drawStroke(ctx, layout.toCanvasStroke(drawn));
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Strokes retimed for replay, with long pauses between strokes cut to
+     * ATTEMPT_REPLAY_MAX_PAUSE: { strokes, duration }
+     */
+    static replayTimeline(strokes) {
+        let shift = 0;
+        let lastEnd = null;
+        const timed = strokes.map(stroke => {
+            if (stroke.length === 0) return stroke;
+            if (lastEnd !== null) {
+                shift += Math.max(0, stroke[0].time - lastEnd - ATTEMPT_REPLAY_MAX_PAUSE);
+            }
+            lastEnd = stroke[stroke.length - 1].time;
+            return stroke.map(point => ({ ...point, time: point.time - shift }));
+        });
+
+        const last = timed.filter(stroke => stroke.length > 0).pop();
+        return { strokes: timed, duration: last ? last[last.length - 1].time : 0 };
+    }
+
+    // Replay an attempt on a canvas at the speed it was drawn, stopping any replay already running
+    replay(layout, strokes) {
+        this.stop();
+        const { strokes: timed, duration } = AttemptGallery.replayTimeline(strokes);
+        const start = performance.now();
+
+        const frame = () => {
+            const elapsed = performance.now() - start;
+            this.drawAttempt(layout, timed, elapsed);
+            this.replayFrame = elapsed < duration ? requestAnimationFrame(frame) : null;
+        };
+        frame();
+    }
+
+    stop() {
+        if (this.replayFrame !== null) {
+            cancelAnimationFrame(this.replayFrame);
+            this.replayFrame = null;
+        }
+    }
+
+    // Attempts grouped by the week (Sunday first) they were made in, oldest first: [{ week, attempts }]
+    static byWeek(attempts) {
+        const weeks = new Map();
+        for (const attempt of [...attempts].sort((a, b) => a.time - b.time)) {
+            const day = ReviewStats.startOfDay(attempt.time);
+            const week = ReviewStats.addDays(day, -new Date(day).getDay());
+            if (!weeks.has(week)) weeks.set(week, []);
+            weeks.get(week).push(attempt);
+        }
+        return [...weeks.entries()].map(([week, weekAttempts]) => ({ week, attempts: weekAttempts }));
+    }
+
+    // Mean of a field over attempts that have it, or null
+    static average(attempts, field) {
+        const values = attempts.map(attempt => attempt[field]).filter(Number.isFinite);
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+}
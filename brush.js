@@ -0,0 +1,110 @@
+// Brush Module
+// Draws the learner's strokes with a width that follows the input: pressing
+// harder with a stylus widens the line and moving fast thins it, like a
+// calligraphy brush. Mouse and touch input without pressure (reported as 0
+// or 0.5) draw at the base width, thinning only with speed.
+
+class Brush {
+    constructor() {
+        this.config = {
+            baseWidth: 10,          // Drawing units (see canvas_layout.js) at neutral pressure and rest
+            minWidth: 3,
+            maxWidth: 18,
+            pressureInfluence: 0.8, // Width change from no pressure to full pressure, as a share of baseWidth
+            speedInfluence: 0.45,   // Share of width lost at fullSpeed
+            fullSpeed: 2.5,         // Drawing units per ms counted as fast
+            smoothing: 0.35         // How quickly the width follows the input (0-1)
+        };
+    }
+
+    /**
+     * A stroke point from a pointer event, at canvas position x, y.
+     * Tilt is kept with the point for analysis; it doesn't change the width.
+     */
+    static createPoint(e, x, y) {
+        return {
+            x,
+            y,
+            pressure: e.pressure,
+            tiltX: e.tiltX || 0,
+            tiltY: e.tiltY || 0,
+            time: e.timeStamp
+        };
+    }
+
+    // Pressure as -1 (none) to 1 (full), 0 when the device doesn't report any
+    static pressureOffset(point) {
+        const pressure = point.pressure;
+        if (!Number.isFinite(pressure) || pressure <= 0) return 0;
+        return (Math.min(pressure, 1) - 0.5) * 2;
+    }
+
+    /**
+     * Width at a point given the previous point and its width. Strokes saved
+     * before points had pressure or time draw at the base width.
+     */
+    nextWidth(previousWidth, previous, point) {
+        const { baseWidth, minWidth, maxWidth, pressureInfluence, speedInfluence, fullSpeed, smoothing } = this.config;
+
+        let target = baseWidth * (1 + Brush.pressureOffset(point) * pressureInfluence / 2);
+        if (previous && Number.isFinite(point.time) && Number.isFinite(previous.time) && point.time > previous.time) {
+            const speed = Math.hypot(point.x - previous.x, point.y - previous.y) / (point.time - previous.time);
+            target *= 1 - speedInfluence * Math.min(speed / fullSpeed, 1);
+        }
+        target = Math.min(maxWidth, Math.max(minWidth, target));
+
+        if (previousWidth === null) return target;
+        return previousWidth + (target - previousWidth) * smoothing;
+    }
+
+    // Width at every point of a stroke
+    widths(stroke) {
+        const widths = [];
+        let width = null;
+        stroke.forEach((point, i) => {
+            width = this.nextWidth(width, stroke[i - 1] || null, point);
+            widths.push(width);
+        });
+        return widths;
+    }
+
+    /**
+     * Draw the piece of a stroke ending at point i: a quadratic curve from the
+     * midpoint before the previous point to the midpoint after it, as wide as
+     * point i. Drawing each piece as it arrives gives the live stroke;
+     * drawStroke draws them all.
+     */
+    drawSegment(ctx, stroke, i, width) {
+        const previous = stroke[i - 1];
+        const point = stroke[i];
+        const start = i === 1
+            ? previous
+            : { x: (stroke[i - 2].x + previous.x) / 2, y: (stroke[i - 2].y + previous.y) / 2 };
+
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.quadraticCurveTo(previous.x, previous.y, (previous.x + point.x) / 2, (previous.y + point.y) / 2);
+        ctx.stroke();
+    }
+
+    // Draw a whole stroke in the context's current strokeStyle (a dot for a single point)
+    drawStroke(ctx, stroke) {
+        if (stroke.length === 0) return;
+
+        const widths = this.widths(stroke);
+        if (stroke.length === 1) {
+            ctx.beginPath();
+            ctx.arc(stroke[0].x, stroke[0].y, widths[0] / 2, 0, Math.PI * 2);
+            ctx.save();
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fill();
+            ctx.restore();
+            return;
+        }
+
+        for (let i = 1; i < stroke.length; i++) {
+            this.drawSegment(ctx, stroke, i, widths[i]);
+        }
+    }
+}
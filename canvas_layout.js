@@ -0,0 +1,119 @@
+// Canvas Layout Module
+// Sizes the drawing canvas to the space available and the screen's pixel
+// density, so strokes stay sharp on high-DPI screens and the writing area
+// uses the room it has. Drawing code works in fixed drawing units (a cell of
+// CANVAS_CELL_SIZE per character) whatever the on-screen size; stroke points
+// are stored normalized to 0-1 across the canvas.
+
+// Drawing units per character cell
+const CANVAS_CELL_SIZE = 300;
+
+class CanvasLayout {
+    /**
+     * @param canvas - the drawing canvas
+     * @param container - element whose width the canvas may fill
+     */
+    constructor(canvas, container) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.container = container;
+
+        this.config = {
+            minCellSize: 120,        // CSS px
+            maxCellSize: 400,        // CSS px
+            maxViewportHeight: 0.55  // Share of the viewport height the canvas may take
+        };
+
+        this.cellCount = 1;
+        this.cellSize = CANVAS_CELL_SIZE;  // CSS px of one cell, kept while the canvas is hidden
+        this.width = CANVAS_CELL_SIZE;     // Drawing units
+        this.height = CANVAS_CELL_SIZE;
+        this.resizeFrame = null;
+    }
+
+    // CSS px per cell that fits the container and the viewport
+    fitCellSize() {
+        const available = this.container ? this.container.clientWidth : 0;
+        if (!available) return this.cellSize;  // Hidden (e.g. recognition mode); keep the last size
+
+        // Never wider than the container; short viewports shrink cells no further than minCellSize
+        const { minCellSize, maxCellSize, maxViewportHeight } = this.config;
+        const size = Math.max(minCellSize, Math.min(window.innerHeight * maxViewportHeight, maxCellSize));
+        return Math.floor(Math.min(available / this.cellCount, size));
+    }
+
+    /**
+     * Size the canvas for cellCount side-by-side character cells. Returns true
+     * when the backing store was resized, which clears the canvas and resets
+     * the context's drawing state.
+     */
+    resize(cellCount = this.cellCount) {
+        this.cellCount = cellCount;
+        this.cellSize = this.fitCellSize();
+        this.width = CANVAS_CELL_SIZE * cellCount;
+        this.height = CANVAS_CELL_SIZE;
+
+        const cssWidth = this.cellSize * cellCount;
+        const cssHeight = this.cellSize;
+        const ratio = window.devicePixelRatio || 1;
+        const backingWidth = Math.round(cssWidth * ratio);
+        const backingHeight = Math.round(cssHeight * ratio);
+
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        if (this.canvas.width === backingWidth && this.canvas.height === backingHeight) return false;
+
+        this.canvas.width = backingWidth;
+        this.canvas.height = backingHeight;
+        this.ctx.setTransform(backingWidth / this.width, 0, 0, backingHeight / this.height, 0, 0);
+        return true;
+    }
+
+    // Refit when the window, the container or the screen's pixel density changes; calls onResize after a refit
+    observe(onResize) {
+        const schedule = () => {
+            if (this.resizeFrame !== null) return;
+            this.resizeFrame = requestAnimationFrame(() => {
+                this.resizeFrame = null;
+                if (this.resize()) onResize();
+            });
+        };
+
+        window.addEventListener('resize', schedule);
+        window.addEventListener('orientationchange', schedule);
+        if (typeof ResizeObserver !== 'undefined' && this.container) {
+            new ResizeObserver(schedule).observe(this.container);
+        }
+
+        // Moving the window to a screen with a different density (or zooming)
+        const watchPixelRatio = () => {
+            if (!window.matchMedia) return;
+            window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+                .addEventListener('change', () => {
+                    schedule();
+                    watchPixelRatio();
+                }, { once: true });
+        };
+        watchPixelRatio();
+    }
+
+    // Client (viewport) position as a normalized 0-1 canvas point, measured inside the border
+    toNormalized(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = this.canvas.clientWidth || rect.width;
+        const height = this.canvas.clientHeight || rect.height;
+        return {
+            x: (clientX - rect.left - this.canvas.clientLeft) / width,
+            y: (clientY - rect.top - this.canvas.clientTop) / height
+        };
+    }
+
+    // A normalized point in drawing units, keeping its other fields
+    toCanvas(point) {
+        return { ...point, x: point.x * this.width, y: point.y * this.height };
+    }
+
+    toCanvasStroke(stroke) {
+        return stroke.map(point => this.toCanvas(point));
+    }
+}
@@ -0,0 +1,109 @@
+// Deck Module
+// Narrows the character list down to the cards being studied: an HSK level
+// range, a frequency rank range, a radical and/or a stroke count range.
+// A deck only decides which cards are in play; progress is kept for every
+// card, so switching decks never loses any.
+
+class DeckFilter {
+    /**
+     * @param filters - any of:
+     *   hsk: { min, max }        HSK levels (cards without a level never match)
+     *   frequency: { min, max }  frequency_rank
+     *   radical: '水'
+     *   strokes: { min, max }    stroke_count
+     * Missing range ends are open ("≤6 strokes" is { max: 6 }).
+     */
+    constructor(filters = {}) {
+        this.filters = DeckFilter.normalize(filters);
+    }
+
+    /**
+     * Clean up filters from settings or storage: numbers parsed, empty ranges and
+     * blank radicals dropped, reversed ranges swapped
+     */
+    static normalize(filters) {
+        const normalized = {};
+        if (!filters || typeof filters !== 'object') return normalized;
+
+        for (const key of ['hsk', 'frequency', 'strokes']) {
+            const range = DeckFilter.normalizeRange(filters[key]);
+            if (range) normalized[key] = range;
+        }
+
+        const radical = typeof filters.radical === 'string' ? filters.radical.trim() : '';
+        if (radical) normalized.radical = radical;
+
+        return normalized;
+    }
+
+    static normalizeRange(range) {
+        if (!range || typeof range !== 'object') return null;
+
+        const toNumber = value => {
+            const number = parseInt(value, 10);
+            return Number.isFinite(number) ? number : null;
+        };
+        let min = toNumber(range.min);
+        let max = toNumber(range.max);
+        if (min === null && max === null) return null;
+        if (min !== null && max !== null && min > max) {
+            [min, max] = [max, min];
+        }
+        return { min, max };
+    }
+
+    static inRange(value, range) {
+        if (value === null || value === undefined || !Number.isFinite(value)) return false;
+        if (range.min !== null && value < range.min) return false;
+        if (range.max !== null && value > range.max) return false;
+        return true;
+    }
+
+    // True when no filter is set and the deck is every card
+    isEmpty() {
+        return Object.keys(this.filters).length === 0;
+    }
+
+    matches(char) {
+        const { hsk, frequency, radical, strokes } = this.filters;
+
+        if (hsk && !DeckFilter.inRange(parseInt(char.hsk_level, 10), hsk)) return false;
+        if (frequency && !DeckFilter.inRange(char.frequency_rank, frequency)) return false;
+        if (radical && char.radical !== radical) return false;
+        if (strokes && !DeckFilter.inRange(char.stroke_count, strokes)) return false;
+
+        return true;
+    }
+
+    /**
+     * Indices (into characters) of the cards in the deck, in list order
+     */
+    apply(characters) {
+        const indices = [];
+        characters.forEach((char, i) => {
+            if (this.matches(char)) indices.push(i);
+        });
+        return indices;
+    }
+
+    /**
+     * Human-readable summary, e.g. "HSK 1–3 • frequency 500–1000 • radical 水 • ≤6 strokes"
+     */
+    describe() {
+        if (this.isEmpty()) return 'All cards';
+
+        const describeRange = ({ min, max }) => {
+            if (min === null) return `≤${max}`;
+            if (max === null) return `≥${min}`;
+            return min === max ? `${min}` : `${min}–${max}`;
+        };
+
+        const parts = [];
+        const { hsk, frequency, radical, strokes } = this.filters;
+        if (hsk) parts.push(`HSK ${describeRange(hsk)}`);
+        if (frequency) parts.push(`frequency ${describeRange(frequency)}`);
+        if (radical) parts.push(`radical ${radical}`);
+        if (strokes) parts.push(`${describeRange(strokes)} strokes`);
+        return parts.join(' • ');
+    }
+}
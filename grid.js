@@ -0,0 +1,128 @@
+// Practice Grid Module
+// Draws the guide grid behind each character cell of the drawing canvas, in
+// one of the standard calligraphy practice grids, and remembers the user's
+// choice of grid, cell border and colors.
+
+// Grid styles: name shown in settings and the guides drawn in every cell
+const GRID_STYLES = {
+    mi: { label: '米字格 (cross and diagonals)', guides: ['cross', 'diagonals'] },
+    tian: { label: '田字格 (cross)', guides: ['cross'] },
+    huigong: { label: '回宫格 (inner square)', guides: ['palace'] },
+    blank: { label: 'Blank', guides: [] }
+};
+
+// Cell border styles (the canvas edge and the dividers between characters)
+const GRID_BORDERS = {
+    solid: 'Solid',
+    dashed: 'Dashed',
+    none: 'None'
+};
+
+class GridRenderer {
+    constructor() {
+        this.storageKey = 'chineseCharGrid';
+        this.defaults = {
+            style: 'mi',
+            border: 'solid',
+            lineColor: '#4a4f5c',   // Guide lines
+            borderColor: '#555b6a'  // Cell borders
+        };
+        this.config = { ...this.defaults, ...this.load() };
+
+        this.palaceSize = 0.6;  // 回宫格 inner square, as a share of the cell
+        this.dash = [6, 6];
+    }
+
+    // Saved choices that are still valid
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            const valid = {};
+            for (const [name, value] of Object.entries(saved)) {
+                if (GridRenderer.isValid(name, value)) valid[name] = value;
+            }
+            return valid;
+        } catch (error) {
+            console.warn('Ignoring unreadable grid settings:', error);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+    }
+
+    static isValid(name, value) {
+        switch (name) {
+            case 'style': return Object.prototype.hasOwnProperty.call(GRID_STYLES, value);
+            case 'border': return Object.prototype.hasOwnProperty.call(GRID_BORDERS, value);
+            case 'lineColor':
+            case 'borderColor': return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+            default: return false;
+        }
+    }
+
+    // Change and save one choice; returns false (changing nothing) if it isn't valid
+    set(name, value) {
+        if (!GridRenderer.isValid(name, value)) return false;
+        this.config[name] = value;
+        this.save();
+        return true;
+    }
+
+    reset() {
+        this.config = { ...this.defaults };
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Draw the grid for cellCount square cells side by side across width x height.
+     * Leaves the context's stroke style, width and dash as it found them.
+     */
+    draw(ctx, cellCount, width, height) {
+        const cellWidth = width / cellCount;
+        const { guides } = GRID_STYLES[this.config.style];
+
+        ctx.save();
+        ctx.strokeStyle = this.config.lineColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let cell = 0; cell < cellCount; cell++) {
+            const left = cell * cellWidth;
+            const right = left + cellWidth;
+
+            if (guides.includes('cross')) {
+                ctx.moveTo(left + cellWidth / 2, 0);
+                ctx.lineTo(left + cellWidth / 2, height);
+                ctx.moveTo(left, height / 2);
+                ctx.lineTo(right, height / 2);
+            }
+            if (guides.includes('diagonals')) {
+                ctx.moveTo(left, 0);
+                ctx.lineTo(right, height);
+                ctx.moveTo(right, 0);
+                ctx.lineTo(left, height);
+            }
+            if (guides.includes('palace')) {
+                const size = cellWidth * this.palaceSize;
+                ctx.rect(left + (cellWidth - size) / 2, (height - size) / 2, size, size);
+            }
+        }
+        ctx.stroke();
+
+        // Canvas edge and the dividers between characters
+        if (this.config.border !== 'none') {
+            ctx.strokeStyle = this.config.borderColor;
+            ctx.lineWidth = 2;
+            if (this.config.border === 'dashed') ctx.setLineDash(this.dash);
+            ctx.beginPath();
+            for (let cell = 1; cell < cellCount; cell++) {
+                ctx.moveTo(cell * cellWidth, 0);
+                ctx.lineTo(cell * cellWidth, height);
+            }
+            ctx.rect(0, 0, width, height);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,213 @@
+// Optimizer Module
+// Fits a scheduler's parameters to the user's own review log (see storage.js):
+// each review is predicted from the reviews of the same card before it, and
+// the parameters are tuned to minimise the log-loss of those predictions.
+// The fitting runs in a Web Worker (see the bottom of this file) so the page
+// stays responsive; the page loads this file too, for OPTIMIZERS.
+
+// Fewest predicted reviews worth fitting to
+const OPTIMIZER_MIN_REVIEWS = 50;
+
+// Base class - subclasses say which config field they fit and how a review is predicted
+class SchedulerOptimizer {
+    /**
+     * @param algorithm - algorithm instance whose config is the starting point
+     * @param reviews - review log entries for one card type
+     */
+    constructor(algorithm, reviews) {
+        this.algorithm = algorithm;
+        this.sequences = SchedulerOptimizer.sequences(reviews);
+        this.path = null;  // Config field being fitted
+    }
+
+    // Each card's ratings in the order given: [[{ time, rating }]]
+    static sequences(reviews) {
+        const byCard = new Map();
+        for (const review of reviews) {
+            if (!review || !Number.isFinite(review.time) || !Number.isFinite(review.rating)) continue;
+            const key = `${review.cardType}|${review.character}`;
+            if (!byCard.has(key)) byCard.set(key, []);
+            byCard.get(key).push({ time: review.time, rating: review.rating });
+        }
+        return [...byCard.values()].map(sequence => sequence.sort((a, b) => a.time - b.time));
+    }
+
+    // Must be implemented by subclasses: [{ p, recalled }] for a sequence, using params
+    predict(params, sequence) {
+        throw new Error('predict must be implemented');
+    }
+
+    // Must be implemented by subclasses: [[min, max]] for each parameter
+    bounds(params) {
+        throw new Error('bounds must be implemented');
+    }
+
+    // Mean log-loss of every prediction, and how many there were
+    evaluate(params) {
+        let total = 0;
+        let count = 0;
+        for (const sequence of this.sequences) {
+            for (const { p, recalled } of this.predict(params, sequence)) {
+                const clamped = Math.min(1 - 1e-6, Math.max(1e-6, p));
+                total -= recalled ? Math.log(clamped) : Math.log(1 - clamped);
+                count++;
+            }
+        }
+        return { loss: count > 0 ? total / count : null, count };
+    }
+
+    /**
+     * Adam on central-difference gradients, each parameter stepped relative to
+     * its own size and kept within its bounds. Returns the best parameters seen:
+     * { path, params, lossBefore, lossAfter, reviewCount }
+     */
+    fit({ iterations = 150, learningRate = 0.02, onProgress = null } = {}) {
+        const initial = [...this.algorithm.config[this.path]];
+        const before = this.evaluate(initial);
+        if (before.count < OPTIMIZER_MIN_REVIEWS) {
+            throw new Error(`Not enough review history yet (${before.count} of ${OPTIMIZER_MIN_REVIEWS} repeat reviews)`);
+        }
+
+        const bounds = this.bounds(initial);
+        const clamp = (value, i) => Math.min(bounds[i][1], Math.max(bounds[i][0], value));
+        const scales = initial.map(value => Math.max(Math.abs(value), 0.01));
+        const m = initial.map(() => 0);
+        const v = initial.map(() => 0);
+        let params = [...initial];
+        let best = { params: initial, loss: before.loss };
+
+        for (let step = 1; step <= iterations; step++) {
+            const gradient = params.map((value, i) => {
+                const h = scales[i] * 1e-3;
+                const up = [...params];
+                const down = [...params];
+                up[i] = clamp(value + h, i);
+                down[i] = clamp(value - h, i);
+                if (up[i] === down[i]) return 0;
+                return (this.evaluate(up).loss - this.evaluate(down).loss) / (up[i] - down[i]) * scales[i];
+            });
+
+            params = params.map((value, i) => {
+                m[i] = 0.9 * m[i] + 0.1 * gradient[i];
+                v[i] = 0.999 * v[i] + 0.001 * gradient[i] * gradient[i];
+                const mHat = m[i] / (1 - Math.pow(0.9, step));
+                const vHat = v[i] / (1 - Math.pow(0.999, step));
+                return clamp(value - learningRate * scales[i] * mHat / (Math.sqrt(vHat) + 1e-8), i);
+            });
+
+            const { loss } = this.evaluate(params);
+            if (loss < best.loss) best = { params, loss };
+            if (onProgress) onProgress(step / iterations, best.loss);
+        }
+
+        return {
+            path: this.path,
+            params: best.params.map(value => Math.round(value * 10000) / 10000),
+            lossBefore: before.loss,
+            lossAfter: best.loss,
+            reviewCount: before.count
+        };
+    }
+}
+
+// Fits FSRS's model weights (config.w); each review's prediction is the card's retrievability
+class FSRSOptimizer extends SchedulerOptimizer {
+    constructor(algorithm, reviews) {
+        super(algorithm, reviews);
+        this.path = 'w';
+        this.model = new FSRSAlgorithm();
+        this.model.config = { ...algorithm.config };
+    }
+
+    predict(params, sequence) {
+        this.model.config.w = params;
+        const predictions = [];
+        let memory = null;
+        for (const { time, rating } of sequence) {
+            const review = this.model.scheduleReview(memory, rating, time);
+            if (memory) {
+                predictions.push({ p: review.memory.retrievability, recalled: this.model.isCardCorrect(rating) });
+            }
+            memory = review.memory;
+        }
+        return predictions;
+    }
+
+    // Ranges the FSRS reference optimizer keeps each weight in
+    bounds() {
+        return [
+            [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+            [1, 10], [0.001, 4], [0.001, 4], [0.001, 0.75],
+            [0, 4.5], [0, 0.8], [0.001, 3.5], [0.001, 5],
+            [0.001, 0.25], [0.001, 0.9], [0, 4], [0, 1], [1, 6]
+        ];
+    }
+}
+
+// Fits Rolling Window's history weights (config.weights); a card's strength
+// before each review is read as the chance of recalling it
+class RollingWindowOptimizer extends SchedulerOptimizer {
+    constructor(algorithm, reviews) {
+        super(algorithm, reviews);
+        this.path = 'weights';
+        this.model = new RollingWindowAlgorithm();
+        this.model.config = { ...algorithm.config };
+    }
+
+    predict(params, sequence) {
+        this.model.config.weights = params;
+        const predictions = [];
+        const history = [];
+        for (const { rating } of sequence) {
+            if (history.length > 0) {
+                predictions.push({ p: this.model.getCardStrength({ history }), recalled: this.model.isCardCorrect(rating) });
+            }
+            history.push(rating);
+        }
+        return predictions;
+    }
+
+    bounds(params) {
+        return params.map(() => [0.01, 10]);
+    }
+}
+
+// Algorithm types (ALGORITHMS keys) that can be optimized
+const OPTIMIZERS = {
+    fsrs: FSRSOptimizer,
+    rollingWindow: RollingWindowOptimizer
+};
+
+/**
+ * Worker messages:
+ *   in   { algorithmType, config, reviews }
+ *   out  { type: 'progress', progress, loss }
+ *        { type: 'result', path, params, lossBefore, lossAfter, reviewCount }
+ *        { type: 'error', message }
+ */
+if (typeof importScripts === 'function') {
+    importScripts('algorithms.js');
+
+    self.onmessage = (event) => {
+        const { algorithmType, config, reviews } = event.data;
+        try {
+            const algorithm = createAlgorithm(algorithmType);
+            algorithm.config = { ...algorithm.config, ...config };
+            const optimizer = new OPTIMIZERS[algorithmType](algorithm, reviews);
+
+            let lastReport = 0;
+            const result = optimizer.fit({
+                onProgress: (progress, loss) => {
+                    // Report roughly every 5%
+                    if (progress - lastReport >= 0.05 || progress === 1) {
+                        lastReport = progress;
+                        self.postMessage({ type: 'progress', progress, loss });
+                    }
+                }
+            });
+            self.postMessage({ type: 'result', ...result });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    };
+}
@@ -0,0 +1,237 @@
+// Pinyin Module
+// Parses and normalizes pinyin so typed answers can be checked against the
+// tone-marked pinyin in the character data. Typed answers may use tone marks
+// (nǐ), tone numbers (ni3) or no tones at all (ni), with v or u: for ü.
+
+const PINYIN_TONE_MARKS = {
+    a: 'āáǎà',
+    e: 'ēéěè',
+    i: 'īíǐì',
+    o: 'ōóǒò',
+    u: 'ūúǔù',
+    'ü': 'ǖǘǚǜ'
+};
+
+// Marked vowel -> [plain vowel, tone]. Includes the syllabic n and m of interjections (嗯 ń).
+const PINYIN_MARKED_VOWELS = { 'ń': ['n', 2], 'ň': ['n', 3], 'ǹ': ['n', 4], 'ḿ': ['m', 2] };
+for (const [vowel, marks] of Object.entries(PINYIN_TONE_MARKS)) {
+    [...marks].forEach((mark, i) => {
+        PINYIN_MARKED_VOWELS[mark] = [vowel, i + 1];
+    });
+}
+
+// Any initial followed by any final. Looser than the real syllable table,
+// which is fine: it only has to find where one syllable ends and the next begins.
+const PINYIN_SYLLABLE = new RegExp(
+    '^(zh|ch|sh|[bpmfdtnlgkhjqxrzcsyw])?' +
+    '(iang|iong|uang|ueng|iao|ian|ing|ang|eng|ong|uai|uan|üan|ia|ie|iu|in|ai|ei|ao|ou|an|en|er|ua|uo|ui|un|ue|üe|ün|a|o|e|i|u|ü)$' +
+    '|^(m|n|ng|hm|hng)$'
+);
+const PINYIN_MAX_SYLLABLE_LENGTH = 6;
+
+/**
+ * Put a tone mark on one toneless syllable (tone 5 = neutral, no mark).
+ * The mark goes on a or e if present, on the o of "ou", otherwise on the last vowel.
+ */
+function markPinyinSyllable(syllable, tone) {
+    if (tone < 1 || tone > 4) return syllable;
+
+    let position = syllable.search(/[ae]/);
+    if (position === -1) position = syllable.indexOf('ou');
+    if (position === -1) {
+        for (let i = syllable.length - 1; i >= 0; i--) {
+            if (PINYIN_TONE_MARKS[syllable[i]]) {
+                position = i;
+                break;
+            }
+        }
+    }
+    if (position === -1) return syllable;
+
+    const vowel = syllable[position];
+    return syllable.slice(0, position) + PINYIN_TONE_MARKS[vowel][tone - 1] + syllable.slice(position + 1);
+}
+
+/**
+ * Split a run of toneless letters into syllables, longest first with backtracking
+ * ("xian" is one syllable, "keyi" is "ke" + "yi"). Returns null if it can't be split.
+ */
+function segmentPinyin(letters) {
+    if (letters.length === 0) return [];
+
+    for (let length = Math.min(PINYIN_MAX_SYLLABLE_LENGTH, letters.length); length > 0; length--) {
+        const syllable = letters.slice(0, length);
+        if (!PINYIN_SYLLABLE.test(syllable)) continue;
+
+        const rest = segmentPinyin(letters.slice(length));
+        if (rest) return [syllable, ...rest];
+    }
+    return null;
+}
+
+/**
+ * Parse pinyin in any accepted form into syllables: [{ letters, tone }].
+ * letters are lowercase with ü; tone is 1-4, 5 for neutral, or null when the
+ * text carries no tones at all ("ni hao"). In text that does give tones
+ * ("xie4xie", "xièxie"), a syllable without one is neutral.
+ * Returns null when the text isn't pinyin.
+ */
+function parsePinyin(text) {
+    const normalized = text
+        .normalize('NFC')
+        .toLowerCase()
+        .trim()
+        .replace(/u:/g, 'ü')
+        .replace(/v/g, 'ü');
+    if (normalized.length === 0) return null;
+
+    // Break into chunks on separators and tone numbers, stripping tone marks off the vowels
+    const chunks = [];
+    let letters = '';
+    const endChunk = (tone) => {
+        if (letters.length > 0) chunks.push({ letters, tone });
+        letters = '';
+    };
+
+    for (const ch of normalized) {
+        if (/[1-5]/.test(ch)) {
+            if (letters.length === 0) return null;
+            endChunk(Number(ch));
+        } else if (ch === '0') {
+            // Some input methods write the neutral tone as 0
+            if (letters.length === 0) return null;
+            endChunk(5);
+        } else if (/[\s'’-]/.test(ch)) {
+            endChunk(null);
+        } else if (PINYIN_MARKED_VOWELS[ch]) {
+            letters += PINYIN_MARKED_VOWELS[ch][0];
+        } else if (/[a-zü]/.test(ch)) {
+            letters += ch;
+        } else {
+            return null;
+        }
+    }
+    endChunk(null);
+
+    // A chunk can hold several syllables ("keyi", "kěyǐ"). A tone number
+    // belongs to the syllable right before it ("keyi3" tones only "yi").
+    const syllables = [];
+    for (const chunk of chunks) {
+        const parts = segmentPinyin(chunk.letters);
+        if (!parts) return null;
+
+        parts.forEach((letters, i) => {
+            syllables.push({ letters, tone: i === parts.length - 1 ? chunk.tone : null });
+        });
+    }
+
+    // Tone marks were stripped while chunking; give them back to the syllable they sit in
+    assignMarkedTones(normalized, syllables);
+
+    const hasTones = syllables.some(s => s.tone !== null);
+    if (hasTones) {
+        for (const syllable of syllables) {
+            if (syllable.tone === null) syllable.tone = 5;
+        }
+    }
+
+    return syllables;
+}
+
+/**
+ * Walk the original text alongside the parsed syllables and give each
+ * syllable the tone of any marked vowel inside it
+ */
+function assignMarkedTones(normalized, syllables) {
+    const marks = [];  // tone per letter position, null if unmarked
+    for (const ch of normalized) {
+        if (PINYIN_MARKED_VOWELS[ch]) {
+            marks.push(PINYIN_MARKED_VOWELS[ch][1]);
+        } else if (/[a-zü]/.test(ch)) {
+            marks.push(null);
+        }
+    }
+
+    let position = 0;
+    for (const syllable of syllables) {
+        const syllableMarks = marks.slice(position, position + syllable.letters.length);
+        const markTone = syllableMarks.find(t => t !== null);
+        if (markTone !== undefined) {
+            syllable.tone = markTone;
+        }
+        position += syllable.letters.length;
+    }
+}
+
+/**
+ * Write parsed syllables back out with tone marks ("nǐ hǎo")
+ */
+function formatPinyin(syllables) {
+    return syllables.map(s => markPinyinSyllable(s.letters, s.tone || 5)).join(' ');
+}
+
+/**
+ * Check typed pinyin against the expected (tone-marked) pinyin.
+ * @param options.toneOptional - accept answers typed without any tones
+ * @returns {
+ *   correct,          // the answer counts as right
+ *   syllableCorrect,  // every syllable right, ignoring tones
+ *   toneCorrect,      // every tone right; null when tones were left out in tone-optional mode
+ *   syllables: [{ expected, typed, syllableCorrect, toneCorrect }]
+ * }
+ */
+function checkPinyin(typed, expected, options = {}) {
+    const toneOptional = !!options.toneOptional;
+    // Unmarked syllables in the data are neutral, even when the whole entry is unmarked ("le")
+    const expectedSyllables = (parsePinyin(expected) || [])
+        .map(s => ({ letters: s.letters, tone: s.tone || 5 }));
+    const typedSyllables = parsePinyin(typed) || [];
+    const tonesGiven = typedSyllables.some(s => s.tone !== null);
+
+    const syllables = expectedSyllables.map((expectedSyllable, i) => {
+        const typedSyllable = typedSyllables[i] || null;
+        const syllableCorrect = !!typedSyllable && typedSyllable.letters === expectedSyllable.letters;
+
+        let toneCorrect;
+        if (!typedSyllable) {
+            toneCorrect = false;
+        } else if (!tonesGiven) {
+            // Leaving the tone off is right for a neutral syllable, and excused in tone-optional mode
+            toneCorrect = expectedSyllable.tone === 5 ? true : (toneOptional ? null : false);
+        } else {
+            toneCorrect = typedSyllable.tone === expectedSyllable.tone;
+        }
+
+        return {
+            expected: expectedSyllable,
+            typed: typedSyllable,
+            syllableCorrect,
+            toneCorrect
+        };
+    });
+
+    const countMatches = typedSyllables.length === expectedSyllables.length && expectedSyllables.length > 0;
+    const syllableCorrect = countMatches && syllables.every(s => s.syllableCorrect);
+    let toneCorrect = false;
+    if (countMatches && syllables.every(s => s.toneCorrect !== false)) {
+        toneCorrect = syllables.some(s => s.toneCorrect === null) ? null : true;
+    }
+
+    return {
+        correct: syllableCorrect && toneCorrect !== false,
+        syllableCorrect,
+        toneCorrect,
+        syllables
+    };
+}
+
+// Allow loading from Node (unit tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        markPinyinSyllable,
+        segmentPinyin,
+        parsePinyin,
+        formatPinyin,
+        checkPinyin
+    };
+}
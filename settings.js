@@ -0,0 +1,167 @@
+// Settings Module
+// Saved per-algorithm config overrides for the settings panel. Overrides are
+// stored by field path ("setSize", "weights", "difficultyIntervals.1.min") so
+// they survive reloads and default changes, and every edit is validated first.
+
+// Limits for config values that need more than "a number ≥ 0", by field name
+// (the last part of the path)
+const ALGORITHM_SETTING_RULES = {
+    setSize: { integer: true, min: 1 },
+    maxSetSize: { integer: true, min: 1 },
+    windowSize: { integer: true, min: 1 },
+    bucketSize: { integer: true, min: 1 },
+    masteryThreshold: { integer: true, min: 1 },
+    maxNewCardsPerDay: { integer: true },
+    maxFailedCardsBeforeNew: { integer: true },
+    minCorrectStreakForNew: { integer: true },
+    maxFailedCards: { integer: true },
+    minReviewsPerCard: { integer: true },
+    minReviewsToProve: { integer: true, min: 1 },
+    failedCardTimeout: { integer: true },      // ms
+    maxInterval: { integer: true, min: 1 },    // ms
+    min: { integer: true, min: 1 },            // difficultyIntervals, in cards
+    max: { integer: true, min: 1 },
+    // Probabilities and strength fractions
+    refreshChance: { max: 1 },
+    masteredReviewChance: { max: 1 },
+    addCardThreshold: { max: 1 },
+    masteredThreshold: { max: 1 },
+    weakestTierRange: { max: 1 },
+    setMasteryBonus: { max: 1 },
+    startingEase: { min: 1 },
+    easyBonus: { min: 1 },
+    initialScore: { min: -Infinity },
+    // FSRS
+    requestRetention: { min: 0.5, max: 0.99 },
+    againInterval: { integer: true },          // ms
+    gradeMap: { integer: true, min: 1, max: 4 }
+};
+
+class AlgorithmSettings {
+    constructor() {
+        this.storageKey = 'chineseCharAlgorithmConfig';
+        this.overrides = this.load();  // { algorithmType: { path: value } }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable algorithm settings:', error);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+    }
+
+    getOverrides(type) {
+        return this.overrides[type] || {};
+    }
+
+    // Apply saved overrides to a freshly created algorithm's config
+    apply(type, config) {
+        for (const [path, value] of Object.entries(this.getOverrides(type))) {
+            // Skip fields the algorithm no longer has
+            if (AlgorithmSettings.getValue(config, path) === undefined) continue;
+            AlgorithmSettings.setValue(config, path, value);
+        }
+        return config;
+    }
+
+    set(type, path, value) {
+        this.overrides[type] = { ...this.getOverrides(type), [path]: value };
+        this.save();
+    }
+
+    reset(type) {
+        delete this.overrides[type];
+        this.save();
+    }
+
+    /**
+     * Editable fields of a config, in order: { path, value, kind }.
+     * kind is 'number' or 'list' (an array of numbers); nested objects are
+     * flattened into dotted paths.
+     */
+    static fields(config, prefix = '') {
+        const fields = [];
+        for (const [key, value] of Object.entries(config)) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (typeof value === 'number') {
+                fields.push({ path, value, kind: 'number' });
+            } else if (Array.isArray(value) && value.every(v => typeof v === 'number')) {
+                fields.push({ path, value, kind: 'list' });
+            } else if (value && typeof value === 'object') {
+                fields.push(...AlgorithmSettings.fields(value, path));
+            }
+        }
+        return fields;
+    }
+
+    static getValue(config, path) {
+        return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), config);
+    }
+
+    static setValue(config, path, value) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((object, key) => object[key], config);
+        parent[keys[keys.length - 1]] = Array.isArray(value) ? [...value] : value;
+    }
+
+    /**
+     * Parse an edited field and check it on its own and against the rest of
+     * the config. Returns { value } or { error }.
+     */
+    static parse(config, path, text) {
+        const current = AlgorithmSettings.getValue(config, path);
+        const name = path.split('.').pop();
+        const rule = { min: 0, max: Infinity, integer: false, ...ALGORITHM_SETTING_RULES[name] };
+
+        const parts = Array.isArray(current) ? text.split(',') : [text];
+        const numbers = parts.map(part => part.trim() === '' ? NaN : Number(part));
+
+        for (const number of numbers) {
+            if (!Number.isFinite(number)) {
+                return { error: `${path} must be ${Array.isArray(current) ? 'a comma-separated list of numbers' : 'a number'}` };
+            }
+            if (rule.integer && !Number.isInteger(number)) {
+                return { error: `${path} must be a whole number` };
+            }
+            if (number < rule.min || number > rule.max) {
+                const range = rule.max === Infinity ? `at least ${rule.min}` : `between ${rule.min} and ${rule.max}`;
+                return { error: `${path} must be ${range}` };
+            }
+        }
+
+        const value = Array.isArray(current) ? numbers : numbers[0];
+        const candidate = JSON.parse(JSON.stringify(config));
+        AlgorithmSettings.setValue(candidate, path, value);
+        const error = AlgorithmSettings.checkConfig(candidate);
+        return error ? { error } : { value };
+    }
+
+    // Rules between fields; returns a message for the first one broken, or null
+    static checkConfig(config) {
+        if (config.setSize !== undefined && config.maxSetSize !== undefined && config.setSize > config.maxSetSize) {
+            return 'setSize can\'t be larger than maxSetSize';
+        }
+        if (Array.isArray(config.weights) && config.windowSize !== undefined && config.weights.length < config.windowSize) {
+            return `weights needs at least windowSize (${config.windowSize}) entries`;
+        }
+        if (Array.isArray(config.gradeMap) && config.gradeMap.length !== 5) {
+            return 'gradeMap needs one grade for each rating 1-5';
+        }
+        if (Array.isArray(config.w) && config.w.length !== 17) {
+            return 'w needs all 17 FSRS weights';
+        }
+        if (config.difficultyIntervals) {
+            for (const [rating, { min, max }] of Object.entries(config.difficultyIntervals)) {
+                if (min > max) return `difficultyIntervals.${rating}: min can't be larger than max`;
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,427 @@
+// Scheduler Simulator
+// Runs the algorithms in algorithms.js against a simulated learner, headless
+// under Node, to compare them and tune their config with evidence.
+//
+//   node simulator.js [--algorithms fsrs,anki] [--days 30] [--reviews 50]
+//                     [--cards 1000] [--seed 1] [--config '{"setSize": 8}'] [--json]
+//
+// The learner forgets each card along an exponential forgetting curve. Cards
+// with more strokes and rarer characters start less stable and gain stability
+// more slowly. Each simulated day is one study session of a fixed number of
+// reviews, so algorithms are compared on what they get out of the same effort.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ALGORITHMS, createAlgorithm, recordRating } = require('./algorithms.js');
+
+const SIM_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reproducible random numbers (mulberry32)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Characters from a chars_data.js file, parsed and sorted the way the app
+ * loads them (most frequent first)
+ */
+function loadCharacters(file = path.join(__dirname, 'chars_data.js')) {
+    const context = {};
+    vm.runInNewContext(`${fs.readFileSync(file, 'utf8')}\nthis.characters = CHINESE_CHARACTERS;`, context);
+    const toNumber = value => {
+        const number = parseInt(value, 10);
+        return Number.isFinite(number) ? number : null;
+    };
+    return context.characters
+        .map(char => ({
+            character: char.character,
+            frequency_rank: toNumber(char.frequency_rank),
+            stroke_count: toNumber(char.stroke_count)
+        }))
+        .sort((a, b) => a.frequency_rank - b.frequency_rank);
+}
+
+/**
+ * The simulated learner. Each card has a hidden stability (days until recall
+ * falls to 1/e) and a difficulty from 0 (easy) to 1 (hard).
+ */
+class SimulatedLearner {
+    constructor(characters, random) {
+        this.random = random;
+        this.config = {
+            initialStability: 1.5,  // Days, for the easiest card
+            growth: 2.5,            // Stability gained by a successful recall
+            spacingEffect: 2,       // Extra gain for recalling a card that was nearly forgotten
+            lapseFactor: 0.3,       // Stability kept after forgetting
+            secondsPerReview: 8,
+            secondsPerStroke: 0.6,
+            failurePenalty: 1.5     // Failed cards take this much longer (studying the answer)
+        };
+        this.cards = characters.map(char => ({
+            difficulty: SimulatedLearner.cardDifficulty(char),
+            strokes: char.stroke_count || 8,
+            stability: null,  // null until first seen
+            lastReview: null
+        }));
+    }
+
+    // Half from stroke count (1-25+), half from frequency (log of rank 1-10000)
+    static cardDifficulty(char) {
+        const strokes = Math.min((char.stroke_count || 8) / 25, 1);
+        const rarity = Math.min(Math.log10(Math.max(char.frequency_rank || 1, 1)) / 4, 1);
+        return 0.5 * strokes + 0.5 * rarity;
+    }
+
+    // Probability of recalling a card now
+    recall(index, now) {
+        const card = this.cards[index];
+        if (card.stability === null) return 0;
+        return Math.exp(-(now - card.lastReview) / SIM_DAY_MS / card.stability);
+    }
+
+    /**
+     * Review a card: whether it was recalled, the 1-5 rating given and how
+     * long it took (ms). Seeing the answer teaches a new card.
+     */
+    review(index, now) {
+        const card = this.cards[index];
+        const config = this.config;
+        const recallProbability = this.recall(index, now);
+        const recalled = this.random() < recallProbability;
+
+        if (card.stability === null) {
+            card.stability = config.initialStability * (1 - 0.8 * card.difficulty);
+        } else if (recalled) {
+            card.stability *= 1 + config.growth * (1 - 0.7 * card.difficulty) *
+                (1 - recallProbability) * Math.exp(config.spacingEffect * (1 - recallProbability));
+        } else {
+            card.stability = Math.max(card.stability * config.lapseFactor,
+                config.initialStability * (1 - 0.8 * card.difficulty));
+        }
+        card.lastReview = now;
+
+        let rating;
+        if (recalled) {
+            rating = recallProbability > 0.9 ? 5 : (recallProbability > 0.6 ? 4 : 3);
+        } else {
+            rating = recallProbability > 0.3 ? 2 : 1;
+        }
+
+        const seconds = (config.secondsPerReview + config.secondsPerStroke * card.strokes) *
+            (recalled ? 1 : config.failurePenalty);
+        return { recalled, recallProbability, rating, duration: seconds * 1000 };
+    }
+}
+
+/**
+ * One algorithm studied by one simulated learner. While it runs, Date and
+ * Math.random are replaced so the algorithms see simulated time and seeded
+ * randomness.
+ */
+class Simulation {
+    /**
+     * @param options.algorithmType - an ALGORITHMS key
+     * @param options.config - config values to override (keys the algorithm doesn't have are ignored)
+     * @param options.characters - from loadCharacters, most frequent first
+     * @param options.days - days to simulate
+     * @param options.reviewsPerDay - reviews in each day's session
+     * @param options.seed - random seed; the same seed gives the same learner and results
+     */
+    constructor({ algorithmType, config = {}, characters, days = 30, reviewsPerDay = 50, seed = 1 }) {
+        this.algorithmType = algorithmType;
+        this.algorithm = createAlgorithm(algorithmType);
+        for (const [key, value] of Object.entries(config)) {
+            if (key in this.algorithm.config) this.algorithm.config[key] = value;
+        }
+        this.characters = characters;
+        this.days = days;
+        this.reviewsPerDay = reviewsPerDay;
+        this.random = createRandom(seed);
+        this.learner = new SimulatedLearner(characters, createRandom(seed + 1));
+
+        this.now = new Date(2024, 0, 1, 9, 0, 0).getTime();
+        this.userProgress = {};  // Keyed by position, as the algorithms expect
+        this.state = {
+            recentFailedCards: new Set(),
+            sessionCorrectStreak: 0,
+            todayReviews: 0,
+            lastShownIndex: null
+        };
+        this.failedAt = new Map();  // Failed card index → when, to expire recentFailedCards
+    }
+
+    // Replace Date and Math.random while fn runs
+    withSimulatedEnvironment(fn) {
+        const RealDate = Date;
+        const realRandom = Math.random;
+        const simulation = this;
+
+        global.Date = class extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(simulation.now);
+                } else {
+                    super(...args);
+                }
+            }
+
+            static now() {
+                return simulation.now;
+            }
+        };
+        Math.random = this.random;
+
+        try {
+            return fn();
+        } finally {
+            global.Date = RealDate;
+            Math.random = realRandom;
+        }
+    }
+
+    // A blank progress record for a card joining the set before it's rated (as the app does)
+    addToSet(index, score = 0) {
+        this.userProgress[index] = {
+            character: this.characters[index].character,
+            firstSeen: this.now,
+            reviewCount: 0,
+            successCount: 0,
+            successRate: 0,
+            lastDifficulty: null,
+            lastSeen: this.now,
+            nextReview: this.now,
+            interval: 1000,
+            history: [],
+            consecutiveGood: 0,
+            wasUnmastered: false,
+            masteredAt: null,
+            inBucket: false,
+            inSet: true,
+            setEntryScore: score,
+            score: score
+        };
+    }
+
+    initializeSet() {
+        if (!this.algorithm.initializeSet) return;
+        for (const index of this.algorithm.initializeSet(this.characters, this.userProgress)) {
+            if (!this.userProgress[index]) this.addToSet(index);
+        }
+    }
+
+    // Focused Sets refills its set when a card graduates (see ChineseCharacterApp.backfillSet)
+    backfillSet() {
+        const candidates = [];
+        this.characters.forEach((char, index) => {
+            const progress = this.userProgress[index];
+            if (progress && progress.inSet === true) return;
+            candidates.push({ char, index, score: this.algorithm.getCardScore(progress) });
+        });
+        if (candidates.length === 0) return;
+
+        const selected = this.algorithm.weightedRandomSelect(candidates, item => item.score);
+        const progress = this.userProgress[selected.index];
+        if (progress) {
+            progress.inSet = true;
+            progress.setEntryScore = selected.score;
+        } else {
+            this.addToSet(selected.index, selected.score);
+        }
+    }
+
+    reviewOnce(totals) {
+        for (const [index, time] of this.failedAt) {
+            if (this.now - time >= this.algorithm.config.failedCardTimeout) {
+                this.state.recentFailedCards.delete(index);
+                this.failedAt.delete(index);
+            }
+        }
+
+        const result = this.algorithm.getNextCard(this.characters, this.userProgress, this.state);
+        const index = result.index;
+        const isRepeat = !!(this.userProgress[index] && this.userProgress[index].reviewCount > 0);
+        const review = this.learner.review(index, this.now);
+
+        const rating = recordRating(this.algorithm, this.userProgress[index], review.rating, {
+            character: this.characters[index].character,
+            now: this.now,
+            result,
+            log: () => {}
+        });
+        this.userProgress[index] = rating.progress;
+        if (rating.graduated) this.backfillSet();
+
+        if (this.algorithm.isCardFailed(review.rating)) {
+            this.state.recentFailedCards.add(index);
+            this.failedAt.set(index, this.now);
+            this.state.sessionCorrectStreak = 0;
+        } else {
+            this.state.sessionCorrectStreak++;
+            this.state.recentFailedCards.delete(index);
+        }
+        this.state.lastShownIndex = index;
+        this.state.todayReviews++;
+
+        totals.reviews++;
+        totals.time += review.duration;
+        if (isRepeat) {
+            totals.repeats++;
+            if (review.recalled) totals.recalled++;
+        } else {
+            totals.newCards++;
+        }
+        this.now += review.duration;
+    }
+
+    /**
+     * Run every day's session. Returns the totals plus one entry per day:
+     * { algorithm, name, ..., days: [{ day, reviews, newCards, retention, minutes, seen, learned, averageRecall }] }
+     */
+    run() {
+        return this.withSimulatedEnvironment(() => {
+            const dayOne = this.now;
+            const days = [];
+            const overall = { reviews: 0, repeats: 0, recalled: 0, newCards: 0, time: 0 };
+            this.initializeSet();
+
+            for (let day = 0; day < this.days; day++) {
+                this.now = dayOne + day * SIM_DAY_MS;
+                this.state.todayReviews = 0;
+                const totals = { reviews: 0, repeats: 0, recalled: 0, newCards: 0, time: 0 };
+                for (let i = 0; i < this.reviewsPerDay; i++) {
+                    this.reviewOnce(totals);
+                }
+                for (const key of Object.keys(totals)) overall[key] += totals[key];
+
+                // Knowledge is measured the next morning
+                this.now = dayOne + (day + 1) * SIM_DAY_MS;
+                days.push({
+                    day: day + 1,
+                    reviews: totals.reviews,
+                    newCards: totals.newCards,
+                    retention: totals.repeats > 0 ? totals.recalled / totals.repeats : null,
+                    minutes: totals.time / 60000,
+                    ...this.knowledge()
+                });
+            }
+
+            const end = this.knowledge();
+            return {
+                algorithm: this.algorithmType,
+                name: this.algorithm.name,
+                reviews: overall.reviews,
+                // Share of reviews of already-seen cards that were recalled
+                retention: overall.repeats > 0 ? overall.recalled / overall.repeats : null,
+                minutesPerDay: overall.time / 60000 / this.days,
+                seen: end.seen,
+                learned: end.learned,
+                averageRecall: end.averageRecall,
+                reviewsPerLearned: end.learned > 0 ? overall.reviews / end.learned : null,
+                days
+            };
+        });
+    }
+
+    // Cards seen, cards the learner would recall now with ≥90% probability, and mean recall of seen cards
+    knowledge() {
+        let seen = 0;
+        let learned = 0;
+        let recallTotal = 0;
+        this.learner.cards.forEach((card, index) => {
+            if (card.stability === null) return;
+            const recall = this.learner.recall(index, this.now);
+            seen++;
+            recallTotal += recall;
+            if (recall >= 0.9) learned++;
+        });
+        return { seen, learned, averageRecall: seen > 0 ? recallTotal / seen : null };
+    }
+}
+
+// Simulate each algorithm with the same learner and options
+function compareAlgorithms(algorithmTypes, options) {
+    return algorithmTypes.map(algorithmType => new Simulation({ ...options, algorithmType }).run());
+}
+
+function formatResults(results, options) {
+    const percent = value => value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+    const rows = [
+        ['Algorithm', 'Seen', 'Learned', 'Retention', 'Recall now', 'Min/day', 'Reviews/learned'],
+        ...results.map(result => [
+            result.name,
+            String(result.seen),
+            String(result.learned),
+            percent(result.retention),
+            percent(result.averageRecall),
+            result.minutesPerDay.toFixed(1),
+            result.reviewsPerLearned === null ? '–' : result.reviewsPerLearned.toFixed(1)
+        ])
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const lines = rows.map(row => row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  '));
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+    return [
+        `${options.days} days • ${options.reviewsPerDay} reviews/day • ${options.characters.length} cards • seed ${options.seed}`,
+        '',
+        ...lines,
+        '',
+        'Learned: cards recalled with ≥90% probability the morning after the last day.',
+        'Retention: share of reviews of already-seen cards that were recalled.'
+    ].join('\n');
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[name] = argv[++i];
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const algorithmTypes = args.algorithms ? args.algorithms.split(',') : Object.keys(ALGORITHMS);
+    const unknown = algorithmTypes.filter(type => !ALGORITHMS[type]);
+    if (unknown.length > 0) {
+        console.error(`Unknown algorithm: ${unknown.join(', ')} (choose from ${Object.keys(ALGORITHMS).join(', ')})`);
+        process.exit(1);
+    }
+
+    const options = {
+        characters: loadCharacters(args.data).slice(0, parseInt(args.cards, 10) || 1000),
+        days: parseInt(args.days, 10) || 30,
+        reviewsPerDay: parseInt(args.reviews, 10) || 50,
+        seed: parseInt(args.seed, 10) || 1,
+        config: args.config ? JSON.parse(args.config) : {}
+    };
+
+    const results = compareAlgorithms(algorithmTypes, options);
+    if (args.json) {
+        console.log(JSON.stringify({ options: { ...options, characters: options.characters.length }, results }, null, 2));
+    } else {
+        console.log(formatResults(results, options));
+    }
+}
+
+module.exports = {
+    SimulatedLearner,
+    Simulation,
+    compareAlgorithms,
+    loadCharacters,
+    createRandom
+};
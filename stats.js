@@ -0,0 +1,300 @@
+// Statistics Module
+// Works out the numbers behind the statistics dashboard from saved progress
+// and the review log (see storage.js), and draws them as SVG charts.
+// Days are local calendar days.
+
+const STATS_DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReviewStats {
+    /**
+     * @param progress - one card type's progress, keyed by hanzi
+     * @param reviews - review log entries for the same card type
+     * @param options.isCorrect - which ratings count as recalled (the algorithm's isCardCorrect)
+     */
+    constructor(progress, reviews, options = {}) {
+        this.progress = Object.values(progress).filter(p => p && typeof p === 'object');
+        this.reviews = reviews;
+        this.now = options.now || Date.now();
+        this.isCorrect = options.isCorrect || (rating => rating >= 3);
+    }
+
+    // Local midnight of the day a time falls on
+    static startOfDay(time) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    // Midnight `offset` days from the day `time` falls on (safe across DST changes)
+    static addDays(time, offset) {
+        const date = new Date(ReviewStats.startOfDay(time));
+        date.setDate(date.getDate() + offset);
+        return date.getTime();
+    }
+
+    /**
+     * One { day, count } per day, oldest first, for the `days` days ending today.
+     * Times before the first day count towards it when clampEarly is set.
+     */
+    countByDay(times, days, { startDay = null, clampEarly = false } = {}) {
+        const firstDay = startDay !== null ? startDay : ReviewStats.addDays(this.now, -(days - 1));
+        const series = [];
+        const index = new Map();
+        for (let i = 0; i < days; i++) {
+            const day = ReviewStats.addDays(firstDay, i);
+            index.set(day, i);
+            series.push({ day, count: 0 });
+        }
+
+        for (const time of times) {
+            if (!Number.isFinite(time)) continue;
+            let day = ReviewStats.startOfDay(time);
+            if (day < firstDay && clampEarly) day = firstDay;
+            if (index.has(day)) series[index.get(day)].count++;
+        }
+        return series;
+    }
+
+    reviewsPerDay(days = 30) {
+        return this.countByDay(this.reviews.map(r => r.time), days);
+    }
+
+    /**
+     * Daily review counts for the calendar heatmap: whole weeks (Sunday first)
+     * ending with the current week, days after today left out
+     */
+    heatmap(weeks = 26) {
+        const today = ReviewStats.startOfDay(this.now);
+        const firstDay = ReviewStats.addDays(today, -(new Date(today).getDay() + (weeks - 1) * 7));
+        const days = Math.round((today - firstDay) / STATS_DAY_MS) + 1;
+        return this.countByDay(this.reviews.map(r => r.time), days, { startDay: firstDay });
+    }
+
+    /**
+     * For each rating 1-5: how often the card's next review was recalled.
+     * Reads each card's rating history, so reviews from before the log count too.
+     */
+    retentionByRating() {
+        const byRating = [1, 2, 3, 4, 5].map(rating => ({ rating, reviews: 0, recalled: 0, rate: null }));
+
+        for (const progress of this.progress) {
+            const history = Array.isArray(progress.history) ? progress.history : [];
+            for (let i = 0; i + 1 < history.length; i++) {
+                const entry = byRating[history[i] - 1];
+                if (!entry) continue;
+                entry.reviews++;
+                if (this.isCorrect(history[i + 1])) entry.recalled++;
+            }
+        }
+
+        for (const entry of byRating) {
+            entry.rate = entry.reviews > 0 ? entry.recalled / entry.reviews : null;
+        }
+        return byRating;
+    }
+
+    // Running total of cards reviewed at least once, one { day, count } per day.
+    // Cards only added to an algorithm's set (reviewCount 0) haven't been learned yet.
+    learnedOverTime(days = 90) {
+        const reviewed = this.progress.filter(p => p.reviewCount > 0);
+        const perDay = this.countByDay(reviewed.map(p => p.firstSeen), days, { clampEarly: true });
+        let total = 0;
+        return perDay.map(({ day, count }) => {
+            total += count;
+            return { day, count: total };
+        });
+    }
+
+    // Cards falling due on each of the next `days` days; overdue cards count as due today
+    dueForecast(days = 30) {
+        const startDay = ReviewStats.startOfDay(this.now);
+        return this.countByDay(this.progress.map(p => p.nextReview), days, { startDay, clampEarly: true });
+    }
+
+    // Mean time from a card appearing to its rating, in ms (null with no timed reviews)
+    averageTime() {
+        const times = this.reviews.map(r => r.elapsed).filter(t => Number.isFinite(t) && t >= 0);
+        if (times.length === 0) return null;
+        return times.reduce((sum, t) => sum + t, 0) / times.length;
+    }
+
+    totals() {
+        const today = ReviewStats.startOfDay(this.now);
+        return {
+            reviews: this.reviews.length,
+            reviewsToday: this.reviews.filter(r => r.time >= today).length,
+            cards: this.progress.filter(p => p.reviewCount > 0).length
+        };
+    }
+}
+
+// SVG charts for the dashboard. Every bar and cell has a <title> tooltip.
+class StatsChart {
+    constructor() {
+        this.config = {
+            width: 600,
+            height: 140,
+            padding: { top: 16, right: 8, bottom: 20, left: 32 },
+            barColor: '#667eea',
+            lineColor: '#764ba2',
+            axisColor: '#9ca3af',
+            // Heatmap, from no reviews to the most reviews in a day
+            heatColors: ['#ebedf0', '#c7d2fe', '#a5b4fc', '#818cf8', '#667eea'],
+            cellSize: 12,
+            cellGap: 2
+        };
+    }
+
+    createElement(name, attributes = {}, text = null) {
+        const element = document.createElementNS(SVG_NS, name);
+        for (const [key, value] of Object.entries(attributes)) {
+            element.setAttribute(key, value);
+        }
+        if (text !== null) element.textContent = text;
+        return element;
+    }
+
+    createSVG(width, height) {
+        const svg = this.createElement('svg', { viewBox: `0 0 ${width} ${height}` });
+        svg.classList.add('stats-chart');
+        return svg;
+    }
+
+    static formatDay(day) {
+        const date = new Date(day);
+        return `${date.getMonth() + 1}/${date.getDate()}`;
+    }
+
+    // Chart area, y scale and the y axis (0 and max labels) shared by bar and line charts
+    plotArea(svg, max, formatValue) {
+        const { width, height, padding, axisColor } = this.config;
+        const area = {
+            left: padding.left,
+            top: padding.top,
+            width: width - padding.left - padding.right,
+            height: height - padding.top - padding.bottom
+        };
+        area.bottom = area.top + area.height;
+        area.y = value => area.bottom - (max > 0 ? value / max : 0) * area.height;
+
+        svg.appendChild(this.createElement('line', {
+            x1: area.left, y1: area.bottom, x2: area.left + area.width, y2: area.bottom,
+            stroke: axisColor, 'stroke-width': 1
+        }));
+        for (const value of [0, max]) {
+            svg.appendChild(this.createElement('text', {
+                x: area.left - 4, y: area.y(value) + 4, 'text-anchor': 'end', 'font-size': 10, fill: axisColor
+            }, formatValue(value)));
+        }
+        return area;
+    }
+
+    // Label under every labelEvery-th point, counting back from the last one
+    drawXLabels(svg, area, points, labelEvery, step) {
+        points.forEach((point, i) => {
+            if ((points.length - 1 - i) % labelEvery !== 0) return;
+            svg.appendChild(this.createElement('text', {
+                x: area.left + step * (i + 0.5), y: area.bottom + 14,
+                'text-anchor': 'middle', 'font-size': 10, fill: this.config.axisColor
+            }, point.label));
+        });
+    }
+
+    /**
+     * @param points - [{ label, value, title }]
+     * @param options.max - top of the scale (default: largest value)
+     * @param options.labelEvery - label every nth bar
+     */
+    barChart(points, options = {}) {
+        const { width, height } = this.config;
+        const formatValue = options.formatValue || (value => String(value));
+        const max = options.max !== undefined ? options.max : Math.max(0, ...points.map(p => p.value || 0));
+        const svg = this.createSVG(width, height);
+        const area = this.plotArea(svg, max, formatValue);
+        const step = area.width / Math.max(1, points.length);
+
+        points.forEach((point, i) => {
+            const value = point.value || 0;
+            const bar = this.createElement('rect', {
+                x: area.left + step * i + step * 0.15,
+                y: area.y(value),
+                width: step * 0.7,
+                height: area.bottom - area.y(value),
+                fill: options.color || this.config.barColor,
+                rx: 2
+            });
+            bar.appendChild(this.createElement('title', {}, point.title || `${point.label}: ${formatValue(value)}`));
+            svg.appendChild(bar);
+        });
+
+        this.drawXLabels(svg, area, points, options.labelEvery || 1, step);
+        return svg;
+    }
+
+    // Same options as barChart, drawn as a filled line
+    lineChart(points, options = {}) {
+        const { width, height, lineColor } = this.config;
+        const formatValue = options.formatValue || (value => String(value));
+        const max = Math.max(0, ...points.map(p => p.value || 0));
+        const svg = this.createSVG(width, height);
+        const area = this.plotArea(svg, max, formatValue);
+        const step = area.width / Math.max(1, points.length);
+
+        const coordinates = points.map((point, i) => [area.left + step * (i + 0.5), area.y(point.value || 0)]);
+        if (coordinates.length > 0) {
+            const line = coordinates.map(([x, y]) => `${x},${y}`).join(' ');
+            const first = coordinates[0][0];
+            const last = coordinates[coordinates.length - 1][0];
+            svg.appendChild(this.createElement('polygon', {
+                points: `${first},${area.bottom} ${line} ${last},${area.bottom}`,
+                fill: lineColor, 'fill-opacity': 0.15
+            }));
+            svg.appendChild(this.createElement('polyline', {
+                points: line, fill: 'none', stroke: lineColor, 'stroke-width': 2
+            }));
+        }
+
+        this.drawXLabels(svg, area, points, options.labelEvery || 1, step);
+        return svg;
+    }
+
+    /**
+     * Calendar heatmap: one column per week, Sunday at the top
+     * @param days - [{ day, count }] starting on a Sunday (ReviewStats.heatmap)
+     */
+    heatmap(days) {
+        const { cellSize, cellGap, heatColors, axisColor } = this.config;
+        const pitch = cellSize + cellGap;
+        const weeks = Math.ceil(days.length / 7);
+        const top = 14;  // Room for month labels
+        const svg = this.createSVG(weeks * pitch, top + 7 * pitch);
+        const max = Math.max(0, ...days.map(d => d.count));
+
+        let lastMonth = null;
+        days.forEach(({ day, count }, i) => {
+            const week = Math.floor(i / 7);
+            const date = new Date(day);
+
+            // Month name above the first week that starts in it
+            if (i % 7 === 0 && date.getMonth() !== lastMonth) {
+                lastMonth = date.getMonth();
+                svg.appendChild(this.createElement('text', {
+                    x: week * pitch, y: 10, 'font-size': 10, fill: axisColor
+                }, date.toLocaleString('en', { month: 'short' })));
+            }
+
+            const level = count === 0 ? 0 : Math.max(1, Math.ceil(count / max * (heatColors.length - 1)));
+            const cell = this.createElement('rect', {
+                x: week * pitch,
+                y: top + date.getDay() * pitch,
+                width: cellSize,
+                height: cellSize,
+                fill: heatColors[level],
+                rx: 2
+            });
+            cell.appendChild(this.createElement('title', {}, `${date.toDateString()}: ${count} review${count === 1 ? '' : 's'}`));
+            svg.appendChild(cell);
+        });
+        return svg;
+    }
+}
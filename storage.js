@@ -0,0 +1,417 @@
+// Storage Module
+// Where progress and the review log are kept. IndexedDB stores one record per
+// card, so a rating writes one small record instead of re-serializing every
+// card; localStorage is the fallback where IndexedDB is unavailable.
+// Progress sets are named by their CARD_TYPES storageKey. Handwriting
+// attempts (attempts.js) are kept here too, a bounded number per card (and in
+// localStorage, in total).
+
+const PROGRESS_DB_NAME = 'charactercram';
+const PROGRESS_DB_VERSION = 2;
+
+// Which of a card's saved attempts (oldest first) to delete to keep `limit`:
+// every one between the first and the most recent (limit - 1)
+function excessAttempts(attempts, limit) {
+    if (attempts.length <= limit) return [];
+    return attempts.slice(1, attempts.length - limit + 1);
+}
+
+// Base class - every store implements these
+class ProgressStore {
+    constructor() {
+        this.name = 'Base';
+    }
+
+    // Get the store ready for use; resolves to the store
+    async open() {
+        return this;
+    }
+
+    /**
+     * Saved progress for one progress set: { progress, version }, or null when
+     * nothing has been saved. fromLocalStorage is set when the data still has
+     * to be written to this store.
+     */
+    async loadProgress(storageKey) {
+        throw new Error('loadProgress must be implemented');
+    }
+
+    // Write the given cards (hanzi) of a progress set; cards missing from progress are removed
+    async saveCards(storageKey, progress, characters) {
+        throw new Error('saveCards must be implemented');
+    }
+
+    // Replace a whole progress set, recording its format version
+    async replaceProgress(storageKey, progress, version) {
+        throw new Error('replaceProgress must be implemented');
+    }
+
+    async addReview(entry) {
+        throw new Error('addReview must be implemented');
+    }
+
+    // Every review log entry, oldest first
+    async getReviews() {
+        throw new Error('getReviews must be implemented');
+    }
+
+    async clearReviews() {
+        throw new Error('clearReviews must be implemented');
+    }
+
+    // Save a handwriting attempt { cardType, character, time, ... }, keeping at most limit per card
+    async addAttempt(attempt, limit) {
+        throw new Error('addAttempt must be implemented');
+    }
+
+    // One card's saved attempts, oldest first
+    async getAttempts(cardType, character) {
+        throw new Error('getAttempts must be implemented');
+    }
+
+    async clearAttempts() {
+        throw new Error('clearAttempts must be implemented');
+    }
+}
+
+// One JSON blob per progress set, with its version in <storageKey>Version
+class LocalStorageProgressStore extends ProgressStore {
+    constructor() {
+        super();
+        this.name = 'localStorage';
+        this.reviewLogKey = 'chineseCharReviewLog';
+        this.attemptsKey = 'chineseCharAttempts';  // { "cardType|character": [attempts] }
+        // localStorage is small and progress shares it: keep the most recent reviews,
+        // and attempts across all cards, up to these
+        this.reviewLogLimit = 2000;
+        this.attemptsTotalLimit = 200;
+        this.openError = null;  // Why IndexedDB wasn't used, when it failed to open (see openProgressStore)
+    }
+
+    async loadProgress(storageKey) {
+        const saved = localStorage.getItem(storageKey);
+        if (saved === null) return null;
+
+        return {
+            progress: JSON.parse(saved),
+            // Saves from before versioning are version 1
+            version: parseInt(localStorage.getItem(`${storageKey}Version`), 10) || 1
+        };
+    }
+
+    // localStorage can't write part of a blob, so this saves the whole set
+    async saveCards(storageKey, progress, characters) {
+        this.setProgressItem(storageKey, JSON.stringify(progress));
+    }
+
+    async replaceProgress(storageKey, progress, version) {
+        this.setProgressItem(storageKey, JSON.stringify(progress));
+        this.setProgressItem(`${storageKey}Version`, version);
+    }
+
+    // Progress comes first: when localStorage is full, saved attempts and then the review log are deleted to make room
+    setProgressItem(key, value) {
+        const expendable = [this.attemptsKey, this.reviewLogKey];
+        for (;;) {
+            try {
+                localStorage.setItem(key, value);
+                return;
+            } catch (error) {
+                const freed = expendable.shift();
+                if (freed === undefined) throw error;
+                console.warn(`localStorage is full; deleting ${freed} to save progress`);
+                localStorage.removeItem(freed);
+            }
+        }
+    }
+
+    async addReview(entry) {
+        let reviews = await this.getReviews();
+        reviews.push(entry);
+        reviews = reviews.slice(-this.reviewLogLimit);
+
+        // Out of space: drop the oldest half and try again
+        for (;;) {
+            try {
+                localStorage.setItem(this.reviewLogKey, JSON.stringify(reviews));
+                return;
+            } catch (error) {
+                if (reviews.length <= 1) {
+                    localStorage.removeItem(this.reviewLogKey);
+                    throw error;
+                }
+                reviews = reviews.slice(Math.floor(reviews.length / 2));
+            }
+        }
+    }
+
+    async getReviews() {
+        const saved = localStorage.getItem(this.reviewLogKey);
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    async clearReviews() {
+        localStorage.removeItem(this.reviewLogKey);
+    }
+
+    loadAttempts() {
+        const saved = localStorage.getItem(this.attemptsKey);
+        return saved ? JSON.parse(saved) : {};
+    }
+
+    async addAttempt(attempt, limit) {
+        const all = this.loadAttempts();
+        const key = `${attempt.cardType}|${attempt.character}`;
+        const attempts = [...(all[key] || []), attempt];
+        const excess = new Set(excessAttempts(attempts, limit));
+        all[key] = attempts.filter(saved => !excess.has(saved));
+
+        LocalStorageProgressStore.removeOldestAttempts(all, LocalStorageProgressStore.countAttempts(all) - this.attemptsTotalLimit);
+
+        // Out of space: drop the oldest half and try again, so attempts never keep progress from saving
+        for (;;) {
+            try {
+                localStorage.setItem(this.attemptsKey, JSON.stringify(all));
+                return;
+            } catch (error) {
+                const total = LocalStorageProgressStore.countAttempts(all);
+                if (total <= 1) {
+                    // Not even this attempt fits; free the space the saved ones took
+                    localStorage.removeItem(this.attemptsKey);
+                    throw error;
+                }
+                LocalStorageProgressStore.removeOldestAttempts(all, Math.ceil(total / 2));
+            }
+        }
+    }
+
+    static countAttempts(all) {
+        return Object.values(all).reduce((sum, saved) => sum + saved.length, 0);
+    }
+
+    // Delete the count oldest attempts across all cards from all
+    static removeOldestAttempts(all, count) {
+        if (count <= 0) return;
+        const oldest = Object.entries(all)
+            .flatMap(([key, saved]) => saved.map(attempt => ({ key, attempt })))
+            .sort((a, b) => a.attempt.time - b.attempt.time)
+            .slice(0, count);
+        for (const { key, attempt } of oldest) {
+            all[key] = all[key].filter(saved => saved !== attempt);
+            if (all[key].length === 0) delete all[key];
+        }
+    }
+
+    async getAttempts(cardType, character) {
+        return this.loadAttempts()[`${cardType}|${character}`] || [];
+    }
+
+    async clearAttempts() {
+        localStorage.removeItem(this.attemptsKey);
+    }
+}
+
+/**
+ * Object stores:
+ *   cards    { storageKey, character, progress }, keyed by [storageKey, character]
+ *   meta     { storageKey, version }, one per progress set ever saved
+ *   reviews  review log entries, auto-numbered in the order they were added
+ *   attempts handwriting attempts, auto-numbered, indexed by [cardType, character]
+ */
+class IndexedDBProgressStore extends ProgressStore {
+    constructor() {
+        super();
+        this.name = 'IndexedDB';
+        this.db = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            let blocked = false;
+            const request = indexedDB.open(PROGRESS_DB_NAME, PROGRESS_DB_VERSION);
+            request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => {
+                const db = request.result;
+                if (blocked) {
+                    // Opened after the other tabs closed, but this page already moved on
+                    db.close();
+                    return;
+                }
+                // Let a newer version open in another tab; this tab's saves fail from then on
+                db.onversionchange = () => {
+                    db.close();
+                    console.warn('Progress database closed: a newer version of the app was opened in another tab');
+                };
+                this.db = db;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            // Another tab still has an older version of the database open
+            request.onblocked = () => {
+                blocked = true;
+                const error = new Error('Character Cram is open in another tab. Close the other tabs and reload to use your saved progress.');
+                error.name = 'UpgradeBlockedError';
+                reject(error);
+            };
+        });
+    }
+
+    // Schema upgrades, one step per version so a database of any age catches up
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const cards = db.createObjectStore('cards', { keyPath: ['storageKey', 'character'] });
+            cards.createIndex('storageKey', 'storageKey');
+            db.createObjectStore('meta', { keyPath: 'storageKey' });
+            const reviews = db.createObjectStore('reviews', { keyPath: 'id', autoIncrement: true });
+            reviews.createIndex('time', 'time');
+        }
+        if (oldVersion < 2) {
+            const attempts = db.createObjectStore('attempts', { keyPath: 'id', autoIncrement: true });
+            attempts.createIndex('card', ['cardType', 'character']);
+        }
+    }
+
+    /**
+     * Run fn(transaction) and resolve with what it returns once the transaction
+     * commits (IDBRequests in the returned value are replaced by their results).
+     * fn runs synchronously, so records are copied before the caller changes them.
+     */
+    transaction(storeNames, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const requests = fn(tx);
+            tx.oncomplete = () => {
+                if (requests instanceof IDBRequest) {
+                    resolve(requests.result);
+                } else if (requests && typeof requests === 'object') {
+                    const results = {};
+                    for (const [name, request] of Object.entries(requests)) {
+                        results[name] = request.result;
+                    }
+                    resolve(results);
+                } else {
+                    resolve(requests);
+                }
+            };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // All keys of one progress set: [storageKey] sorts before [storageKey, any hanzi], [storageKey, []] after
+    cardRange(storageKey) {
+        return IDBKeyRange.bound([storageKey], [storageKey, []]);
+    }
+
+    async loadProgress(storageKey) {
+        const { cards, meta } = await this.transaction(['cards', 'meta'], 'readonly', tx => ({
+            cards: tx.objectStore('cards').index('storageKey').getAll(storageKey),
+            meta: tx.objectStore('meta').get(storageKey)
+        }));
+
+        if (!meta) {
+            // Never saved here: hand over any progress saved before IndexedDB was used
+            const legacy = await new LocalStorageProgressStore().loadProgress(storageKey);
+            return legacy ? { ...legacy, fromLocalStorage: true } : null;
+        }
+
+        const progress = {};
+        for (const record of cards) {
+            progress[record.character] = record.progress;
+        }
+        return { progress, version: meta.version };
+    }
+
+    saveCards(storageKey, progress, characters) {
+        return this.transaction('cards', 'readwrite', tx => {
+            const cards = tx.objectStore('cards');
+            for (const character of characters) {
+                if (progress[character]) {
+                    cards.put({ storageKey, character, progress: progress[character] });
+                } else {
+                    cards.delete([storageKey, character]);
+                }
+            }
+        });
+    }
+
+    async replaceProgress(storageKey, progress, version) {
+        await this.transaction(['cards', 'meta'], 'readwrite', tx => {
+            const cards = tx.objectStore('cards');
+            cards.delete(this.cardRange(storageKey));
+            for (const [character, record] of Object.entries(progress)) {
+                cards.put({ storageKey, character, progress: record });
+            }
+            tx.objectStore('meta').put({ storageKey, version });
+        });
+
+        // Once a set is in IndexedDB, any copy left in localStorage is stale
+        localStorage.removeItem(storageKey);
+        localStorage.removeItem(`${storageKey}Version`);
+    }
+
+    addReview(entry) {
+        return this.transaction('reviews', 'readwrite', tx => {
+            tx.objectStore('reviews').add(entry);
+        });
+    }
+
+    getReviews() {
+        return this.transaction('reviews', 'readonly', tx => tx.objectStore('reviews').getAll());
+    }
+
+    clearReviews() {
+        return this.transaction('reviews', 'readwrite', tx => {
+            tx.objectStore('reviews').clear();
+        });
+    }
+
+    // Adds the attempt, then trims the card's attempts in the same transaction
+    addAttempt(attempt, limit) {
+        return this.transaction('attempts', 'readwrite', tx => {
+            const attempts = tx.objectStore('attempts');
+            attempts.add(attempt);
+
+            // Ids grow with each attempt, so the card's keys come back oldest first
+            const keys = attempts.index('card').getAllKeys([attempt.cardType, attempt.character]);
+            keys.onsuccess = () => {
+                for (const id of excessAttempts(keys.result, limit)) {
+                    attempts.delete(id);
+                }
+            };
+        });
+    }
+
+    getAttempts(cardType, character) {
+        return this.transaction('attempts', 'readonly', tx =>
+            tx.objectStore('attempts').index('card').getAll([cardType, character])
+        );
+    }
+
+    clearAttempts() {
+        return this.transaction('attempts', 'readwrite', tx => {
+            tx.objectStore('attempts').clear();
+        });
+    }
+}
+
+/**
+ * Open the best available store: IndexedDB, or localStorage when IndexedDB is
+ * missing or refuses to open (e.g. some private browsing modes, or another tab
+ * blocking an upgrade). A localStorage store opened because IndexedDB failed
+ * has the error as openError, for the app to tell the user.
+ */
+async function openProgressStore() {
+    let openError = null;
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return await new IndexedDBProgressStore().open();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, saving to localStorage instead:', error);
+            openError = error;
+        }
+    }
+    const store = await new LocalStorageProgressStore().open();
+    store.openError = openError;
+    return store;
+}
@@ -0,0 +1,2715 @@
+// Auto-generated stroke data (Make Me a Hanzi, via hanzi-writer-data)
+//
+// Format, per character:
+//   strokes: SVG path outlines, one per stroke, in stroke order
+//   medians: centre line of each stroke as [x, y] points, in drawing direction
+// Coordinates use a 1024-unit box with the y axis pointing up: screen y = 900 - y.
+// Characters missing here fall back to the stroke order GIFs in img/.
+const STROKE_DATA = {
+  "是": {
+    strokes: [
+      "M 386 759 Q 374 763 348 769 Q 336 772 333 767 Q 326 760 335 744 Q 368 674 385 561 Q 389 527 408 503 Q 426 481 431 497 Q 434 507 435 522 L 434 546 Q 433 564 420 624 L 416 648 Q 406 706 403 728 C 399 755 399 755 386 759 Z",
+      "M 580 537 Q 598 513 613 505 Q 623 498 638 519 Q 653 544 681 679 Q 690 709 712 733 Q 725 745 714 758 Q 699 774 658 800 Q 643 809 572 793 Q 566 793 461 773 Q 421 766 386 759 C 357 753 374 720 403 728 Q 523 761 592 761 Q 610 764 619 755 Q 632 740 629 724 Q 608 585 591 567 C 577 541 577 541 580 537 Z",
+      "M 420 624 Q 424 623 430 624 Q 506 637 563 645 Q 585 649 577 661 Q 567 674 543 678 Q 513 681 416 648 C 388 638 390 627 420 624 Z",
+      "M 435 522 Q 438 521 447 522 Q 522 532 580 537 C 610 540 617 553 591 567 Q 585 571 577 572 Q 547 576 434 546 C 405 538 405 525 435 522 Z",
+      "M 525 418 Q 639 433 804 433 Q 882 433 888 443 Q 892 455 876 469 Q 816 514 753 494 Q 555 455 149 403 Q 127 400 143 383 Q 176 353 215 363 Q 344 399 477 413 L 525 418 Z",
+      "M 530 135 Q 534 204 538 262 L 540 287 Q 541 339 547 372 Q 554 393 525 418 C 503 438 464 440 477 413 Q 489 398 489 304 Q 488 253 487 160 C 487 130 528 105 530 135 Z",
+      "M 538 262 Q 547 258 563 260 Q 648 276 710 287 Q 737 293 726 307 Q 713 323 683 327 Q 653 330 540 287 C 512 276 509 271 538 262 Z",
+      "M 354 250 Q 375 292 386 301 Q 393 307 391 317 Q 388 327 375 337 Q 342 367 309 357 Q 300 354 304 342 Q 322 282 228 146 Q 224 142 220 136 Q 192 99 120 24 Q 113 18 123 16 Q 177 26 272 130 Q 278 140 287 149 Q 308 177 337 222 L 354 250 Z",
+      "M 337 222 Q 521 68 686 -15 Q 711 -28 771 -16 Q 822 -4 875 9 Q 909 19 916 30 Q 922 42 902 42 Q 823 52 775 53 Q 649 62 532 134 Q 531 135 530 135 L 487 160 Q 423 200 354 250 C 330 268 314 241 337 222 Z",
+    ],
+    medians: [
+      [[342,759],[364,740],[376,720],[420,502]],
+      [[394,757],[412,747],[476,764],[607,781],[645,772],[660,757],[669,744],[629,579],[615,543],[619,524]],
+      [[425,631],[451,644],[532,660],[567,655]],
+      [[441,528],[450,537],[566,554],[581,562]],
+      [[146,393],[193,384],[441,427],[792,467],[827,464],[880,449]],
+      [[483,412],[517,380],[509,187],[512,167],[528,144]],
+      [[545,268],[578,283],[666,303],[715,300]],
+      [[318,346],[345,311],[321,251],[286,189],[249,136],[196,78],[126,22]],
+      [[357,242],[359,226],[368,218],[463,149],[583,75],[686,28],[709,20],[755,18],[880,26],[907,34]],
+    ],
+  },
+  "在": {
+    strokes: [
+      "M 448 583 Q 554 605 668 624 Q 743 640 754 649 Q 764 658 759 667 Q 752 680 720 689 Q 689 696 655 684 Q 570 656 478 635 Q 474 634 471 633 L 415 623 Q 339 611 256 603 Q 216 599 244 579 Q 284 554 362 568 Q 375 571 391 572 L 448 583 Z",
+      "M 327 374 Q 385 452 448 583 L 471 633 Q 520 736 550 769 Q 566 785 560 799 Q 551 830 496 853 Q 480 862 461 855 Q 448 846 457 833 Q 475 808 474 781 Q 474 747 415 623 L 391 572 Q 346 484 297 414 L 266 372 Q 262 368 259 363 Q 192 281 47 162 Q 34 147 46 144 Q 52 141 66 149 Q 178 203 273 306 L 327 374 Z",
+      "M 273 306 Q 273 180 248 79 Q 236 28 270 -11 Q 271 -14 274 -16 Q 290 -32 302 -6 Q 317 34 316 79 Q 317 302 324 351 Q 327 364 327 374 C 327 377 316 391 297 414 Q 285 432 262 443 Q 252 444 249 438 Q 243 426 266 372 L 273 306 Z",
+      "M 623 312 Q 671 324 721 333 Q 767 345 775 351 Q 784 358 779 368 Q 772 380 742 387 Q 718 393 625 363 L 572 348 Q 571 349 569 348 Q 505 333 430 326 Q 393 319 419 302 Q 464 278 522 293 Q 544 299 573 302 L 623 312 Z",
+      "M 614 133 Q 618 226 623 312 L 625 363 Q 628 423 643 486 Q 647 498 626 512 Q 590 531 566 535 Q 550 538 542 529 Q 535 522 543 507 Q 567 473 567 449 Q 570 400 572 348 L 573 302 Q 574 220 571 128 C 570 98 613 103 614 133 Z",
+      "M 571 128 Q 477 118 370 104 Q 348 101 364 83 Q 379 68 398 62 Q 420 56 438 61 Q 567 94 842 93 Q 855 93 872 92 Q 894 92 899 101 Q 905 114 887 129 Q 824 177 763 157 Q 702 148 614 133 L 571 128 Z",
+    ],
+    medians: [
+      [[247,593],[289,585],[349,589],[497,615],[681,659],[747,661]],
+      [[467,843],[483,835],[511,802],[511,780],[424,585],[340,435],[278,348],[218,282],[127,204],[49,153]],
+      [[258,433],[297,362],[291,159],[280,54],[286,-6]],
+      [[422,315],[495,310],[699,357],[768,362]],
+      [[555,519],[592,491],[602,470],[594,157],[577,136]],
+      [[368,93],[420,84],[522,100],[801,128],[849,121],[887,108]],
+    ],
+  },
+  "有": {
+    strokes: [
+      "M 472 626 Q 601 647 868 646 Q 890 646 896 656 Q 902 669 883 684 Q 817 730 754 712 Q 714 705 486 666 L 435 659 Q 306 644 162 625 Q 138 622 156 603 Q 190 572 233 581 Q 321 606 421 619 L 472 626 Z",
+      "M 411 492 Q 442 549 472 626 L 486 666 Q 513 750 539 800 Q 546 810 540 821 Q 533 831 500 849 Q 476 861 466 857 Q 453 853 455 837 Q 465 753 437 664 Q 436 663 435 659 L 421 619 Q 354 462 198 305 Q 149 259 79 199 Q 72 190 78 188 Q 87 185 98 191 Q 291 290 388 451 L 411 492 Z",
+      "M 426 226 Q 430 283 435 324 L 438 351 Q 442 421 448 444 Q 449 451 449 456 C 451 474 451 474 427 485 Q 418 491 411 492 C 383 504 381 480 388 451 Q 418 337 366 150 Q 356 120 344 99 Q 323 63 353 17 L 355 15 Q 362 0 372 6 Q 408 27 424 197 L 426 226 Z",
+      "M 449 456 Q 525 472 604 489 Q 625 495 630 484 Q 651 429 649 119 Q 643 50 639 43 Q 635 37 615 41 Q 587 48 559 55 Q 540 61 540 51 Q 598 2 631 -35 Q 644 -54 660 -58 Q 670 -62 678 -52 Q 717 -1 716 52 Q 680 424 707 473 Q 719 492 707 503 Q 685 522 648 536 Q 629 543 614 536 Q 542 497 427 485 C 397 481 420 450 449 456 Z",
+      "M 435 324 Q 441 323 452 324 Q 531 337 590 346 Q 615 350 605 364 Q 593 379 567 383 Q 536 386 438 351 C 410 341 405 326 435 324 Z",
+      "M 424 197 Q 428 197 435 197 Q 526 209 593 215 Q 618 218 609 232 Q 599 248 572 253 Q 539 259 426 226 C 397 218 394 197 424 197 Z",
+    ],
+    medians: [
+      [[159,614],[213,605],[502,652],[789,682],[883,663]],
+      [[470,842],[497,805],[484,745],[443,612],[386,497],[329,411],[251,324],[169,252],[83,193]],
+      [[412,482],[418,471],[420,419],[414,294],[397,163],[370,73],[367,16]],
+      [[436,484],[456,474],[484,478],[626,515],[656,500],[670,483],[671,314],[681,115],[677,34],[659,2],[628,10],[550,48]],
+      [[439,330],[454,342],[548,361],[595,357]],
+      [[430,204],[442,213],[482,223],[552,233],[598,226]],
+    ],
+  },
+  "了": {
+    strokes: [
+      "M 526 549 Q 569 571 661 633 Q 704 664 732 669 Q 778 679 784 698 Q 787 708 749 753 Q 716 793 703 793 Q 336 721 301 716 Q 265 715 244 719 Q 225 723 216 711 Q 212 702 222 690 Q 232 675 260 657 Q 284 638 295 639 Q 305 638 328 653 Q 391 698 626 741 Q 671 750 677 746 Q 681 745 680 739 Q 679 729 522 577 Q 512 570 506 563 C 484 543 500 535 526 549 Z",
+      "M 506 563 Q 475 585 461 588 Q 448 591 448 567 Q 449 549 471 533 Q 513 497 525 417 Q 544 180 506 126 Q 505 126 505 124 Q 493 114 469 123 Q 430 130 383 141 Q 364 148 363 140 Q 363 137 456 50 Q 480 28 496 -3 Q 506 -13 518 -8 Q 534 -1 563 42 Q 614 127 585 436 Q 581 464 577 485 Q 568 528 526 549 L 506 563 Z",
+    ],
+    medians: [
+      [[228,705],[296,678],[401,712],[502,736],[666,768],[699,764],[716,739],[721,715],[534,568],[513,563]],
+      [[461,574],[532,506],[551,451],[564,290],[556,153],[541,101],[515,68],[470,84],[367,141]],
+    ],
+  },
+  "和": {
+    strokes: [
+      "M 357 706 Q 471 751 500 757 Q 518 758 522 765 Q 526 777 514 788 Q 453 833 417 829 Q 410 825 409 814 Q 409 768 161 660 Q 155 651 162 648 Q 192 648 288 682 Q 297 685 309 688 L 357 706 Z",
+      "M 383 515 Q 441 528 512 538 Q 528 539 530 548 Q 531 561 512 570 Q 484 583 461 577 Q 421 568 386 559 L 334 546 Q 169 510 81 500 Q 68 499 65 490 Q 61 480 77 468 Q 119 438 161 454 Q 254 484 321 502 L 383 515 Z",
+      "M 380 391 Q 383 493 383 515 L 386 559 Q 390 607 401 642 Q 410 657 407 670 Q 400 679 357 706 C 332 722 295 714 309 688 Q 333 649 334 609 Q 334 579 334 546 L 334 416 Q 327 170 317 123 Q 299 42 312 3 Q 315 -6 320 -18 Q 327 -36 335 -39 Q 341 -46 348 -37 Q 375 -21 375 42 Q 374 79 380 367 L 380 391 Z",
+      "M 321 502 Q 255 358 63 147 Q 56 137 68 135 Q 90 132 219 260 Q 279 321 334 416 C 397 523 334 529 321 502 Z",
+      "M 380 367 Q 387 360 403 351 Q 436 329 470 303 Q 483 293 497 295 Q 506 296 509 308 Q 512 321 502 346 Q 495 365 462 378 Q 390 399 380 391 C 361 384 361 384 380 367 Z",
+      "M 596 494 Q 584 501 547 510 Q 534 514 529 509 Q 522 502 530 484 Q 564 399 576 260 Q 577 218 599 190 Q 617 165 624 181 Q 633 203 631 245 L 626 285 Q 608 418 605 459 C 602 489 602 491 596 494 Z",
+      "M 848 318 Q 872 436 909 470 Q 927 492 909 511 Q 890 526 829 551 Q 808 558 785 548 Q 719 518 596 494 C 567 488 576 453 605 459 Q 615 460 628 465 Q 790 498 798 491 Q 811 481 810 454 Q 803 381 790 320 C 784 291 842 289 848 318 Z",
+      "M 631 245 Q 658 260 866 277 Q 879 278 880 289 Q 880 298 848 318 C 830 330 819 327 790 320 Q 700 298 626 285 C 596 280 603 234 631 245 Z",
+    ],
+    medians: [
+      [[512,771],[443,783],[398,752],[320,713],[165,654]],
+      [[77,486],[108,478],[146,479],[470,555],[519,551]],
+      [[317,684],[349,673],[365,652],[340,-26]],
+      [[329,497],[308,422],[266,356],[178,246],[69,143]],
+      [[385,385],[467,343],[495,309]],
+      [[536,501],[570,469],[573,457],[613,189]],
+      [[609,466],[627,484],[639,482],[794,521],[810,522],[825,515],[856,485],[855,475],[825,348],[797,326]],
+      [[631,252],[650,271],[787,295],[840,297],[870,289]],
+    ],
+  },
+  "到": {
+    strokes: [
+      "M 337 694 Q 398 707 463 717 Q 503 726 510 731 Q 520 738 515 748 Q 508 760 478 768 Q 453 774 346 743 Q 276 728 199 722 Q 162 716 187 698 Q 232 674 287 685 Q 288 686 291 685 L 337 694 Z",
+      "M 343 476 Q 383 491 445 507 Q 454 510 461 513 C 489 523 477 541 448 535 Q 360 519 266 491 Q 257 487 254 490 Q 253 493 258 501 Q 355 619 375 638 Q 388 648 382 661 Q 376 673 337 694 C 311 709 291 715 291 685 Q 291 637 290 632 Q 236 524 165 478 Q 138 456 185 417 Q 195 407 210 417 Q 240 442 305 464 L 343 476 Z",
+      "M 461 513 Q 489 465 501 462 Q 510 461 517 469 Q 524 479 526 507 Q 526 540 446 592 Q 434 599 428 599 Q 424 596 421 586 Q 421 576 438 551 Q 442 544 448 535 L 461 513 Z",
+      "M 372 311 Q 475 335 483 341 Q 492 348 487 357 Q 480 367 452 375 Q 413 381 374 361 L 319 344 Q 313 344 308 342 Q 259 330 200 324 Q 166 318 191 302 Q 230 281 296 296 Q 306 299 320 300 L 372 311 Z",
+      "M 367 202 Q 368 260 372 311 L 374 361 Q 380 445 375 450 Q 359 466 343 476 C 318 493 296 493 305 464 Q 315 436 319 352 Q 318 349 319 344 L 320 300 Q 320 255 322 190 C 323 160 366 172 367 202 Z",
+      "M 322 190 Q 258 177 192 160 Q 170 154 133 156 Q 118 155 116 144 Q 113 129 123 120 Q 148 101 184 78 Q 194 74 209 83 Q 255 114 306 134 Q 384 162 460 192 Q 490 204 511 219 Q 526 226 527 236 Q 521 243 507 241 Q 440 222 367 202 L 322 190 Z",
+      "M 573 596 Q 606 524 585 344 Q 576 308 607 273 Q 617 263 627 274 Q 643 302 644 392 Q 640 500 647 567 Q 653 589 633 601 Q 617 611 599 619 Q 586 623 577 618 Q 568 611 573 596 Z",
+      "M 767 696 Q 771 662 772 134 Q 771 112 760 103 Q 753 100 679 117 Q 645 132 647 120 Q 648 113 669 96 Q 738 38 754 7 Q 773 -30 791 -32 Q 807 -33 823 4 Q 842 53 841 133 Q 802 575 843 725 Q 861 758 800 782 Q 763 801 743 793 Q 724 786 741 761 Q 765 733 767 696 Z",
+    ],
+    medians: [
+      [[191,711],[212,705],[276,706],[460,743],[504,742]],
+      [[301,674],[331,651],[324,632],[278,560],[238,514],[220,470],[255,467],[428,518],[455,517]],
+      [[430,590],[494,514],[504,473]],
+      [[193,314],[252,309],[418,349],[477,351]],
+      [[313,462],[341,442],[346,418],[345,227],[328,199]],
+      [[131,140],[193,120],[520,234]],
+      [[586,607],[615,574],[616,564],[618,401],[611,325],[617,280]],
+      [[746,780],[768,768],[802,735],[796,400],[805,108],[784,56],[741,72],[654,120]],
+    ],
+  },
+  "对": {
+    strokes: [
+      "M 367 367 Q 404 431 428 515 Q 438 558 468 590 Q 487 609 468 622 Q 444 635 414 642 Q 386 651 360 634 Q 335 624 292 609 Q 244 597 194 590 Q 175 590 170 584 Q 166 571 192 555 Q 222 536 291 560 Q 349 588 356 588 Q 375 588 375 569 Q 356 463 325 400 L 301 356 Q 279 323 253 293 Q 199 235 94 173 Q 79 166 88 160 Q 95 157 117 166 Q 205 199 261 237 Q 298 264 335 316 L 367 367 Z",
+      "M 335 316 Q 372 276 412 227 Q 425 208 438 203 Q 445 202 453 210 Q 465 220 456 260 Q 450 299 367 367 L 325 400 Q 246 461 201 491 Q 194 495 190 485 Q 189 473 198 464 Q 247 415 301 356 L 335 316 Z",
+      "M 771 530 Q 786 536 914 549 Q 926 548 936 562 Q 937 575 912 587 Q 870 612 786 586 Q 779 585 772 582 L 720 570 Q 657 558 481 537 Q 448 533 474 513 Q 513 483 543 490 Q 622 508 720 522 L 771 530 Z",
+      "M 720 522 Q 721 383 724 145 Q 724 123 711 113 Q 702 109 615 121 Q 579 131 583 120 Q 586 113 607 100 Q 683 51 705 21 Q 730 -13 748 -13 Q 763 -13 776 23 Q 792 71 787 146 Q 771 338 771 530 L 772 582 Q 772 688 789 747 Q 805 778 748 802 Q 714 820 693 813 Q 674 806 692 782 Q 714 754 716 719 Q 717 703 720 570 L 720 522 Z",
+      "M 510 363 Q 540 332 571 296 Q 584 281 600 281 Q 610 280 617 293 Q 623 306 617 338 Q 610 377 510 412 Q 495 416 488 415 Q 482 411 483 399 Q 486 387 510 363 Z",
+    ],
+    medians: [
+      [[178,580],[194,572],[243,572],[363,611],[394,610],[414,595],[388,488],[363,418],[308,322],[244,252],[151,192],[93,165]],
+      [[200,481],[357,338],[406,286],[432,246],[440,216]],
+      [[475,526],[527,515],[853,571],[924,564]],
+      [[700,797],[718,789],[750,756],[744,583],[755,118],[746,88],[730,67],[590,120]],
+      [[492,407],[575,343],[600,299]],
+    ],
+  },
+  "给": {
+    strokes: [
+      "M 295 489 Q 291 490 285 489 Q 240 489 203 489 Q 170 488 187 508 Q 259 625 328 710 Q 343 728 340 736 Q 339 751 298 784 Q 282 797 263 795 Q 251 791 257 776 Q 278 724 162 539 Q 144 518 120 497 Q 101 482 102 470 Q 106 451 121 431 Q 131 421 145 427 Q 167 440 241 459 Q 263 462 279 466 C 308 472 325 489 295 489 Z",
+      "M 279 466 Q 182 334 159 322 Q 146 312 148 298 Q 149 285 177 265 Q 187 253 203 266 Q 263 311 357 346 Q 376 352 379 361 Q 382 371 361 367 Q 310 357 248 339 Q 221 329 238 351 Q 278 406 372 519 Q 400 558 427 579 Q 439 589 433 600 Q 423 619 388 639 Q 372 649 361 646 Q 351 642 353 626 Q 356 581 295 489 L 279 466 Z",
+      "M 106 149 Q 93 145 92 134 Q 92 119 103 111 Q 131 98 171 82 Q 183 81 195 92 Q 216 116 364 217 Q 383 230 397 245 Q 410 255 409 266 Q 400 272 301 225 Q 139 153 106 149 Z",
+      "M 631 664 Q 649 713 668 737 Q 677 749 669 763 Q 663 775 630 794 Q 599 809 580 805 Q 561 801 573 779 Q 591 751 584 723 Q 562 632 522 543 Q 483 458 426 361 Q 417 348 416 342 Q 415 330 428 335 Q 480 356 593 578 Q 605 605 619 634 L 631 664 Z",
+      "M 619 634 Q 620 633 622 631 Q 701 514 806 392 Q 825 371 855 373 Q 960 376 993 382 Q 1003 383 1004 389 Q 1005 393 991 401 Q 835 464 787 511 Q 763 532 631 664 C 610 685 601 658 619 634 Z",
+      "M 507 393 Q 473 384 498 370 Q 544 349 593 366 Q 645 379 700 394 Q 725 401 729 405 Q 736 412 732 421 Q 725 431 695 437 Q 667 441 638 427 Q 610 417 580 407 Q 546 398 507 393 Z",
+      "M 497 270 Q 485 276 456 281 Q 444 284 441 279 Q 434 273 443 257 Q 474 190 490 79 Q 494 46 512 24 Q 530 2 535 17 Q 541 35 538 66 L 532 102 Q 514 207 511 239 C 508 266 508 266 497 270 Z",
+      "M 754 137 Q 782 227 816 249 Q 834 268 818 287 Q 743 350 686 317 Q 590 284 497 270 C 467 265 481 234 511 239 Q 521 240 691 277 Q 710 281 719 274 Q 729 264 726 242 Q 714 187 700 141 C 691 112 745 108 754 137 Z",
+      "M 538 66 Q 550 65 562 67 Q 628 83 771 97 Q 783 98 784 109 Q 784 118 754 137 C 734 150 729 149 700 141 Q 697 141 696 140 Q 605 115 532 102 C 502 97 508 67 538 66 Z",
+    ],
+    medians: [
+      [[267,783],[282,768],[297,733],[220,595],[155,494],[150,472],[172,467],[227,471],[290,484]],
+      [[367,633],[386,592],[325,493],[220,359],[213,324],[248,318],[371,361]],
+      [[109,132],[171,126],[406,261]],
+      [[582,790],[602,779],[626,748],[617,714],[566,577],[525,495],[465,393],[425,343]],
+      [[640,655],[638,633],[760,493],[833,426],[865,413],[997,388]],
+      [[500,382],[564,381],[666,411],[721,415]],
+      [[450,271],[476,248],[484,232],[524,23]],
+      [[505,267],[528,258],[712,302],[741,296],[770,268],[735,165],[707,146]],
+      [[540,97],[562,87],[694,114],[752,116],[774,108]],
+    ],
+  },
+  "去": {
+    strokes: [
+      "M 532 554 Q 700 587 710 593 Q 720 602 715 611 Q 708 624 676 633 Q 645 640 611 628 Q 572 616 535 605 L 481 592 Q 406 579 324 571 Q 284 567 312 547 Q 354 520 417 533 Q 448 539 482 545 L 532 554 Z",
+      "M 522 387 Q 528 472 532 554 L 535 605 Q 538 714 558 779 Q 561 791 540 807 Q 503 826 476 831 Q 458 835 450 825 Q 443 818 451 801 Q 476 765 476 740 Q 480 670 481 592 L 482 545 Q 481 467 478 382 C 477 352 520 357 522 387 Z",
+      "M 497 351 Q 599 363 923 363 Q 945 362 951 372 Q 957 385 939 400 Q 881 445 840 436 Q 722 414 522 387 L 478 382 Q 297 363 86 340 Q 64 339 80 319 Q 96 303 115 297 Q 139 291 156 296 Q 288 330 436 345 Q 440 346 447 346 L 497 351 Z",
+      "M 653 140 Q 518 121 378 100 Q 368 99 365 101 Q 362 105 370 114 Q 485 267 530 305 Q 546 320 537 331 Q 527 343 497 351 C 469 361 446 369 447 346 Q 446 340 448 329 Q 454 257 331 132 Q 304 111 266 89 Q 221 71 239 28 Q 240 27 242 22 Q 252 0 268 -7 Q 277 -11 289 -5 Q 403 61 657 116 Q 661 117 667 118 C 696 124 683 144 653 140 Z",
+      "M 667 118 Q 733 7 743 1 Q 752 -2 762 6 Q 778 16 775 65 Q 775 123 616 241 Q 607 248 602 236 Q 598 223 607 209 Q 629 178 653 140 L 667 118 Z",
+    ],
+    medians: [
+      [[315,561],[338,554],[389,553],[541,579],[636,605],[704,604]],
+      [[463,815],[513,770],[502,412],[485,389]],
+      [[83,329],[138,319],[368,355],[850,400],[900,393],[938,379]],
+      [[454,342],[485,313],[427,216],[352,127],[327,71],[357,66],[632,125],[661,122]],
+      [[612,229],[678,155],[734,79],[751,23],[748,9]],
+    ],
+  },
+  "来": {
+    strokes: [
+      "M 529 635 Q 590 645 655 653 Q 716 663 725 671 Q 735 678 730 688 Q 723 701 695 710 Q 664 717 633 708 Q 584 695 533 682 L 483 673 Q 401 660 308 657 Q 271 653 296 634 Q 341 606 395 617 Q 438 624 484 629 L 529 635 Z",
+      "M 321 517 Q 346 492 372 462 Q 384 450 398 449 Q 408 449 413 461 Q 417 474 412 501 Q 405 531 320 560 Q 307 564 300 563 Q 296 559 296 548 Q 297 538 321 517 Z",
+      "M 637 574 Q 615 540 572 490 Q 565 483 571 475 Q 578 474 587 478 Q 671 530 712 550 Q 731 554 727 565 Q 721 581 702 602 Q 683 621 660 624 Q 644 624 645 604 Q 646 589 637 574 Z",
+      "M 542 376 Q 555 377 847 377 Q 869 376 874 385 Q 881 398 863 413 Q 809 456 768 449 Q 677 433 527 413 L 484 409 Q 337 396 166 379 Q 144 378 160 359 Q 175 343 193 337 Q 215 330 233 335 Q 330 359 439 368 L 542 376 Z",
+      "M 481 326 Q 481 161 456 68 Q 444 29 471 -34 Q 478 -52 486 -55 Q 493 -62 500 -53 Q 507 -49 518 -28 Q 528 -3 526 29 Q 525 69 526 356 L 527 413 Q 527 602 529 635 L 533 682 Q 537 722 547 756 Q 556 772 553 785 Q 546 795 490 829 Q 466 845 445 830 Q 441 826 447 809 Q 483 757 483 673 L 484 629 Q 487 548 484 409 L 481 326 Z",
+      "M 439 368 Q 432 349 414 325 Q 359 250 297 199 Q 245 153 139 89 Q 120 76 137 73 Q 167 67 269 118 Q 336 161 405 229 Q 448 274 474 315 Q 477 321 481 326 C 515 380 464 424 439 368 Z",
+      "M 526 356 Q 616 221 733 77 Q 752 53 787 53 Q 905 52 943 57 Q 953 60 956 65 Q 957 71 941 79 Q 785 142 732 186 Q 644 265 542 376 C 522 398 509 381 526 356 Z",
+    ],
+    medians: [
+      [[300,647],[322,639],[384,638],[489,651],[647,682],[719,682]],
+      [[304,554],[370,507],[397,465]],
+      [[660,609],[678,574],[575,482]],
+      [[163,369],[215,358],[372,381],[768,413],[812,409],[862,392]],
+      [[456,824],[486,800],[510,770],[505,291],[489,47],[491,-41]],
+      [[476,364],[392,253],[298,167],[211,110],[137,81]],
+      [[535,370],[578,310],[669,204],[771,105],[947,65]],
+    ],
+  },
+  "要": {
+    strokes: [
+      "M 593 768 Q 707 792 709 793 Q 718 800 714 808 Q 708 821 680 829 Q 650 838 550 808 Q 424 787 347 783 Q 311 779 336 761 Q 375 736 429 745 Q 486 754 546 762 L 593 768 Z",
+      "M 300 617 Q 285 623 248 627 Q 235 628 233 623 Q 227 616 237 601 Q 270 550 295 464 Q 301 437 319 422 Q 338 403 342 418 Q 343 422 343 429 L 341 456 Q 340 466 337 476 Q 318 546 310 579 C 303 608 301 617 300 617 Z",
+      "M 656 459 Q 672 431 688 421 Q 698 412 716 433 Q 728 449 761 540 Q 773 573 798 598 Q 813 611 802 626 Q 786 645 742 675 Q 721 685 704 679 Q 661 670 606 662 L 558 656 Q 507 649 452 640 L 405 633 Q 347 624 300 617 C 270 613 281 571 310 579 Q 353 591 410 600 L 453 608 Q 499 617 556 624 L 600 628 Q 619 632 641 634 Q 689 640 703 623 Q 712 613 709 601 Q 684 493 667 486 C 652 466 652 466 656 459 Z",
+      "M 452 640 Q 452 665 454 673 Q 457 692 444 704 Q 425 719 400 727 Q 388 731 380 726 Q 373 720 379 707 Q 391 685 405 633 L 410 600 Q 414 554 423 466 C 426 436 459 440 458 470 Q 454 552 453 607 Q 452 608 453 608 L 452 640 Z",
+      "M 606 662 Q 607 668 608 673 Q 611 688 627 733 Q 631 742 616 755 Q 604 762 593 768 C 567 783 531 788 546 762 Q 558 750 560 689 Q 559 674 558 656 L 556 624 Q 550 557 541 482 C 537 452 571 457 576 487 Q 588 560 600 628 L 606 662 Z",
+      "M 450 438 Q 562 453 656 459 C 686 461 694 474 667 486 Q 660 490 652 492 Q 619 499 576 487 L 541 482 Q 498 478 458 470 L 423 466 Q 380 462 341 456 C 311 452 313 430 343 429 Q 355 428 372 429 Q 394 433 419 434 L 450 438 Z",
+      "M 456 329 Q 465 353 485 381 Q 494 388 491 397 Q 487 410 450 438 C 427 457 414 464 419 434 Q 428 413 415 357 Q 409 341 404 324 L 388 283 Q 370 243 352 217 Q 342 199 345 187 Q 348 177 365 173 Q 447 152 483 125 L 526 101 Q 596 61 695 -17 Q 720 -38 738 -37 Q 759 -37 759 -17 Q 759 2 730 48 Q 714 79 561 138 L 513 157 Q 453 182 409 193 Q 388 197 400 217 Q 419 257 434 287 L 456 329 Z",
+      "M 643 351 Q 631 367 616 376 Q 597 391 587 389 Q 577 386 578 375 Q 579 360 579 343 L 573 299 Q 563 232 513 157 L 483 125 Q 480 124 479 122 Q 398 62 240 39 Q 230 39 225 36 Q 218 33 227 27 Q 231 24 246 23 Q 340 17 413 39 Q 468 54 526 101 L 561 138 Q 604 196 633 278 Q 637 291 642 301 C 653 329 656 336 643 351 Z",
+      "M 642 301 Q 730 305 839 301 Q 872 300 901 300 Q 925 299 930 309 Q 937 322 918 339 Q 855 388 784 373 Q 723 364 643 351 L 579 343 Q 491 337 456 329 L 404 324 Q 271 312 124 298 Q 99 297 116 275 Q 152 239 197 249 Q 288 271 388 283 L 434 287 Q 443 290 454 290 Q 506 297 573 299 L 642 301 Z",
+    ],
+    medians: [
+      [[339,773],[403,764],[536,782],[659,807],[705,803]],
+      [[243,616],[277,591],[331,423]],
+      [[308,612],[325,602],[661,654],[724,648],[753,613],[695,464],[696,440]],
+      [[387,718],[424,680],[439,484],[428,476]],
+      [[554,762],[591,730],[561,503],[546,490]],
+      [[349,450],[357,443],[410,448],[660,481]],
+      [[427,431],[445,415],[454,392],[371,198],[398,179],[482,150],[625,77],[687,38],[741,-19]],
+      [[590,377],[611,340],[602,280],[580,221],[545,158],[505,114],[447,75],[375,49],[303,35],[233,33]],
+      [[120,286],[176,275],[499,316],[798,339],[869,333],[917,316]],
+    ],
+  },
+  "可": {
+    strokes: [
+      "M 686 704 Q 770 716 912 703 Q 937 700 943 710 Q 950 723 938 736 Q 907 764 861 784 Q 846 790 819 781 Q 728 760 493 731 Q 156 695 143 694 Q 136 695 129 694 Q 114 694 113 682 Q 112 669 132 654 Q 150 641 182 629 Q 194 625 212 634 Q 257 649 406 674 Q 478 686 620 699 L 686 704 Z",
+      "M 293 536 Q 280 540 257 545 Q 244 549 241 543 Q 234 537 243 521 Q 270 463 285 367 Q 288 339 304 320 Q 322 298 327 313 Q 331 326 331 349 L 328 381 Q 313 477 311 505 C 309 531 309 531 293 536 Z",
+      "M 498 406 Q 520 481 545 503 Q 570 531 545 549 Q 523 562 493 583 Q 472 596 430 572 Q 367 548 293 536 C 263 531 281 501 311 505 Q 320 506 331 508 Q 380 518 422 527 Q 450 533 457 521 Q 464 515 456 482 Q 449 448 439 409 C 432 380 489 377 498 406 Z",
+      "M 331 349 Q 332 349 334 348 Q 344 345 359 349 Q 407 361 512 371 Q 524 372 524 382 Q 524 389 498 406 C 477 420 468 417 439 409 Q 378 391 328 381 C 299 375 302 357 331 349 Z",
+      "M 578 106 Q 556 113 526 120 Q 513 124 512 116 Q 513 107 524 96 Q 591 35 634 -13 Q 647 -23 663 -6 Q 711 57 707 146 Q 695 464 708 641 Q 715 672 708 685 Q 702 694 686 704 C 663 723 613 728 620 699 Q 629 678 637 576 Q 637 435 635 154 Q 634 117 622 104 Q 609 97 578 106 Z",
+    ],
+    medians: [
+      [[126,681],[187,663],[480,710],[845,747],[930,719]],
+      [[250,535],[271,517],[283,497],[316,319]],
+      [[302,534],[323,524],[451,554],[480,549],[503,523],[476,436],[447,415]],
+      [[335,355],[348,366],[438,386],[490,388],[515,381]],
+      [[627,698],[670,662],[670,122],[653,70],[636,56],[571,83],[520,114]],
+    ],
+  },
+  "以": {
+    strokes: [
+      "M 225 514 Q 229 492 229 411 Q 228 345 214 308 Q 210 268 173 219 Q 160 206 171 181 Q 183 150 200 138 Q 213 128 228 146 Q 288 239 477 437 Q 493 452 493 462 Q 494 469 487 467 Q 469 461 298 299 Q 283 287 276 291 Q 272 294 273 307 Q 282 532 286 557 Q 290 576 278 586 Q 265 599 217 612 Q 198 615 192 609 Q 185 602 197 582 Q 218 554 225 514 Z",
+      "M 446 658 Q 500 594 532 579 Q 548 575 559 589 Q 566 602 564 620 Q 552 668 461 698 Q 445 704 434 700 Q 427 699 429 686 Q 430 673 446 658 Z",
+      "M 695 336 Q 746 441 761 512 Q 794 656 810 685 Q 822 707 803 718 Q 748 761 717 752 Q 701 748 707 729 Q 723 693 716 602 Q 716 536 671 414 Q 599 240 430 137 Q 411 124 392 111 Q 376 101 391 97 Q 407 96 449 111 Q 524 142 580 192 Q 661 255 681 310 L 695 336 Z",
+      "M 681 310 Q 759 232 846 127 Q 862 105 879 98 Q 889 97 897 107 Q 912 120 900 169 Q 888 232 695 336 C 669 350 660 331 681 310 Z",
+    ],
+    medians: [
+      [[200,602],[243,569],[251,554],[254,397],[243,278],[252,253],[299,273],[488,462]],
+      [[442,689],[525,625],[539,601]],
+      [[720,737],[741,721],[762,691],[758,659],[742,552],[726,489],[691,389],[668,342],[628,277],[537,186],[490,152],[395,104]],
+      [[703,324],[708,307],[784,248],[851,181],[870,152],[881,114]],
+    ],
+  },
+  "从": {
+    strokes: [
+      "M 309 330 Q 336 436 346 565 Q 349 604 366 649 Q 373 662 362 672 Q 341 691 299 710 Q 274 722 255 716 Q 231 707 249 686 Q 282 652 281 615 Q 280 482 263 395 Q 227 212 112 102 Q 90 83 63 60 Q 50 53 46 47 Q 42 40 60 40 Q 96 36 193 118 Q 263 181 303 307 L 309 330 Z",
+      "M 303 307 Q 339 271 415 176 Q 428 157 442 151 Q 449 150 457 158 Q 469 170 461 210 Q 451 264 309 330 C 282 343 282 328 303 307 Z",
+      "M 647 367 Q 660 433 680 609 Q 683 655 702 709 Q 709 722 698 732 Q 677 751 635 770 Q 610 782 591 776 Q 567 767 585 746 Q 618 712 617 675 Q 616 503 591 391 Q 558 213 441 94 Q 413 69 375 36 Q 360 29 358 23 Q 352 16 372 15 Q 414 15 515 100 Q 591 169 637 326 Q 636 327 637 327 L 647 367 Z",
+      "M 637 327 Q 793 39 842 35 Q 911 34 970 32 Q 995 31 996 37 Q 997 44 971 59 Q 830 132 800 165 Q 718 256 647 367 C 631 392 623 353 637 327 Z",
+    ],
+    medians: [
+      [[257,700],[294,679],[320,647],[298,416],[272,307],[241,231],[188,149],[123,86],[54,45]],
+      [[318,322],[318,311],[415,227],[435,197],[443,164]],
+      [[593,760],[630,739],[656,707],[635,472],[601,308],[552,192],[516,140],[446,70],[366,21]],
+      [[650,359],[655,321],[711,235],[760,167],[820,101],[850,77],[991,38]],
+    ],
+  },
+  "跟": {
+    strokes: [
+      "M 194 711 Q 184 715 149 719 Q 137 720 135 715 Q 129 709 139 695 Q 167 649 191 568 Q 195 544 212 529 Q 231 510 234 526 Q 235 533 235 543 L 231 572 Q 219 594 205 683 C 201 709 201 709 194 711 Z",
+      "M 376 602 Q 392 672 415 694 Q 437 721 413 735 Q 352 768 347 768 Q 337 768 326 762 Q 289 737 194 711 C 165 703 176 677 205 683 Q 212 684 222 687 Q 265 700 303 709 Q 328 716 335 706 Q 342 700 336 667 Q 330 637 322 602 C 315 573 369 573 376 602 Z",
+      "M 291 557 Q 325 567 384 577 Q 394 578 394 586 Q 393 593 376 602 C 355 614 350 612 322 602 Q 270 584 231 572 C 202 563 206 537 235 543 Q 250 546 256 548 L 291 557 Z",
+      "M 312 258 Q 313 331 315 395 L 315 433 Q 319 532 316 537 Q 303 550 291 557 C 266 574 245 576 256 548 Q 268 518 270 494 Q 271 469 273 245 C 273 215 312 228 312 258 Z",
+      "M 315 395 Q 369 408 409 417 Q 433 424 422 436 Q 409 449 382 451 Q 357 451 315 433 C 287 421 286 388 315 395 Z",
+      "M 209 223 Q 194 364 197 398 Q 198 420 184 430 Q 162 446 134 453 Q 121 457 113 450 Q 106 444 113 430 Q 132 400 142 368 Q 151 337 171 211 C 176 181 212 193 209 223 Z",
+      "M 171 211 Q 107 192 80 191 Q 67 190 66 179 Q 65 166 74 158 Q 96 142 130 125 Q 140 122 152 131 Q 188 161 379 251 Q 406 264 425 279 Q 438 286 438 296 Q 432 302 420 298 Q 368 279 312 258 L 273 245 Q 240 235 209 223 L 171 211 Z",
+      "M 660 490 Q 661 489 663 485 Q 688 448 713 478 Q 728 496 737 540 Q 755 705 780 744 Q 795 766 779 782 Q 758 801 723 820 Q 704 827 686 819 Q 604 785 509 763 C 480 756 506 724 534 734 Q 667 780 688 770 Q 700 763 696 728 Q 686 629 675 546 Q 672 524 661 519 C 649 505 649 505 660 490 Z",
+      "M 527 600 Q 563 600 648 628 Q 648 629 649 629 Q 656 636 651 643 Q 644 652 621 655 Q 606 656 544 636 Q 535 635 526 631 C 498 620 497 599 527 600 Z",
+      "M 530 459 Q 534 460 540 460 L 561 467 Q 595 477 660 490 C 689 496 690 511 661 519 Q 634 528 572 504 Q 548 497 529 489 C 501 478 500 454 530 459 Z",
+      "M 509 763 Q 491 776 474 784 Q 453 791 444 785 Q 432 778 443 761 Q 509 634 468 169 Q 468 114 426 56 Q 413 38 423 13 Q 436 -17 451 -28 Q 467 -37 479 -17 Q 492 14 629 151 Q 648 167 653 177 Q 656 189 645 188 Q 635 188 531 123 Q 524 116 520 125 Q 530 306 530 459 L 529 489 Q 528 547 527 600 L 526 631 Q 525 680 533 721 Q 534 728 534 734 C 536 746 534 747 509 763 Z",
+      "M 685 340 Q 721 362 799 419 Q 818 435 844 447 Q 866 457 855 476 Q 840 494 813 509 Q 788 522 774 520 Q 761 519 765 504 Q 769 479 700 393 Q 685 377 669 356 C 651 332 660 324 685 340 Z",
+      "M 540 460 Q 541 456 547 449 Q 644 307 770 157 Q 791 135 826 134 Q 946 135 983 141 Q 993 144 996 149 Q 997 155 981 163 Q 813 224 734 295 Q 710 317 685 340 L 669 356 Q 617 408 561 467 C 540 489 524 485 540 460 Z",
+    ],
+    medians: [
+      [[144,708],[173,689],[178,678],[223,529]],
+      [[207,692],[228,706],[309,730],[336,737],[353,732],[376,710],[375,702],[355,628],[329,608]],
+      [[240,551],[248,561],[319,583],[385,586]],
+      [[264,543],[291,525],[295,471],[293,272],[276,259]],
+      [[321,401],[333,417],[358,427],[387,432],[413,428]],
+      [[123,441],[164,402],[188,238],[174,224]],
+      [[79,178],[127,164],[139,166],[362,258],[432,293]],
+      [[518,762],[543,752],[657,789],[700,795],[725,779],[739,759],[706,539],[690,498],[677,497]],
+      [[532,608],[560,624],[641,637]],
+      [[534,467],[554,483],[643,504],[654,512]],
+      [[452,773],[477,752],[497,720],[507,407],[490,110],[494,90],[500,83],[539,96],[645,180]],
+      [[774,510],[786,499],[799,470],[733,397],[687,357],[678,357]],
+      [[547,457],[559,454],[714,272],[810,185],[987,149]],
+    ],
+  },
+  "看": {
+    strokes: [
+      "M 493 738 Q 622 771 657 772 Q 675 771 679 777 Q 685 787 674 800 Q 629 848 588 853 Q 581 850 578 839 Q 574 808 393 748 Q 347 735 291 719 Q 284 712 289 708 Q 307 702 428 726 Q 435 727 444 728 L 493 738 Z",
+      "M 478 589 Q 554 605 635 618 Q 690 630 698 637 Q 707 644 703 652 Q 696 664 668 672 Q 640 679 610 668 Q 553 650 495 636 L 429 624 Q 377 617 318 611 Q 282 607 307 590 Q 346 563 401 576 Q 407 577 414 577 L 478 589 Z",
+      "M 427 456 Q 463 474 691 483 Q 746 486 809 487 Q 890 487 896 497 Q 902 510 884 525 Q 821 568 756 549 Q 650 528 486 500 Q 464 497 442 492 L 380 484 Q 256 468 117 448 Q 95 445 112 427 Q 127 412 146 407 Q 168 401 186 407 Q 271 432 364 447 L 427 456 Z",
+      "M 391 383 Q 410 420 427 456 L 442 492 Q 460 540 478 589 L 495 636 Q 495 637 496 637 Q 503 656 515 676 Q 527 688 523 703 Q 513 722 493 738 C 471 759 442 758 444 728 Q 450 692 434 642 Q 431 635 429 624 L 414 577 Q 398 529 380 484 L 364 447 Q 295 278 154 141 Q 118 104 82 69 Q 75 65 71 58 Q 67 48 77 47 Q 110 46 222 146 Q 252 176 283 212 Q 331 273 374 350 L 391 383 Z",
+      "M 417 368 Q 405 378 391 383 C 366 394 369 380 374 350 Q 402 194 368 76 Q 353 27 386 -8 Q 396 -21 405 -8 Q 415 4 420 26 L 426 59 Q 429 89 430 127 L 430 152 Q 430 189 431 228 L 431 254 Q 431 317 435 337 C 437 353 437 353 417 368 Z",
+      "M 604 46 Q 637 9 660 -28 Q 670 -46 681 -45 Q 697 -44 711 -9 Q 727 30 723 76 Q 713 157 702 306 Q 701 337 716 360 Q 725 373 715 382 Q 696 401 644 424 Q 625 433 611 423 Q 554 396 417 368 C 388 362 405 332 435 337 Q 453 338 597 372 Q 619 376 631 368 Q 650 352 651 79 Q 651 78 651 76 Q 648 66 640 63 C 624 38 589 63 604 46 Z",
+      "M 431 228 Q 435 227 444 228 Q 526 243 587 251 Q 609 255 601 268 Q 591 283 565 287 Q 540 290 431 254 C 403 245 401 231 431 228 Z",
+      "M 430 127 Q 436 126 448 127 Q 530 140 590 148 Q 614 152 605 164 Q 595 179 569 183 Q 547 187 430 152 C 401 143 400 129 430 127 Z",
+      "M 420 26 Q 426 26 432 27 Q 487 39 604 46 C 634 48 652 49 640 63 Q 636 70 616 84 Q 601 93 572 86 Q 493 68 426 59 C 396 55 390 24 420 26 Z",
+    ],
+    medians: [
+      [[670,784],[605,805],[499,761],[389,730],[293,713]],
+      [[309,602],[334,595],[388,595],[646,648],[691,648]],
+      [[115,437],[167,429],[515,490],[793,521],[851,515],[888,504]],
+      [[451,723],[483,697],[481,687],[410,484],[349,355],[277,243],[231,188],[148,106],[80,56]],
+      [[395,374],[406,327],[409,264],[407,160],[393,37],[396,-4]],
+      [[428,367],[437,359],[456,358],[629,399],[655,386],[673,367],[687,67],[675,31],[613,43]],
+      [[438,235],[448,245],[523,262],[556,267],[591,262]],
+      [[434,133],[447,144],[527,159],[573,165],[595,158]],
+      [[426,31],[440,45],[477,52],[584,67],[632,64]],
+    ],
+  },
+  "好": {
+    strokes: [
+      "M 330 202 Q 361 175 399 134 Q 415 119 424 118 Q 433 118 439 128 Q 446 138 442 170 Q 435 206 361 247 L 319 270 Q 292 286 258 304 Q 237 314 240 335 Q 261 393 281 453 L 293 492 Q 317 568 337 644 Q 347 690 366 715 Q 379 737 373 750 Q 360 769 313 797 Q 294 810 276 801 Q 263 794 273 778 Q 303 733 247 486 L 236 442 Q 218 373 195 336 Q 185 314 206 296 Q 254 268 294 233 L 330 202 Z",
+      "M 294 233 Q 287 226 281 217 Q 250 180 196 143 Q 183 134 165 124 Q 149 114 133 104 Q 120 95 131 92 Q 212 86 327 199 Q 328 200 330 202 L 361 247 Q 406 322 421 385 Q 449 488 463 510 Q 473 526 458 537 Q 416 576 387 569 Q 374 565 378 550 Q 387 531 387 507 L 385 481 Q 384 469 382 455 Q 375 376 319 270 L 294 233 Z",
+      "M 387 507 Q 341 501 293 492 L 247 486 Q 183 479 115 468 Q 94 465 61 471 Q 48 471 45 462 Q 41 450 49 441 Q 68 422 96 400 Q 106 396 118 402 Q 190 436 236 442 L 281 453 Q 320 463 362 474 Q 372 478 385 481 C 414 489 417 511 387 507 Z",
+      "M 671 521 Q 788 635 822 648 Q 843 655 835 672 Q 831 688 760 725 Q 739 735 716 725 Q 661 703 575 676 Q 553 669 498 669 Q 473 669 482 648 Q 491 635 511 623 Q 544 605 578 627 Q 597 636 691 676 Q 706 682 719 673 Q 732 664 726 649 Q 693 595 655 531 C 640 505 649 500 671 521 Z",
+      "M 717 430 Q 702 497 671 521 L 655 531 Q 648 535 640 538 Q 618 547 608 540 Q 595 533 608 519 Q 645 491 653 444 Q 656 434 659 421 L 668 384 Q 701 204 658 103 Q 643 76 607 83 Q 576 89 548 94 Q 536 97 542 85 Q 546 78 564 65 Q 604 31 618 5 Q 628 -14 645 -11 Q 660 -10 687 17 Q 775 107 726 391 L 717 430 Z",
+      "M 726 391 Q 783 397 947 397 Q 966 398 971 406 Q 977 416 960 430 Q 909 467 848 454 Q 793 445 717 430 L 659 421 Q 562 409 452 393 Q 431 392 447 375 Q 460 362 478 357 Q 497 351 514 356 Q 586 375 668 384 L 726 391 Z",
+    ],
+    medians: [
+      [[282,788],[307,769],[327,733],[264,465],[216,321],[235,298],[386,194],[411,166],[424,133]],
+      [[390,556],[417,530],[424,516],[422,504],[387,361],[338,255],[304,207],[260,165],[206,127],[137,97]],
+      [[59,457],[107,434],[373,491],[380,501]],
+      [[493,656],[517,646],[550,644],[680,692],[706,699],[743,696],[771,669],[765,657],[677,546],[674,535],[663,536]],
+      [[613,530],[637,519],[659,499],[674,474],[687,432],[711,289],[709,166],[692,92],[672,59],[648,41],[551,85]],
+      [[449,384],[504,377],[860,427],[906,426],[960,412]],
+    ],
+  },
+  "大": {
+    strokes: [
+      "M 494 476 Q 542 485 795 501 Q 817 502 822 512 Q 826 525 808 540 Q 750 580 707 569 Q 631 550 500 522 L 436 509 Q 331 490 213 469 Q 189 465 208 447 Q 241 420 294 432 Q 357 453 431 465 L 494 476 Z",
+      "M 487 437 Q 491 456 494 476 L 500 522 Q 510 711 528 763 Q 534 776 523 786 Q 501 805 459 822 Q 434 832 414 825 Q 390 816 410 796 Q 444 762 444 726 Q 445 602 436 509 L 431 465 Q 398 275 310 179 Q 303 173 297 166 Q 251 118 148 55 Q 133 48 130 43 Q 124 36 144 34 Q 195 34 300 104 Q 385 173 414 218 Q 444 266 480 396 L 487 437 Z",
+      "M 480 396 Q 501 357 575 245 Q 657 124 718 56 Q 746 22 774 22 Q 856 28 928 32 Q 959 33 959 41 Q 960 50 927 66 Q 753 144 719 174 Q 614 267 500 419 Q 493 429 487 437 C 469 461 465 422 480 396 Z",
+    ],
+    medians: [
+      [[210,458],[268,453],[514,503],[719,534],[770,529],[810,517]],
+      [[416,810],[444,799],[482,759],[469,518],[448,394],[426,320],[386,231],[361,196],[307,140],[202,67],[138,41]],
+      [[486,430],[500,393],[576,284],[660,182],[722,118],[774,77],[953,42]],
+    ],
+  },
+  "小": {
+    strokes: [
+      "M 499 695 Q 503 661 501 132 Q 500 110 488 101 Q 478 92 448 100 Q 414 107 383 113 Q 347 123 351 112 Q 352 105 375 91 Q 456 42 479 10 Q 504 -26 523 -25 Q 538 -26 552 11 Q 568 57 564 133 Q 531 583 572 723 Q 590 754 532 778 Q 498 797 477 789 Q 459 782 475 759 Q 497 731 499 695 Z",
+      "M 266 475 Q 223 408 170 349 Q 160 339 155 320 Q 148 292 154 273 Q 158 251 185 261 Q 213 274 237 308 Q 273 357 284 404 Q 297 441 293 470 Q 289 480 283 484 Q 273 484 266 475 Z",
+      "M 706 472 Q 769 411 842 323 Q 860 299 878 293 Q 888 292 897 303 Q 913 318 900 370 Q 887 431 709 508 Q 699 515 696 500 Q 695 484 706 472 Z",
+    ],
+    medians: [
+      [[484,773],[501,765],[533,730],[525,545],[532,191],[528,90],[510,54],[459,68],[358,112]],
+      [[280,476],[254,405],[170,274]],
+      [[709,494],[800,425],[848,380],[866,353],[879,311]],
+    ],
+  },
+  "多": {
+    strokes: [
+      "M 371 636 Q 419 669 477 726 L 493 742 Q 512 761 532 779 Q 545 788 535 806 Q 502 848 476 850 Q 466 851 464 836 Q 449 728 308 638 Q 274 617 256 603 Q 244 590 260 592 Q 278 592 352 625 L 371 636 Z",
+      "M 477 726 Q 476 726 477 725 Q 502 698 593 715 Q 612 716 618 708 Q 621 701 605 681 Q 553 605 464 527 Q 389 463 247 377 Q 231 367 246 364 Q 336 364 535 524 Q 538 528 543 531 Q 604 583 666 650 Q 690 677 729 701 Q 747 710 742 721 Q 741 731 681 764 Q 666 776 611 755 Q 512 743 493 742 C 463 739 458 739 477 726 Z",
+      "M 352 625 Q 355 618 373 599 Q 391 580 411 555 Q 420 545 432 543 Q 441 543 445 553 Q 449 563 446 587 Q 443 603 421 616 Q 400 625 371 636 C 343 647 339 648 352 625 Z",
+      "M 400 284 Q 499 359 524 381 L 552 409 Q 588 446 606 461 Q 616 471 614 481 Q 613 493 589 502 Q 564 512 551 511 Q 544 510 541 498 Q 511 405 285 251 Q 264 238 290 240 Q 324 243 375 270 L 400 284 Z",
+      "M 524 381 Q 564 360 646 388 Q 671 392 681 385 Q 688 378 658 323 Q 529 64 193 -47 Q 181 -50 182 -56 Q 182 -62 191 -62 Q 219 -66 283 -52 Q 344 -39 410 -4 Q 489 36 569 111 Q 648 184 734 311 Q 756 341 788 358 Q 807 365 808 376 Q 809 391 779 414 Q 742 445 725 447 Q 712 447 698 439 Q 641 424 552 409 C 522 404 495 389 524 381 Z",
+      "M 375 270 Q 375 267 460 175 Q 470 162 485 162 Q 495 161 501 173 Q 507 186 501 214 Q 495 247 400 284 C 372 295 358 294 375 270 Z",
+    ],
+    medians: [
+      [[476,838],[494,796],[452,737],[366,655],[336,634],[262,599]],
+      [[484,726],[630,734],[666,717],[645,678],[606,630],[494,520],[354,421],[250,370]],
+      [[358,625],[407,597],[421,583],[432,557]],
+      [[596,478],[567,472],[505,397],[398,306],[331,264],[295,249]],
+      [[531,383],[672,411],[722,402],[734,384],[682,294],[619,204],[510,93],[428,34],[338,-13],[270,-39],[190,-54]],
+      [[382,273],[402,266],[460,220],[486,178]],
+    ],
+  },
+  "少": {
+    strokes: [
+      "M 460 783 Q 502 714 482 443 Q 473 374 489 351 Q 489 348 492 344 Q 502 326 519 336 Q 529 345 531 420 Q 522 519 543 673 Q 544 704 564 743 Q 571 753 558 768 Q 501 816 468 804 Q 453 800 460 783 Z",
+      "M 292 583 Q 261 510 217 446 Q 193 406 212 371 Q 219 350 244 364 Q 269 382 286 417 Q 314 469 319 517 Q 326 554 318 582 Q 314 592 306 593 Q 296 592 292 583 Z",
+      "M 698 588 Q 747 542 807 475 Q 823 454 840 449 Q 849 448 857 459 Q 870 472 857 519 Q 848 561 773 593 Q 725 612 699 620 Q 689 626 687 613 Q 687 598 698 588 Z",
+      "M 643 470 Q 625 293 421 130 Q 405 120 388 107 Q 325 58 176 -19 Q 166 -26 172 -31 Q 181 -35 195 -33 Q 292 -11 382 38 Q 538 117 674 338 Q 698 374 726 407 Q 738 416 734 430 Q 728 443 696 471 Q 674 490 661 490 Q 645 489 643 470 Z",
+    ],
+    medians: [
+      [[470,791],[489,781],[518,745],[505,478],[509,346]],
+      [[305,582],[287,502],[227,374]],
+      [[698,608],[798,540],[821,514],[841,466]],
+      [[662,471],[678,436],[679,417],[605,284],[513,172],[439,107],[375,64],[270,8],[179,-27]],
+    ],
+  },
+  "很": {
+    strokes: [
+      "M 290 802 Q 302 766 218 660 Q 178 611 126 560 Q 116 551 113 546 Q 109 536 121 537 Q 170 537 316 695 Q 334 722 361 742 Q 371 751 368 764 Q 367 777 343 801 Q 321 820 303 823 Q 285 824 290 802 Z",
+      "M 261 379 Q 289 412 319 450 Q 347 490 372 509 Q 382 519 379 533 Q 376 546 350 573 Q 325 594 305 596 Q 286 596 292 573 Q 301 546 283 508 Q 205 372 58 226 Q 46 217 44 211 Q 40 201 54 201 Q 93 205 193 308 Q 212 327 233 348 L 261 379 Z",
+      "M 233 348 Q 251 330 246 245 Q 245 169 224 91 Q 220 72 228 40 Q 238 6 250 -4 Q 266 -20 278 6 Q 293 46 292 91 Q 296 260 304 299 Q 311 326 302 336 Q 278 361 261 379 C 240 401 217 373 233 348 Z",
+      "M 652 482 Q 653 475 656 468 Q 663 452 676 453 Q 691 456 698 472 Q 716 499 738 625 Q 753 680 789 713 Q 808 731 791 747 Q 772 763 718 789 Q 702 798 645 779 Q 624 779 491 735 C 463 726 488 695 517 704 Q 665 753 685 745 Q 698 738 693 695 Q 671 551 658 511 L 652 482 Z",
+      "M 508 582 Q 512 581 521 582 Q 579 595 621 604 Q 643 610 634 621 Q 622 634 598 636 Q 561 636 507 606 C 481 592 478 585 508 582 Z",
+      "M 537 462 Q 576 472 652 482 C 682 486 682 494 658 511 Q 654 514 649 517 Q 636 524 609 515 Q 554 499 509 488 C 480 481 508 455 537 462 Z",
+      "M 491 735 Q 475 748 459 756 Q 440 763 430 757 Q 420 750 429 733 Q 496 592 443 156 Q 433 116 398 73 Q 385 57 393 32 Q 403 4 417 -9 Q 430 -18 444 0 Q 462 28 621 140 Q 642 152 647 161 Q 653 171 642 173 Q 629 173 515 124 Q 496 115 496 134 Q 506 302 508 442 L 509 488 Q 508 537 508 582 L 507 606 Q 507 673 517 704 C 519 715 516 718 491 735 Z",
+      "M 670 325 Q 721 355 752 376 Q 836 434 854 440 Q 878 450 866 470 Q 853 489 825 506 Q 800 522 785 519 Q 772 518 775 503 Q 779 470 715 403 Q 687 375 655 340 C 635 318 644 310 670 325 Z",
+      "M 655 340 Q 604 389 545 453 Q 541 459 537 462 C 501 502 456 480 508 442 Q 533 426 553 398 Q 760 128 798 117 Q 840 110 958 131 Q 976 134 981 142 Q 985 149 974 153 Q 797 214 704 295 Q 686 310 670 325 L 655 340 Z",
+    ],
+    medians: [
+      [[301,810],[319,785],[326,763],[287,704],[188,596],[121,545]],
+      [[304,581],[320,565],[334,530],[291,462],[170,313],[111,253],[53,210]],
+      [[261,370],[261,345],[276,312],[257,75],[262,6]],
+      [[503,737],[526,725],[601,750],[695,768],[714,759],[736,732],[675,472]],
+      [[515,588],[524,598],[569,613],[593,618],[624,615]],
+      [[516,487],[550,481],[648,506]],
+      [[439,746],[454,734],[478,698],[487,559],[487,407],[477,225],[465,124],[468,87],[488,87],[524,100],[641,166]],
+      [[785,508],[810,469],[805,458],[749,402],[673,341],[664,342]],
+      [[511,480],[524,450],[672,287],[727,233],[798,176],[822,163],[856,156],[972,144]],
+    ],
+  },
+  "真": {
+    strokes: [
+      "M 537 684 Q 762 715 776 726 Q 786 733 782 743 Q 775 756 745 767 Q 714 776 680 765 Q 614 749 546 733 L 489 723 Q 395 710 286 706 Q 246 703 272 683 Q 315 656 398 666 Q 441 672 487 677 L 537 684 Z",
+      "M 518 589 Q 528 638 537 684 L 546 733 Q 547 748 566 800 Q 570 810 554 825 Q 523 844 502 851 Q 487 855 480 848 Q 473 842 478 828 Q 491 806 491 790 Q 491 759 489 723 L 487 677 Q 483 631 479 580 C 477 550 512 560 518 589 Z",
+      "M 383 572 Q 370 582 357 588 Q 345 591 336 587 Q 327 583 331 572 Q 346 539 353 458 Q 353 386 358 211 C 359 181 403 185 403 215 Q 403 245 403 273 L 403 296 Q 403 330 404 360 L 404 380 Q 404 417 405 451 L 405 467 Q 406 503 409 539 C 410 553 407 555 383 572 Z",
+      "M 670 240 Q 679 510 701 539 Q 716 554 703 572 Q 694 584 646 613 Q 631 623 609 614 Q 572 602 518 589 L 479 580 Q 434 574 383 572 C 353 571 380 533 409 539 Q 541 566 593 571 Q 614 574 620 566 Q 629 548 620 235 C 619 205 669 210 670 240 Z",
+      "M 405 451 L 406 451 Q 413 444 431 447 Q 513 460 575 467 Q 596 470 589 481 Q 579 494 557 499 Q 536 502 499 493 Q 448 478 405 467 C 385 462 385 462 405 451 Z",
+      "M 404 360 Q 413 357 427 358 Q 509 368 571 375 Q 592 378 585 389 Q 575 402 553 407 Q 531 411 404 380 C 375 373 375 367 404 360 Z",
+      "M 403 273 Q 410 272 421 273 Q 512 285 579 291 Q 600 294 592 305 Q 583 318 561 324 Q 542 328 504 320 Q 449 307 403 296 C 374 289 373 275 403 273 Z",
+      "M 506 183 Q 561 186 614 190 Q 758 202 901 185 Q 925 181 931 190 Q 938 203 927 216 Q 899 244 855 264 Q 840 271 815 263 Q 743 248 670 240 L 620 235 Q 532 228 484 223 Q 439 220 403 215 L 358 211 Q 319 210 292 205 Q 222 195 115 196 Q 100 197 99 185 Q 98 173 117 158 Q 133 145 164 133 Q 174 129 193 136 Q 211 142 286 153 Q 383 174 506 183 Z",
+      "M 378 127 Q 356 67 195 -32 Q 170 -44 200 -45 Q 275 -49 399 43 Q 433 68 448 78 Q 461 88 460 99 Q 459 112 433 126 Q 405 142 391 141 Q 384 140 378 127 Z",
+      "M 606 113 Q 660 59 724 -17 Q 742 -41 758 -46 Q 768 -47 777 -37 Q 792 -24 779 27 Q 772 72 690 112 Q 638 137 608 148 Q 598 155 595 140 Q 594 125 606 113 Z",
+    ],
+    medians: [
+      [[276,696],[321,686],[386,687],[548,707],[705,740],[770,738]],
+      [[490,838],[527,799],[501,606],[484,587]],
+      [[344,576],[367,550],[378,505],[381,237],[365,222]],
+      [[390,569],[420,558],[438,559],[609,593],[630,591],[649,575],[663,554],[653,458],[646,263],[625,249]],
+      [[406,455],[511,478],[559,482],[580,477]],
+      [[410,365],[419,373],[514,387],[555,390],[576,385]],
+      [[407,279],[440,291],[532,306],[562,307],[584,300]],
+      [[111,184],[169,164],[450,200],[831,229],[872,220],[919,199]],
+      [[443,97],[406,97],[327,25],[260,-15],[206,-35]],
+      [[607,135],[722,46],[741,23],[760,-29]],
+    ],
+  },
+  "吧": {
+    strokes: [
+      "M 140 567 Q 127 574 91 582 Q 78 586 73 581 Q 66 574 75 556 Q 106 475 121 347 Q 122 308 143 281 Q 162 256 168 273 Q 177 295 173 336 L 168 375 Q 152 496 149 534 C 146 564 146 564 140 567 Z",
+      "M 315 414 Q 337 517 366 549 Q 391 579 364 594 Q 342 606 311 624 Q 289 636 241 604 Q 205 586 140 567 C 111 558 120 525 149 534 Q 213 555 246 564 Q 273 571 280 561 Q 290 552 280 507 Q 270 462 258 411 C 251 382 309 385 315 414 Z",
+      "M 173 336 Q 260 366 333 382 Q 343 385 343 394 Q 343 401 315 414 L 258 411 L 257 411 Q 209 390 168 375 C 140 365 145 326 173 336 Z",
+      "M 774 475 Q 808 590 854 624 Q 873 646 856 666 Q 837 682 776 710 Q 755 717 730 708 Q 622 660 454 630 C 424 625 438 594 468 595 Q 490 594 518 603 Q 542 609 567 614 L 607 624 Q 658 637 711 650 Q 736 657 746 647 Q 758 635 753 611 Q 737 541 717 483 C 707 455 765 446 774 475 Z",
+      "M 567 614 Q 568 613 569 610 Q 572 601 567 442 C 566 412 612 424 616 454 Q 628 553 634 567 Q 646 592 607 624 C 584 643 556 642 567 614 Z",
+      "M 449 395 Q 456 388 467 384 Q 480 381 494 385 Q 585 412 784 441 Q 796 442 797 453 Q 797 460 774 475 L 717 483 Q 711 483 708 481 Q 659 468 616 454 L 567 442 Q 506 429 455 419 Q 451 419 450 417 C 428 411 428 411 449 395 Z",
+      "M 996 188 Q 980 216 955 304 Q 954 322 945 326 Q 938 330 935 310 Q 913 213 895 183 Q 876 155 812 137 Q 746 119 665 124 Q 595 128 539 153 Q 490 178 474 210 Q 444 268 449 395 L 450 417 Q 453 499 468 595 C 472 619 472 619 454 630 Q 441 643 416 651 Q 400 655 391 650 Q 384 646 390 625 Q 406 579 404 536 Q 394 262 419 186 Q 426 149 462 117 Q 579 27 815 63 Q 843 69 873 77 Q 934 96 992 140 Q 1014 159 996 188 Z",
+    ],
+    medians: [
+      [[80,574],[114,542],[118,528],[156,280]],
+      [[156,542],[160,555],[279,594],[301,590],[325,567],[292,439],[265,417]],
+      [[179,343],[190,362],[259,388],[316,396],[333,392]],
+      [[464,627],[474,618],[494,617],[610,644],[721,678],[746,681],[771,674],[801,641],[758,514],[725,488]],
+      [[574,615],[603,580],[592,472],[570,456]],
+      [[455,411],[484,403],[718,457],[786,453]],
+      [[399,641],[424,616],[434,590],[424,354],[439,220],[465,164],[517,124],[600,96],[675,88],[762,91],[868,116],[913,140],[947,174],[944,318]],
+    ],
+  },
+  "吃": {
+    strokes: [
+      "M 145 546 Q 133 552 105 557 Q 92 561 89 555 Q 82 549 91 533 Q 122 457 138 334 Q 139 297 160 272 Q 178 250 183 265 Q 192 289 186 331 L 181 363 Q 162 484 158 518 C 155 542 155 542 145 546 Z",
+      "M 317 391 Q 332 499 360 531 Q 382 559 358 572 Q 337 582 308 600 Q 287 612 247 583 Q 217 568 145 546 C 116 537 130 508 158 518 Q 158 519 162 520 Q 208 533 246 544 Q 273 551 280 541 Q 289 534 281 492 Q 274 446 264 392 C 259 362 313 361 317 391 Z",
+      "M 186 331 Q 225 344 328 363 Q 338 364 338 373 Q 338 380 317 391 C 294 404 292 403 264 392 Q 218 374 181 363 C 152 354 157 322 186 331 Z",
+      "M 525 594 Q 556 637 578 683 Q 606 741 634 787 Q 644 803 627 818 Q 570 851 548 845 Q 535 842 539 826 Q 563 715 445 559 Q 418 532 388 490 Q 381 472 397 478 Q 439 490 506 571 L 525 594 Z",
+      "M 506 571 Q 515 562 554 554 Q 578 551 674 572 Q 821 611 824 612 Q 834 621 828 631 Q 819 644 786 651 Q 752 657 718 642 Q 676 626 631 614 Q 582 602 525 594 C 495 590 481 587 506 571 Z",
+      "M 455 390 Q 439 387 437 379 Q 436 372 444 368 Q 481 361 514 369 Q 536 382 565 390 Q 589 396 591 389 Q 594 383 557 325 Q 398 115 487 36 Q 488 36 491 33 Q 525 5 597 -11 Q 760 -50 946 31 Q 976 43 970 65 Q 954 128 949 226 Q 945 241 938 241 Q 932 242 925 225 Q 915 189 903 150 Q 887 95 841 76 Q 798 52 698 48 Q 598 44 560 62 Q 526 78 514 112 Q 498 187 618 320 Q 655 363 692 381 Q 717 394 709 407 Q 702 423 648 451 Q 627 464 599 449 Q 523 406 455 390 Z",
+    ],
+    medians: [
+      [[98,547],[124,524],[130,511],[172,271]],
+      [[157,526],[167,536],[196,547],[285,573],[322,546],[295,417],[271,399]],
+      [[189,337],[199,352],[270,373],[329,372]],
+      [[551,832],[586,791],[550,687],[533,650],[484,575],[399,489]],
+      [[513,575],[636,588],[766,625],[805,627],[820,621]],
+      [[446,377],[504,385],[587,417],[621,416],[637,403],[615,361],[515,222],[486,141],[485,106],[500,69],[530,43],[566,28],[653,13],[754,15],[829,30],[889,54],[917,73],[938,234]],
+    ],
+  },
+  "喝": {
+    strokes: [
+      "M 149 589 Q 139 596 109 601 Q 96 605 93 600 Q 86 594 94 578 Q 125 502 139 378 Q 140 341 160 316 Q 176 294 183 309 Q 193 334 185 385 L 180 420 Q 164 528 162 560 C 160 583 160 583 149 589 Z",
+      "M 319 440 Q 338 536 366 565 Q 390 592 365 607 Q 302 640 299 641 Q 289 641 278 635 Q 239 608 149 589 C 120 583 133 552 162 560 Q 165 561 254 583 Q 279 589 286 579 Q 295 572 286 530 Q 279 490 267 445 C 259 416 313 411 319 440 Z",
+      "M 185 385 Q 239 398 330 409 Q 340 410 341 420 Q 341 427 319 440 L 267 445 Q 264 445 263 444 Q 217 429 180 420 C 151 413 156 378 185 385 Z",
+      "M 523 520 Q 526 530 527 541 L 526 564 Q 517 633 515 642 L 512 660 Q 503 715 503 734 C 502 758 502 758 480 765 Q 470 769 449 773 Q 436 777 433 771 Q 426 765 435 749 Q 463 683 480 577 Q 481 546 499 525 C 517 501 518 500 523 520 Z",
+      "M 677 555 Q 696 530 713 521 Q 723 514 738 535 Q 751 559 775 687 Q 782 718 805 744 Q 818 756 806 770 Q 791 786 748 811 Q 733 817 661 802 Q 655 802 652 800 Q 519 776 480 765 C 451 758 474 726 503 734 Q 566 752 677 767 Q 702 770 711 761 Q 724 748 722 733 Q 704 598 689 582 C 676 556 676 556 677 555 Z",
+      "M 515 642 Q 522 638 538 640 Q 614 653 671 661 Q 693 665 685 677 Q 675 690 651 694 Q 629 697 590 686 Q 547 671 512 660 C 487 652 487 652 515 642 Z",
+      "M 527 541 Q 531 541 539 541 Q 617 550 677 555 C 707 558 715 568 689 582 Q 683 586 676 587 Q 658 591 526 564 C 497 558 497 541 527 541 Z",
+      "M 498 420 Q 553 474 555 477 L 555 480 Q 552 498 523 520 C 504 535 504 535 499 525 Q 495 522 497 512 Q 507 479 420 389 Q 413 383 410 379 Q 406 372 416 371 Q 440 377 481 407 L 498 420 Z",
+      "M 616 404 Q 739 423 777 424 Q 790 424 795 417 Q 807 393 801 251 Q 795 145 764 85 Q 754 60 737 57 Q 725 54 661 74 Q 651 78 651 72 Q 650 68 662 58 Q 701 13 717 -19 Q 727 -38 739 -39 Q 755 -40 772 -23 Q 830 20 852 142 Q 865 224 876 348 Q 877 376 895 398 Q 908 411 908 420 Q 907 429 887 442 Q 859 463 822 474 Q 798 483 744 464 Q 725 461 700 454 Q 585 430 498 420 C 468 416 461 415 481 407 Q 484 403 496 399 Q 529 390 566 398 Q 572 399 578 399 L 616 404 Z",
+      "M 610 317 Q 647 371 648 374 Q 645 392 616 404 C 589 416 571 424 578 399 L 579 398 Q 589 356 529 276 Q 513 254 469 210 Q 462 206 471 203 Q 529 224 597 299 L 610 317 Z",
+      "M 597 299 Q 601 295 613 287 Q 653 260 695 229 Q 705 222 716 222 Q 723 223 726 232 Q 727 242 720 262 Q 713 284 679 299 Q 648 311 610 317 C 580 322 574 319 597 299 Z",
+      "M 449 301 Q 456 314 444 325 Q 426 344 398 355 Q 385 359 378 352 Q 372 348 382 332 Q 398 307 396 270 Q 395 183 364 140 Q 354 127 358 116 Q 365 98 380 84 Q 390 74 407 86 Q 488 137 679 129 Q 694 129 712 127 Q 733 123 742 129 Q 748 135 743 146 Q 737 158 702 179 Q 683 191 611 179 Q 596 186 442 152 Q 432 148 430 152 Q 423 158 427 174 Q 439 273 449 301 Z",
+    ],
+    medians: [
+      [[100,592],[128,568],[133,554],[172,316]],
+      [[162,568],[181,582],[288,610],[318,594],[328,582],[299,467],[274,451]],
+      [[189,392],[204,408],[262,422],[311,424],[331,419]],
+      [[442,763],[461,747],[475,724],[506,551],[518,527]],
+      [[485,761],[510,754],[696,789],[740,779],[761,754],[741,657],[720,573],[713,560],[691,557]],
+      [[520,657],[531,652],[604,671],[654,677],[675,671]],
+      [[533,547],[542,557],[655,569],[680,578]],
+      [[504,518],[522,483],[493,441],[419,379]],
+      [[486,409],[543,409],[779,449],[819,441],[846,412],[826,180],[809,103],[786,50],[772,31],[749,15],[675,57],[672,67],[656,71]],
+      [[586,394],[610,372],[597,340],[530,253],[486,216],[477,216],[476,208]],
+      [[604,301],[629,297],[676,274],[713,235]],
+      [[386,346],[421,310],[401,127],[447,129],[548,151],[663,158],[696,154],[733,137]],
+    ],
+  },
+  "喜": {
+    strokes: [
+      "M 532 717 Q 599 727 674 736 Q 746 748 757 757 Q 766 764 762 772 Q 756 785 728 794 Q 700 801 670 792 Q 603 774 535 760 L 477 750 Q 387 738 288 735 Q 252 731 276 713 Q 309 689 391 699 Q 434 705 480 710 L 532 717 Z",
+      "M 525 650 Q 528 684 532 717 L 535 760 Q 538 778 542 802 Q 546 812 548 819 Q 551 829 532 843 Q 501 859 478 863 Q 463 866 456 858 Q 449 851 457 837 Q 472 816 477 750 L 480 710 Q 481 677 483 640 C 485 610 522 620 525 650 Z",
+      "M 483 640 Q 422 633 360 623 Q 333 620 354 603 Q 388 579 412 586 Q 517 607 647 624 Q 657 623 665 635 Q 666 645 644 656 Q 616 677 529 651 Q 526 651 525 650 L 483 640 Z",
+      "M 357 530 Q 345 534 309 539 Q 297 540 295 535 Q 289 528 299 514 Q 324 477 345 412 Q 349 393 364 381 Q 383 362 386 378 Q 387 387 387 399 L 382 429 Q 370 477 366 498 C 360 527 360 529 357 530 Z",
+      "M 664 461 Q 685 501 709 515 Q 725 531 712 549 Q 696 562 649 587 Q 633 594 612 587 Q 503 548 357 530 C 327 526 337 492 366 498 Q 375 499 387 503 Q 489 522 586 540 Q 611 546 622 535 Q 629 528 615 470 C 608 441 649 435 664 461 Z",
+      "M 648 429 Q 658 432 672 432 Q 682 433 683 441 Q 683 448 664 461 L 615 470 Q 614 471 612 470 Q 485 442 382 429 C 352 425 357 400 387 399 Q 393 398 400 399 Q 470 415 610 426 L 648 429 Z",
+      "M 328 332 Q 373 275 387 272 Q 396 271 401 281 Q 407 293 403 317 Q 402 333 379 348 Q 327 379 312 375 Q 308 372 307 361 Q 308 352 328 332 Z",
+      "M 600 282 Q 616 300 648 344 Q 657 357 672 372 Q 688 382 680 393 Q 673 411 648 429 C 624 447 602 455 610 426 L 611 425 Q 617 398 573 298 Q 567 288 564 278 C 554 250 580 259 600 282 Z",
+      "M 504 232 Q 774 253 844 247 Q 943 244 945 244 Q 946 245 948 247 Q 955 260 943 272 Q 915 300 871 320 Q 856 326 830 318 Q 754 303 600 282 L 564 278 Q 378 262 284 248 Q 209 238 98 236 Q 85 236 83 225 Q 82 212 101 198 Q 117 185 149 173 Q 159 169 177 177 Q 196 184 274 197 Q 377 219 504 232 Z",
+      "M 352 160 Q 340 164 311 168 Q 298 171 295 165 Q 288 158 298 142 Q 328 90 349 2 Q 353 -23 370 -41 Q 391 -63 395 -46 Q 399 -34 397 -16 L 392 21 Q 376 97 372 125 C 367 155 367 156 352 160 Z",
+      "M 679 50 Q 706 119 736 138 Q 755 157 739 176 Q 723 191 668 218 Q 649 227 626 219 Q 515 177 352 160 C 322 157 343 119 372 125 Q 382 126 397 131 Q 500 149 600 167 Q 627 173 637 161 Q 644 154 643 136 Q 634 93 624 56 C 616 27 668 22 679 50 Z",
+      "M 397 -16 Q 439 -1 693 12 Q 705 13 707 22 Q 707 31 679 50 C 661 63 653 62 624 56 Q 495 31 392 21 C 362 18 368 -24 397 -16 Z",
+    ],
+    medians: [
+      [[280,725],[306,718],[361,717],[537,738],[695,769],[749,768]],
+      [[467,849],[506,814],[505,672],[489,648]],
+      [[355,614],[396,606],[608,643],[655,636]],
+      [[305,528],[335,507],[375,381]],
+      [[366,527],[377,516],[392,518],[624,564],[644,557],[665,532],[649,493],[623,479]],
+      [[390,423],[401,415],[608,448],[674,441]],
+      [[316,366],[377,315],[389,283]],
+      [[617,422],[642,389],[591,298],[570,282]],
+      [[96,223],[158,205],[460,248],[843,284],[926,264],[944,248]],
+      [[304,157],[333,136],[347,106],[383,-41]],
+      [[361,158],[372,148],[402,148],[614,192],[647,192],[688,156],[660,81],[631,61]],
+      [[398,-10],[415,7],[620,32],[670,31],[699,23]],
+    ],
+  },
+  "欢": {
+    strokes: [
+      "M 332 341 Q 366 413 398 520 Q 408 550 425 569 Q 441 585 428 597 Q 415 607 383 616 Q 359 622 335 606 Q 308 593 272 580 Q 235 568 174 558 Q 161 557 156 549 Q 152 542 171 535 Q 208 523 255 540 Q 309 562 318 563 Q 343 564 341 536 Q 323 439 292 370 L 269 328 Q 206 229 78 184 Q 66 177 78 172 Q 84 165 125 169 Q 224 181 303 293 L 332 341 Z",
+      "M 303 293 Q 405 182 415 179 Q 422 178 429 186 Q 439 196 430 234 Q 421 273 332 341 L 292 370 Q 213 428 168 455 Q 161 459 158 449 Q 157 439 166 429 Q 215 384 269 328 L 303 293 Z",
+      "M 526 595 Q 548 637 572 692 Q 584 726 596 743 Q 603 755 596 766 Q 590 778 559 794 Q 531 806 512 802 Q 496 798 507 778 Q 531 745 485 615 Q 463 554 429 486 Q 422 476 420 469 Q 419 457 432 463 Q 459 475 511 568 L 526 595 Z",
+      "M 511 568 Q 538 552 566 561 Q 641 600 728 615 Q 741 619 749 619 Q 765 609 764 601 Q 765 598 761 585 Q 737 516 745 513 Q 752 510 767 523 Q 815 563 855 578 Q 889 593 887 601 Q 886 611 813 653 Q 789 668 723 647 Q 695 647 526 595 C 497 586 484 581 511 568 Z",
+      "M 616 342 Q 628 414 647 449 Q 657 468 640 477 Q 622 492 607 498 Q 585 513 564 506 Q 551 502 556 486 Q 589 426 543 275 Q 542 272 540 266 Q 494 145 371 62 Q 359 53 348 44 Q 335 35 347 32 Q 408 32 489 102 Q 535 139 565 197 Q 604 288 608 305 L 616 342 Z",
+      "M 608 305 Q 618 295 626 279 Q 776 33 808 24 Q 892 24 934 30 Q 949 31 954 38 Q 958 44 949 48 Q 802 130 742 195 Q 691 247 629 328 Q 623 338 616 342 C 594 363 589 328 608 305 Z",
+    ],
+    medians: [
+      [[164,547],[229,550],[339,583],[376,574],[368,520],[339,423],[313,357],[279,299],[246,259],[189,214],[113,180],[85,178]],
+      [[167,445],[363,275],[399,234],[419,189]],
+      [[515,789],[551,759],[550,729],[490,567],[428,470]],
+      [[521,571],[630,609],[757,638],[785,629],[808,605],[749,517]],
+      [[568,493],[588,479],[606,454],[586,329],[547,217],[499,144],[453,99],[412,68],[353,38]],
+      [[616,335],[625,308],[678,231],[747,145],[815,77],[837,66],[946,40]],
+    ],
+  },
+  "想": {
+    strokes: [
+      "M 378 600 Q 403 607 431 612 Q 473 622 479 629 Q 488 636 483 645 Q 476 655 448 663 Q 424 666 380 652 L 338 638 Q 220 611 165 604 Q 129 598 155 582 Q 197 558 249 573 Q 280 580 319 587 L 378 600 Z",
+      "M 376 537 Q 376 567 378 600 L 380 652 Q 380 730 396 782 Q 403 795 401 806 Q 395 813 351 842 Q 332 855 315 844 Q 311 840 316 827 Q 337 794 338 709 Q 338 675 338 638 L 333 518 Q 333 424 315 361 Q 306 330 326 278 Q 330 265 337 261 Q 343 257 348 262 Q 355 266 363 283 Q 372 302 371 328 Q 371 352 375 509 L 376 537 Z",
+      "M 319 587 Q 265 479 123 317 Q 117 307 128 306 Q 143 303 251 408 Q 294 451 333 518 C 385 606 333 614 319 587 Z",
+      "M 375 509 Q 442 449 451 447 Q 452 447 454 447 Q 461 447 466 457 Q 469 467 463 489 Q 459 505 434 519 Q 409 529 380 537 Q 377 538 376 537 C 346 537 353 529 375 509 Z",
+      "M 563 703 Q 553 716 527 725 Q 518 729 508 725 Q 501 721 506 709 Q 527 654 525 501 Q 525 450 514 399 Q 501 348 535 309 Q 545 296 554 308 Q 561 320 564 332 L 567 362 Q 567 374 568 452 L 568 479 Q 568 527 568 561 L 569 590 Q 569 668 572 677 C 574 693 574 693 563 703 Z",
+      "M 725 348 Q 726 341 732 333 Q 745 305 754 306 Q 767 307 783 339 Q 796 364 796 384 Q 784 474 786 613 Q 786 653 808 688 Q 818 704 810 713 Q 783 735 739 753 Q 727 756 642 724 Q 606 714 563 703 C 534 696 543 671 572 677 Q 641 692 713 708 Q 716 708 720 706 Q 730 681 735 615 Q 736 429 727 382 L 725 348 Z",
+      "M 568 561 Q 640 576 692 584 Q 714 588 705 601 Q 695 614 671 617 Q 638 620 569 590 C 541 578 539 555 568 561 Z",
+      "M 568 452 Q 569 452 572 452 Q 642 462 695 469 Q 717 473 709 485 Q 699 498 675 503 Q 650 506 568 479 C 539 470 538 451 568 452 Z",
+      "M 564 332 Q 655 344 725 348 C 755 350 754 370 727 382 Q 726 383 720 385 Q 699 389 567 362 C 538 356 534 328 564 332 Z",
+      "M 229 227 Q 201 160 163 98 Q 141 62 160 26 Q 167 7 191 20 Q 215 38 230 72 Q 254 121 257 164 Q 261 200 255 226 Q 249 236 243 237 Q 233 236 229 227 Z",
+      "M 325 196 Q 340 85 420 27 Q 516 -39 719 -40 Q 762 -36 798 -23 Q 825 -13 828 3 Q 834 13 798 45 Q 746 105 709 164 Q 699 183 692 177 Q 686 171 701 86 Q 701 41 692 33 Q 677 27 642 25 Q 476 28 410 97 Q 380 125 369 175 Q 362 200 350 207 Q 337 214 328 211 Q 322 210 325 196 Z",
+      "M 481 225 Q 529 165 559 152 Q 574 148 583 161 Q 590 173 588 189 Q 576 238 496 261 L 495 262 Q 479 266 470 264 Q 463 263 465 251 Q 466 239 481 225 Z",
+      "M 751 243 Q 796 209 849 158 Q 865 139 882 137 Q 889 136 897 147 Q 907 160 892 203 Q 880 240 813 259 Q 773 269 750 273 Q 740 277 739 265 Q 740 252 751 243 Z",
+    ],
+    medians: [
+      [[157,594],[182,588],[219,590],[423,637],[473,639]],
+      [[324,838],[364,793],[356,497],[342,350],[342,272]],
+      [[333,584],[325,578],[310,522],[267,459],[229,410],[129,313]],
+      [[378,530],[391,515],[436,488],[453,455]],
+      [[515,716],[540,688],[543,676],[547,472],[539,352],[545,313]],
+      [[572,699],[581,693],[726,729],[747,718],[765,695],[759,628],[762,386],[755,317]],
+      [[576,568],[584,581],[619,591],[666,599],[696,594]],
+      [[570,459],[584,470],[639,481],[678,485],[699,479]],
+      [[571,339],[583,352],[704,366],[721,377]],
+      [[242,227],[221,135],[187,67],[177,32]],
+      [[333,202],[345,186],[374,108],[419,58],[490,20],[602,-4],[709,-2],[747,20],[731,81],[696,173]],
+      [[476,254],[543,203],[565,171]],
+      [[750,262],[846,208],[866,185],[881,155]],
+    ],
+  },
+  "知": {
+    strokes: [
+      "M 271 565 Q 304 608 327 654 Q 354 709 380 754 Q 390 767 373 782 Q 327 815 299 809 Q 287 805 291 790 Q 312 679 194 529 Q 188 526 144 469 Q 137 453 152 458 Q 188 468 259 549 L 271 565 Z",
+      "M 373 537 Q 535 579 540 583 Q 549 592 544 600 Q 537 612 506 618 Q 475 622 444 609 Q 410 596 370 584 Q 327 574 276 566 Q 273 566 271 565 C 245 560 245 560 259 549 Q 278 530 326 529 L 373 537 Z",
+      "M 387 342 Q 454 358 535 369 Q 553 370 554 379 Q 555 392 536 403 Q 500 418 395 388 L 338 376 Q 191 345 98 334 Q 85 333 81 324 Q 77 312 94 300 Q 139 270 181 285 Q 268 315 329 329 L 387 342 Z",
+      "M 329 329 Q 293 152 119 41 Q 106 31 119 28 Q 134 28 169 43 Q 224 68 264 108 Q 310 148 333 193 Q 343 214 353 233 Q 377 284 387 342 L 395 388 Q 407 460 421 486 Q 430 505 413 514 Q 398 524 373 537 C 347 551 315 557 326 529 Q 326 526 329 520 Q 350 484 338 376 L 329 329 Z",
+      "M 410 240 Q 447 197 492 135 Q 505 113 520 107 Q 529 106 537 114 Q 550 126 543 170 Q 537 212 476 242 Q 436 261 414 271 Q 407 277 403 265 Q 402 252 410 240 Z",
+      "M 601 466 Q 591 472 564 478 Q 551 482 547 477 Q 540 470 548 453 Q 582 362 596 218 Q 597 175 620 145 Q 636 121 643 137 Q 652 159 649 197 L 645 235 Q 623 392 619 434 C 616 459 616 459 601 466 Z",
+      "M 848 260 Q 869 398 912 442 Q 930 463 913 481 Q 826 541 775 510 Q 706 485 601 466 C 572 461 589 432 619 434 Q 635 434 656 440 Q 798 467 805 460 Q 821 447 819 419 Q 810 335 796 267 C 790 238 843 230 848 260 Z",
+      "M 649 197 Q 658 196 670 198 Q 731 211 862 221 Q 874 222 876 233 Q 876 242 848 260 L 796 267 Q 792 268 788 266 Q 709 245 645 235 C 615 230 619 198 649 197 Z",
+    ],
+    medians: [
+      [[303,796],[335,756],[307,672],[238,553],[153,467]],
+      [[267,550],[330,552],[382,561],[460,588],[510,596],[534,593]],
+      [[93,319],[126,311],[166,312],[452,380],[519,387],[542,382]],
+      [[334,527],[368,504],[379,486],[357,326],[333,250],[286,164],[226,99],[170,58],[123,35]],
+      [[413,260],[498,186],[515,157],[522,122]],
+      [[554,469],[581,443],[593,410],[632,143]],
+      [[610,464],[634,453],[809,491],[851,470],[862,457],[827,289],[803,273]],
+      [[654,204],[666,218],[786,240],[839,241],[866,233]],
+    ],
+  },
+  "道": {
+    strokes: [
+      "M 482 766 Q 533 697 557 694 Q 570 693 577 709 Q 580 722 571 742 Q 562 758 539 769 Q 503 788 488 791 Q 479 792 478 782 Q 477 775 482 766 Z",
+      "M 699 802 Q 684 772 633 701 Q 626 685 641 690 Q 686 720 740 764 Q 756 780 777 791 Q 796 801 785 817 Q 772 832 747 843 Q 725 853 713 850 Q 701 849 706 836 Q 710 820 699 802 Z",
+      "M 598 615 Q 682 630 819 635 Q 868 635 876 645 Q 880 655 865 667 Q 814 703 747 682 Q 597 651 398 616 Q 379 613 394 599 Q 407 587 423 583 Q 442 579 457 584 Q 508 600 566 609 L 598 615 Z",
+      "M 576 516 Q 589 529 602 546 Q 609 553 619 562 Q 632 571 626 581 Q 620 596 598 615 C 575 635 565 639 566 609 Q 569 594 537 508 C 527 480 555 495 576 516 Z",
+      "M 506 502 Q 505 505 500 506 Q 493 513 480 517 Q 471 521 461 518 Q 455 514 460 502 Q 475 439 475 353 Q 474 340 474 323 Q 474 292 464 252 Q 451 203 483 165 Q 493 153 502 164 Q 509 174 511 186 L 515 219 Q 515 256 515 294 L 515 320 Q 516 357 517 385 L 518 406 Q 519 458 521 463 Q 522 470 522 475 C 523 489 523 489 506 502 Z",
+      "M 686 203 Q 713 169 733 135 Q 742 119 753 119 Q 768 120 783 152 Q 799 189 795 233 Q 788 308 779 446 Q 778 474 793 495 Q 802 507 793 516 Q 775 534 728 555 Q 712 564 697 555 Q 654 534 587 519 Q 580 518 576 516 L 537 508 Q 518 505 506 502 C 477 496 493 468 522 475 Q 534 478 551 482 Q 620 495 678 510 Q 702 514 713 506 Q 743 470 727 238 Q 727 237 727 235 Q 723 216 705 225 Q 704 226 701 227 C 671 232 668 227 686 203 Z",
+      "M 517 385 L 664 405 Q 686 409 677 421 Q 667 434 643 438 Q 615 441 518 406 C 490 396 487 381 517 385 Z",
+      "M 515 294 Q 519 294 524 294 Q 609 307 671 313 Q 693 317 685 329 Q 675 342 651 348 Q 621 352 515 320 C 486 311 485 294 515 294 Z",
+      "M 511 186 Q 518 186 524 187 Q 576 197 686 203 C 716 205 725 208 701 227 Q 671 254 595 232 Q 552 225 515 219 C 485 214 481 185 511 186 Z",
+      "M 236 706 Q 261 679 289 647 Q 302 632 319 632 Q 329 631 337 645 Q 343 660 336 692 Q 332 713 301 730 Q 228 766 212 759 Q 206 755 207 742 Q 210 730 236 706 Z",
+      "M 302 180 Q 320 190 328 209 Q 340 246 300 309 Q 267 364 346 465 Q 368 483 348 499 Q 329 514 293 528 Q 271 541 253 523 Q 225 502 187 488 Q 136 467 120 470 Q 113 470 110 465 Q 109 461 117 456 Q 154 438 243 470 Q 253 473 262 460 Q 284 438 264 409 Q 218 360 264 289 Q 289 241 288 216 Q 285 200 281 182 C 276 161 278 162 302 180 Z",
+      "M 281 182 Q 239 183 200 170 Q 161 157 101 154 Q 94 154 90 146 Q 87 139 95 128 Q 111 109 135 96 Q 147 90 165 103 Q 246 154 315 138 Q 379 125 510 69 Q 735 -33 815 -5 Q 873 16 924 52 Q 946 67 923 66 Q 721 59 562 100 Q 483 122 384 159 Q 344 177 302 180 L 281 182 Z",
+    ],
+    medians: [
+      [[489,779],[541,737],[558,712]],
+      [[718,839],[732,824],[738,805],[643,700]],
+      [[396,608],[440,602],[618,638],[776,661],[812,662],[868,650]],
+      [[572,606],[592,579],[566,534],[554,522],[541,519]],
+      [[467,511],[489,483],[495,454],[495,314],[488,239],[493,170]],
+      [[514,498],[540,493],[713,534],[740,518],[755,501],[761,224],[749,191],[717,199],[700,219]],
+      [[524,390],[530,400],[602,415],[646,421],[668,415]],
+      [[520,301],[552,316],[630,329],[653,330],[675,323]],
+      [[517,191],[530,205],[692,224]],
+      [[217,751],[290,697],[318,652]],
+      [[117,463],[173,465],[263,496],[277,496],[302,477],[297,433],[266,359],[270,323],[302,260],[308,236],[308,212],[287,187]],
+      [[102,142],[145,127],[249,160],[332,156],[594,63],[752,29],[824,33],[914,58]],
+    ],
+  },
+  "学": {
+    strokes: [
+      "M 311 681 Q 332 656 354 626 Q 364 611 380 610 Q 390 609 397 621 Q 404 634 399 664 Q 395 694 313 727 Q 298 733 292 731 Q 288 728 287 715 Q 288 705 311 681 Z",
+      "M 456 744 Q 475 717 495 685 Q 504 672 517 669 Q 526 668 533 677 Q 540 689 539 715 Q 536 745 462 785 Q 450 792 444 791 Q 440 788 438 777 Q 439 767 456 744 Z",
+      "M 669 770 Q 642 724 586 650 Q 580 643 587 635 Q 594 634 603 639 Q 700 721 749 752 Q 768 759 763 770 Q 756 786 734 806 Q 712 824 688 825 Q 672 824 674 802 Q 678 787 669 770 Z",
+      "M 241 550 Q 231 569 222 576 Q 203 589 201 564 Q 207 527 148 466 Q 129 445 155 387 Q 170 360 190 388 Q 217 454 246 522 C 251 533 251 533 241 550 Z",
+      "M 246 522 Q 276 504 310 515 Q 472 560 708 577 Q 745 580 761 577 Q 776 570 775 563 Q 775 562 727 483 Q 720 470 725 464 Q 732 460 750 470 Q 813 507 862 516 Q 904 526 903 536 Q 902 546 832 605 Q 808 626 745 613 Q 598 600 365 564 Q 307 555 248 551 Q 244 551 241 550 C 211 547 218 534 246 522 Z",
+      "M 516 320 Q 519 321 599 382 Q 636 410 663 419 Q 682 425 676 441 Q 673 457 610 492 Q 592 502 570 494 Q 510 472 420 447 Q 396 440 339 442 Q 317 443 324 423 Q 331 411 350 400 Q 378 384 411 402 Q 433 411 546 449 Q 559 455 570 448 Q 582 441 576 427 Q 546 382 508 326 C 493 304 493 304 516 320 Z",
+      "M 538 295 Q 529 310 516 320 L 508 326 Q 502 330 498 332 Q 488 339 483 331 Q 479 327 486 314 Q 490 304 495 290 L 506 247 Q 518 163 508 105 Q 502 68 492 60 Q 489 57 408 73 Q 398 76 392 72 Q 388 71 402 59 Q 454 11 482 -28 Q 498 -46 516 -37 Q 538 -25 555 27 Q 579 117 557 250 L 538 295 Z",
+      "M 557 250 Q 701 269 878 253 Q 902 250 908 259 Q 915 272 903 284 Q 875 312 831 332 Q 816 338 790 330 Q 742 321 538 295 L 495 290 Q 384 281 328 274 Q 264 264 170 264 Q 157 264 155 253 Q 154 240 173 226 Q 189 213 220 201 Q 232 197 249 205 Q 265 211 332 221 Q 408 239 506 247 L 557 250 Z",
+    ],
+    medians: [
+      [[296,725],[307,710],[358,671],[381,628]],
+      [[447,782],[500,728],[518,686]],
+      [[690,808],[712,774],[619,668],[590,643]],
+      [[212,568],[221,546],[220,525],[175,444],[171,391]],
+      [[245,544],[279,532],[586,582],[759,597],[800,586],[821,553],[730,469]],
+      [[334,430],[355,420],[383,417],[557,471],[593,467],[617,442],[615,437],[577,388],[514,326]],
+      [[491,326],[514,296],[534,237],[540,136],[528,53],[504,17],[396,71]],
+      [[168,251],[231,233],[449,265],[815,296],[896,268]],
+    ],
+  },
+  "买": {
+    strokes: [
+      "M 303 652 Q 432 691 628 711 Q 665 715 679 713 Q 697 700 694 692 Q 694 691 661 607 Q 654 594 661 589 Q 668 585 686 598 Q 743 641 791 657 Q 831 673 829 682 Q 828 692 752 746 Q 730 762 651 749 Q 528 733 347 705 Q 298 698 248 692 Q 214 689 235 671 Q 268 643 303 652 Z",
+      "M 337 580 Q 388 517 416 516 Q 429 515 436 535 Q 437 548 427 570 Q 417 585 393 592 Q 356 607 341 609 Q 331 610 331 598 Q 330 589 337 580 Z",
+      "M 295 450 Q 323 428 351 399 Q 364 386 381 387 Q 391 387 397 401 Q 401 416 392 445 Q 386 464 355 479 Q 279 504 268 499 Q 264 495 264 482 Q 268 472 295 450 Z",
+      "M 538 311 Q 613 318 832 318 Q 854 318 859 328 Q 866 341 847 356 Q 792 398 748 390 Q 670 374 547 354 L 487 345 Q 345 329 182 308 Q 158 307 176 287 Q 192 272 211 266 Q 235 259 253 265 Q 352 290 463 303 Q 470 304 479 305 L 538 311 Z",
+      "M 531 287 Q 534 299 538 311 L 547 354 Q 547 414 572 539 Q 576 563 587 588 Q 594 601 584 609 Q 565 628 525 646 Q 501 658 482 651 Q 460 644 477 624 Q 508 590 506 556 Q 505 430 488 347 Q 487 346 487 345 L 479 305 Q 440 167 304 88 Q 261 64 197 35 Q 182 31 179 26 Q 173 20 190 16 Q 208 15 271 31 Q 317 41 384 79 Q 435 107 466 148 Q 500 191 522 257 L 531 287 Z",
+      "M 522 257 Q 622 160 740 22 Q 756 0 771 -6 Q 781 -7 789 3 Q 802 16 792 63 Q 779 141 531 287 C 505 302 501 278 522 257 Z",
+    ],
+    medians: [
+      [[240,682],[263,674],[293,674],[538,718],[684,734],[724,718],[743,691],[666,596]],
+      [[343,597],[404,553],[415,536]],
+      [[272,493],[347,448],[379,405]],
+      [[178,298],[234,288],[410,317],[765,355],[845,335]],
+      [[484,637],[520,616],[543,582],[518,353],[503,287],[475,216],[430,151],[364,96],[295,59],[186,23]],
+      [[540,276],[541,262],[654,169],[734,90],[762,47],[773,9]],
+    ],
+  },
+  "等": {
+    strokes: [
+      "M 348 756 Q 360 777 373 794 Q 383 806 369 819 Q 332 849 307 847 Q 297 844 298 831 Q 308 747 219 645 Q 210 642 181 603 Q 174 590 187 593 Q 203 596 224 612 Q 291 661 328 725 Q 328 726 330 728 L 348 756 Z",
+      "M 330 728 Q 370 721 433 730 Q 508 743 510 744 Q 517 751 514 758 Q 508 768 484 775 Q 459 781 432 772 Q 410 765 384 761 Q 366 758 348 756 C 318 753 300 733 330 728 Z",
+      "M 341 674 Q 377 619 398 615 Q 411 612 418 629 Q 419 641 413 660 Q 398 687 348 699 Q 339 700 337 690 Q 336 683 341 674 Z",
+      "M 628 782 Q 641 806 657 825 Q 664 837 652 849 Q 616 874 594 872 Q 584 871 586 857 Q 601 788 533 709 Q 517 690 509 678 Q 502 665 515 670 Q 557 676 614 759 L 628 782 Z",
+      "M 614 759 Q 653 744 712 757 Q 818 781 820 782 Q 827 789 823 797 Q 816 807 789 814 Q 770 817 684 792 Q 657 786 628 782 C 598 778 586 769 614 759 Z",
+      "M 630 667 Q 655 648 680 623 Q 692 613 704 613 Q 713 614 717 625 Q 721 637 713 661 Q 709 677 682 690 Q 619 711 608 707 Q 604 703 605 693 Q 608 683 630 667 Z",
+      "M 537 539 Q 676 572 679 573 Q 686 580 683 589 Q 676 599 648 607 Q 626 613 542 587 L 486 572 Q 429 562 365 556 Q 331 550 355 534 Q 392 513 462 525 Q 474 528 488 529 L 537 539 Z",
+      "M 526 453 Q 530 498 537 539 L 542 587 Q 545 600 547 610 Q 550 619 552 626 Q 555 636 538 648 Q 510 664 488 668 Q 475 671 468 663 Q 461 657 468 644 Q 481 628 486 572 L 488 529 Q 489 492 490 448 C 491 418 523 423 526 453 Z",
+      "M 585 424 Q 694 433 889 432 Q 910 432 915 441 Q 921 454 903 469 Q 843 515 777 496 Q 677 477 526 453 L 490 448 Q 318 429 117 404 Q 95 401 112 383 Q 127 368 146 362 Q 168 356 186 361 Q 370 412 544 421 L 585 424 Z",
+      "M 619 286 Q 670 289 779 289 Q 798 289 803 298 Q 809 308 792 322 Q 735 364 668 343 Q 646 340 621 333 L 561 323 Q 527 319 487 311 Q 364 293 220 274 Q 199 271 215 255 Q 228 242 246 237 Q 267 231 282 236 Q 417 275 561 282 L 619 286 Z",
+      "M 512 35 Q 496 39 473 44 Q 460 47 461 40 Q 461 33 472 23 Q 527 -26 562 -66 Q 574 -76 588 -60 Q 622 -11 624 90 Q 617 198 619 286 L 621 333 Q 621 346 623 359 Q 630 386 624 396 Q 615 409 585 424 C 559 438 534 449 544 421 Q 544 414 551 402 Q 560 378 561 323 L 561 282 Q 562 206 563 79 Q 562 46 551 34 Q 541 27 512 35 Z",
+      "M 361 176 Q 379 152 398 124 Q 408 109 424 107 Q 434 106 441 117 Q 448 130 445 160 Q 444 178 418 195 Q 358 229 344 227 Q 340 224 338 212 Q 339 200 361 176 Z",
+    ],
+    medians: [
+      [[311,834],[334,801],[309,740],[283,695],[245,649],[190,602]],
+      [[336,730],[357,741],[455,756],[506,753]],
+      [[349,687],[390,651],[401,632]],
+      [[596,862],[620,828],[600,776],[572,729],[518,678]],
+      [[621,762],[779,794],[816,791]],
+      [[612,699],[677,663],[702,629]],
+      [[358,546],[416,540],[545,562],[636,586],[676,580]],
+      [[479,654],[514,622],[510,477],[495,455]],
+      [[115,393],[168,384],[441,428],[814,467],[870,460],[903,448]],
+      [[218,264],[272,257],[453,290],[709,320],[746,317],[791,304]],
+      [[551,418],[580,398],[592,380],[594,81],[587,31],[566,-7],[520,9],[468,38]],
+      [[347,221],[407,166],[425,125]],
+    ],
+  },
+  "门": {
+    strokes: [
+      "M 299 746 Q 359 655 388 651 Q 404 647 415 669 Q 419 685 409 711 Q 399 733 371 747 Q 328 774 308 779 Q 296 783 294 768 Q 291 758 299 746 Z",
+      "M 180 682 Q 205 622 204 550 Q 205 277 161 146 Q 139 83 178 38 Q 191 22 203 38 Q 242 80 244 243 Q 250 564 267 644 Q 270 665 251 676 Q 226 698 194 708 Q 184 711 176 701 Q 172 694 180 682 Z",
+      "M 519 749 Q 500 750 505 738 Q 512 725 537 712 Q 553 702 618 719 Q 732 755 754 717 Q 761 698 765 648 Q 783 405 769 128 Q 768 88 753 76 Q 738 66 666 85 Q 650 89 650 79 Q 651 72 664 64 Q 728 16 762 -21 Q 784 -42 797 -39 Q 810 -36 822 -6 Q 838 40 837 110 Q 819 498 822 642 Q 822 685 835 709 Q 848 733 836 745 Q 826 761 775 787 Q 754 797 689 779 Q 598 758 519 749 Z",
+    ],
+    medians: [
+      [[304,770],[373,704],[393,669]],
+      [[187,695],[219,664],[230,646],[231,631],[219,280],[190,93],[191,44]],
+      [[514,741],[543,732],[570,732],[685,757],[739,761],[769,753],[793,731],[796,721],[801,86],[780,33],[725,47],[658,79]],
+    ],
+  },
+  "水": {
+    strokes: [
+      "M 535 506 Q 538 699 560 762 Q 578 793 520 817 Q 486 836 465 830 Q 447 823 463 799 Q 485 771 486 736 Q 490 697 478 121 Q 477 97 463 88 Q 454 81 432 88 Q 407 94 382 99 Q 348 111 351 100 Q 352 93 373 78 Q 440 24 457 -5 Q 476 -41 493 -42 Q 508 -43 524 -7 Q 543 41 541 117 Q 531 294 534 470 L 535 506 Z",
+      "M 154 501 Q 141 501 139 492 Q 138 485 153 477 Q 199 452 227 461 Q 333 489 343 489 Q 359 486 347 456 Q 296 326 249 262 Q 201 190 114 119 Q 99 106 110 103 Q 120 102 141 113 Q 217 153 281 224 Q 342 288 419 454 Q 429 478 441 489 Q 456 501 447 511 Q 437 524 399 537 Q 378 549 336 530 Q 270 509 154 501 Z",
+      "M 590 446 Q 630 476 766 584 Q 787 603 814 615 Q 838 627 825 647 Q 809 666 779 681 Q 752 696 738 692 Q 723 691 729 675 Q 735 639 659 553 Q 620 508 577 459 C 557 436 566 428 590 446 Z",
+      "M 577 459 Q 555 484 535 506 C 515 528 516 494 534 470 Q 756 161 817 160 Q 898 169 967 175 Q 995 178 996 185 Q 997 192 964 205 Q 810 253 753 295 Q 690 346 590 446 L 577 459 Z",
+    ],
+    medians: [
+      [[473,814],[500,795],[521,770],[508,455],[507,91],[485,42],[442,56],[371,91],[369,98],[358,98]],
+      [[147,491],[209,482],[354,512],[381,505],[392,495],[384,459],[353,387],[280,261],[187,160],[113,110]],
+      [[737,682],[750,671],[766,637],[721,583],[591,461],[590,452]],
+      [[539,500],[550,465],[618,387],[729,271],[782,229],[820,207],[990,185]],
+    ],
+  },
+  "电": {
+    strokes: [
+      "M 272 553 Q 244 569 214 577 Q 207 578 201 573 Q 192 566 203 554 Q 255 473 269 285 Q 270 222 312 187 Q 315 186 319 183 Q 338 177 339 213 Q 339 217 339 221 L 335 256 Q 308 376 296 514 C 294 541 294 541 272 553 Z",
+      "M 614 250 Q 633 220 652 212 Q 665 202 683 228 Q 705 267 745 475 Q 755 512 783 542 Q 799 557 785 574 Q 766 593 716 625 Q 695 634 610 614 Q 603 614 498 594 L 445 585 Q 424 582 405 578 Q 332 563 272 553 C 242 548 267 505 296 514 Q 295 515 298 515 Q 356 533 445 548 L 496 557 Q 548 567 612 576 Q 657 583 671 567 Q 690 545 686 521 Q 647 301 624 286 C 609 260 608 259 614 250 Z",
+      "M 491 397 Q 543 406 589 411 Q 614 414 605 428 Q 595 444 568 449 Q 526 456 492 440 L 443 428 Q 389 418 344 406 Q 326 402 347 386 Q 359 377 442 390 L 491 397 Z",
+      "M 490 240 Q 544 247 614 250 C 644 251 646 266 624 286 Q 621 290 616 293 Q 600 302 490 280 L 437 270 Q 383 263 335 256 C 305 252 309 221 339 221 Q 346 220 358 222 Q 389 229 437 234 L 490 240 Z",
+      "M 942 61 Q 921 119 913 220 Q 912 236 905 244 Q 898 251 892 235 Q 877 175 861 130 Q 854 99 825 81 Q 791 44 630 46 Q 569 52 545 64 Q 526 77 513 101 Q 494 141 490 240 L 490 280 Q 490 344 491 397 L 492 440 Q 493 506 496 557 L 498 594 Q 504 682 515 724 Q 522 746 492 769 Q 467 785 445 797 Q 426 810 408 798 Q 396 792 418 763 Q 443 729 444 680 Q 445 647 445 585 L 445 548 Q 444 496 443 428 L 442 390 Q 441 368 441 344 Q 438 304 437 270 L 437 234 Q 437 101 490 40 Q 544 -21 756 -10 Q 850 -6 920 27 Q 953 36 942 61 Z",
+    ],
+    medians: [
+      [[209,564],[250,530],[264,503],[301,265],[324,195]],
+      [[280,549],[305,538],[625,599],[666,600],[703,588],[732,556],[710,476],[688,359],[655,254],[660,224]],
+      [[345,396],[404,401],[531,428],[571,429],[594,422]],
+      [[343,227],[355,240],[373,244],[596,273],[614,282]],
+      [[416,788],[449,765],[476,728],[463,224],[476,126],[489,89],[507,62],[540,37],[620,19],[743,19],[837,40],[886,68],[901,235]],
+    ],
+  },
+  "路": {
+    strokes: [
+      "M 195 702 Q 183 708 157 713 Q 144 717 141 712 Q 134 706 142 690 Q 167 638 179 551 Q 182 526 196 508 Q 212 486 219 501 Q 222 508 223 518 L 223 548 Q 217 569 210 674 C 208 696 208 696 195 702 Z",
+      "M 385 575 Q 407 654 432 675 Q 457 700 433 717 Q 372 756 363 754 Q 354 754 347 749 Q 301 721 195 702 C 165 697 182 664 210 674 Q 211 677 315 698 Q 346 705 353 692 Q 360 686 351 655 Q 342 619 330 576 C 322 547 377 546 385 575 Z",
+      "M 297 533 Q 334 542 395 549 Q 404 550 405 558 Q 405 564 385 575 C 367 586 359 584 330 576 Q 269 560 223 548 C 194 540 193 519 223 518 Q 229 517 237 519 Q 244 522 255 524 L 297 533 Z",
+      "M 311 261 Q 314 334 318 394 L 320 428 Q 321 444 322 460 Q 326 506 322 512 Q 309 525 297 533 C 273 551 249 553 255 524 Q 264 484 267 406 Q 267 349 267 244 C 267 214 310 231 311 261 Z",
+      "M 318 394 L 416 409 Q 440 416 430 428 Q 417 443 390 445 Q 366 445 320 428 C 292 418 288 389 318 394 Z",
+      "M 199 220 Q 190 329 195 365 Q 196 387 183 397 Q 161 413 134 422 Q 121 426 112 420 Q 105 414 112 399 Q 128 374 137 345 Q 143 317 160 207 C 165 177 201 190 199 220 Z",
+      "M 160 207 Q 91 186 71 185 Q 58 184 56 172 Q 55 159 65 150 Q 90 135 125 118 Q 135 115 148 125 Q 178 152 352 243 Q 376 256 393 271 Q 406 278 406 289 Q 396 296 311 261 L 267 244 Q 233 234 199 220 L 160 207 Z",
+      "M 575 662 Q 624 758 635 768 Q 642 780 637 792 Q 633 804 602 823 Q 575 838 557 835 Q 539 832 549 812 Q 562 790 556 770 Q 538 703 507 638 Q 476 577 431 506 Q 424 496 421 489 Q 420 479 432 482 Q 445 486 494 542 L 507 560 Q 525 584 563 643 L 575 662 Z",
+      "M 442 230 Q 542 311 626 419 L 651 454 Q 694 515 738 585 Q 757 613 792 644 Q 807 656 801 665 Q 800 675 736 697 Q 723 704 678 685 Q 597 666 575 662 C 546 656 537 654 563 643 Q 591 622 654 642 Q 679 648 687 638 Q 694 620 613 486 L 593 455 Q 488 314 357 194 Q 344 181 358 182 Q 368 183 434 224 L 442 230 Z",
+      "M 626 419 Q 714 325 789 252 Q 808 233 835 236 Q 985 258 993 274 Q 997 281 986 284 Q 820 330 738 387 Q 698 415 651 454 L 613 486 Q 583 514 550 545 Q 537 561 518 562 Q 511 562 507 560 C 477 558 467 555 494 542 Q 530 529 593 455 L 626 419 Z",
+      "M 493 218 Q 459 236 442 230 C 433 229 433 229 434 224 Q 433 218 439 205 Q 467 142 481 40 Q 482 9 500 -12 Q 518 -34 523 -19 Q 529 -4 527 21 L 523 57 Q 508 154 506 186 C 504 212 504 212 493 218 Z",
+      "M 746 80 Q 773 164 805 186 Q 821 205 807 224 Q 791 237 737 264 Q 718 273 696 264 Q 621 237 493 218 C 463 213 477 180 506 186 Q 513 187 523 190 Q 602 203 678 216 Q 697 220 705 212 Q 715 202 713 182 Q 703 130 692 87 C 685 58 737 52 746 80 Z",
+      "M 527 21 Q 534 20 546 22 Q 613 35 758 44 Q 770 45 771 54 Q 771 61 746 80 L 692 87 Q 691 87 690 87 Q 596 66 523 57 C 493 53 497 22 527 21 Z",
+    ],
+    medians: [
+      [[148,704],[176,680],[185,660],[208,508]],
+      [[206,699],[217,691],[355,723],[385,707],[395,694],[365,602],[337,582]],
+      [[230,526],[247,538],[309,554],[378,562],[396,557]],
+      [[263,520],[290,500],[293,489],[290,286],[272,253]],
+      [[324,399],[332,410],[350,418],[386,425],[420,421]],
+      [[121,411],[163,370],[177,235],[163,219]],
+      [[71,170],[129,158],[403,285]],
+      [[558,822],[582,804],[596,781],[589,759],[530,631],[463,526],[429,490]],
+      [[571,645],[671,665],[699,664],[732,651],[684,552],[583,402],[449,257],[359,188]],
+      [[500,544],[515,548],[528,543],[709,372],[822,288],[890,278],[987,277]],
+      [[443,221],[472,197],[479,180],[512,-13]],
+      [[503,216],[516,205],[528,206],[673,236],[722,238],[757,203],[727,111],[699,92]],
+      [[531,28],[543,41],[686,63],[737,62],[763,54]],
+    ],
+  },
+  "站": {
+    strokes: [
+      "M 296 721 Q 321 697 347 669 Q 362 654 379 654 Q 391 654 396 669 Q 402 685 393 718 Q 389 737 357 753 Q 284 781 268 775 Q 262 771 264 757 Q 267 744 296 721 Z",
+      "M 152 515 Q 115 506 142 491 Q 185 467 243 486 Q 330 508 421 533 Q 463 545 469 551 Q 476 560 472 568 Q 465 580 434 585 Q 410 588 309 552 Q 177 519 152 515 Z",
+      "M 174 362 Q 205 266 226 256 Q 238 250 249 263 Q 256 273 255 295 Q 252 317 232 337 Q 202 373 188 383 Q 181 387 175 378 Q 171 371 174 362 Z",
+      "M 349 228 Q 365 256 400 351 Q 409 378 427 412 Q 440 425 430 434 Q 420 449 390 463 Q 375 470 361 463 Q 352 459 359 448 Q 377 402 323 241 Q 319 228 318 218 C 313 188 335 202 349 228 Z",
+      "M 318 218 Q 245 197 165 175 Q 146 169 114 170 Q 101 169 100 159 Q 97 146 107 138 Q 129 122 162 103 Q 172 99 184 108 Q 214 130 397 211 Q 422 221 441 235 Q 454 242 454 252 Q 448 258 436 255 Q 394 242 349 228 L 318 218 Z",
+      "M 670 311 Q 674 414 679 511 L 681 545 Q 682 629 702 731 Q 706 743 684 759 Q 647 778 620 783 Q 602 786 594 777 Q 587 768 595 753 Q 622 714 623 687 Q 633 509 626 302 C 625 272 669 281 670 311 Z",
+      "M 679 511 Q 716 505 841 542 Q 886 557 890 559 Q 897 568 892 576 Q 885 588 854 592 Q 823 595 793 580 Q 766 570 737 559 Q 710 552 681 545 C 652 538 649 514 679 511 Z",
+      "M 514 287 Q 502 291 475 297 Q 462 301 459 295 Q 452 289 461 272 Q 495 197 512 77 Q 515 40 535 16 Q 554 -6 559 9 Q 565 28 563 57 L 559 93 Q 537 217 533 254 C 530 282 530 282 514 287 Z",
+      "M 811 115 Q 841 223 882 256 Q 901 277 886 297 Q 802 363 745 334 Q 706 322 670 311 L 626 302 Q 571 293 514 287 C 484 284 503 250 533 254 Q 564 257 742 291 Q 766 295 775 286 Q 787 274 783 250 Q 770 181 752 125 C 743 96 803 86 811 115 Z",
+      "M 563 57 Q 575 54 589 56 Q 662 69 821 78 Q 833 79 835 89 Q 835 96 811 115 C 792 130 782 129 752 125 Q 751 126 749 125 Q 643 103 559 93 C 529 89 533 62 563 57 Z",
+    ],
+    medians: [
+      [[273,768],[355,713],[378,672]],
+      [[144,504],[178,499],[215,503],[397,554],[459,561]],
+      [[185,371],[224,304],[234,272]],
+      [[371,454],[396,422],[354,279],[338,240],[322,223]],
+      [[113,157],[168,140],[380,218],[448,249]],
+      [[606,767],[658,725],[659,713],[650,336],[632,310]],
+      [[683,516],[707,532],[834,567],[884,567]],
+      [[468,287],[492,267],[504,245],[548,16]],
+      [[522,284],[546,273],[660,291],[760,316],[796,310],[832,275],[793,155],[760,129]],
+      [[566,88],[579,77],[591,76],[746,99],[800,97],[826,89]],
+    ],
+  },
+  "左": {
+    strokes: [
+      "M 490 526 Q 583 542 681 558 Q 754 571 765 581 Q 775 590 771 599 Q 764 612 733 621 Q 700 630 667 618 Q 591 596 508 576 L 451 565 Q 369 553 276 547 Q 236 543 264 523 Q 309 495 369 506 Q 400 512 433 516 L 490 526 Z",
+      "M 433 516 Q 337 284 144 108 Q 66 45 65 37 Q 64 31 81 39 Q 283 127 406 351 Q 455 439 490 526 L 508 576 Q 508 577 509 578 Q 534 651 543 708 Q 547 741 567 773 Q 582 794 560 807 Q 530 828 490 837 Q 471 841 461 835 Q 454 828 461 810 Q 506 729 451 565 L 433 516 Z",
+      "M 566 302 Q 738 335 746 339 Q 755 346 751 356 Q 744 368 714 376 Q 687 382 577 352 Q 483 334 419 329 Q 382 325 408 306 Q 447 279 509 292 Q 515 293 523 294 L 566 302 Z",
+      "M 574 93 Q 592 276 593 276 Q 580 291 566 302 C 543 321 516 323 523 294 Q 532 266 527 88 C 526 58 571 63 574 93 Z",
+      "M 527 88 Q 415 78 286 63 Q 264 62 280 43 Q 295 27 313 21 Q 335 15 353 19 Q 539 64 821 54 Q 842 54 863 53 Q 885 52 890 61 Q 897 74 879 89 Q 822 131 784 124 Q 705 111 574 93 L 527 88 Z",
+    ],
+    medians: [
+      [[267,537],[291,529],[357,528],[521,555],[701,594],[757,594]],
+      [[470,826],[519,780],[512,707],[488,594],[417,422],[354,312],[278,211],[182,117],[68,38]],
+      [[411,319],[432,312],[497,313],[694,352],[741,349]],
+      [[531,293],[559,264],[553,116],[534,101]],
+      [[283,53],[335,43],[508,66],[784,90],[827,85],[878,68]],
+    ],
+  },
+  "右": {
+    strokes: [
+      "M 488 525 Q 641 550 907 550 Q 931 551 936 561 Q 943 574 923 591 Q 853 639 785 619 Q 682 598 516 570 Q 509 570 505 568 L 444 559 Q 302 540 146 518 Q 121 515 140 495 Q 158 479 178 473 Q 203 467 222 473 Q 318 501 428 517 L 488 525 Z",
+      "M 374 313 Q 446 427 488 525 L 505 568 Q 527 628 536 675 Q 543 706 561 736 Q 577 755 555 769 Q 527 791 486 802 Q 467 808 457 801 Q 450 795 456 776 Q 493 703 444 559 L 428 517 Q 323 277 127 118 Q 64 73 61 62 Q 60 55 77 63 Q 224 120 346 272 L 374 313 Z",
+      "M 404 303 Q 394 309 374 313 C 345 320 336 300 346 272 Q 374 196 388 80 Q 389 40 411 13 Q 430 -12 436 5 Q 442 21 442 45 L 439 83 Q 430 110 414 266 C 411 296 410 300 404 303 Z",
+      "M 722 128 Q 749 246 791 284 Q 810 306 792 327 Q 774 342 707 370 Q 686 377 663 367 Q 566 328 404 303 C 374 298 384 262 414 266 Q 432 266 642 310 Q 667 316 677 306 Q 690 293 688 267 Q 678 191 664 129 C 658 100 715 99 722 128 Z",
+      "M 442 45 Q 449 44 462 46 Q 550 68 742 85 Q 754 86 756 97 Q 756 106 722 128 C 705 139 693 136 664 129 Q 540 98 439 83 C 409 78 412 45 442 45 Z",
+    ],
+    medians: [
+      [[143,506],[201,497],[394,533],[812,587],[872,583],[922,568]],
+      [[467,792],[513,742],[499,647],[472,556],[399,401],[321,281],[267,218],[154,118],[65,63]],
+      [[380,301],[424,12]],
+      [[415,273],[435,290],[530,305],[654,337],[680,340],[703,333],[736,300],[699,157],[671,135]],
+      [[446,52],[463,67],[662,103],[720,106],[746,97]],
+    ],
+  },
+  "前": {
+    strokes: [
+      "M 378 762 Q 438 698 453 697 Q 463 696 469 709 Q 475 722 468 752 Q 464 771 436 786 Q 373 816 356 811 Q 352 807 351 795 Q 354 785 378 762 Z",
+      "M 640 810 Q 622 779 570 707 Q 560 689 578 693 Q 596 705 686 766 Q 705 784 730 795 Q 752 807 739 825 Q 724 841 697 856 Q 672 869 658 866 Q 645 865 649 850 Q 653 831 640 810 Z",
+      "M 520 614 Q 578 618 633 625 Q 772 643 935 629 Q 959 628 965 636 Q 972 649 960 661 Q 891 724 816 698 Q 713 679 384 638 Q 333 632 300 627 Q 225 614 113 612 Q 100 612 98 601 Q 98 588 117 574 Q 133 561 165 550 Q 175 546 194 554 Q 212 561 290 575 Q 393 600 520 614 Z",
+      "M 303 368 Q 307 434 312 455 Q 312 458 312 459 C 314 477 314 477 305 485 Q 281 509 251 506 Q 238 502 243 491 Q 289 385 237 183 Q 213 123 214 114 Q 214 84 232 62 Q 238 49 248 54 Q 282 76 292 198 Q 293 216 294 231 L 296 263 Q 297 306 301 341 L 303 368 Z",
+      "M 312 459 Q 312 460 414 483 Q 430 487 436 480 Q 451 431 446 189 Q 442 116 437 108 L 376 117 Q 358 124 357 116 Q 402 74 428 42 Q 438 26 452 22 Q 459 18 467 27 Q 500 66 501 129 Q 480 429 500 469 Q 510 485 500 494 Q 482 510 451 523 Q 436 529 422 522 Q 376 497 305 485 C 276 479 283 451 312 459 Z",
+      "M 301 341 Q 304 341 308 341 Q 363 351 404 356 Q 426 360 417 373 Q 407 386 382 389 Q 343 392 303 368 C 277 353 271 341 301 341 Z",
+      "M 294 231 Q 354 238 399 244 Q 421 248 413 260 Q 403 275 377 279 Q 332 285 296 263 C 270 248 264 228 294 231 Z",
+      "M 569 464 Q 596 407 575 254 Q 566 226 593 194 Q 600 184 610 194 Q 629 222 627 262 Q 621 367 634 437 Q 640 458 622 467 Q 607 477 593 484 Q 583 488 573 483 Q 566 479 569 464 Z",
+      "M 692 64 Q 671 73 645 83 Q 633 87 633 81 Q 632 72 641 62 Q 695 4 729 -43 Q 739 -53 754 -37 Q 793 8 794 110 Q 778 338 788 507 Q 794 535 788 544 Q 778 557 740 577 Q 724 587 713 579 Q 703 570 715 549 Q 725 527 730 366 Q 733 93 728 71 Q 718 56 692 64 Z",
+    ],
+    medians: [
+      [[360,805],[428,756],[443,738],[454,710]],
+      [[658,856],[678,835],[686,816],[645,767],[573,700]],
+      [[110,599],[174,582],[486,632],[855,670],[895,665],[953,645]],
+      [[252,496],[275,478],[284,456],[285,380],[273,238],[262,167],[245,109],[243,64]],
+      [[311,466],[323,475],[434,505],[449,500],[469,477],[473,141],[466,94],[452,73],[365,112]],
+      [[305,348],[318,359],[364,370],[408,366]],
+      [[302,236],[314,252],[344,259],[381,260],[403,254]],
+      [[581,473],[606,443],[602,199]],
+      [[723,569],[756,527],[760,66],[749,39],[733,22],[684,44],[640,77]],
+    ],
+  },
+  "后": {
+    strokes: [
+      "M 353 620 Q 498 656 596 701 Q 651 723 699 731 Q 720 732 724 741 Q 728 754 715 768 Q 690 787 636 809 Q 617 819 601 818 Q 592 814 591 800 Q 591 755 347 642 C 320 629 324 613 353 620 Z",
+      "M 330 467 Q 337 519 344 581 Q 353 614 353 620 C 356 636 356 636 347 642 Q 344 646 339 648 Q 288 678 272 676 Q 250 673 266 649 Q 299 580 257 362 Q 242 304 209 236 Q 175 167 78 85 Q 62 72 58 66 Q 55 59 68 58 Q 107 55 191 130 Q 293 232 327 447 L 330 467 Z",
+      "M 327 447 Q 363 417 400 430 Q 602 493 857 493 Q 858 493 860 493 Q 881 494 885 503 Q 889 516 872 529 Q 815 566 778 556 Q 646 522 332 468 Q 329 468 330 467 C 306 462 306 462 327 447 Z",
+      "M 386 295 Q 373 301 347 306 Q 334 310 329 304 Q 322 297 331 279 Q 364 203 380 80 Q 381 43 403 17 Q 422 -8 428 10 Q 432 23 434 45 L 430 89 Q 412 216 406 257 C 402 287 401 289 386 295 Z",
+      "M 737 123 Q 773 235 815 264 Q 836 286 819 308 Q 801 323 734 358 Q 713 367 688 358 Q 568 313 386 295 C 356 292 376 252 406 257 Q 418 258 659 301 Q 689 308 700 295 Q 712 282 708 256 Q 693 186 675 127 C 666 98 728 95 737 123 Z",
+      "M 434 45 Q 443 45 452 46 Q 549 65 759 74 Q 772 75 774 86 Q 775 96 738 123 L 737 123 L 675 127 Q 539 100 430 89 C 400 86 404 44 434 45 Z",
+    ],
+    medians: [
+      [[711,747],[627,762],[543,710],[451,668],[364,639],[360,628]],
+      [[272,662],[300,639],[314,620],[314,610],[299,442],[267,306],[232,225],[187,160],[123,98],[66,66]],
+      [[334,461],[357,451],[378,450],[539,486],[789,525],[837,520],[873,508]],
+      [[337,296],[362,275],[376,249],[416,16]],
+      [[395,292],[408,282],[425,279],[567,302],[678,329],[703,330],[726,321],[760,284],[718,162],[683,132]],
+      [[438,53],[453,68],[482,74],[681,99],[732,98],[764,86]],
+    ],
+  },
+  "谢": {
+    strokes: [
+      "M 225 711 Q 252 690 279 665 Q 294 652 310 654 Q 320 655 325 668 Q 329 684 318 713 Q 312 732 282 744 Q 209 765 196 759 Q 192 755 193 742 Q 197 732 225 711 Z",
+      "M 135 503 Q 89 485 64 481 Q 51 481 49 474 Q 45 465 56 459 Q 95 438 120 451 Q 151 470 180 489 Q 202 502 210 496 Q 220 492 216 467 Q 222 299 188 173 Q 173 140 215 96 Q 225 86 234 92 Q 241 99 251 121 Q 282 166 350 244 Q 360 254 358 262 Q 357 269 346 260 Q 315 239 284 215 Q 244 181 249 231 Q 248 298 267 462 Q 268 484 289 507 Q 299 517 291 528 Q 281 543 243 557 Q 233 563 217 552 Q 165 516 135 503 Z",
+      "M 441 656 Q 495 711 535 757 Q 548 773 566 787 Q 582 800 570 813 Q 557 825 531 832 Q 509 839 498 835 Q 488 831 493 820 Q 503 796 427 662 C 412 636 420 635 441 656 Z",
+      "M 427 662 Q 415 672 404 677 Q 394 680 386 677 Q 379 673 382 664 Q 394 631 399 563 Q 399 502 401 347 C 401 317 440 327 440 357 Q 440 396 441 430 L 442 456 Q 442 490 443 522 L 444 548 Q 444 590 447 631 C 449 667 448 646 427 662 Z",
+      "M 447 631 Q 453 631 543 657 Q 558 664 564 656 Q 576 622 573 390 L 571 299 Q 562 85 552 71 Q 548 68 489 79 Q 473 85 473 76 Q 519 36 545 5 Q 555 -11 569 -15 Q 576 -18 584 -10 Q 620 32 618 77 Q 611 267 617 574 Q 616 623 627 644 Q 637 660 627 669 Q 608 685 578 697 Q 562 703 549 696 Q 506 669 441 656 C 412 649 418 624 447 631 Z",
+      "M 443 522 Q 443 523 446 523 Q 498 535 539 543 Q 558 547 549 558 Q 539 568 518 571 Q 482 574 444 548 C 419 531 414 513 443 522 Z",
+      "M 441 430 Q 442 430 447 430 Q 504 442 546 450 Q 565 454 557 465 Q 547 478 524 480 Q 494 483 442 456 C 415 442 411 430 441 430 Z",
+      "M 401 347 Q 386 346 372 342 Q 356 338 331 340 Q 321 339 319 331 Q 316 321 323 314 Q 341 301 366 284 Q 373 281 383 288 Q 423 316 541 355 C 569 364 602 397 573 390 Q 509 374 440 357 L 401 347 Z",
+      "M 541 355 Q 511 250 314 108 Q 298 95 313 94 Q 323 93 362 109 Q 408 127 449 160 Q 486 190 526 237 Q 553 270 571 299 C 640 406 562 418 541 355 Z",
+      "M 849 507 Q 850 508 936 523 Q 946 522 954 535 Q 955 545 933 555 Q 894 570 849 553 L 799 539 Q 739 526 643 507 Q 615 503 637 487 Q 673 465 697 472 Q 743 485 800 496 L 849 507 Z",
+      "M 800 496 Q 801 358 806 122 Q 805 100 794 90 Q 787 84 725 98 Q 692 111 695 101 Q 696 94 716 78 Q 777 29 792 0 Q 808 -33 824 -35 Q 839 -36 853 0 Q 871 46 868 119 Q 852 312 849 507 L 849 553 Q 849 659 864 718 Q 880 749 824 769 Q 790 787 771 780 Q 753 773 770 750 Q 792 723 794 690 Q 795 674 799 539 L 800 496 Z",
+      "M 684 349 Q 703 325 722 298 Q 732 285 746 283 Q 755 282 761 293 Q 768 305 764 332 Q 763 348 738 365 Q 680 398 668 395 Q 664 392 663 381 Q 664 371 684 349 Z",
+    ],
+    medians: [
+      [[200,753],[276,711],[307,672]],
+      [[59,470],[107,469],[186,512],[225,523],[238,520],[246,508],[223,201],[231,168],[270,181],[352,258]],
+      [[504,825],[526,796],[488,733],[439,670]],
+      [[392,668],[418,636],[421,598],[420,372],[405,358]],
+      [[448,638],[467,650],[506,658],[561,680],[577,675],[597,651],[585,67],[569,36],[482,73]],
+      [[453,531],[457,541],[473,547],[521,556],[542,552]],
+      [[444,436],[457,448],[487,457],[528,464],[549,459]],
+      [[332,326],[371,314],[526,363],[567,385]],
+      [[570,382],[547,306],[493,232],[408,155],[316,101]],
+      [[638,498],[680,492],[887,539],[943,536]],
+      [[778,765],[826,726],[822,553],[837,109],[832,78],[817,48],[752,72],[714,91],[712,98],[701,98]],
+      [[671,386],[728,338],[747,298]],
+    ],
+  },
+  "请": {
+    strokes: [
+      "M 278 750 Q 312 723 347 690 Q 362 677 379 677 Q 391 678 396 692 Q 402 708 391 741 Q 379 780 272 803 Q 256 807 248 803 Q 242 799 244 785 Q 248 772 278 750 Z",
+      "M 125 479 Q 73 463 46 461 Q 30 461 28 453 Q 24 446 36 437 Q 58 422 75 420 Q 90 417 192 461 Q 247 489 258 481 Q 268 474 263 447 Q 256 270 222 162 Q 203 131 247 77 Q 257 64 268 71 Q 277 78 289 102 Q 329 151 412 235 Q 425 247 422 254 Q 421 263 409 253 Q 369 229 331 203 Q 282 164 292 223 Q 292 286 318 439 Q 322 464 345 487 Q 358 497 348 511 Q 338 527 298 545 Q 286 552 268 541 Q 177 495 125 479 Z",
+      "M 655 671 Q 799 707 803 710 Q 812 717 807 725 Q 800 735 774 742 Q 746 746 719 736 Q 688 726 657 715 L 603 699 Q 554 689 496 682 Q 462 676 487 661 Q 520 643 589 656 Q 595 657 605 659 L 655 671 Z",
+      "M 649 562 Q 760 590 764 593 Q 771 600 767 607 Q 760 616 737 621 Q 710 625 651 601 L 605 588 Q 559 578 506 570 Q 476 564 498 552 Q 526 537 589 549 Q 595 550 605 551 L 649 562 Z",
+      "M 645 494 Q 646 528 649 562 L 651 601 Q 652 637 655 671 L 657 715 Q 657 718 658 719 Q 664 759 673 794 Q 676 804 657 818 Q 623 836 601 839 Q 585 842 578 834 Q 571 827 579 813 Q 600 785 600 764 Q 601 733 603 699 L 605 659 Q 605 625 605 588 L 605 551 Q 605 521 605 487 C 605 457 644 464 645 494 Z",
+      "M 605 487 Q 499 469 379 449 Q 360 446 374 431 Q 387 419 405 414 Q 424 410 439 415 Q 650 481 911 481 Q 915 482 922 482 Q 940 483 944 491 Q 948 503 933 515 Q 884 548 849 539 Q 773 520 645 494 L 605 487 Z",
+      "M 547 174 Q 550 217 554 248 L 556 272 Q 560 324 564 342 Q 564 346 564 351 L 553 376 Q 552 379 548 380 Q 520 395 503 395 Q 490 391 495 379 Q 537 285 486 105 Q 453 36 484 -6 Q 490 -19 500 -14 Q 533 7 543 117 Q 544 133 545 147 L 547 174 Z",
+      "M 564 351 Q 577 352 595 357 Q 700 382 717 375 Q 729 371 730 345 Q 746 188 741 63 Q 740 38 725 33 Q 715 30 657 45 Q 645 48 646 40 Q 647 33 662 23 Q 698 -8 726 -39 Q 741 -55 757 -54 Q 772 -50 791 -6 Q 813 40 808 86 Q 798 195 788 297 Q 784 337 800 369 Q 810 385 797 398 Q 779 413 741 425 Q 720 434 703 422 Q 688 415 659 404 Q 587 385 553 376 C 524 368 534 346 564 351 Z",
+      "M 554 248 Q 558 247 568 248 Q 640 261 692 269 Q 714 273 705 285 Q 695 298 671 302 Q 631 305 556 272 C 528 260 524 251 554 248 Z",
+      "M 545 147 Q 549 146 559 147 Q 640 160 698 168 Q 722 172 713 184 Q 703 199 677 203 Q 646 206 547 174 C 518 165 515 150 545 147 Z",
+    ],
+    medians: [
+      [[255,794],[347,739],[377,696]],
+      [[38,449],[64,443],[98,447],[234,502],[273,509],[290,506],[299,491],[261,186],[269,152],[319,169],[416,251]],
+      [[489,673],[559,670],[664,693],[743,718],[798,719]],
+      [[499,562],[558,561],[658,581],[712,600],[759,601]],
+      [[589,825],[622,802],[634,780],[626,515],[611,494]],
+      [[377,440],[429,435],[614,474],[859,511],[899,507],[933,496]],
+      [[504,384],[529,362],[536,343],[536,283],[521,141],[495,-4]],
+      [[560,372],[573,367],[605,372],[616,379],[723,402],[762,376],[760,322],[775,106],[772,40],[748,-2],[720,5],[653,39]],
+      [[561,253],[571,264],[633,280],[674,284],[696,279]],
+      [[552,153],[563,164],[666,184],[703,178]],
+    ],
+  },
+  "人": {
+    strokes: [
+      "M 475 485 Q 547 653 563 683 Q 573 695 565 708 Q 558 721 519 742 Q 491 757 480 754 Q 462 750 465 730 Q 484 537 292 308 Q 280 296 269 284 Q 212 217 68 102 Q 58 92 66 89 Q 76 86 90 92 Q 190 138 274 210 Q 380 294 462 456 L 475 485 Z",
+      "M 462 456 Q 480 423 575 292 Q 666 171 733 101 Q 764 67 793 69 Q 881 75 958 79 Q 991 80 992 89 Q 993 98 956 112 Q 772 178 740 205 Q 617 304 490 466 Q 481 476 475 485 C 457 509 447 482 462 456 Z",
+    ],
+    medians: [
+      [[483,736],[508,702],[511,678],[473,552],[408,416],[328,303],[271,244],[144,139],[72,95]],
+      [[474,477],[477,459],[490,439],[571,333],[691,200],[753,145],[798,119],[986,90]],
+    ],
+  },
+  "没": {
+    strokes: [
+      "M 271 729 Q 293 707 319 680 Q 335 664 353 665 Q 366 665 372 681 Q 378 697 368 734 Q 362 753 331 767 Q 253 794 240 788 Q 234 784 236 768 Q 240 755 271 729 Z",
+      "M 153 545 Q 198 490 231 477 Q 249 474 258 489 Q 265 502 262 522 Q 255 549 235 563 Q 190 590 159 590 Q 146 593 137 589 Q 130 588 133 574 Q 134 561 153 545 Z",
+      "M 153 174 Q 140 171 141 152 Q 153 71 189 50 Q 196 43 207 44 Q 216 45 218 73 Q 224 113 340 382 Q 347 398 347 405 Q 347 415 336 410 Q 321 400 196 216 Q 183 194 153 174 Z",
+      "M 509 731 Q 466 758 442 748 Q 430 744 437 730 Q 462 697 450 599 Q 434 517 350 442 Q 338 432 350 431 Q 396 437 445 487 Q 500 547 508 631 Q 511 677 516 693 C 523 722 523 723 509 731 Z",
+      "M 889 486 Q 905 490 896 508 Q 881 527 863 540 Q 851 547 826 538 Q 786 522 737 525 Q 706 528 698 551 Q 685 573 698 637 Q 701 676 739 715 Q 758 731 740 746 Q 715 768 688 780 Q 678 786 658 775 Q 585 745 509 731 C 480 725 488 684 516 693 Q 633 732 648 727 Q 655 723 654 708 Q 639 546 659 513 Q 665 501 679 491 Q 715 469 785 468 Q 852 468 889 486 Z",
+      "M 622 188 Q 623 191 626 193 Q 669 250 698 340 Q 707 376 727 393 Q 743 406 726 423 Q 705 441 672 454 Q 650 463 628 452 Q 574 421 499 408 Q 471 405 460 398 Q 451 391 470 382 Q 497 369 537 382 Q 579 392 621 404 Q 639 411 640 390 Q 640 303 582 223 L 555 189 Q 473 123 337 86 Q 321 83 331 74 Q 338 68 368 71 Q 513 86 588 150 L 622 188 Z",
+      "M 588 150 Q 714 11 756 2 Q 868 2 940 13 Q 980 17 976 29 Q 973 38 870 65 Q 717 113 629 183 Q 625 186 622 188 L 582 223 Q 539 262 496 307 Q 457 349 420 349 Q 401 349 398 344 Q 397 337 413 325 Q 464 295 555 189 L 588 150 Z",
+    ],
+    medians: [
+      [[244,781],[332,722],[352,685]],
+      [[145,579],[216,531],[237,501]],
+      [[203,55],[190,95],[190,143],[340,403]],
+      [[445,738],[466,726],[481,706],[482,644],[473,583],[435,506],[402,469],[356,437]],
+      [[518,726],[530,716],[643,748],[679,745],[694,728],[677,671],[670,592],[674,544],[684,522],[706,506],[729,499],[779,497],[851,507],[887,499]],
+      [[468,392],[512,393],[644,430],[666,419],[680,400],[663,326],[641,270],[615,224],[574,171],[537,144],[474,113],[394,87],[337,78]],
+      [[404,342],[445,325],[466,309],[634,141],[748,59],[766,50],[833,39],[971,27]],
+    ],
+  },
+  "事": {
+    strokes: [
+      "M 535 708 Q 595 714 849 714 Q 870 714 875 723 Q 881 735 863 749 Q 809 791 771 783 Q 683 765 539 745 L 481 738 Q 330 722 153 703 Q 131 702 147 683 Q 162 668 180 662 Q 202 656 219 661 Q 381 703 481 704 L 535 708 Z",
+      "M 321 624 Q 308 630 285 631 Q 273 634 271 629 Q 265 622 274 608 Q 298 568 315 502 Q 319 483 332 470 Q 350 451 354 465 Q 357 474 356 486 L 352 517 Q 342 572 340 593 C 337 618 337 618 321 624 Z",
+      "M 671 555 Q 698 594 718 600 Q 734 616 723 634 Q 654 695 612 674 Q 570 662 531 651 L 481 642 Q 403 630 321 624 C 291 622 310 588 340 593 Q 446 611 481 615 L 530 622 Q 561 628 592 632 Q 622 638 633 625 Q 637 621 636 611 Q 629 584 622 562 C 613 533 653 531 671 555 Z",
+      "M 526 510 Q 592 519 680 524 Q 690 525 691 533 Q 691 540 671 555 C 655 568 652 567 622 562 Q 571 553 527 543 L 480 535 Q 413 525 352 517 C 322 513 326 484 356 486 Q 360 486 368 487 Q 411 497 480 504 L 526 510 Z",
+      "M 691 255 Q 698 289 707 323 L 728 376 Q 738 392 751 407 Q 770 429 743 445 Q 718 464 693 478 Q 680 487 601 464 Q 574 461 525 452 L 479 445 Q 437 441 394 431 Q 321 418 275 416 Q 262 417 260 409 Q 259 402 279 390 Q 298 375 328 384 Q 419 408 479 413 L 525 419 Q 577 426 643 431 Q 658 432 662 425 Q 671 413 666 366 L 658 322 Q 652 297 645 267 C 638 238 685 226 691 255 Z",
+      "M 478 339 Q 321 323 141 302 Q 119 301 135 283 Q 148 270 167 263 Q 188 257 204 262 Q 319 292 448 306 Q 461 309 478 309 L 526 314 Q 584 321 658 322 L 707 323 Q 893 323 899 332 Q 903 344 888 358 Q 831 400 766 383 Q 747 380 728 376 L 666 366 Q 600 359 525 346 L 478 339 Z",
+      "M 477 236 Q 374 221 286 213 Q 262 212 276 192 Q 283 182 294 177 Q 307 173 321 176 Q 381 189 477 199 L 529 204 Q 605 213 701 218 Q 713 219 715 229 Q 715 236 691 255 C 673 270 673 270 645 267 Q 638 267 629 265 Q 577 255 527 245 L 477 236 Z",
+      "M 479 413 Q 478 379 478 339 L 478 309 Q 477 275 477 236 L 477 199 Q 477 151 477 97 Q 476 70 461 60 Q 455 56 373 69 Q 340 79 343 69 Q 344 62 366 48 Q 436 0 455 -29 Q 477 -63 493 -62 Q 508 -63 521 -28 Q 537 17 534 90 Q 531 147 529 204 L 527 245 Q 526 279 526 314 L 525 346 Q 524 383 525 419 L 525 452 Q 524 482 526 510 L 527 543 Q 528 583 530 622 L 531 651 Q 531 655 535 708 L 539 745 Q 543 776 550 797 Q 568 827 512 849 Q 478 868 459 861 Q 441 854 457 832 Q 475 808 481 738 L 481 704 Q 481 679 481 642 L 481 615 Q 480 581 480 535 L 480 504 Q 479 476 479 445 L 479 413 Z",
+    ],
+    medians: [
+      [[150,693],[201,683],[402,715],[781,749],[827,742],[863,729]],
+      [[279,622],[305,603],[315,585],[344,471]],
+      [[329,622],[350,609],[632,655],[656,645],[675,622],[656,584],[629,566]],
+      [[360,510],[370,503],[618,541],[681,534]],
+      [[267,408],[317,400],[418,421],[641,454],[680,450],[707,416],[673,284],[685,263]],
+      [[138,293],[194,284],[370,313],[780,355],[829,355],[894,338]],
+      [[282,202],[312,195],[643,241],[706,229]],
+      [[465,846],[482,838],[511,803],[501,482],[505,80],[499,49],[482,16],[350,67]],
+    ],
+  },
+  "出": {
+    strokes: [
+      "M 562 435 Q 655 460 729 458 C 759 458 769 501 739 498 Q 646 489 563 474 L 505 464 Q 411 449 330 425 Q 306 421 312 448 Q 327 554 317 572 Q 281 615 250 611 Q 237 607 246 585 Q 268 533 260 479 Q 254 430 233 407 Q 212 388 220 372 Q 233 356 251 343 Q 267 333 278 343 Q 308 376 505 422 L 562 435 Z",
+      "M 729 458 Q 728 458 729 457 Q 732 421 741 397 Q 750 376 766 389 Q 799 416 812 514 Q 836 572 843 581 Q 853 597 843 616 Q 822 637 786 662 Q 773 672 757 667 Q 747 663 749 647 Q 777 599 741 501 Q 740 501 739 498 L 729 458 Z",
+      "M 551 133 Q 557 289 562 435 L 563 474 Q 564 639 592 778 Q 596 793 570 812 Q 522 837 490 842 Q 468 846 458 835 Q 448 825 459 805 Q 499 747 499 707 Q 503 590 505 464 L 505 422 Q 504 280 495 123 C 493 93 550 103 551 133 Z",
+      "M 255 9 Q 274 -7 284 -7 Q 291 -7 299 0 Q 335 45 588 96 Q 595 99 755 123 Q 765 124 775 127 C 804 133 801 162 771 161 Q 677 158 551 133 L 495 123 Q 380 105 341 88 Q 332 85 329 89 Q 326 92 339 215 Q 340 257 288 280 Q 281 283 274 283 Q 259 284 254 281 Q 250 274 263 252 Q 302 179 257 86 Q 250 76 241 66 Q 225 53 228 41 Q 232 29 255 9 Z",
+      "M 775 127 Q 779 28 796 3 Q 815 -31 827 -10 Q 840 12 840 66 Q 841 208 844 237 Q 845 258 839 265 Q 824 278 774 294 Q 758 301 751 295 Q 741 288 750 263 Q 763 220 771 161 L 775 127 Z",
+    ],
+    medians: [
+      [[256,598],[288,559],[291,540],[281,399],[335,400],[412,423],[573,458],[714,477],[732,493]],
+      [[765,652],[788,624],[802,593],[763,452],[755,398]],
+      [[473,822],[537,770],[540,733],[525,156],[501,131]],
+      [[259,276],[286,257],[308,219],[309,176],[294,57],[346,60],[429,86],[581,118],[751,142],[768,132]],
+      [[759,285],[801,238],[817,-7]],
+    ],
+  },
+  "口": {
+    strokes: [
+      "M 295 571 Q 267 590 236 597 Q 227 600 221 594 Q 211 587 223 573 Q 281 477 292 248 Q 293 176 338 142 Q 339 141 343 139 Q 365 133 365 170 Q 365 174 365 177 L 360 223 Q 327 406 322 528 C 321 555 320 555 295 571 Z",
+      "M 719 261 Q 755 472 821 538 Q 845 563 824 589 Q 802 607 729 642 Q 704 652 674 641 Q 515 587 295 571 C 265 569 293 522 322 528 Q 331 529 345 533 Q 493 555 634 577 Q 671 584 685 568 Q 707 549 703 505 Q 684 372 654 268 C 646 239 714 231 719 261 Z",
+      "M 365 177 Q 372 177 383 178 Q 495 200 738 212 Q 751 213 754 224 Q 755 234 719 261 C 698 277 683 274 654 268 Q 491 235 360 223 C 330 220 335 176 365 177 Z",
+    ],
+    medians: [
+      [[229,584],[272,548],[287,517],[330,203],[348,152]],
+      [[304,569],[333,552],[488,574],[663,608],[700,607],[720,598],[759,559],[758,552],[694,295],[661,273]],
+      [[369,185],[394,203],[651,238],[710,236],[744,224]],
+    ],
+  },
+  "入": {
+    strokes: [
+      "M 499 518 Q 414 338 228 186 Q 180 147 112 96 Q 99 83 109 81 Q 118 77 132 82 Q 282 139 428 311 Q 528 444 534 455 C 551 480 512 545 499 518 Z",
+      "M 534 455 Q 691 137 740 111 Q 782 98 945 83 Q 966 79 977 84 Q 989 90 980 97 Q 973 104 956 110 Q 775 198 729 244 Q 645 328 554 498 Q 479 642 432 671 Q 396 693 358 690 Q 348 691 341 688 Q 337 685 338 681 Q 338 678 398 647 Q 437 626 493 528 Q 496 524 499 518 L 534 455 Z",
+    ],
+    medians: [
+      [[499,510],[499,455],[403,320],[273,191],[191,131],[115,88]],
+      [[342,683],[416,659],[466,608],[512,537],[580,405],[638,308],[732,184],[763,157],[780,150],[970,92]],
+    ],
+  },
+  "厕": {
+    strokes: [
+      "M 314 684 Q 359 669 440 681 Q 743 732 757 743 Q 767 750 763 760 Q 756 773 726 781 Q 696 788 594 757 Q 450 721 315 713 Q 311 713 308 711 C 278 706 285 692 314 684 Z",
+      "M 308 711 Q 292 727 262 739 Q 243 751 229 745 Q 216 738 223 723 Q 241 699 241 638 Q 222 425 200 336 Q 194 320 189 302 Q 159 218 71 72 Q 65 65 64 59 Q 61 47 72 50 Q 102 54 182 175 Q 198 203 214 235 Q 280 386 297 573 Q 304 675 314 684 C 320 702 320 702 308 711 Z",
+      "M 364 550 Q 348 563 328 569 Q 321 570 315 563 Q 312 559 318 550 Q 354 469 326 302 Q 323 283 316 261 Q 309 239 313 222 Q 320 194 331 183 Q 341 171 349 183 Q 373 213 373 360 Q 373 474 381 525 C 383 537 383 537 364 550 Z",
+      "M 511 254 Q 505 235 516 218 Q 526 194 534 195 Q 546 196 559 222 Q 572 243 570 259 Q 546 478 585 533 Q 592 546 587 555 Q 563 574 522 592 Q 510 596 443 569 Q 406 557 364 550 C 334 545 352 519 381 525 Q 382 525 447 540 Q 498 556 510 548 Q 519 526 522 467 Q 522 289 511 254 Z",
+      "M 452 203 Q 464 267 464 336 Q 464 400 474 439 Q 478 448 471 453 Q 458 465 431 474 Q 415 480 403 475 Q 388 469 401 457 Q 444 414 419 236 Q 412 136 318 62 Q 290 43 245 19 Q 235 15 233 12 Q 229 8 241 7 Q 280 4 366 57 Q 427 99 448 182 L 452 203 Z",
+      "M 448 182 Q 473 157 530 78 Q 540 62 552 57 Q 558 56 565 62 Q 575 71 570 105 Q 563 144 455 202 Q 454 203 452 203 C 424 215 427 204 448 182 Z",
+      "M 624 487 Q 651 427 629 262 Q 620 232 648 198 Q 657 188 666 198 Q 684 223 684 310 Q 684 416 691 459 Q 698 480 679 490 Q 663 500 648 508 Q 636 512 628 507 Q 621 501 624 487 Z",
+      "M 771 541 Q 775 516 778 114 Q 778 98 769 90 Q 765 87 692 96 Q 661 106 663 97 Q 664 90 685 77 Q 749 31 765 4 Q 784 -27 801 -28 Q 814 -28 827 5 Q 843 50 839 120 Q 805 448 838 568 Q 854 596 800 617 Q 767 635 749 627 Q 733 621 748 599 Q 769 574 771 541 Z",
+    ],
+    medians: [
+      [[313,705],[336,696],[392,697],[553,722],[704,756],[751,755]],
+      [[235,732],[267,701],[274,677],[254,471],[230,349],[201,265],[158,176],[73,59]],
+      [[325,558],[355,519],[354,348],[338,231],[340,187]],
+      [[372,546],[396,541],[507,571],[534,559],[549,538],[541,455],[543,267],[534,205]],
+      [[404,466],[432,452],[446,425],[444,284],[427,178],[404,126],[371,84],[316,43],[264,18],[240,14]],
+      [[452,198],[527,126],[549,93],[554,72]],
+      [[636,497],[662,466],[662,340],[653,245],[657,204]],
+      [[756,613],[781,598],[802,573],[798,370],[808,95],[790,48],[669,95]],
+    ],
+  },
+  "所": {
+    strokes: [
+      "M 268 652 Q 442 724 444 725 Q 468 731 461 752 Q 451 771 427 793 Q 405 812 392 812 Q 379 813 380 798 Q 377 768 301 710 Q 277 694 254 675 C 231 656 240 641 268 652 Z",
+      "M 257 533 Q 257 539 258 544 Q 261 619 265 639 Q 268 646 268 652 C 271 665 271 665 254 675 Q 203 708 184 698 Q 172 691 180 677 Q 201 653 201 585 Q 201 398 174 294 Q 144 189 81 79 Q 77 72 75 66 Q 74 56 83 58 Q 99 61 131 109 Q 195 188 233 339 L 239 369 Q 248 397 256 506 L 257 533 Z",
+      "M 424 399 Q 443 489 469 516 Q 491 541 467 555 Q 406 588 398 586 Q 391 586 384 581 Q 344 553 257 533 C 228 526 226 506 256 506 Q 271 505 292 511 Q 331 523 365 531 Q 387 537 393 527 Q 399 521 376 407 C 370 378 418 370 424 399 Z",
+      "M 233 339 Q 246 336 264 338 Q 316 354 434 369 Q 444 370 445 380 Q 445 387 424 399 C 401 413 401 413 376 407 Q 370 406 366 404 Q 296 382 239 369 C 210 362 203 344 233 339 Z",
+      "M 596 672 Q 615 679 644 688 Q 698 706 738 726 Q 784 747 823 756 Q 841 757 844 766 Q 848 776 835 788 Q 813 804 766 819 Q 750 826 736 824 Q 729 820 729 809 Q 729 775 583 693 C 557 678 568 662 596 672 Z",
+      "M 585 534 Q 586 603 595 665 Q 596 669 596 672 C 598 686 598 686 583 693 Q 582 694 579 695 Q 530 719 514 716 Q 495 712 511 690 Q 542 639 525 431 Q 516 371 487 299 Q 457 224 375 148 Q 362 135 358 128 Q 357 121 368 122 Q 407 122 477 198 Q 561 294 583 505 L 585 534 Z",
+      "M 755 522 Q 819 534 926 534 Q 945 535 949 543 Q 953 555 937 567 Q 883 603 826 584 Q 721 562 585 534 C 556 528 555 515 583 505 Q 607 493 653 505 Q 669 511 693 513 L 755 522 Z",
+      "M 714 -31 Q 720 -56 726 -65 Q 732 -72 739 -70 Q 757 -58 760 -3 Q 767 66 767 133 Q 764 191 770 413 Q 770 453 780 487 Q 783 505 769 514 Q 762 520 755 522 C 729 537 679 540 693 513 Q 711 482 714 449 Q 715 325 711 131 Q 710 10 714 -31 Z",
+    ],
+    medians: [
+      [[390,801],[403,777],[403,751],[302,684],[278,671],[265,674]],
+      [[190,686],[216,668],[231,646],[227,474],[214,366],[200,300],[167,208],[143,156],[84,67]],
+      [[261,513],[272,522],[393,557],[422,543],[432,531],[408,436],[405,427],[384,419]],
+      [[241,345],[263,357],[378,384],[435,379]],
+      [[832,771],[761,779],[673,721],[603,691],[599,681]],
+      [[517,703],[559,663],[557,498],[533,359],[509,290],[472,225],[417,164],[365,129]],
+      [[591,512],[663,530],[840,560],[895,560],[938,548]],
+      [[701,509],[743,485],[744,472],[735,-60]],
+    ],
+  },
+  "男": {
+    strokes: [
+      "M 305 750 Q 284 760 263 764 Q 256 765 251 760 Q 244 753 254 742 Q 296 687 317 544 Q 326 474 367 455 Q 383 452 384 475 L 381 506 Q 347 651 340 710 C 337 736 332 738 305 750 Z",
+      "M 655 507 Q 655 501 657 494 Q 661 476 676 476 Q 692 477 701 494 Q 719 515 752 621 Q 774 679 817 711 Q 839 727 821 746 Q 802 767 747 799 Q 732 809 658 796 Q 541 787 436 767 Q 357 754 305 750 C 275 747 312 700 340 710 Q 362 722 475 736 L 513 741 Q 679 765 709 750 Q 721 741 712 703 Q 675 561 661 533 Q 660 533 660 532 C 653 515 653 515 655 507 Z",
+      "M 537 618 Q 580 625 619 631 Q 640 634 633 645 Q 623 658 601 663 Q 580 666 543 657 Q 540 657 539 655 C 534 653 518 650 489 643 Q 444 633 403 623 Q 388 620 406 607 Q 416 600 438 602 Q 463 606 490 610 L 537 618 Z",
+      "M 539 655 Q 540 665 541 676 Q 541 686 542 693 Q 549 709 540 719 Q 527 732 513 741 C 488 758 460 762 475 736 Q 479 729 483 722 Q 486 715 489 643 L 490 610 Q 490 576 492 523 C 493 493 532 501 533 531 Q 534 577 537 618 L 539 655 Z",
+      "M 384 475 Q 388 474 396 475 Q 478 494 655 507 C 685 509 686 516 660 532 Q 627 557 537 532 Q 534 532 533 531 L 492 523 Q 432 513 381 506 C 351 502 354 476 384 475 Z",
+      "M 501 330 Q 592 349 672 356 Q 708 359 714 347 Q 726 326 712 277 Q 681 136 641 78 Q 622 48 594 55 Q 563 68 535 84 Q 511 94 526 68 Q 575 16 596 -23 Q 618 -50 641 -29 Q 678 -7 706 39 Q 737 91 767 256 Q 777 314 800 342 Q 815 355 809 368 Q 799 381 742 411 Q 720 421 697 408 Q 658 389 514 364 L 446 352 Q 335 337 240 336 Q 218 336 214 325 Q 211 315 240 300 Q 268 279 294 287 Q 367 305 436 318 L 501 330 Z",
+      "M 436 318 Q 364 114 189 45 Q 171 38 155 28 Q 140 21 152 16 Q 167 13 204 21 Q 262 34 310 65 Q 356 92 408 153 Q 463 238 479 274 Q 479 283 501 330 L 514 364 Q 523 386 538 405 Q 551 421 536 434 Q 494 479 466 475 Q 451 474 455 457 Q 467 415 446 352 L 436 318 Z",
+    ],
+    medians: [
+      [[260,752],[291,729],[311,698],[348,524],[369,470]],
+      [[311,747],[346,734],[618,774],[711,778],[732,771],[765,730],[742,683],[676,495]],
+      [[404,615],[431,615],[594,646],[624,641]],
+      [[482,735],[507,717],[514,700],[513,554],[497,532]],
+      [[390,483],[403,494],[572,521],[651,527]],
+      [[224,323],[283,311],[694,381],[722,383],[736,375],[757,354],[750,308],[705,128],[670,52],[642,23],[622,14],[592,29],[527,78]],
+      [[466,463],[482,448],[498,417],[452,282],[393,175],[332,108],[293,78],[232,46],[157,21]],
+    ],
+  },
+  "女": {
+    strokes: [
+      "M 445 467 Q 485 576 514 665 Q 526 705 540 732 Q 562 757 524 789 Q 478 825 449 826 Q 433 827 429 815 Q 425 806 434 798 Q 455 774 453 731 Q 441 625 390 461 L 375 416 Q 348 338 337 327 Q 313 309 331 280 Q 340 270 356 274 Q 393 283 491 221 L 535 192 Q 637 132 757 11 Q 776 -8 789 -7 Q 805 -6 805 17 Q 804 54 773 100 Q 755 127 701 153 Q 599 213 569 230 L 519 256 Q 395 320 393 327 Q 393 333 427 423 L 445 467 Z",
+      "M 695 496 Q 656 544 628 541 Q 612 540 614 522 Q 618 504 617 486 L 606 440 Q 566 319 519 256 L 491 221 Q 406 128 277 81 Q 256 74 237 65 Q 221 59 233 53 Q 248 49 289 53 Q 356 63 413 95 Q 473 122 535 192 L 569 230 Q 600 275 659 395 Q 669 423 688 447 C 705 472 710 479 695 496 Z",
+      "M 688 447 Q 757 456 931 443 Q 956 440 962 449 Q 969 462 957 475 Q 926 503 881 524 Q 866 531 839 522 Q 767 507 695 496 L 617 486 Q 461 471 445 467 L 390 461 Q 314 454 268 447 Q 189 435 73 434 Q 60 434 57 422 Q 57 409 76 394 Q 94 381 126 369 Q 138 365 156 373 Q 205 392 375 416 L 427 423 Q 448 426 606 440 L 688 447 Z",
+    ],
+    medians: [
+      [[442,810],[475,787],[498,746],[453,573],[373,346],[365,309],[498,244],[675,132],[740,81],[787,11]],
+      [[628,527],[652,492],[651,462],[587,314],[549,249],[520,214],[452,148],[384,105],[321,78],[238,58]],
+      [[70,420],[138,402],[383,440],[857,487],[913,474],[950,458]],
+    ],
+  },
+  "禁": {
+    strokes: [
+      "M 376 633 Q 478 657 483 661 Q 492 668 487 677 Q 480 687 452 695 Q 428 699 382 685 L 336 671 Q 216 650 201 648 Q 165 642 191 626 Q 227 605 299 619 Q 305 620 315 621 L 376 633 Z",
+      "M 333 570 Q 332 495 323 464 Q 322 454 338 414 Q 347 399 361 407 Q 371 416 372 511 Q 371 574 376 633 L 382 685 Q 389 742 404 768 Q 410 777 399 790 Q 348 830 322 822 Q 309 818 315 804 Q 336 771 336 671 L 333 570 Z",
+      "M 315 621 Q 266 530 146 433 Q 136 423 144 421 Q 151 417 162 422 Q 246 453 332 568 Q 332 569 333 570 C 376 633 330 647 315 621 Z",
+      "M 396 575 Q 442 526 465 524 Q 475 524 480 539 Q 480 549 471 564 Q 453 589 397 596 Q 390 597 390 588 Q 389 581 396 575 Z",
+      "M 673 669 Q 722 682 778 693 Q 814 702 819 707 Q 829 716 823 724 Q 816 736 786 743 Q 755 747 725 735 Q 701 728 678 719 L 634 707 Q 585 697 533 690 Q 496 683 523 667 Q 559 648 615 655 L 673 669 Z",
+      "M 672 663 Q 672 667 673 669 L 678 719 Q 684 782 701 812 Q 707 822 696 834 Q 674 852 648 863 Q 632 870 618 865 Q 605 861 611 847 Q 633 811 634 707 L 633 608 Q 632 529 623 496 Q 622 484 637 446 Q 647 431 661 439 Q 668 445 669 610 Q 669 622 670 633 L 672 663 Z",
+      "M 615 655 Q 614 654 614 652 Q 563 562 456 474 Q 443 464 456 463 Q 465 462 495 478 Q 531 494 562 523 Q 596 554 633 608 C 674 667 628 682 615 655 Z",
+      "M 670 633 Q 731 558 808 478 Q 824 463 848 467 Q 930 476 956 483 Q 963 484 964 489 Q 964 493 953 498 Q 836 532 753 596 Q 714 627 672 663 C 649 682 651 656 670 633 Z",
+      "M 363 381 Q 326 377 352 358 Q 395 331 451 343 Q 527 355 607 368 Q 644 375 650 379 Q 659 386 655 396 Q 648 408 618 417 Q 588 424 557 413 Q 515 401 471 392 Q 422 385 363 381 Z",
+      "M 531 243 Q 619 250 871 251 Q 893 250 899 260 Q 905 273 887 288 Q 824 336 758 317 Q 550 281 134 236 Q 112 235 128 215 Q 144 199 163 193 Q 187 187 204 192 Q 381 237 478 238 L 531 243 Z",
+      "M 478 238 Q 488 198 489 90 Q 488 56 485 49 Q 481 36 456 40 Q 425 47 393 55 Q 380 55 379 49 Q 378 42 388 32 Q 458 -26 482 -59 Q 498 -75 510 -72 Q 522 -68 535 -32 Q 553 4 550 70 Q 546 146 547 173 Q 553 219 531 243 C 513 267 472 267 478 238 Z",
+      "M 309 167 Q 281 127 245 91 Q 218 61 231 23 Q 235 4 259 12 Q 311 40 325 103 Q 337 136 334 163 Q 330 173 324 175 Q 315 175 309 167 Z",
+      "M 651 148 Q 702 105 762 42 Q 780 21 796 17 Q 806 16 813 27 Q 826 40 811 87 Q 798 130 730 155 Q 717 161 651 181 Q 641 185 639 173 Q 639 158 651 148 Z",
+    ],
+    medians: [
+      [[193,638],[252,634],[436,672],[477,671]],
+      [[324,811],[350,792],[365,770],[347,462],[353,415]],
+      [[331,618],[321,610],[311,572],[256,508],[204,461],[149,426]],
+      [[401,585],[440,563],[464,538]],
+      [[525,680],[547,675],[603,677],[753,716],[813,717]],
+      [[620,854],[635,846],[661,814],[653,568],[645,494],[653,444]],
+      [[630,653],[623,647],[612,611],[563,550],[506,498],[459,469]],
+      [[676,655],[684,635],[727,592],[827,508],[896,493],[956,491]],
+      [[355,371],[414,362],[584,392],[643,390]],
+      [[131,225],[194,216],[358,245],[784,286],[827,284],[886,267]],
+      [[485,235],[514,211],[517,197],[519,60],[508,16],[496,-3],[454,11],[388,47]],
+      [[322,164],[311,131],[249,26]],
+      [[651,168],[752,105],[776,80],[797,35]],
+    ],
+  },
+  "止": {
+    strokes: [
+      "M 544 136 Q 548 286 552 424 L 553 451 Q 556 622 577 716 Q 581 731 558 749 Q 516 770 488 774 Q 469 778 460 768 Q 451 758 461 741 Q 498 689 497 653 Q 510 412 495 131 C 493 101 543 106 544 136 Z",
+      "M 552 424 Q 603 406 652 420 Q 716 433 781 449 Q 812 456 816 461 Q 825 471 820 479 Q 811 492 780 498 Q 747 504 715 490 Q 682 477 645 468 Q 605 458 557 452 Q 554 452 553 451 C 523 446 523 433 552 424 Z",
+      "M 347 116 Q 334 323 339 400 Q 343 425 326 439 Q 301 458 270 469 Q 254 475 244 468 Q 235 461 243 444 Q 267 398 278 350 Q 285 302 302 113 C 305 83 349 86 347 116 Z",
+      "M 495 131 Q 423 127 347 116 L 302 113 Q 217 106 128 98 Q 103 97 120 75 Q 156 39 201 49 Q 498 118 900 96 Q 901 97 904 96 Q 928 95 934 105 Q 941 118 922 136 Q 859 184 788 170 Q 691 155 544 136 L 495 131 Z",
+    ],
+    medians: [
+      [[474,756],[530,713],[532,680],[521,158],[500,139]],
+      [[557,444],[578,435],[603,436],[760,473],[807,472]],
+      [[254,457],[301,409],[323,136],[339,127]],
+      [[124,86],[180,74],[446,109],[813,137],[887,126],[921,112]],
+    ],
+  },
+  "停": {
+    strokes: [
+      "M 239 566 Q 272 615 307 678 Q 331 726 354 750 Q 363 762 357 775 Q 353 788 322 811 Q 292 829 273 828 Q 254 825 263 802 Q 279 772 268 745 Q 235 654 184 569 Q 135 487 66 396 Q 56 386 54 379 Q 50 367 65 370 Q 105 380 195 506 Q 202 516 212 528 L 239 566 Z",
+      "M 212 528 Q 233 462 235 457 Q 234 456 235 453 Q 235 264 205 139 Q 190 90 227 42 Q 228 39 232 36 Q 251 20 263 48 Q 278 90 278 138 Q 277 418 286 481 Q 293 509 283 520 Q 265 542 251 556 Q 245 563 239 566 C 216 585 203 557 212 528 Z",
+      "M 591 817 Q 612 802 634 784 Q 650 772 666 775 Q 678 778 681 792 Q 682 808 669 838 Q 662 853 634 860 Q 567 872 555 863 Q 551 859 554 845 Q 560 835 591 817 Z",
+      "M 449 717 Q 416 713 439 697 Q 478 672 528 684 Q 633 703 741 721 Q 790 731 798 738 Q 807 745 802 753 Q 796 763 770 772 Q 743 778 645 748 Q 552 726 449 717 Z",
+      "M 509 620 Q 499 624 470 627 Q 460 628 456 624 Q 452 618 460 604 Q 482 570 501 513 Q 505 495 517 485 Q 533 467 538 481 Q 538 484 539 487 L 537 519 Q 527 571 522 591 C 516 618 516 618 509 620 Z",
+      "M 723 539 Q 744 584 767 596 Q 782 612 769 629 Q 700 683 656 657 Q 593 636 509 620 C 480 614 493 585 522 591 Q 675 624 683 617 Q 690 610 676 549 C 669 520 710 512 723 539 Z",
+      "M 539 487 Q 546 487 552 488 Q 607 501 729 512 Q 739 513 740 521 Q 740 528 723 539 L 676 549 Q 672 550 668 548 Q 596 529 537 519 C 507 514 509 486 539 487 Z",
+      "M 420 405 Q 408 436 385 453 Q 382 457 375 454 Q 369 450 369 438 Q 370 402 339 339 Q 329 321 329 302 Q 332 281 341 266 Q 348 253 355 262 Q 367 265 386 313 Q 404 361 413 377 Q 413 378 414 378 C 424 395 424 395 420 405 Z",
+      "M 414 378 Q 439 363 473 373 Q 534 397 756 434 Q 802 441 817 438 Q 830 432 830 426 Q 831 423 826 413 Q 799 359 805 352 Q 812 348 828 358 Q 879 383 918 390 Q 951 396 951 403 Q 950 413 883 466 Q 859 485 789 469 Q 720 460 508 419 Q 463 412 420 405 C 390 400 386 389 414 378 Z",
+      "M 639 306 Q 702 315 769 315 Q 785 316 789 324 Q 793 334 778 344 Q 735 374 672 356 Q 575 332 449 307 Q 433 304 445 291 Q 475 269 503 278 Q 545 291 593 299 L 639 306 Z",
+      "M 593 299 Q 603 262 603 163 Q 603 79 595 60 Q 592 47 568 50 Q 534 59 500 66 Q 488 67 487 60 Q 486 54 496 46 Q 568 -8 591 -40 Q 607 -55 620 -51 Q 630 -47 642 -14 Q 658 19 655 79 Q 654 197 657 239 Q 663 281 639 306 C 621 330 587 328 593 299 Z",
+    ],
+    medians: [
+      [[275,812],[292,799],[312,764],[270,671],[172,507],[111,426],[63,379]],
+      [[240,555],[259,466],[252,243],[238,98],[244,45]],
+      [[561,857],[632,827],[661,794]],
+      [[441,708],[465,701],[516,702],[722,744],[790,748]],
+      [[464,619],[491,599],[500,581],[528,486]],
+      [[518,616],[534,607],[655,637],[695,640],[725,613],[708,570],[684,559]],
+      [[545,493],[560,507],[665,527],[731,521]],
+      [[379,446],[392,402],[360,322],[351,275]],
+      [[424,383],[627,428],[823,457],[856,444],[871,419],[810,356]],
+      [[448,299],[483,294],[701,337],[739,338],[779,328]],
+      [[601,296],[626,275],[629,260],[629,89],[621,37],[605,11],[560,26],[495,59]],
+    ],
+  },
+  "开": {
+    strokes: [
+      "M 612 685 Q 634 691 660 694 Q 717 706 726 713 Q 736 722 731 731 Q 724 744 693 753 Q 663 760 557 728 Q 431 700 324 691 Q 284 687 312 667 Q 355 640 417 652 Q 487 665 561 677 L 612 685 Z",
+      "M 653 401 Q 752 411 907 399 Q 932 396 938 405 Q 945 418 933 431 Q 902 459 857 480 Q 842 487 815 478 Q 742 462 667 451 Q 660 451 653 449 L 594 442 Q 453 429 407 421 L 350 414 Q 310 413 282 407 Q 209 395 101 394 Q 86 394 85 382 Q 85 369 104 354 Q 149 321 187 334 Q 229 350 342 365 Q 343 366 347 366 L 403 375 Q 460 387 594 395 L 653 401 Z",
+      "M 407 421 Q 411 464 413 514 Q 417 535 419 546 Q 425 568 403 578 Q 354 603 337 601 Q 316 597 333 574 Q 354 535 350 414 L 347 366 Q 347 245 264 128 Q 216 77 200 61 Q 185 48 182 41 Q 179 34 192 34 Q 208 34 230 49 Q 273 77 300 106 Q 373 187 394 314 Q 398 342 403 375 L 407 421 Z",
+      "M 599 -2 Q 605 -30 613 -41 Q 619 -48 627 -46 Q 645 -37 651 31 Q 658 115 656 197 Q 653 248 653 401 L 653 449 Q 653 554 665 632 Q 669 651 653 663 Q 628 679 612 685 C 585 698 551 705 561 677 Q 558 670 577 643 Q 587 622 593 530 Q 593 490 594 442 L 594 395 Q 588 68 599 -2 Z",
+    ],
+    medians: [
+      [[315,681],[338,674],[390,673],[634,720],[694,728],[719,725]],
+      [[98,381],[125,369],[166,363],[445,405],[833,443],[889,430],[926,414]],
+      [[339,587],[356,577],[381,547],[378,400],[357,262],[332,196],[281,115],[229,66],[190,42]],
+      [[568,674],[608,651],[623,631],[623,-35]],
+    ],
+  },
+  "关": {
+    strokes: [
+      "M 359 703 Q 383 681 409 652 Q 422 639 440 639 Q 450 639 457 653 Q 461 668 454 700 Q 445 730 355 754 Q 339 758 332 755 Q 326 751 328 738 Q 331 726 359 703 Z",
+      "M 641 764 Q 620 733 543 647 Q 533 629 550 633 Q 599 660 684 716 Q 703 732 730 742 Q 752 752 742 771 Q 729 790 701 806 Q 676 821 663 818 Q 650 817 654 803 Q 657 784 641 764 Z",
+      "M 500 524 Q 582 537 670 550 Q 731 562 741 570 Q 751 577 747 587 Q 740 600 709 610 Q 673 619 586 591 Q 445 558 313 551 Q 273 547 300 527 Q 342 502 419 513 Q 434 516 451 516 L 500 524 Z",
+      "M 531 330 Q 585 336 871 335 Q 893 334 898 344 Q 905 357 887 372 Q 827 418 775 406 Q 678 390 525 369 L 462 362 Q 323 349 166 332 Q 144 331 160 311 Q 175 295 195 289 Q 217 282 236 287 Q 338 312 453 323 L 531 330 Z",
+      "M 525 369 Q 532 400 538 438 Q 542 466 548 479 Q 555 486 550 498 Q 537 511 500 524 C 472 535 441 544 451 516 Q 452 512 456 506 Q 471 443 463 372 Q 462 368 462 362 L 453 323 Q 411 200 348 147 Q 308 110 201 60 Q 173 45 206 45 Q 258 42 357 93 Q 405 117 437 161 Q 482 218 509 309 L 525 369 Z",
+      "M 509 309 Q 588 185 689 52 Q 708 30 742 30 Q 856 29 892 34 Q 902 35 905 41 Q 905 47 890 55 Q 739 127 675 181 Q 606 245 531 330 C 511 352 493 334 509 309 Z",
+    ],
+    medians: [
+      [[338,747],[413,697],[438,659]],
+      [[662,808],[681,787],[688,767],[645,722],[582,667],[555,651],[551,642]],
+      [[304,541],[347,532],[407,534],[683,583],[735,582]],
+      [[163,321],[217,311],[537,352],[796,372],[885,352]],
+      [[458,513],[497,486],[503,476],[503,453],[491,354],[469,280],[445,227],[402,162],[361,124],[287,82],[211,55]],
+      [[519,322],[631,180],[723,88],[753,74],[897,41]],
+    ],
+  },
+  "票": {
+    strokes: [
+      "M 582 785 Q 616 792 653 797 Q 708 807 718 814 Q 725 821 722 829 Q 716 841 690 848 Q 663 855 635 846 Q 571 827 501 812 Q 425 799 334 793 Q 300 789 323 773 Q 360 749 412 758 Q 481 770 552 780 L 582 785 Z",
+      "M 295 644 Q 283 648 251 651 Q 238 652 235 647 Q 229 640 239 624 Q 269 578 293 497 Q 297 473 314 459 Q 335 437 339 454 Q 340 458 341 464 L 338 494 Q 337 501 336 507 Q 318 582 313 610 C 307 639 307 641 295 644 Z",
+      "M 673 501 Q 686 479 700 470 Q 710 461 726 481 Q 738 494 769 577 Q 779 608 804 632 Q 817 644 807 659 Q 791 677 750 705 Q 731 715 713 709 Q 670 699 609 691 L 560 684 Q 511 678 455 668 L 412 661 Q 348 652 295 644 C 265 640 284 603 313 610 Q 359 622 417 631 L 455 638 Q 501 647 557 654 L 602 660 Q 692 678 713 656 Q 720 646 719 636 Q 695 539 680 531 C 666 511 666 511 673 501 Z",
+      "M 455 668 Q 455 686 457 692 Q 458 710 447 719 Q 428 732 407 739 Q 395 743 389 737 Q 382 733 388 721 Q 403 694 412 661 L 417 631 Q 421 591 433 507 C 437 477 466 482 464 512 Q 455 623 455 638 L 455 668 Z",
+      "M 609 691 Q 615 710 619 722 Q 625 732 628 742 Q 632 749 618 763 Q 599 779 582 785 C 554 797 549 799 552 780 Q 551 776 554 769 Q 566 745 564 731 Q 563 709 560 684 L 557 654 Q 550 593 539 524 C 534 494 566 501 573 530 Q 588 597 602 660 L 609 691 Z",
+      "M 341 464 Q 354 463 372 465 Q 544 489 673 501 C 703 504 708 519 680 531 Q 673 535 664 537 Q 633 543 573 530 L 539 524 Q 500 520 464 512 L 433 507 Q 384 503 338 494 C 309 488 311 465 341 464 Z",
+      "M 363 395 Q 327 391 352 374 Q 388 347 445 359 Q 532 372 622 388 Q 664 395 670 401 Q 679 408 674 416 Q 668 428 640 436 Q 619 442 498 412 Q 429 400 363 395 Z",
+      "M 537 276 Q 658 286 835 281 Q 868 280 896 279 Q 917 278 922 287 Q 928 299 911 314 Q 848 362 804 345 Q 555 309 150 274 Q 128 273 143 255 Q 158 240 176 234 Q 198 227 214 231 Q 332 259 463 270 Q 476 271 490 272 L 537 276 Z",
+      "M 490 272 Q 502 236 501 125 Q 500 77 495 66 Q 491 56 470 61 Q 439 71 405 82 Q 393 83 391 77 Q 388 70 399 60 Q 466 -1 487 -35 Q 503 -51 515 -49 Q 527 -45 540 -12 Q 558 22 557 86 Q 556 173 557 204 Q 566 246 537 276 C 518 299 482 301 490 272 Z",
+      "M 308 184 Q 275 141 236 102 Q 206 72 219 32 Q 223 11 248 20 Q 306 50 323 117 Q 336 151 333 179 Q 330 189 324 191 Q 314 192 308 184 Z",
+      "M 664 172 Q 713 121 773 49 Q 789 27 804 22 Q 813 21 821 31 Q 834 44 824 89 Q 812 143 667 203 Q 657 210 655 197 Q 654 184 664 172 Z",
+    ],
+    medians: [
+      [[326,784],[348,777],[401,777],[510,793],[648,823],[709,824]],
+      [[243,640],[275,619],[286,600],[327,459]],
+      [[302,641],[322,630],[619,679],[683,686],[728,682],[760,646],[706,505],[708,486]],
+      [[396,729],[430,697],[448,527],[439,518]],
+      [[560,776],[580,764],[595,741],[562,556],[554,538],[544,531]],
+      [[347,487],[356,480],[673,525]],
+      [[354,386],[378,378],[432,379],[616,412],[661,411]],
+      [[146,265],[205,254],[429,285],[819,315],[856,312],[910,294]],
+      [[498,270],[524,246],[529,226],[528,76],[517,36],[504,18],[493,21],[400,74]],
+      [[321,179],[292,117],[246,55],[237,34]],
+      [[665,192],[775,102],[795,73],[805,37]],
+    ],
+  },
+  "楼": {
+    strokes: [
+      "M 330 523 Q 343 527 361 531 Q 398 541 404 547 Q 413 556 408 564 Q 401 576 370 582 Q 351 586 332 580 L 285 564 Q 183 533 108 522 Q 71 515 99 499 Q 144 475 199 492 Q 230 499 264 507 L 330 523 Z",
+      "M 326 421 Q 327 470 330 523 L 332 580 Q 333 671 353 731 Q 363 747 360 760 Q 353 770 298 806 Q 274 822 253 808 Q 249 804 254 787 Q 285 739 285 692 Q 285 632 285 564 L 279 419 Q 267 191 265 184 Q 258 147 247 109 Q 235 67 260 7 Q 266 -11 274 -15 Q 280 -22 288 -13 Q 315 5 317 68 Q 316 108 325 387 L 326 421 Z",
+      "M 264 507 Q 240 437 205 372 Q 165 300 70 169 Q 64 159 76 158 Q 97 158 198 284 Q 241 339 279 419 C 335 536 274 535 264 507 Z",
+      "M 325 387 Q 326 386 330 383 Q 358 358 386 326 Q 396 316 408 315 Q 417 315 421 325 Q 425 335 421 359 Q 415 389 329 421 Q 328 422 326 421 C 296 425 302 406 325 387 Z",
+      "M 483 683 Q 526 628 546 626 Q 559 625 565 641 Q 566 653 558 672 Q 549 685 530 692 Q 500 705 488 707 Q 479 708 478 699 Q 477 692 483 683 Z",
+      "M 746 737 Q 728 710 692 668 Q 686 661 691 655 Q 698 654 705 657 Q 775 700 811 716 Q 827 720 823 730 Q 819 745 802 762 Q 786 778 766 781 Q 753 781 753 764 Q 754 751 746 737 Z",
+      "M 660 558 Q 693 567 823 584 Q 833 583 841 595 Q 842 605 820 616 Q 793 637 693 607 Q 675 603 657 598 Q 653 597 650 596 L 615 588 Q 572 581 534 575 Q 494 571 448 563 Q 420 559 442 543 Q 472 522 514 529 Q 541 535 576 542 L 660 558 Z",
+      "M 650 596 Q 653 729 681 785 Q 687 794 676 806 Q 654 824 628 835 Q 612 842 598 837 Q 585 833 591 819 Q 618 776 615 708 Q 616 641 615 588 L 612 520 Q 603 427 606 416 Q 612 406 617 394 Q 627 379 641 387 Q 650 394 651 455 Q 650 485 649 536 L 650 596 Z",
+      "M 576 542 Q 555 482 441 398 Q 428 388 440 386 Q 449 385 479 399 Q 507 409 534 431 Q 556 450 583 479 Q 599 501 612 520 C 635 554 595 591 576 542 Z",
+      "M 649 536 Q 695 473 749 415 Q 768 396 800 394 Q 858 390 919 400 Q 935 401 936 406 Q 939 412 926 417 Q 784 466 722 509 Q 704 521 689 534 Q 673 549 660 558 C 636 576 631 560 649 536 Z",
+      "M 656 87 Q 704 51 771 -12 Q 793 -34 810 -34 Q 829 -35 832 -16 Q 833 3 809 48 Q 797 75 685 127 L 641 147 Q 604 165 575 174 Q 551 180 565 202 Q 578 235 590 257 L 606 291 Q 607 292 608 294 Q 615 316 626 332 Q 635 339 631 348 Q 627 361 589 386 Q 579 393 569 390 Q 557 386 564 372 Q 573 351 555 285 L 544 250 Q 511 175 513 171 Q 516 161 531 158 Q 570 145 611 118 Q 612 118 613 116 L 656 87 Z",
+      "M 613 116 Q 553 56 408 24 Q 392 17 411 13 Q 552 -8 654 84 Q 654 87 656 87 L 685 127 Q 715 169 733 219 Q 745 256 755 270 C 770 296 768 297 742 312 Q 709 333 687 327 Q 674 324 680 309 Q 681 306 683 302 L 686 267 Q 687 243 673 211 Q 660 175 641 147 L 613 116 Z",
+      "M 755 270 Q 789 273 912 273 Q 930 273 935 281 Q 939 291 925 303 Q 874 342 814 325 Q 781 319 742 312 L 683 302 Q 650 301 606 291 L 555 285 Q 474 275 383 264 Q 364 263 378 247 Q 391 234 407 229 Q 426 225 440 229 Q 489 242 544 250 L 590 257 Q 614 264 686 267 L 755 270 Z",
+    ],
+    medians: [
+      [[100,512],[148,506],[344,555],[397,558]],
+      [[264,801],[293,777],[316,746],[295,230],[280,87],[279,-2]],
+      [[280,504],[270,497],[258,428],[226,363],[160,262],[77,165]],
+      [[328,415],[339,412],[344,395],[396,354],[408,329]],
+      [[488,696],[526,669],[547,643]],
+      [[766,767],[781,737],[697,661]],
+      [[443,554],[467,548],[516,551],[752,599],[801,602],[831,596]],
+      [[600,826],[624,810],[643,782],[628,506],[633,396]],
+      [[608,542],[528,447],[482,412],[471,410],[467,402],[444,392]],
+      [[656,551],[696,504],[776,438],[836,420],[929,410]],
+      [[572,380],[587,365],[597,342],[538,180],[720,76],[772,36],[813,-15]],
+      [[689,316],[702,308],[718,282],[711,236],[684,170],[631,97],[594,69],[541,43],[470,23],[419,21]],
+      [[380,256],[416,247],[649,283],[850,302],[925,286]],
+    ],
+  },
+  "医": {
+    strokes: [
+      "M 295 695 Q 334 683 416 694 Q 746 739 767 750 Q 767 751 769 751 Q 778 758 774 768 Q 767 781 739 790 Q 709 799 609 771 Q 443 734 289 729 C 259 728 266 702 295 695 Z",
+      "M 445 559 Q 454 580 483 625 Q 492 637 478 649 Q 436 676 415 671 Q 405 667 409 655 Q 427 583 354 486 Q 336 464 328 451 Q 322 438 335 442 Q 377 451 435 540 L 445 559 Z",
+      "M 554 537 Q 719 580 724 585 Q 733 592 728 601 Q 721 611 692 618 Q 662 622 634 609 Q 594 593 551 581 Q 503 568 447 560 Q 444 560 445 559 C 416 552 411 551 435 540 Q 471 522 508 525 L 554 537 Z",
+      "M 552 364 Q 631 376 753 379 Q 804 379 812 389 Q 816 399 801 411 Q 750 447 703 431 Q 646 418 561 400 L 507 391 Q 417 378 318 360 Q 299 357 314 343 Q 327 331 343 327 Q 362 323 377 327 Q 432 345 497 355 L 552 364 Z",
+      "M 497 355 Q 461 250 373 195 Q 358 185 344 174 Q 331 167 343 163 Q 397 163 461 220 Q 521 271 552 364 L 561 400 Q 573 469 588 495 Q 597 511 582 520 Q 567 532 554 537 C 527 550 497 553 508 525 Q 527 491 507 391 L 497 355 Z",
+      "M 596 306 Q 647 260 708 190 Q 723 171 737 166 Q 746 165 753 174 Q 765 187 753 229 Q 744 280 597 336 Q 590 340 587 329 Q 586 316 596 306 Z",
+      "M 289 729 Q 243 754 222 756 Q 209 757 200 750 Q 190 743 204 724 Q 234 685 223 318 Q 208 92 175 66 Q 153 47 166 28 Q 173 10 189 -3 Q 205 -16 225 -2 Q 232 7 298 31 Q 392 50 569 56 Q 750 59 812 50 Q 839 46 851 52 Q 863 59 863 67 Q 863 83 826 106 Q 790 127 769 126 Q 727 125 401 86 Q 277 67 268 80 Q 259 89 268 222 Q 268 382 288 622 Q 289 679 295 695 C 299 724 299 724 289 729 Z",
+    ],
+    medians: [
+      [[297,724],[306,714],[326,710],[427,715],[705,764],[739,767],[762,762]],
+      [[419,660],[446,629],[432,585],[391,507],[337,451]],
+      [[444,541],[455,547],[500,546],[541,555],[661,592],[718,595]],
+      [[316,352],[361,346],[573,386],[717,406],[757,406],[804,394]],
+      [[517,524],[551,499],[532,388],[509,320],[472,259],[441,227],[394,190],[349,168]],
+      [[598,324],[712,237],[739,181]],
+      [[211,740],[249,709],[255,687],[247,322],[227,55],[280,50],[443,72],[738,90],[778,89],[849,68]],
+    ],
+  },
+  "院": {
+    strokes: [
+      "M 226 671 Q 257 680 290 696 Q 303 705 313 697 Q 320 690 309 671 Q 290 631 273 589 Q 263 567 275 549 Q 330 476 318 458 Q 314 448 293 449 Q 269 450 243 448 Q 221 447 247 436 Q 295 417 339 390 Q 352 380 362 391 Q 374 401 378 423 Q 387 471 330 533 Q 324 540 318 545 Q 284 579 326 628 Q 360 682 382 697 Q 400 709 391 720 Q 378 736 344 754 Q 325 761 313 751 Q 274 717 208 697 C 179 688 197 662 226 671 Z",
+      "M 208 697 Q 186 716 157 724 Q 147 725 140 716 Q 136 710 145 699 Q 209 546 165 225 Q 138 95 139 92 Q 139 88 140 83 Q 150 46 163 33 Q 176 18 186 33 Q 216 75 218 267 Q 221 468 226 671 C 226 684 226 684 208 697 Z",
+      "M 569 772 Q 591 751 617 726 Q 632 713 648 714 Q 660 714 665 728 Q 669 744 660 775 Q 650 802 563 823 Q 547 826 540 823 Q 534 819 536 805 Q 540 795 569 772 Z",
+      "M 457 628 Q 445 655 427 668 Q 424 672 418 668 Q 414 665 412 654 Q 415 627 387 564 Q 377 548 378 531 Q 379 512 389 498 Q 396 486 402 494 Q 414 497 430 541 Q 446 584 454 598 Q 454 599 455 600 C 463 615 463 615 457 628 Z",
+      "M 455 600 Q 476 591 526 606 Q 595 637 724 656 Q 751 662 760 660 Q 776 650 774 641 Q 775 638 771 626 Q 752 560 757 557 Q 764 554 778 567 Q 824 604 863 620 Q 894 635 893 642 Q 892 651 822 693 Q 803 705 720 686 Q 617 667 457 628 C 428 621 426 606 455 600 Z",
+      "M 487 492 Q 453 485 478 470 Q 523 449 573 464 Q 621 476 670 487 Q 692 493 696 497 Q 705 504 700 513 Q 693 523 664 529 Q 634 533 606 521 Q 581 511 553 504 Q 523 497 487 492 Z",
+      "M 652 362 Q 665 366 775 380 Q 785 379 793 391 Q 794 401 772 412 Q 745 433 643 403 Q 523 376 480 370 Q 438 366 392 359 Q 365 355 386 339 Q 420 315 444 322 Q 517 338 609 354 L 652 362 Z",
+      "M 482 296 Q 483 200 392 118 Q 367 93 305 48 Q 298 42 303 39 Q 330 29 403 77 Q 470 116 527 222 Q 537 240 549 255 Q 556 264 553 273 Q 547 283 522 301 Q 503 314 494 312 Q 481 311 482 296 Z",
+      "M 968 94 Q 955 125 936 222 Q 936 238 929 242 Q 923 245 919 228 Q 897 125 880 93 Q 850 60 760 66 Q 726 67 698 80 Q 673 92 667 107 Q 645 161 676 321 Q 680 345 652 362 C 629 381 598 382 609 354 Q 622 341 621 279 Q 615 273 614 155 Q 614 59 669 33 Q 765 -9 889 20 Q 926 30 963 54 Q 981 69 968 94 Z",
+    ],
+    medians: [
+      [[218,694],[240,691],[310,722],[331,724],[345,712],[336,678],[294,605],[286,569],[293,547],[340,484],[348,458],[346,439],[342,431],[318,428],[250,444]],
+      [[151,711],[177,688],[193,658],[202,555],[198,321],[185,168],[172,91],[175,38]],
+      [[546,815],[629,762],[648,732]],
+      [[423,658],[433,624],[431,609],[406,548],[399,506]],
+      [[462,607],[474,615],[650,658],[734,676],[773,676],[805,662],[817,646],[761,560]],
+      [[480,482],[532,478],[643,506],[690,507]],
+      [[387,350],[428,342],[713,395],[748,399],[783,392]],
+      [[494,299],[514,265],[497,223],[456,153],[417,112],[367,73],[308,43]],
+      [[616,354],[648,327],[635,194],[640,112],[656,77],[699,50],[752,38],[826,38],[874,49],[915,72],[925,83],[928,236]],
+    ],
+  },
+  "校": {
+    strokes: [
+      "M 329 538 Q 416 569 417 570 Q 424 577 420 586 Q 413 596 385 600 Q 357 603 331 590 L 289 573 Q 199 540 125 527 Q 92 518 118 505 Q 158 486 207 503 Q 240 513 276 523 L 329 538 Z",
+      "M 326 414 Q 327 472 329 538 L 331 590 Q 332 686 353 750 Q 362 765 359 778 Q 352 788 298 821 Q 276 839 255 823 Q 251 819 256 803 Q 289 754 289 704 Q 289 643 289 573 L 284 419 Q 280 335 279 244 Q 273 165 252 93 Q 239 51 265 -6 Q 271 -24 279 -27 Q 285 -33 292 -25 Q 299 -21 310 -1 Q 320 24 319 54 Q 319 94 325 385 L 326 414 Z",
+      "M 276 523 Q 225 376 62 153 Q 56 143 68 142 Q 92 142 201 281 Q 244 339 284 419 C 352 553 286 551 276 523 Z",
+      "M 325 385 Q 341 369 375 325 Q 384 313 396 312 Q 403 311 409 321 Q 415 331 411 355 Q 410 371 386 387 Q 341 414 326 414 C 296 417 304 406 325 385 Z",
+      "M 591 758 Q 645 709 680 699 Q 695 698 703 712 Q 707 725 703 743 Q 684 785 599 798 Q 581 802 572 796 Q 566 795 570 782 Q 573 770 591 758 Z",
+      "M 497 606 Q 460 599 487 583 Q 532 559 587 574 Q 680 595 777 617 Q 820 629 827 635 Q 837 644 831 652 Q 824 664 794 671 Q 766 675 671 642 Q 562 614 497 606 Z",
+      "M 499 473 Q 484 440 432 360 Q 426 345 440 350 Q 483 386 539 441 Q 552 457 571 468 Q 587 478 576 492 Q 563 504 540 513 Q 519 522 509 518 Q 499 515 503 504 Q 507 489 499 473 Z",
+      "M 720 489 Q 765 459 812 423 Q 825 413 840 415 Q 850 416 853 428 Q 856 443 846 468 Q 833 507 712 532 Q 697 533 692 531 Q 688 527 690 515 Q 694 505 720 489 Z",
+      "M 655 208 Q 697 292 705 327 Q 715 370 726 384 Q 735 397 727 406 Q 715 419 689 427 Q 670 436 650 431 Q 638 427 645 413 Q 666 377 646 314 Q 636 277 619 245 L 600 215 Q 572 179 534 151 Q 482 114 371 77 Q 355 68 375 66 Q 538 57 632 172 L 655 208 Z",
+      "M 632 172 Q 755 16 818 14 Q 833 14 933 25 Q 946 26 959 31 Q 966 38 954 46 Q 939 53 822 91 Q 746 113 655 208 L 619 245 Q 591 278 560 316 Q 541 341 507 347 Q 497 350 487 343 Q 483 337 491 330 Q 498 324 505 319 Q 527 309 600 215 L 632 172 Z",
+    ],
+    medians: [
+      [[119,517],[179,517],[367,577],[412,578]],
+      [[267,816],[308,776],[318,754],[310,641],[302,250],[283,61],[284,-14]],
+      [[283,519],[260,422],[224,356],[178,282],[69,150]],
+      [[329,407],[385,353],[395,327]],
+      [[581,788],[658,746],[682,722]],
+      [[489,596],[512,590],[561,592],[774,644],[821,645]],
+      [[516,507],[534,479],[441,359]],
+      [[697,525],[806,468],[838,430]],
+      [[653,421],[686,395],[688,382],[665,289],[623,203],[576,151],[518,112],[450,86],[382,75]],
+      [[495,338],[534,319],[655,175],[716,115],[767,76],[810,54],[950,36]],
+    ],
+  },
+  "银": {
+    strokes: [
+      "M 297 628 Q 357 730 378 751 Q 388 761 383 775 Q 379 788 350 811 Q 322 830 303 830 Q 284 829 293 805 Q 308 772 295 743 Q 255 647 195 559 Q 137 474 59 379 Q 49 369 46 363 Q 43 351 57 354 Q 114 363 277 597 L 297 628 Z",
+      "M 277 597 Q 314 593 383 612 Q 404 619 427 626 Q 443 632 446 634 Q 453 643 448 650 Q 441 660 413 663 Q 379 663 297 628 C 269 616 247 599 277 597 Z",
+      "M 287 451 Q 296 455 396 485 Q 418 492 422 497 Q 429 506 424 513 Q 417 523 387 527 Q 357 530 330 515 Q 305 503 277 494 Q 246 484 209 477 Q 175 467 201 454 Q 219 445 243 445 L 287 451 Z",
+      "M 319 308 Q 445 345 449 349 Q 456 356 452 365 Q 445 375 416 381 Q 392 384 319 356 L 272 340 Q 220 328 159 317 Q 125 308 150 294 Q 198 273 247 290 Q 259 294 273 296 L 319 308 Z",
+      "M 273 296 Q 273 167 239 114 Q 202 78 247 31 L 249 30 Q 262 23 272 39 Q 287 67 423 185 Q 439 198 444 206 Q 448 216 438 216 Q 425 216 322 154 Q 313 148 311 157 Q 318 239 319 308 L 319 356 Q 318 383 322 404 Q 326 417 318 428 Q 302 441 287 451 C 262 468 226 470 243 445 Q 267 421 272 340 L 273 296 Z",
+      "M 695 472 Q 711 451 725 445 Q 735 438 750 459 Q 763 486 788 628 Q 795 658 816 683 Q 829 696 817 708 Q 801 724 759 748 Q 740 755 678 736 Q 659 736 529 698 C 500 690 526 661 555 670 Q 606 686 695 704 Q 716 708 724 701 Q 737 686 736 670 Q 715 517 699 504 C 687 482 687 482 695 472 Z",
+      "M 547 560 Q 553 559 563 561 Q 630 573 680 581 Q 702 585 693 597 Q 683 610 659 614 Q 620 617 547 583 C 520 570 517 562 547 560 Z",
+      "M 550 451 Q 554 451 560 451 Q 636 464 695 472 C 725 476 727 494 699 504 Q 698 505 693 506 Q 672 510 635 500 Q 590 487 550 476 C 521 468 520 451 550 451 Z",
+      "M 550 431 Q 550 441 550 451 L 550 476 Q 549 518 548 555 Q 547 558 547 560 L 547 583 Q 547 623 554 657 Q 555 664 555 670 C 556 681 555 682 529 698 Q 514 708 500 715 Q 481 722 472 715 Q 462 709 471 693 Q 529 579 494 176 Q 493 125 452 73 Q 440 57 449 34 Q 461 7 474 -4 Q 487 -13 499 5 Q 515 35 657 159 Q 676 172 680 182 Q 684 192 674 192 Q 662 192 554 131 Q 544 124 541 135 Q 548 277 550 397 L 550 431 Z",
+      "M 692 286 Q 752 322 801 355 Q 819 368 840 378 Q 859 387 851 403 Q 839 419 816 432 Q 794 445 783 443 Q 771 442 775 429 Q 775 402 683 297 Q 682 297 682 296 C 662 274 666 271 692 286 Z",
+      "M 682 296 Q 637 342 589 405 Q 574 423 550 431 C 522 443 529 419 550 397 Q 560 391 644 275 Q 761 107 828 106 Q 835 106 844 107 Q 955 119 966 123 Q 973 129 962 138 Q 949 147 834 188 Q 780 209 692 286 L 682 296 Z",
+    ],
+    medians: [
+      [[303,815],[328,791],[340,767],[282,650],[171,486],[92,393],[55,362]],
+      [[283,601],[313,617],[402,641],[438,643]],
+      [[202,466],[248,465],[368,503],[414,506]],
+      [[152,306],[211,304],[291,322],[397,356],[443,357]],
+      [[251,444],[281,426],[293,403],[296,273],[284,158],[289,121],[334,134],[437,209]],
+      [[542,701],[560,689],[710,726],[746,721],[768,699],[772,682],[727,484],[731,464]],
+      [[551,566],[561,576],[634,594],[684,591]],
+      [[555,457],[574,469],[672,487],[694,499]],
+      [[481,704],[509,677],[520,655],[529,390],[513,132],[523,95],[563,107],[673,185]],
+      [[783,434],[802,397],[688,292]],
+      [[556,425],[651,297],[729,214],[779,172],[824,148],[962,130]],
+    ],
+  },
+  "行": {
+    strokes: [
+      "M 322 810 Q 335 771 252 668 Q 213 620 162 568 Q 152 559 148 554 Q 144 544 157 545 Q 205 545 343 696 Q 376 738 393 750 Q 403 759 401 772 Q 398 785 375 809 Q 353 828 334 831 Q 318 831 322 810 Z",
+      "M 273 414 Q 399 555 401 560 Q 400 564 400 567 Q 399 580 374 605 Q 352 626 333 628 Q 315 629 320 607 Q 329 579 315 556 Q 272 483 214 416 Q 157 352 82 284 Q 72 277 69 270 Q 65 260 78 261 Q 111 261 214 358 Q 227 371 244 385 L 273 414 Z",
+      "M 244 385 Q 274 325 247 152 Q 223 68 266 24 Q 282 8 294 34 Q 309 74 308 119 Q 307 299 312 339 Q 319 366 310 376 Q 277 412 273 414 C 251 434 232 413 244 385 Z",
+      "M 549 671 Q 509 661 539 644 Q 587 620 650 638 Q 714 654 781 671 Q 812 680 817 684 Q 826 694 820 703 Q 811 716 778 722 Q 744 726 710 712 Q 676 699 639 688 Q 597 678 549 671 Z",
+      "M 715 469 Q 796 482 914 486 Q 974 486 981 498 Q 987 511 968 524 Q 911 563 870 552 Q 734 516 416 460 Q 394 457 411 439 Q 447 409 487 422 Q 610 462 666 462 L 715 469 Z",
+      "M 635 61 Q 613 68 585 76 Q 572 80 573 72 Q 573 65 583 53 Q 644 -2 683 -48 Q 696 -58 710 -41 Q 749 10 750 117 Q 740 267 749 404 Q 756 432 749 443 Q 742 453 715 469 C 690 485 657 491 666 462 Q 681 416 683 387 Q 683 80 682 75 Q 679 66 674 59 Q 662 52 635 61 Z",
+    ],
+    medians: [
+      [[334,817],[352,793],[358,771],[338,738],[241,620],[196,578],[156,553]],
+      [[331,615],[350,591],[357,564],[324,514],[266,439],[176,346],[120,297],[77,269]],
+      [[270,407],[285,352],[283,220],[272,94],[278,34]],
+      [[541,659],[606,655],[748,693],[808,695]],
+      [[414,449],[463,443],[590,473],[889,520],[971,504]],
+      [[673,455],[708,435],[715,425],[717,108],[712,58],[689,15],[645,30],[580,70]],
+    ],
+  },
+  "公": {
+    strokes: [
+      "M 304 649 Q 322 577 199 422 Q 193 418 189 411 Q 152 368 61 284 Q 52 280 64 276 Q 140 291 252 412 Q 256 419 264 426 Q 307 477 374 581 Q 383 594 389 601 Q 396 607 395 617 Q 394 627 380 640 Q 344 670 310 665 Q 301 662 304 649 Z",
+      "M 467 783 Q 527 747 562 678 Q 662 477 753 386 Q 775 370 886 372 Q 919 375 966 376 Q 987 377 987 383 Q 987 387 968 395 Q 794 459 735 515 Q 656 594 554 760 Q 533 794 495 799 Q 467 802 465 795 Q 461 786 467 783 Z",
+      "M 629 177 Q 500 164 362 133 Q 347 129 343 133 Q 340 137 347 150 Q 477 334 505 364 Q 520 376 512 391 Q 505 406 448 432 Q 429 442 417 436 Q 401 429 409 405 Q 430 333 302 171 Q 277 146 238 118 Q 222 103 226 91 Q 232 70 262 47 Q 275 34 291 47 Q 357 93 633 146 Q 640 147 647 150 C 676 157 659 180 629 177 Z",
+      "M 647 150 Q 707 54 718 48 Q 727 45 738 54 Q 754 66 750 118 Q 750 181 585 289 Q 576 296 571 284 Q 567 269 576 255 Q 601 221 629 177 L 647 150 Z",
+    ],
+    medians: [
+      [[314,654],[347,614],[296,512],[215,404],[128,322],[68,282]],
+      [[473,790],[518,770],[544,742],[671,540],[756,445],[783,424],[803,418],[874,400],[982,383]],
+      [[423,420],[446,395],[457,378],[455,372],[389,250],[316,147],[303,108],[347,103],[439,127],[608,159],[639,151]],
+      [[582,276],[662,191],[706,132],[724,81],[723,57]],
+    ],
+  },
+  "司": {
+    strokes: [
+      "M 344 745 Q 319 745 319 731 Q 320 719 345 701 Q 375 682 419 691 Q 497 719 633 738 Q 732 756 739 725 Q 740 698 733 576 Q 721 344 723 199 Q 724 93 714 80 Q 708 71 696 71 Q 683 72 608 89 Q 595 93 591 87 Q 588 78 617 58 Q 668 22 702 -13 Q 733 -44 744 -41 Q 754 -40 765 -21 Q 795 36 792 76 Q 761 653 822 715 Q 831 727 830 733 Q 830 745 797 770 Q 751 803 738 804 Q 725 804 709 799 Q 655 780 538 762 Q 426 744 344 745 Z",
+      "M 298 570 Q 261 564 287 546 Q 332 522 387 534 Q 463 547 541 563 Q 577 570 582 575 Q 592 582 587 592 Q 580 604 550 612 Q 528 618 433 591 Q 348 575 298 570 Z",
+      "M 237 415 Q 233 416 227 416 Q 214 419 211 413 Q 204 406 214 390 Q 248 329 271 226 Q 275 195 294 175 Q 315 153 319 170 Q 323 186 321 211 L 314 246 Q 292 342 287 374 C 282 404 267 412 237 415 Z",
+      "M 540 277 Q 565 358 599 384 Q 615 403 600 422 Q 582 437 527 462 Q 508 471 485 461 Q 335 401 237 415 C 207 418 258 368 287 374 Q 297 375 313 380 Q 392 393 469 408 Q 488 412 497 404 Q 507 397 505 378 Q 498 326 488 284 C 481 255 531 248 540 277 Z",
+      "M 321 211 Q 328 210 339 212 Q 406 228 552 243 Q 562 244 564 254 Q 564 261 540 277 L 488 284 Q 485 285 482 284 Q 388 259 314 246 C 284 241 291 212 321 211 Z",
+    ],
+    medians: [
+      [[331,731],[372,718],[416,719],[724,772],[755,760],[781,730],[766,648],[755,491],[757,117],[751,62],[732,29],[697,37],[597,84]],
+      [[290,559],[325,552],[360,554],[520,586],[576,586]],
+      [[220,405],[261,356],[307,175]],
+      [[243,412],[292,394],[381,408],[484,435],[522,428],[550,400],[521,307],[495,290]],
+      [[322,242],[340,232],[485,260],[531,260],[556,253]],
+    ],
+  },
+  "商": {
+    strokes: [
+      "M 451 824 Q 502 778 542 762 Q 558 761 567 776 Q 571 791 567 808 Q 549 851 485 862 Q 446 871 432 865 Q 426 864 430 850 Q 433 837 451 824 Z",
+      "M 639 688 Q 750 703 883 692 Q 905 691 911 699 Q 918 712 907 722 Q 877 747 835 766 Q 822 772 797 763 Q 698 741 378 697 Q 183 673 146 670 Q 139 671 133 670 Q 120 670 119 659 Q 119 647 137 633 Q 182 606 213 617 Q 270 636 397 658 Q 445 667 594 682 L 639 688 Z",
+      "M 345 606 Q 381 530 402 522 Q 414 518 424 532 Q 428 544 425 564 Q 412 603 356 628 Q 349 632 344 622 Q 341 615 345 606 Z",
+      "M 578 524 Q 602 560 626 601 Q 636 619 655 642 Q 670 652 662 663 Q 655 676 639 688 C 616 707 591 712 594 682 Q 600 648 545 529 Q 542 523 540 516 C 531 488 561 499 578 524 Z",
+      "M 297 484 Q 276 505 244 502 Q 231 498 236 485 Q 287 370 234 150 Q 209 84 210 75 Q 210 42 230 18 Q 237 5 248 10 Q 287 31 293 168 Q 303 391 310 444 C 313 471 313 471 297 484 Z",
+      "M 310 444 Q 311 445 318 446 Q 475 482 668 506 Q 690 510 703 498 Q 713 492 718 441 Q 734 272 727 77 Q 727 49 717 40 Q 701 30 625 46 Q 609 49 610 39 Q 611 32 624 26 Q 693 -17 729 -53 Q 751 -72 763 -69 Q 776 -66 786 -37 Q 801 9 798 74 Q 770 434 786 472 Q 799 500 790 512 Q 780 527 732 550 Q 713 559 694 554 Q 654 541 578 524 L 540 516 Q 530 516 520 513 Q 411 494 297 484 C 267 481 281 437 310 444 Z",
+      "M 411 428 Q 418 410 378 351 Q 359 324 334 295 Q 327 289 325 285 Q 322 278 331 279 Q 370 288 440 370 Q 450 383 459 390 Q 466 396 464 405 Q 463 412 446 429 Q 430 442 418 442 Q 408 442 411 428 Z",
+      "M 563 396 Q 591 371 622 341 Q 632 331 645 330 Q 652 330 657 341 Q 661 351 655 375 Q 649 403 561 433 Q 549 437 544 435 Q 540 431 541 422 Q 542 413 563 396 Z",
+      "M 418 262 Q 408 268 378 272 Q 368 275 364 270 Q 360 264 367 250 Q 389 207 405 134 Q 408 112 421 98 Q 437 79 442 93 Q 443 100 445 112 L 442 144 Q 429 216 428 238 C 427 258 427 258 418 262 Z",
+      "M 590 163 Q 606 223 624 240 Q 645 262 624 275 Q 608 285 584 302 Q 569 311 521 287 Q 464 271 418 262 C 389 256 399 232 428 238 Q 476 247 524 258 Q 549 262 555 253 Q 561 249 556 222 Q 550 197 544 167 C 538 138 582 134 590 163 Z",
+      "M 445 112 Q 449 112 456 113 Q 502 123 601 132 Q 611 133 612 141 Q 612 148 590 163 C 580 170 574 169 544 167 Q 543 168 540 167 Q 486 152 442 144 C 413 139 415 110 445 112 Z",
+    ],
+    medians: [
+      [[439,856],[510,820],[547,785]],
+      [[131,658],[156,647],[193,644],[392,680],[821,732],[899,708]],
+      [[354,616],[395,568],[407,538]],
+      [[602,679],[624,654],[568,539],[545,521]],
+      [[246,491],[273,464],[280,443],[283,385],[272,205],[245,70],[242,22]],
+      [[305,479],[323,467],[684,529],[716,525],[751,493],[748,456],[763,114],[759,32],[745,-1],[686,12],[618,39]],
+      [[422,431],[435,403],[428,390],[393,341],[333,287]],
+      [[548,427],[615,383],[643,345]],
+      [[372,265],[402,234],[432,98]],
+      [[426,258],[436,252],[554,279],[574,275],[591,255],[589,245],[572,188],[552,173]],
+      [[450,118],[465,132],[542,147],[581,148],[603,141]],
+    ],
+  },
+  "店": {
+    strokes: [
+      "M 506 804 Q 539 782 574 756 Q 590 746 606 748 Q 616 749 621 764 Q 624 780 610 810 Q 595 840 494 853 Q 478 854 472 851 Q 468 847 470 833 Q 476 823 506 804 Z",
+      "M 348 632 Q 381 616 477 629 Q 591 648 712 669 Q 776 682 785 689 Q 795 698 791 707 Q 784 720 753 729 Q 720 736 628 709 Q 487 673 348 663 Q 347 663 346 662 C 316 658 320 642 348 632 Z",
+      "M 346 662 Q 328 681 297 696 Q 276 709 262 703 Q 249 696 255 680 Q 276 650 269 574 Q 268 565 267 555 Q 255 383 205 250 Q 163 145 76 17 Q 70 10 68 4 Q 65 -9 77 -6 Q 110 -2 195 119 Q 213 147 230 179 Q 302 329 328 521 Q 337 602 347 628 Q 348 631 348 632 C 354 655 354 655 346 662 Z",
+      "M 587 263 Q 591 347 597 424 L 599 458 Q 605 519 609 532 Q 613 548 616 561 Q 620 571 599 587 Q 562 606 537 611 Q 521 615 512 605 Q 505 598 513 582 Q 534 554 535 533 Q 545 403 542 254 C 541 224 586 233 587 263 Z",
+      "M 597 424 Q 645 420 707 434 Q 786 453 793 457 Q 802 467 796 475 Q 787 488 756 493 Q 734 496 646 467 Q 624 463 599 458 C 570 452 567 426 597 424 Z",
+      "M 398 235 Q 385 241 358 245 Q 345 249 341 243 Q 334 236 344 218 Q 378 145 398 25 Q 402 -12 422 -35 Q 441 -60 448 -42 Q 454 -23 450 13 L 443 56 Q 424 161 420 197 C 416 227 416 228 398 235 Z",
+      "M 765 85 Q 798 185 835 212 Q 854 234 838 255 Q 819 271 759 301 Q 737 311 712 301 Q 646 277 587 263 L 542 254 Q 472 244 398 235 C 368 231 391 191 420 197 Q 430 198 446 203 Q 567 224 682 245 Q 712 252 724 239 Q 734 229 732 205 Q 720 144 706 93 C 698 64 755 57 765 85 Z",
+      "M 450 13 Q 460 13 471 14 Q 570 30 782 38 Q 795 39 798 50 Q 799 60 765 85 L 706 93 Q 705 94 703 93 Q 558 65 443 56 C 413 54 420 12 450 13 Z",
+    ],
+    medians: [
+      [[478,845],[575,798],[602,767]],
+      [[351,655],[366,645],[445,648],[728,702],[777,702]],
+      [[269,688],[292,668],[309,636],[290,469],[256,318],[221,221],[170,121],[112,38],[78,4]],
+      [[525,595],[573,555],[566,287],[548,262]],
+      [[604,429],[618,442],[747,469],[787,467]],
+      [[349,235],[375,215],[392,179],[436,-36]],
+      [[406,231],[430,219],[594,246],[698,272],[742,270],[782,231],[747,124],[714,98]],
+      [[450,50],[468,36],[700,64],[754,62],[788,50]],
+    ],
+  },
+  "地": {
+    strokes: [
+      "M 292 431 Q 376 461 382 466 Q 389 475 384 482 Q 377 492 349 495 Q 321 496 295 483 Q 294 483 294 482 L 244 459 Q 154 429 124 423 Q 91 413 117 401 Q 151 389 224 409 Q 233 412 245 415 L 292 431 Z",
+      "M 286 229 Q 290 334 292 431 L 294 482 Q 294 599 315 684 Q 318 696 296 711 Q 259 730 232 734 Q 214 738 206 728 Q 199 721 207 704 Q 237 662 237 634 Q 241 550 244 459 L 245 415 Q 245 318 242 211 C 241 181 285 199 286 229 Z",
+      "M 242 211 Q 190 190 134 167 Q 118 160 88 157 Q 75 154 74 143 Q 73 130 84 122 Q 109 109 146 93 Q 156 92 168 102 Q 195 129 346 223 Q 367 236 382 250 Q 394 260 393 269 Q 387 273 375 270 Q 332 251 286 229 L 242 211 Z",
+      "M 473 369 Q 513 393 580 428 L 627 454 Q 675 482 738 514 Q 757 521 762 510 Q 772 494 735 332 Q 731 289 700 300 Q 681 306 661 310 Q 648 311 651 304 Q 657 294 719 240 Q 741 216 757 237 Q 791 280 798 343 Q 808 406 818 470 Q 825 504 853 535 Q 863 551 848 562 Q 829 572 780 579 Q 761 582 749 569 Q 724 545 630 489 L 583 463 Q 541 444 497 421 Q 485 417 475 411 L 432 391 Q 377 369 341 355 Q 328 352 328 343 Q 328 336 369 326 Q 394 319 415 334 Q 419 338 432 345 L 473 369 Z",
+      "M 580 428 Q 565 263 574 233 Q 580 220 590 226 Q 612 250 617 331 Q 621 395 627 454 L 630 489 Q 643 699 658 753 Q 668 774 655 787 Q 639 803 609 819 Q 585 829 560 820 Q 547 811 562 794 Q 586 742 589 696 Q 593 597 583 463 L 580 428 Z",
+      "M 973 161 Q 958 201 944 318 Q 944 334 937 338 Q 931 341 927 324 Q 905 201 885 162 Q 869 135 811 120 Q 682 86 560 140 Q 512 165 497 197 Q 476 234 473 300 Q 472 333 473 369 L 475 411 Q 478 472 487 539 Q 491 557 479 566 Q 466 579 442 586 Q 429 590 421 585 Q 414 581 420 563 Q 435 526 433 488 Q 432 436 432 391 L 432 345 Q 433 221 451 176 Q 460 139 493 108 Q 604 20 811 49 Q 836 55 862 62 Q 916 80 966 121 Q 985 136 973 161 Z",
+    ],
+    medians: [
+      [[118,413],[175,416],[321,468],[375,475]],
+      [[219,718],[270,677],[272,657],[265,244],[247,219]],
+      [[90,142],[147,133],[388,265]],
+      [[335,345],[397,351],[603,456],[729,531],[774,545],[798,533],[786,439],[754,290],[738,270],[728,270],[657,305]],
+      [[570,808],[594,793],[616,767],[619,730],[610,502],[584,235]],
+      [[429,577],[451,555],[458,535],[451,313],[463,217],[490,155],[548,110],[634,81],[693,74],[797,81],[880,108],[929,151],[936,332]],
+    ],
+  },
+  "铁": {
+    strokes: [
+      "M 271 612 Q 328 714 358 740 Q 367 750 362 764 Q 358 777 330 800 Q 303 818 285 818 Q 266 817 274 794 Q 289 763 276 736 Q 213 585 55 394 Q 45 384 42 378 Q 39 368 53 370 Q 65 371 89 394 Q 134 431 187 500 Q 220 540 256 590 L 271 612 Z",
+      "M 256 590 Q 255 590 257 589 Q 299 573 347 592 Q 384 604 426 617 Q 444 624 446 626 Q 453 635 448 642 Q 441 652 413 655 Q 391 656 320 626 Q 296 619 271 612 C 242 604 233 601 256 590 Z",
+      "M 278 453 Q 407 493 414 500 Q 421 507 416 514 Q 409 524 383 527 Q 356 528 332 516 Q 304 503 274 492 Q 240 482 200 473 Q 169 464 193 452 Q 208 446 235 443 L 278 453 Z",
+      "M 307 320 Q 335 330 370 339 Q 401 349 405 354 Q 412 361 408 370 Q 401 380 373 384 Q 345 387 306 368 L 259 349 Q 252 348 246 345 Q 203 332 153 323 Q 120 314 146 301 Q 185 282 235 300 Q 247 304 261 307 L 307 320 Z",
+      "M 261 307 Q 264 183 218 122 Q 197 92 236 51 L 238 50 Q 250 43 261 59 Q 274 86 403 201 Q 419 214 424 222 Q 428 232 418 232 Q 409 232 310 174 Q 301 168 300 177 Q 306 256 307 320 L 306 368 Q 306 390 310 408 Q 314 421 306 432 Q 291 445 278 453 C 253 470 223 470 235 443 Q 256 400 259 349 L 261 307 Z",
+      "M 523 531 Q 526 549 555 614 Q 561 627 546 636 Q 504 655 484 648 Q 475 644 480 632 Q 507 563 446 454 Q 433 433 427 418 Q 423 405 434 411 Q 468 423 513 510 L 523 531 Z",
+      "M 661 515 Q 793 551 796 553 Q 803 560 799 569 Q 792 579 764 586 Q 731 590 664 562 L 617 548 Q 574 539 524 532 Q 523 532 523 531 C 494 524 484 519 513 510 Q 567 492 609 503 Q 610 504 615 504 L 661 515 Z",
+      "M 650 359 Q 723 372 840 377 Q 891 377 897 387 Q 901 399 885 411 Q 828 447 785 430 Q 733 417 653 399 L 606 390 Q 524 374 430 357 Q 411 354 426 339 Q 454 314 492 324 Q 543 340 601 351 L 650 359 Z",
+      "M 648 347 Q 649 354 650 359 L 653 399 Q 653 406 661 515 L 664 562 Q 665 686 694 747 Q 701 760 690 772 Q 668 791 628 803 Q 603 810 593 803 Q 584 796 592 783 Q 614 746 617 698 Q 618 622 617 548 L 615 504 Q 612 450 607 396 Q 606 395 606 390 L 601 351 Q 577 203 482 120 Q 434 84 362 46 Q 349 39 349 35 Q 350 31 361 30 Q 380 26 425 41 Q 500 63 555 120 Q 618 186 641 303 L 648 347 Z",
+      "M 641 303 Q 779 39 828 35 Q 891 36 945 36 Q 967 36 968 41 Q 969 48 945 62 Q 824 126 778 175 Q 694 277 648 347 C 631 372 627 330 641 303 Z",
+    ],
+    medians: [
+      [[285,804],[309,780],[320,758],[266,653],[208,561],[147,479],[74,396],[50,378]],
+      [[261,594],[319,604],[396,631],[438,635]],
+      [[194,463],[238,462],[357,502],[407,508]],
+      [[147,313],[207,313],[336,355],[397,364]],
+      [[243,439],[273,424],[279,414],[284,269],[272,168],[277,142],[312,149],[418,225]],
+      [[488,638],[519,612],[510,562],[483,488],[435,419]],
+      [[522,512],[533,520],[609,524],[758,565],[792,560]],
+      [[428,348],[481,344],[700,389],[816,406],[888,392]],
+      [[602,793],[650,750],[633,427],[622,329],[607,267],[571,185],[522,122],[452,74],[356,34]],
+      [[648,340],[659,297],[702,232],[762,148],[811,96],[836,77],[962,44]],
+    ],
+  },
+  "交": {
+    strokes: [
+      "M 431 792 Q 483 744 526 727 Q 542 726 551 740 Q 555 755 551 772 Q 536 815 466 829 Q 424 838 413 833 Q 406 832 410 818 Q 413 805 431 792 Z",
+      "M 201 628 Q 179 625 195 607 Q 231 579 270 588 Q 492 654 795 655 Q 796 655 798 655 Q 820 656 825 665 Q 829 678 812 693 Q 752 732 714 722 Q 569 686 201 628 Z",
+      "M 339 555 Q 335 468 221 386 Q 193 367 179 355 Q 169 342 184 344 Q 227 341 322 414 Q 380 474 410 499 Q 422 509 411 526 Q 375 569 352 569 Q 340 569 339 555 Z",
+      "M 580 533 Q 635 499 696 457 Q 711 447 727 449 Q 737 450 741 464 Q 744 480 731 508 Q 721 538 672 557 Q 623 572 569 581 Q 553 582 548 579 Q 544 575 546 562 Q 550 552 580 533 Z",
+      "M 520 218 Q 557 270 580 332 Q 596 375 610 387 Q 620 399 613 410 Q 603 426 577 436 Q 558 449 538 446 Q 525 443 530 428 Q 552 371 480 253 L 458 223 Q 455 222 454 218 Q 408 164 347 130 Q 274 90 129 56 Q 110 49 131 45 Q 284 18 408 98 Q 459 131 495 182 L 520 218 Z",
+      "M 495 182 Q 591 71 679 5 Q 716 -22 900 7 Q 942 14 938 24 Q 937 30 896 42 Q 671 91 569 178 Q 544 197 520 218 L 480 253 Q 446 284 412 320 Q 373 360 336 360 Q 317 361 314 355 Q 313 348 329 337 Q 371 315 458 223 L 495 182 Z",
+    ],
+    medians: [
+      [[419,824],[510,774],[533,748]],
+      [[199,617],[225,611],[270,613],[468,653],[725,689],[775,683],[813,671]],
+      [[351,556],[364,538],[368,512],[326,452],[268,397],[188,352]],
+      [[554,573],[679,513],[724,466]],
+      [[540,434],[572,398],[552,335],[503,239],[440,161],[360,103],[307,81],[221,58],[140,52]],
+      [[320,353],[372,330],[568,142],[691,54],[760,34],[932,23]],
+    ],
+  },
+  "的": {
+    strokes: [
+      "M 211 528 Q 337 718 364 741 Q 382 759 365 772 Q 346 785 315 791 Q 287 797 275 789 Q 263 783 272 772 Q 287 739 241 640 Q 217 586 190 527 Q 189 526 189 524 C 177 496 194 503 211 528 Z",
+      "M 185 523 Q 163 542 139 550 Q 132 553 127 548 Q 120 544 127 531 Q 169 441 158 244 Q 155 174 192 151 Q 207 145 211 172 L 213 206 Q 203 326 203 357 L 202 383 Q 202 443 204 493 C 205 507 205 507 185 523 Z",
+      "M 321 185 Q 333 164 353 130 Q 362 114 371 117 Q 384 120 391 144 Q 421 217 418 314 Q 419 375 420 444 Q 423 486 441 512 Q 454 530 444 541 Q 425 559 384 574 Q 368 583 340 571 Q 306 555 264 541 Q 240 535 211 528 L 189 524 Q 185 524 185 523 C 156 517 175 486 204 493 Q 210 494 215 495 Q 345 534 354 526 Q 387 475 357 239 Q 356 217 348 215 Q 344 214 330 218 C 300 221 306 211 321 185 Z",
+      "M 203 357 Q 234 351 318 369 Q 330 372 332 373 Q 339 380 335 387 Q 328 396 305 401 Q 284 404 231 387 Q 216 387 202 383 C 173 375 173 362 203 357 Z",
+      "M 211 172 Q 215 172 220 173 Q 254 180 321 185 C 351 187 354 201 330 218 Q 326 221 324 222 Q 323 223 315 225 Q 311 228 311 226 Q 304 229 213 206 C 184 199 181 170 211 172 Z",
+      "M 581 551 Q 650 656 680 712 Q 699 755 718 776 Q 727 788 721 803 Q 714 816 681 838 Q 650 856 629 854 Q 608 850 620 827 Q 648 779 565 619 Q 528 546 472 462 Q 462 450 461 443 Q 458 430 473 435 Q 500 441 570 536 L 581 551 Z",
+      "M 710 74 Q 694 73 609 110 Q 599 114 599 108 Q 598 104 609 94 Q 661 43 684 6 Q 697 -18 712 -16 Q 733 -17 752 4 Q 822 64 840 212 Q 853 312 859 467 Q 859 501 880 528 Q 893 541 892 550 Q 891 559 871 572 Q 843 591 808 601 Q 786 608 719 585 Q 716 585 714 584 Q 683 575 581 551 C 552 544 548 543 570 536 Q 597 518 654 533 Q 781 549 787 541 Q 791 528 794 487 Q 801 231 746 111 Q 730 77 710 74 Z",
+      "M 535 339 Q 560 311 587 277 Q 600 261 618 260 Q 630 259 637 273 Q 644 289 638 322 Q 631 358 536 391 Q 520 398 512 395 Q 506 391 506 377 Q 509 364 535 339 Z",
+    ],
+    medians: [
+      [[278,780],[303,766],[314,753],[313,740],[225,565],[216,559],[212,543],[196,533]],
+      [[135,540],[157,518],[174,485],[185,219],[196,166]],
+      [[188,518],[225,512],[356,552],[381,543],[400,520],[391,288],[382,213],[365,182],[369,130]],
+      [[208,364],[225,372],[291,383],[325,382]],
+      [[215,177],[231,194],[292,202],[323,214]],
+      [[630,839],[651,822],[672,790],[648,723],[613,651],[534,518],[470,444]],
+      [[577,537],[775,572],[805,568],[834,541],[827,499],[816,261],[801,171],[772,87],[753,58],[719,32],[621,94],[619,102],[604,107]],
+      [[517,386],[594,325],[619,279]],
+    ],
+  },
+  "士": {
+    strokes: [
+      "M 535 412 Q 718 436 872 423 Q 897 420 903 430 Q 910 443 898 456 Q 867 484 821 504 Q 806 510 779 501 Q 713 485 645 475 Q 581 468 536 461 L 482 454 Q 473 457 297 431 Q 231 421 132 418 Q 119 417 117 406 Q 116 393 136 378 Q 154 365 186 353 Q 198 349 216 358 Q 232 364 302 377 Q 383 396 482 407 L 535 412 Z",
+      "M 530 159 Q 533 292 535 412 L 536 461 Q 536 650 554 701 Q 566 723 551 736 Q 514 764 484 773 Q 468 777 453 764 Q 447 757 454 745 Q 484 697 482 642 Q 482 551 482 454 L 482 407 Q 482 284 482 153 C 482 123 529 129 530 159 Z",
+      "M 482 153 Q 386 141 274 128 Q 252 127 268 107 Q 284 91 303 85 Q 327 78 344 83 Q 443 108 704 108 Q 717 108 731 107 Q 753 106 759 116 Q 765 129 747 144 Q 684 192 614 174 Q 578 168 530 159 L 482 153 Z",
+    ],
+    medians: [
+      [[131,404],[197,387],[388,420],[805,467],[890,439]],
+      [[466,755],[482,747],[514,710],[507,201],[506,181],[487,161]],
+      [[271,117],[326,107],[641,143],[687,141],[746,123]],
+    ],
+  },
+  "火": {
+    strokes: [
+      "M 226 483 Q 254 443 285 393 Q 295 375 312 372 Q 324 369 333 381 Q 342 396 342 430 Q 342 472 235 536 Q 220 543 213 543 Q 206 540 204 526 Q 205 513 226 483 Z",
+      "M 690 568 Q 677 547 584 441 Q 571 422 592 425 Q 638 449 738 513 Q 762 532 791 543 Q 816 553 805 575 Q 789 597 759 615 Q 731 633 715 629 Q 700 628 704 612 Q 708 590 690 568 Z",
+      "M 511 382 Q 520 439 529 618 Q 530 669 548 728 Q 554 741 543 750 Q 521 769 479 785 Q 454 795 434 789 Q 410 779 430 759 Q 464 725 465 690 Q 469 500 448 374 Q 427 209 284 106 Q 244 81 186 49 Q 170 43 167 39 Q 160 32 179 29 Q 197 28 258 48 Q 301 61 365 101 Q 414 131 442 172 Q 484 232 504 341 L 511 382 Z",
+      "M 504 341 Q 597 175 715 40 Q 740 9 767 9 Q 843 13 911 17 Q 939 18 940 25 Q 941 32 910 48 Q 753 117 709 157 Q 592 268 511 382 C 493 406 489 367 504 341 Z",
+    ],
+    medians: [
+      [[216,534],[299,440],[316,391]],
+      [[714,618],[736,593],[744,571],[696,522],[587,433]],
+      [[436,773],[475,753],[497,733],[503,713],[488,443],[470,321],[456,275],[418,195],[368,138],[279,78],[174,36]],
+      [[513,375],[521,341],[606,223],[689,127],[745,76],[768,60],[934,25]],
+    ],
+  },
+  "车": {
+    strokes: [
+      "M 452 611 Q 558 627 670 641 Q 737 651 748 660 Q 758 667 754 678 Q 747 693 715 703 Q 681 713 647 702 Q 569 680 486 666 Q 482 666 477 664 L 424 657 Q 357 651 286 648 Q 244 645 273 624 Q 318 591 384 603 Q 391 604 401 605 L 452 611 Z",
+      "M 491 421 Q 433 414 370 405 Q 354 404 352 407 Q 351 410 358 423 Q 394 490 452 611 L 477 664 Q 510 742 539 762 Q 558 775 548 788 Q 497 842 471 841 Q 461 841 466 818 Q 473 776 424 657 L 401 605 Q 340 461 286 417 Q 264 401 276 352 Q 280 336 298 342 Q 370 366 492 379 L 538 385 Q 580 394 712 400 Q 754 401 756 414 Q 757 429 728 447 Q 704 462 638 447 Q 593 438 539 428 L 491 421 Z",
+      "M 491 255 Q 460 255 287 234 Q 220 224 117 224 Q 102 224 100 212 Q 100 199 120 183 Q 138 170 172 156 Q 184 152 203 160 Q 219 166 292 177 Q 380 196 489 205 L 538 209 Q 754 227 853 215 Q 910 215 914 217 Q 914 218 915 218 Q 924 233 911 246 Q 833 316 770 291 Q 709 282 538 260 L 491 255 Z",
+      "M 539 428 Q 540 461 544 480 Q 547 492 539 498 Q 515 519 496 528 Q 483 532 474 524 Q 468 520 476 510 Q 485 495 491 421 L 492 379 Q 493 330 492 268 Q 491 262 491 255 L 489 205 Q 480 69 474 51 Q 465 12 500 -39 Q 512 -58 520 -62 Q 532 -63 537 -50 Q 549 -17 545 13 Q 541 116 538 209 L 538 260 Q 538 323 538 385 L 539 428 Z",
+    ],
+    medians: [
+      [[276,638],[346,625],[471,638],[681,676],[741,672]],
+      [[474,831],[494,802],[501,777],[414,579],[325,415],[318,388],[364,382],[672,426],[707,427],[745,417]],
+      [[113,210],[181,190],[372,219],[796,258],[872,243],[901,232],[911,221]],
+      [[483,518],[514,480],[516,268],[508,32],[523,-50]],
+    ],
+  },
+  "飞": {
+    strokes: [
+      "M 592 394 Q 583 580 664 643 Q 680 653 677 668 Q 673 681 606 709 Q 584 719 563 704 Q 487 659 369 628 Q 236 594 131 583 Q 106 582 121 564 Q 134 549 162 539 Q 189 529 220 545 Q 302 579 538 643 Q 562 650 559 626 Q 513 337 596 169 Q 612 136 635 111 Q 681 56 756 21 Q 814 -7 872 -5 Q 921 -4 948 14 Q 961 20 955 41 Q 931 102 914 187 Q 908 214 900 189 Q 875 86 864 75 Q 849 60 826 69 Q 688 96 629 227 Q 604 284 595 364 L 592 394 Z",
+      "M 719 548 Q 707 526 627 428 Q 617 409 635 413 Q 695 449 766 500 Q 785 518 812 529 Q 834 539 823 559 Q 808 578 780 593 Q 755 608 740 605 Q 727 604 731 588 Q 735 569 719 548 Z",
+      "M 595 364 Q 677 318 776 245 Q 795 229 810 227 Q 819 228 824 239 Q 834 254 813 294 Q 788 354 592 394 C 563 400 569 379 595 364 Z",
+    ],
+    medians: [
+      [[126,574],[175,562],[203,565],[421,625],[531,664],[589,669],[604,654],[571,519],[567,400],[577,311],[590,257],[631,164],[690,97],[736,66],[803,39],[852,31],[902,46],[905,176]],
+      [[740,594],[760,573],[768,553],[741,521],[631,420]],
+      [[603,388],[609,374],[681,345],[757,303],[791,272],[808,242]],
+    ],
+  },
+  "机": {
+    strokes: [
+      "M 331 513 Q 418 540 420 541 Q 427 548 423 557 Q 416 567 388 574 Q 360 578 332 568 L 286 551 Q 178 520 96 508 Q 62 501 87 486 Q 123 465 192 481 Q 226 490 267 497 L 331 513 Z",
+      "M 282 421 Q 278 336 277 241 Q 271 165 250 93 Q 238 54 263 -9 Q 270 -28 278 -31 Q 284 -38 292 -29 Q 299 -25 310 -4 Q 320 21 320 52 Q 319 100 331 513 L 332 568 Q 332 569 333 570 Q 334 667 354 731 Q 363 747 360 760 Q 353 770 298 805 Q 274 823 253 807 Q 249 803 254 787 Q 285 738 286 689 Q 286 625 286 551 L 282 421 Z",
+      "M 267 497 Q 218 359 54 148 Q 50 138 60 138 Q 66 137 74 145 Q 203 256 282 421 C 331 522 277 525 267 497 Z",
+      "M 347 396 Q 395 336 419 333 Q 431 332 437 348 Q 438 360 430 377 Q 420 393 399 401 Q 365 417 351 419 Q 342 420 342 411 Q 341 404 347 396 Z",
+      "M 541 560 Q 493 581 479 579 Q 461 575 476 556 Q 506 508 493 313 Q 486 262 463 203 Q 441 140 366 65 Q 353 53 350 47 Q 349 40 360 41 Q 399 44 457 113 Q 523 191 538 314 Q 548 390 548 505 Q 551 524 552 534 C 555 554 555 554 541 560 Z",
+      "M 963 53 Q 994 63 982 96 Q 960 151 957 238 Q 956 263 950 267 Q 940 273 937 257 Q 913 131 887 111 Q 872 101 837 101 Q 753 101 713 167 Q 652 267 699 474 Q 718 541 756 575 Q 781 599 750 610 Q 734 617 697 627 Q 676 633 627 601 Q 578 576 541 560 C 514 548 523 526 552 534 Q 580 541 639 562 Q 651 568 657 564 Q 663 555 647 406 Q 611 148 754 59 Q 799 32 865 31 Q 914 32 963 53 Z",
+    ],
+    medians: [
+      [[89,498],[109,493],[160,497],[368,551],[404,553],[416,548]],
+      [[265,800],[317,745],[301,244],[283,69],[283,-17]],
+      [[281,495],[273,489],[260,423],[222,353],[162,262],[64,147]],
+      [[353,408],[402,372],[419,350]],
+      [[480,567],[497,558],[520,530],[521,378],[506,261],[481,189],[447,130],[400,77],[357,48]],
+      [[550,556],[561,552],[666,592],[689,588],[700,579],[665,418],[658,312],[661,258],[675,196],[692,158],[714,125],[742,100],[774,81],[831,67],[883,69],[928,87],[935,100],[945,260]],
+    ],
+  },
+  "图": {
+    strokes: [
+      "M 259 728 Q 253 734 226 748 Q 214 754 201 749 Q 192 743 199 729 Q 223 641 225 606 Q 224 602 225 597 Q 234 347 195 173 Q 168 83 198 36 Q 202 30 208 22 Q 218 7 232 21 Q 242 36 246 52 L 251 92 Q 255 128 256 179 Q 272 645 277 675 Q 278 679 278 684 C 281 714 281 714 259 728 Z",
+      "M 720 71 Q 745 41 768 -4 Q 778 -26 793 -26 Q 806 -25 814 -4 Q 845 47 823 240 Q 799 663 823 694 Q 824 698 829 702 Q 839 717 839 725 Q 838 738 805 760 Q 745 799 703 784 Q 684 781 652 775 Q 502 760 323 731 Q 290 727 259 728 C 229 727 249 678 278 684 Q 287 685 302 689 Q 315 693 437 713 Q 588 735 703 742 Q 728 743 734 731 Q 758 703 760 370 L 760 353 Q 764 205 766 166 Q 770 117 759 98 Q 755 85 749 85 L 748 85 C 734 58 708 88 720 71 Z",
+      "M 465 590 Q 466 591 468 594 Q 484 619 498 629 Q 505 636 503 647 Q 500 657 480 676 Q 461 692 447 693 Q 432 692 437 675 Q 455 630 311 463 Q 302 456 300 451 Q 297 444 308 444 Q 329 447 406 523 L 418 536 Q 431 551 446 568 L 465 590 Z",
+      "M 543 450 Q 573 487 605 535 Q 620 557 641 570 Q 654 574 654 583 Q 655 593 632 608 Q 604 627 593 629 Q 584 629 574 622 Q 520 603 465 590 C 436 583 417 575 446 568 Q 473 555 542 582 Q 558 586 564 581 Q 568 577 551 542 Q 535 506 506 472 L 488 450 Q 406 363 282 319 Q 275 316 274 312 Q 275 308 281 308 Q 398 305 519 424 L 543 450 Z",
+      "M 760 370 Q 721 383 673 395 Q 628 407 543 450 L 506 472 Q 487 485 466 500 Q 435 524 418 536 C 394 554 384 543 406 523 Q 446 486 488 450 L 519 424 Q 616 340 650 337 Q 696 337 760 353 C 789 360 789 361 760 370 Z",
+      "M 479 345 Q 534 287 556 285 Q 568 284 572 300 Q 573 310 564 327 Q 554 343 532 350 Q 498 366 482 368 Q 475 369 474 359 Q 473 352 479 345 Z",
+      "M 474 222 Q 504 192 534 156 Q 544 143 558 143 Q 568 142 573 153 Q 579 165 574 192 Q 571 214 541 233 Q 469 270 456 267 Q 452 264 451 253 Q 454 243 474 222 Z",
+      "M 246 52 Q 253 52 260 52 Q 408 73 720 71 C 750 71 758 71 748 85 Q 744 95 719 116 Q 701 129 666 124 Q 437 94 251 92 C 221 92 216 51 246 52 Z",
+    ],
+    medians: [
+      [[209,738],[233,712],[241,694],[249,620],[242,327],[216,95],[220,28]],
+      [[265,722],[291,708],[433,731],[724,765],[744,760],[777,732],[786,719],[784,465],[799,139],[798,105],[786,54],[792,-10]],
+      [[447,682],[466,651],[453,616],[386,525],[307,451]],
+      [[452,572],[559,600],[594,594],[601,585],[531,468],[472,406],[392,350],[314,319],[280,314]],
+      [[415,521],[428,518],[524,441],[622,381],[669,366],[747,361],[751,366]],
+      [[485,358],[537,322],[556,301]],
+      [[459,258],[538,198],[559,157]],
+      [[253,58],[268,73],[676,99],[739,85]],
+    ],
+  },
+  "饭": {
+    strokes: [
+      "M 259 579 Q 341 729 351 738 Q 360 750 354 764 Q 350 777 318 799 Q 288 815 269 815 Q 250 811 259 789 Q 277 756 265 727 Q 205 553 53 349 Q 43 337 41 331 Q 38 318 53 322 Q 119 349 250 565 L 259 579 Z",
+      "M 250 565 Q 265 555 340 570 Q 376 585 381 577 Q 385 574 381 566 Q 356 499 337 467 Q 331 454 330 448 Q 329 438 340 444 Q 352 450 405 514 Q 438 554 470 578 Q 486 588 475 600 Q 462 610 426 629 Q 410 633 397 623 Q 387 619 310 591 Q 288 584 259 579 C 229 574 225 573 250 565 Z",
+      "M 302 405 Q 308 418 298 429 Q 276 451 254 463 Q 236 470 227 466 Q 217 460 225 445 Q 258 369 237 208 Q 233 160 192 112 Q 180 97 187 75 Q 196 48 208 37 Q 221 28 233 45 Q 249 72 389 185 Q 407 197 412 206 Q 416 216 406 216 Q 390 215 291 163 Q 281 157 280 166 Q 293 275 296 359 Q 297 384 302 405 Z",
+      "M 593 603 Q 686 634 736 662 Q 779 684 817 694 Q 833 695 837 704 Q 840 714 827 725 Q 767 761 731 757 Q 724 753 724 741 Q 725 710 578 619 C 553 603 565 593 593 603 Z",
+      "M 575 424 Q 588 569 592 589 Q 593 596 593 603 C 594 611 594 611 578 619 Q 532 644 516 642 Q 497 638 512 616 Q 528 586 529 547 Q 533 493 521 383 Q 514 308 475 220 Q 439 141 356 71 Q 341 58 338 52 Q 337 45 348 45 Q 387 45 460 120 Q 544 210 572 405 L 575 424 Z",
+      "M 736 193 Q 773 244 818 385 Q 828 413 847 433 Q 865 451 851 463 Q 838 475 805 484 Q 787 488 717 458 Q 633 434 582 426 Q 578 426 575 424 C 546 418 543 413 572 405 Q 576 405 579 403 Q 616 390 663 407 Q 727 432 738 432 Q 763 431 758 403 Q 743 319 699 230 L 676 196 Q 610 118 503 80 Q 490 74 502 68 Q 508 62 548 65 Q 629 74 707 156 L 736 193 Z",
+      "M 707 156 Q 761 87 809 32 Q 824 14 847 15 Q 974 27 982 38 Q 986 44 976 47 Q 823 111 736 193 L 699 230 Q 671 261 637 300 Q 627 313 612 315 Q 587 316 579 308 Q 576 302 585 297 Q 615 281 676 196 L 707 156 Z",
+    ],
+    medians: [
+      [[271,799],[288,786],[311,753],[256,627],[155,457],[91,371],[50,331]],
+      [[255,567],[367,596],[396,597],[419,588],[371,495],[337,450]],
+      [[234,455],[256,433],[270,404],[269,285],[253,165],[258,130],[297,139],[405,208]],
+      [[826,708],[809,714],[756,714],[718,683],[631,632],[599,619],[591,624]],
+      [[518,628],[555,596],[558,586],[553,439],[527,295],[502,224],[464,156],[399,86],[346,52]],
+      [[577,409],[670,425],[733,450],[756,451],[797,440],[759,298],[726,226],[693,177],[600,101],[536,76],[509,73]],
+      [[586,305],[620,293],[730,164],[844,60],[977,41]],
+    ],
+  },
+  "菜": {
+    strokes: [
+      "M 634 708 Q 818 708 825 715 Q 825 716 826 716 Q 832 726 817 739 Q 763 779 707 762 Q 682 759 656 753 L 601 744 Q 529 735 413 719 L 365 714 Q 289 707 203 696 Q 184 695 198 679 Q 211 666 227 661 Q 246 657 260 660 Q 314 675 373 683 L 415 689 Q 484 704 591 706 L 634 708 Z",
+      "M 413 719 Q 412 746 410 766 Q 411 785 392 790 Q 352 808 332 801 Q 316 792 330 774 Q 354 747 365 714 L 373 683 Q 388 632 399 619 Q 412 609 416 620 Q 420 633 415 689 L 413 719 Z",
+      "M 656 753 Q 663 772 679 796 Q 692 809 683 819 Q 673 835 640 852 Q 625 861 609 853 Q 599 849 606 837 Q 613 821 611 799 Q 607 775 601 744 L 591 706 Q 576 669 579 647 Q 580 634 595 644 Q 610 656 634 708 L 656 753 Z",
+      "M 490 623 Q 442 590 326 547 Q 320 540 325 536 Q 352 530 487 565 Q 514 578 581 587 Q 597 586 601 593 Q 605 603 595 614 Q 547 657 513 658 Q 506 655 504 645 Q 503 632 490 623 Z",
+      "M 288 448 Q 313 423 340 391 Q 350 378 366 378 Q 375 377 381 389 Q 387 402 381 430 Q 374 463 288 492 Q 275 496 268 495 Q 264 492 263 480 Q 266 470 288 448 Z",
+      "M 439 511 Q 482 438 503 432 Q 515 429 523 444 Q 526 454 521 474 Q 514 492 494 504 Q 463 528 447 533 Q 440 537 437 527 Q 434 520 439 511 Z",
+      "M 660 538 Q 648 520 571 437 Q 561 422 577 424 Q 626 449 655 467 Q 721 510 739 516 Q 760 523 751 541 Q 739 557 715 573 Q 694 588 682 585 Q 669 585 673 572 Q 674 554 660 538 Z",
+      "M 529 301 Q 601 308 806 308 Q 825 308 831 316 Q 837 328 820 342 Q 768 381 730 373 Q 654 358 531 339 L 479 332 Q 347 316 193 298 Q 171 297 187 279 Q 200 266 219 259 Q 240 255 256 258 Q 343 282 441 291 L 529 301 Z",
+      "M 528 297 Q 528 300 529 301 L 531 339 Q 534 375 530 379 Q 508 398 489 408 Q 477 412 468 405 Q 462 401 469 392 Q 478 377 479 332 L 479 249 Q 478 231 478 210 Q 471 71 461 47 Q 452 11 485 -40 Q 495 -58 504 -62 Q 514 -63 520 -51 Q 532 -20 529 10 Q 529 52 528 261 L 528 297 Z",
+      "M 441 291 Q 435 273 418 252 Q 366 185 309 141 Q 261 101 163 44 Q 144 32 161 29 Q 191 23 289 71 Q 343 101 409 165 Q 443 207 479 249 C 521 298 462 340 441 291 Z",
+      "M 528 261 Q 609 156 700 60 Q 722 35 764 31 Q 839 24 917 36 Q 936 37 939 43 Q 942 50 926 57 Q 727 135 645 197 Q 617 218 590 241 Q 547 283 528 297 C 505 316 510 285 528 261 Z",
+    ],
+    medians: [
+      [[200,688],[252,680],[461,713],[731,738],[787,733],[821,720]],
+      [[339,787],[378,761],[407,623]],
+      [[612,844],[627,837],[645,805],[587,647]],
+      [[592,599],[532,615],[448,574],[329,541]],
+      [[272,485],[338,438],[366,393]],
+      [[447,522],[493,474],[506,448]],
+      [[687,572],[702,538],[596,445],[584,442],[582,434]],
+      [[190,289],[229,279],[388,304],[740,341],[782,336],[820,322]],
+      [[476,399],[500,373],[506,351],[494,27],[506,-50]],
+      [[473,288],[395,186],[326,123],[251,73],[165,36]],
+      [[529,291],[544,263],[619,185],[743,85],[817,63],[932,45]],
+    ],
+  },
+  "面": {
+    strokes: [
+      "M 483 693 Q 579 708 678 722 Q 742 734 753 742 Q 763 749 759 759 Q 752 772 721 782 Q 688 791 595 763 Q 444 730 309 723 Q 269 719 296 699 Q 339 672 415 684 Q 428 687 445 687 L 483 693 Z",
+      "M 418 526 Q 443 556 471 592 Q 484 608 506 630 Q 522 640 515 651 Q 508 670 483 693 C 461 714 445 717 445 687 Q 448 648 379 531 Q 375 524 371 517 C 356 491 399 503 418 526 Z",
+      "M 199 487 Q 180 497 161 503 Q 152 506 147 500 Q 137 493 148 480 Q 200 389 205 159 Q 206 84 249 52 L 251 51 Q 270 45 273 79 L 272 117 Q 271 139 264 163 Q 243 404 242 438 Q 242 442 241 447 C 239 467 226 474 199 487 Z",
+      "M 730 106 Q 734 100 736 94 Q 746 60 761 45 Q 771 35 780 36 Q 792 37 803 59 Q 839 117 860 368 Q 864 431 883 472 Q 895 488 891 497 Q 891 513 849 548 Q 797 591 760 576 Q 757 576 754 574 Q 732 570 661 561 Q 502 543 418 526 L 371 517 Q 334 513 305 505 Q 235 493 199 487 C 169 482 212 438 241 447 Q 241 448 243 448 Q 295 466 363 478 L 395 485 Q 447 497 558 510 L 599 515 Q 675 525 746 528 Q 771 529 781 515 Q 797 502 798 472 Q 804 397 782 261 Q 769 153 761 139 Q 760 135 753 132 Q 749 132 743 133 C 725 117 725 117 730 106 Z",
+      "M 432 126 Q 432 181 432 230 L 432 259 Q 432 310 432 354 L 432 384 Q 432 457 431 459 L 430 460 Q 412 476 395 485 C 369 500 351 506 363 478 Q 363 475 376 452 Q 383 434 392 123 C 393 93 432 96 432 126 Z",
+      "M 613 148 Q 620 311 625 435 Q 626 454 627 467 Q 634 483 625 493 Q 612 506 599 515 C 575 533 548 538 558 510 Q 573 477 575 379 Q 574 304 572 142 C 572 112 612 118 613 148 Z",
+      "M 432 354 Q 487 364 529 372 Q 551 378 542 389 Q 530 402 506 404 Q 463 407 432 384 C 408 367 402 349 432 354 Z",
+      "M 432 230 Q 489 239 529 248 Q 551 254 542 265 Q 530 278 506 280 Q 464 283 432 259 C 408 241 402 225 432 230 Z",
+      "M 273 79 Q 283 78 297 78 Q 435 100 730 106 C 760 107 765 113 743 133 Q 734 142 722 151 Q 704 164 613 148 L 572 142 Q 499 135 432 126 L 392 123 Q 328 122 272 117 C 242 114 243 81 273 79 Z",
+    ],
+    medians: [
+      [[300,713],[331,705],[386,704],[696,755],[747,754]],
+      [[452,683],[473,661],[475,649],[407,541],[382,525]],
+      [[154,490],[186,463],[207,429],[224,308],[237,148],[256,63]],
+      [[205,483],[257,474],[413,508],[674,545],[773,552],[807,537],[842,492],[810,212],[796,137],[777,99],[778,52]],
+      [[369,476],[392,464],[405,446],[411,145],[425,134]],
+      [[565,508],[592,488],[599,454],[593,166],[577,153]],
+      [[439,362],[449,375],[471,382],[511,387],[532,383]],
+      [[439,237],[449,250],[472,258],[532,259]],
+      [[279,85],[295,99],[324,102],[651,130],[731,130]],
+    ],
+  },
+  "汤": {
+    strokes: [
+      "M 276 717 Q 303 692 331 661 Q 346 646 363 646 Q 375 646 380 661 Q 386 677 378 710 Q 372 731 340 747 Q 267 778 248 771 Q 242 767 244 753 Q 247 740 276 717 Z",
+      "M 183 520 Q 228 463 263 446 Q 279 442 290 457 Q 297 470 296 490 Q 283 538 200 562 L 199 563 Q 180 569 170 565 Q 163 564 165 550 Q 166 537 183 520 Z",
+      "M 168 142 Q 155 139 158 121 Q 170 49 207 28 Q 214 21 225 24 Q 232 25 233 51 Q 240 102 349 380 Q 356 396 355 402 Q 354 412 345 405 Q 335 398 323 381 Q 265 279 212 191 Q 199 167 168 142 Z",
+      "M 731 84 Q 718 65 704 68 Q 673 80 627 97 Q 612 101 611 98 Q 611 94 627 78 Q 666 41 689 -5 Q 699 -21 708 -24 Q 715 -25 734 -12 Q 786 33 823 105 Q 860 189 897 420 Q 901 445 915 456 Q 927 466 915 482 Q 860 531 799 511 Q 787 510 775 507 Q 640 477 537 466 Q 531 462 528 467 Q 529 489 650 623 Q 711 687 736 693 Q 752 700 753 707 Q 754 716 748 721 Q 726 745 697 757 Q 678 767 644 755 Q 527 719 459 721 Q 443 721 441 716 Q 437 710 444 702 Q 451 690 467 681 Q 483 669 525 680 Q 660 717 663 710 Q 657 679 525 524 Q 522 523 521 520 Q 499 495 469 471 Q 448 459 459 423 Q 460 413 489 420 Q 502 424 521 429 L 557 437 Q 603 450 670 461 L 710 468 Q 774 480 812 480 Q 831 479 835 469 Q 856 372 783 174 Q 780 173 780 168 Q 767 125 731 84 Z",
+      "M 521 429 Q 521 335 390 193 Q 384 189 384 183 Q 384 179 389 179 Q 458 192 561 350 Q 574 372 584 384 Q 590 394 583 406 Q 570 428 557 437 C 534 456 522 459 521 429 Z",
+      "M 670 461 Q 677 454 674 411 Q 644 285 556 175 Q 519 129 440 43 Q 433 37 443 36 Q 492 45 591 156 Q 654 232 737 398 Q 744 414 750 421 Q 757 427 754 436 Q 753 445 739 455 Q 726 465 710 468 C 681 477 664 483 670 461 Z",
+    ],
+    medians: [
+      [[253,763],[340,704],[362,664]],
+      [[178,554],[254,495],[269,469]],
+      [[219,34],[207,65],[204,114],[233,162],[348,398]],
+      [[449,710],[496,698],[658,735],[678,734],[699,716],[647,643],[543,526],[510,481],[499,455],[535,449],[811,498],[836,496],[857,486],[874,466],[857,332],[833,232],[799,129],[768,76],[742,45],[718,29],[614,95]],
+      [[529,423],[549,405],[550,394],[523,335],[460,246],[415,202],[390,186]],
+      [[677,461],[712,429],[676,332],[638,258],[555,142],[491,76],[462,52],[449,49],[446,41]],
+    ],
+  },
+  "肉": {
+    strokes: [
+      "M 274 630 Q 250 649 225 657 Q 215 658 208 650 Q 204 644 212 632 Q 263 488 214 215 Q 207 181 195 146 Q 185 118 190 97 Q 199 60 211 45 Q 224 30 234 45 Q 271 84 272 232 Q 278 502 290 586 C 294 616 294 616 274 630 Z",
+      "M 525 629 Q 705 662 724 642 Q 737 635 743 572 Q 759 362 749 124 Q 748 90 735 79 Q 722 69 650 82 Q 632 85 634 75 Q 635 68 649 61 Q 713 16 747 -19 Q 769 -38 783 -36 Q 796 -32 807 -3 Q 823 45 821 114 Q 802 436 803 555 Q 802 597 815 622 Q 827 644 816 657 Q 804 673 754 698 Q 733 708 713 703 Q 655 685 531 661 L 479 653 Q 377 640 274 630 C 244 627 260 581 290 586 Q 297 586 307 588 Q 383 606 473 620 L 525 629 Z",
+      "M 506 564 Q 509 571 525 629 L 531 661 Q 541 748 556 786 Q 562 796 554 805 Q 538 821 503 837 Q 484 847 467 842 Q 448 835 463 818 Q 488 790 487 760 Q 487 697 479 653 L 473 620 Q 448 509 344 435 Q 332 429 330 426 Q 326 420 341 419 Q 368 415 433 459 Q 472 486 498 542 L 506 564 Z",
+      "M 498 542 Q 552 505 619 449 Q 632 436 645 434 Q 652 434 656 442 Q 665 454 650 485 Q 635 524 506 564 C 477 573 473 559 498 542 Z",
+      "M 493 339 Q 514 367 533 390 Q 543 400 532 414 Q 495 447 474 445 Q 464 444 464 431 Q 467 344 369 250 Q 357 243 322 207 Q 313 194 327 197 Q 343 198 366 213 Q 436 259 479 320 L 493 339 Z",
+      "M 479 320 Q 539 275 612 208 Q 639 178 653 198 Q 662 211 648 246 Q 633 297 493 339 C 464 348 455 338 479 320 Z",
+    ],
+    medians: [
+      [[218,645],[243,621],[254,598],[260,525],[253,310],[239,177],[224,107],[223,50]],
+      [[283,625],[309,611],[716,675],[737,672],[772,642],[785,189],[781,75],[764,36],[729,42],[642,75]],
+      [[469,829],[489,820],[519,788],[509,674],[487,580],[473,545],[434,488],[385,447],[336,423]],
+      [[508,545],[516,548],[552,529],[613,489],[634,468],[643,448]],
+      [[475,433],[495,396],[458,326],[423,280],[379,238],[331,205]],
+      [[488,321],[501,324],[592,266],[620,240],[639,206]],
+    ],
+  },
+  "鱼": {
+    strokes: [
+      "M 430 712 Q 476 766 498 778 Q 508 785 507 799 Q 506 812 483 837 Q 461 859 444 862 Q 426 863 430 841 Q 440 801 344 693 Q 299 644 239 591 Q 229 584 225 578 Q 221 568 234 568 Q 274 568 419 700 L 430 712 Z",
+      "M 528 543 Q 550 565 597 617 Q 643 669 686 697 Q 705 709 692 723 Q 677 736 637 760 Q 628 763 580 748 Q 450 715 430 712 C 409 708 409 708 419 700 Q 429 687 456 685 Q 469 684 566 703 Q 579 706 582 702 Q 586 698 580 687 Q 537 599 510 558 Q 503 546 499 538 C 485 512 507 522 528 543 Z",
+      "M 298 506 Q 285 512 250 516 Q 237 519 233 513 Q 226 506 237 489 Q 280 401 307 259 Q 313 216 338 188 Q 359 164 363 182 Q 366 192 367 205 L 366 235 Q 363 254 358 277 Q 324 419 314 467 C 308 496 306 503 298 506 Z",
+      "M 630 232 Q 649 202 668 192 Q 681 183 698 207 Q 717 241 755 424 Q 765 460 792 488 Q 808 501 794 518 Q 778 537 728 567 Q 706 579 687 571 Q 644 561 588 552 Q 558 548 528 543 L 499 538 Q 459 534 418 526 Q 352 514 298 506 C 268 501 285 459 314 467 Q 377 485 466 498 L 507 505 Q 663 536 684 513 Q 702 492 698 472 Q 662 283 645 265 C 632 238 630 233 630 232 Z",
+      "M 525 360 Q 574 367 617 372 Q 641 375 633 388 Q 623 404 598 409 Q 574 413 532 403 Q 529 403 527 401 L 479 390 Q 427 380 380 369 Q 364 366 383 350 Q 393 341 418 345 Q 449 349 479 353 L 525 360 Z",
+      "M 520 258 Q 521 313 525 360 L 527 401 Q 527 431 530 461 Q 539 482 507 505 C 483 523 455 526 466 498 Q 475 483 479 390 L 479 353 Q 479 313 480 252 C 480 222 519 228 520 258 Z",
+      "M 367 205 Q 376 205 388 206 Q 524 222 630 232 C 660 235 673 253 645 265 Q 639 268 632 270 Q 608 274 520 258 L 480 252 Q 419 245 366 235 C 337 230 337 204 367 205 Z",
+      "M 497 66 Q 552 67 605 72 Q 752 84 890 64 Q 915 60 922 70 Q 931 83 918 97 Q 848 167 778 145 Q 630 124 468 112 Q 180 90 116 88 Q 109 88 102 88 Q 87 89 85 76 Q 84 63 104 47 Q 122 34 155 19 Q 167 15 186 23 Q 204 27 279 39 Q 376 58 497 66 Z",
+    ],
+    medians: [
+      [[442,848],[458,823],[462,798],[417,738],[330,647],[270,598],[233,576]],
+      [[426,699],[464,702],[572,727],[598,726],[628,711],[575,624],[506,540]],
+      [[242,506],[275,481],[285,457],[351,187]],
+      [[306,502],[329,490],[428,511],[644,543],[704,541],[717,531],[742,496],[721,428],[695,301],[671,235],[676,204]],
+      [[382,360],[424,361],[559,387],[600,390],[622,383]],
+      [[473,498],[500,476],[503,456],[501,282],[486,261]],
+      [[372,213],[389,223],[617,251],[636,262]],
+      [[99,75],[168,54],[457,89],[803,112],[853,104],[909,81]],
+    ],
+  },
+  "鸡": {
+    strokes: [
+      "M 345 381 Q 375 445 402 536 Q 412 564 429 584 Q 445 602 432 613 Q 419 623 387 632 Q 365 638 339 622 Q 314 610 281 599 Q 247 587 190 578 Q 177 577 172 569 Q 169 562 187 555 Q 224 543 271 559 Q 314 578 322 580 Q 347 580 345 553 Q 330 471 305 412 L 283 367 Q 222 265 90 216 Q 78 209 90 204 Q 96 197 135 201 Q 237 213 317 329 L 345 381 Z",
+      "M 317 329 Q 398 245 399 243 Q 406 242 413 250 Q 423 260 415 298 Q 408 332 345 381 L 305 412 Q 230 466 188 491 Q 181 495 178 485 Q 177 475 186 465 Q 232 422 283 367 L 317 329 Z",
+      "M 541 663 Q 547 669 634 763 Q 647 782 668 796 Q 686 809 672 823 Q 656 836 630 844 Q 605 851 594 847 Q 582 843 589 832 Q 601 801 525 674 C 510 648 520 641 541 663 Z",
+      "M 549 621 Q 555 620 566 623 Q 605 639 704 661 Q 713 662 719 658 Q 731 654 730 635 Q 729 589 711 509 Q 708 488 688 491 Q 660 497 637 503 Q 624 506 627 498 Q 628 489 651 471 Q 681 443 699 412 Q 706 403 716 407 Q 723 410 737 432 Q 755 459 769 545 Q 781 635 792 647 Q 802 657 797 667 Q 790 677 756 699 Q 741 708 685 693 Q 670 693 597 672 Q 566 665 544 660 C 515 653 519 617 549 621 Z",
+      "M 572 576 Q 611 527 627 523 Q 636 522 641 534 Q 642 543 637 557 Q 630 570 614 577 Q 589 592 577 594 Q 570 595 569 588 Q 568 582 572 576 Z",
+      "M 532 301 Q 592 340 776 343 Q 810 344 824 329 Q 836 316 819 270 Q 813 216 804 160 Q 798 117 778 88 Q 768 78 743 84 Q 706 96 672 105 Q 654 111 654 103 Q 654 96 664 87 Q 725 26 746 -15 Q 756 -37 776 -26 Q 840 5 853 71 Q 869 152 880 242 Q 889 282 908 314 Q 923 330 910 345 Q 892 367 853 389 Q 831 402 801 390 Q 761 375 725 373 Q 674 369 569 353 Q 541 349 540 372 Q 536 570 549 621 C 554 651 554 653 544 660 Q 543 661 541 663 C 540 669 540 669 525 674 Q 515 680 506 683 Q 487 689 479 680 Q 473 674 481 663 Q 505 621 493 399 Q 490 369 484 341 Q 478 320 493 305 Q 512 289 532 301 Z",
+      "M 549 167 Q 577 170 604 173 Q 664 182 748 178 Q 769 177 773 185 Q 780 197 768 206 Q 740 228 702 243 Q 693 246 605 224 Q 599 224 595 222 Q 322 183 321 182 Q 309 181 308 171 Q 309 161 326 149 Q 341 139 369 130 Q 379 127 394 135 Q 401 139 440 146 Q 489 159 549 167 Z",
+    ],
+    medians: [
+      [[180,568],[232,567],[275,577],[325,598],[360,598],[381,589],[368,520],[341,434],[307,360],[281,320],[247,282],[189,239],[140,218],[97,210]],
+      [[187,481],[256,425],[371,317],[393,286],[405,249]],
+      [[600,837],[625,806],[579,730],[539,682],[538,668]],
+      [[553,628],[566,645],[699,680],[743,674],[760,657],[740,520],[718,466],[711,459],[684,468],[634,497]],
+      [[578,584],[612,558],[628,535]],
+      [[489,673],[514,650],[521,624],[514,373],[519,334],[545,332],[620,347],[816,366],[844,357],[869,327],[853,271],[828,114],[802,53],[776,33],[661,101]],
+      [[320,170],[375,160],[528,190],[690,211],[761,193]],
+    ],
+  },
+  "牛": {
+    strokes: [
+      "M 343 575 Q 344 576 345 577 Q 369 617 390 649 Q 400 662 385 678 Q 337 711 311 706 Q 299 703 303 688 Q 321 615 236 498 Q 227 494 197 449 Q 188 433 204 438 Q 220 441 242 458 Q 297 501 331 554 L 343 575 Z",
+      "M 559 559 Q 736 596 742 601 Q 752 610 747 619 Q 740 632 708 640 Q 677 647 643 635 Q 601 622 561 610 L 504 597 Q 431 582 347 576 Q 343 576 343 575 C 313 571 310 571 331 554 Q 364 521 441 537 Q 471 543 503 548 L 559 559 Z",
+      "M 556 343 Q 676 356 843 356 Q 877 356 906 357 Q 931 357 936 368 Q 943 381 923 399 Q 853 451 786 429 Q 692 411 556 387 L 501 379 Q 326 354 119 327 Q 94 324 113 303 Q 129 287 152 281 Q 177 274 197 280 Q 318 314 455 331 Q 476 335 501 337 L 556 343 Z",
+      "M 501 337 Q 491 -35 512 -68 Q 527 -84 536 -62 Q 557 -14 556 343 L 556 387 Q 557 486 559 559 L 561 610 Q 564 746 584 778 Q 593 799 573 815 Q 548 834 503 847 Q 482 853 469 838 Q 459 829 472 817 Q 503 790 505 753 Q 505 692 504 597 L 503 548 Q 502 458 501 379 L 501 337 Z",
+    ],
+    medians: [
+      [[314,694],[346,654],[336,626],[292,540],[249,485],[207,448]],
+      [[341,555],[427,558],[568,584],[678,614],[735,612]],
+      [[116,315],[153,306],[185,306],[425,348],[824,396],[883,388],[922,375]],
+      [[477,828],[494,826],[518,811],[541,782],[529,492],[523,-62]],
+    ],
+  },
+  "蔬": {
+    strokes: [
+      "M 618 690 Q 703 700 804 694 Q 819 693 823 702 Q 827 712 815 726 Q 767 768 683 743 Q 659 740 634 734 L 581 724 Q 496 712 400 697 L 352 691 Q 271 682 186 672 Q 158 669 178 655 Q 217 628 293 646 Q 324 655 359 660 L 402 668 Q 417 675 573 687 L 618 690 Z",
+      "M 400 697 Q 399 730 398 755 Q 399 774 380 781 Q 341 802 319 794 Q 300 787 315 766 Q 342 733 352 691 L 359 660 Q 368 609 384 592 Q 397 582 401 593 Q 407 611 402 668 L 400 697 Z",
+      "M 634 734 Q 640 755 659 791 Q 672 806 662 816 Q 649 832 615 846 Q 599 855 582 846 Q 573 839 581 829 Q 593 805 581 724 L 573 687 Q 560 639 562 615 Q 563 602 579 613 Q 588 622 618 690 L 634 734 Z",
+      "M 312 396 Q 391 477 419 487 Q 435 494 429 508 Q 425 521 365 548 Q 349 555 330 547 Q 288 528 226 506 Q 210 500 169 499 Q 150 498 157 481 Q 164 471 181 461 Q 209 448 237 466 Q 315 515 333 504 Q 345 497 340 484 Q 321 448 301 405 C 288 378 291 375 312 396 Z",
+      "M 312 171 Q 313 235 315 290 L 316 320 Q 316 344 318 368 Q 322 384 312 396 L 301 405 Q 273 426 258 421 Q 251 417 254 408 Q 266 384 269 300 Q 270 249 273 158 C 274 128 312 141 312 171 Z",
+      "M 315 290 Q 319 291 322 291 Q 370 301 406 308 Q 428 314 418 325 Q 406 338 382 339 Q 354 339 316 320 C 289 307 286 284 315 290 Z",
+      "M 216 141 Q 203 261 206 283 Q 207 304 194 313 Q 173 326 149 333 Q 136 337 129 331 Q 122 325 129 312 Q 145 288 155 261 Q 162 234 180 130 C 185 100 219 111 216 141 Z",
+      "M 180 130 Q 90 112 89 112 Q 77 111 75 101 Q 74 88 82 81 Q 104 66 136 48 Q 146 45 157 54 Q 190 79 366 159 Q 391 169 409 184 Q 422 191 422 200 Q 413 206 312 171 L 273 158 Q 245 151 216 141 L 180 130 Z",
+      "M 646 536 Q 646 546 641 561 Q 637 574 614 583 Q 562 601 552 594 Q 548 591 550 582 Q 553 575 573 560 Q 591 545 611 527 C 633 507 647 506 646 536 Z",
+      "M 601 488 Q 638 498 766 519 Q 775 518 782 529 Q 783 539 763 548 Q 730 564 650 537 Q 647 537 646 536 L 611 527 Q 593 524 471 501 Q 446 497 466 483 Q 496 462 537 473 Q 546 476 559 478 L 601 488 Z",
+      "M 706 395 Q 627 383 545 369 Q 538 368 537 369 Q 536 370 540 375 Q 594 442 615 460 Q 625 470 619 477 Q 615 484 601 488 C 573 500 557 507 559 478 L 560 476 Q 563 440 513 389 Q 500 374 473 362 Q 454 353 453 346 Q 452 333 459 318 Q 466 305 476 300 Q 482 299 490 302 Q 559 347 717 381 C 746 387 736 400 706 395 Z",
+      "M 717 381 Q 768 318 777 316 Q 787 315 793 325 Q 800 337 797 363 Q 794 394 711 438 Q 698 444 692 443 Q 688 440 686 429 Q 687 419 706 396 L 706 395 C 707 393 707 393 717 381 Z",
+      "M 442 249 Q 461 222 442 139 Q 418 66 369 35 Q 356 25 344 16 Q 334 9 343 7 Q 377 4 429 45 Q 480 87 495 159 Q 510 216 513 220 Q 520 235 508 242 Q 471 272 448 265 Q 438 261 442 249 Z",
+      "M 557 271 Q 581 205 561 77 Q 555 55 578 22 Q 585 13 593 23 Q 611 47 609 85 Q 605 169 615 246 Q 621 264 604 273 Q 591 282 578 289 Q 568 292 561 288 Q 554 284 557 271 Z",
+      "M 954 72 Q 941 97 924 171 Q 923 186 917 190 Q 911 193 908 177 Q 886 96 871 71 Q 864 62 844 56 Q 792 47 754 64 Q 738 71 733 83 Q 712 122 733 260 Q 739 288 691 306 Q 678 310 671 305 Q 664 301 670 284 Q 683 248 681 212 Q 675 62 709 30 Q 745 -3 829 -4 Q 898 -4 949 35 Q 965 50 954 72 Z",
+    ],
+    medians: [
+      [[180,665],[199,659],[248,658],[410,686],[742,725],[776,721],[811,708]],
+      [[323,779],[365,751],[392,596]],
+      [[588,837],[612,819],[623,798],[596,687],[571,616]],
+      [[166,488],[203,478],[221,481],[303,519],[352,524],[376,503],[313,408]],
+      [[264,412],[291,376],[293,195],[288,178],[277,168]],
+      [[318,297],[332,310],[367,319],[410,318]],
+      [[137,323],[176,287],[196,156],[183,142]],
+      [[88,98],[141,86],[419,196]],
+      [[558,587],[639,541]],
+      [[467,493],[525,490],[699,530],[772,531]],
+      [[609,470],[582,459],[549,406],[529,387],[514,349],[541,349],[700,387],[707,379]],
+      [[695,433],[770,360],[780,326]],
+      [[452,254],[481,224],[476,178],[458,117],[440,83],[412,50],[349,11]],
+      [[568,278],[585,258],[590,242],[585,35]],
+      [[678,297],[705,266],[701,136],[707,88],[723,53],[747,37],[802,25],[839,26],[877,34],[900,47],[913,61],[914,183]],
+    ],
+  },
+  "果": {
+    strokes: [
+      "M 275 763 Q 271 764 266 764 Q 253 768 249 762 Q 242 755 252 737 Q 289 664 312 541 Q 316 504 338 480 Q 357 456 363 474 Q 366 484 367 496 L 366 521 Q 365 537 361 555 Q 334 684 329 722 C 325 752 305 759 275 763 Z",
+      "M 597 528 Q 618 494 636 485 Q 648 476 664 499 Q 680 524 716 668 Q 726 702 753 729 Q 768 742 755 757 Q 739 776 693 806 Q 674 815 599 800 Q 572 799 419 775 Q 314 760 275 763 C 245 764 300 714 329 722 Q 381 737 459 746 L 498 751 Q 633 772 650 754 Q 663 738 660 721 Q 630 565 610 551 C 596 529 596 529 597 528 Z",
+      "M 517 631 Q 550 637 579 641 Q 601 645 593 657 Q 583 670 559 675 Q 543 678 517 671 L 468 658 Q 416 645 371 632 Q 355 628 374 615 Q 384 608 405 611 Q 438 618 469 622 L 517 631 Z",
+      "M 517 517 Q 559 524 597 528 C 627 531 636 537 610 551 Q 577 572 517 549 L 469 540 Q 414 530 366 521 C 337 515 337 495 367 496 Q 374 496 384 497 Q 429 504 470 510 L 517 517 Z",
+      "M 524 382 Q 581 388 825 388 Q 846 388 850 396 Q 856 408 840 422 Q 786 461 750 454 Q 660 438 517 417 L 469 411 Q 322 395 157 378 Q 136 377 151 359 Q 164 346 183 339 Q 204 333 220 338 Q 314 362 422 372 L 524 382 Z",
+      "M 517 417 Q 517 466 517 517 L 517 549 Q 518 583 518 616 Q 517 623 517 631 L 517 671 Q 517 714 520 722 Q 523 734 514 741 Q 508 745 498 751 C 474 769 451 775 459 746 Q 466 733 467 709 Q 467 684 468 658 L 469 622 Q 469 582 469 540 L 470 510 Q 470 461 469 411 L 468 341 Q 468 164 457 42 Q 454 0 479 -33 Q 492 -48 501 -30 Q 528 22 521 67 Q 518 113 517 345 L 517 417 Z",
+      "M 422 372 Q 416 353 398 327 Q 344 249 283 196 Q 232 150 127 80 Q 108 67 125 66 Q 137 63 178 80 Q 236 99 288 138 Q 399 225 454 319 Q 461 332 468 341 C 496 382 446 433 422 372 Z",
+      "M 517 345 Q 704 104 751 86 Q 823 68 938 82 Q 959 83 961 88 Q 964 95 947 103 Q 755 191 732 206 Q 648 260 527 380 Q 524 381 524 382 C 502 402 486 385 517 345 Z",
+    ],
+    medians: [
+      [[257,754],[300,704],[351,479]],
+      [[288,760],[333,744],[614,784],[654,783],[679,774],[704,738],[647,545],[639,529],[612,527]],
+      [[372,623],[542,656],[583,651]],
+      [[371,502],[418,517],[601,548]],
+      [[154,368],[194,359],[222,361],[358,383],[750,421],[802,416],[839,403]],
+      [[466,743],[493,723],[490,-28]],
+      [[461,371],[381,260],[293,172],[231,126],[129,73]],
+      [[521,375],[529,368],[537,343],[589,287],[690,190],[757,139],[842,111],[955,90]],
+    ],
+  },
+  "茶": {
+    strokes: [
+      "M 637 679 Q 727 689 814 683 Q 830 682 835 691 Q 839 703 827 718 Q 773 760 680 736 Q 671 735 662 732 L 600 722 Q 513 709 414 694 L 367 688 Q 295 681 219 671 Q 189 667 210 651 Q 258 624 336 641 Q 355 645 376 649 L 417 657 Q 451 667 587 676 L 637 679 Z",
+      "M 414 694 Q 411 728 411 756 Q 412 775 392 781 Q 355 802 331 793 Q 312 784 328 765 Q 356 732 366 693 Q 366 692 367 688 L 376 649 Q 380 613 399 592 Q 412 582 417 593 Q 423 611 417 657 L 414 694 Z",
+      "M 662 732 Q 671 753 688 778 Q 703 793 693 804 Q 680 822 646 841 Q 630 851 611 843 Q 601 837 608 825 Q 617 798 600 722 L 587 676 Q 569 615 571 604 Q 571 589 588 600 Q 601 610 637 679 L 662 732 Z",
+      "M 527 564 Q 534 573 532 580 Q 531 593 505 602 Q 477 612 465 611 Q 458 610 454 597 Q 421 473 105 252 Q 84 239 111 240 Q 222 250 423 451 Q 486 523 509 545 L 527 564 Z",
+      "M 509 545 Q 728 314 783 304 Q 843 295 956 320 Q 975 324 977 329 Q 980 336 963 342 Q 773 403 739 421 Q 670 451 546 550 Q 534 559 527 564 C 503 582 488 567 509 545 Z",
+      "M 539 276 Q 674 301 682 307 Q 691 314 687 324 Q 680 336 650 345 Q 620 352 540 327 L 487 314 Q 478 314 471 311 Q 402 298 323 293 Q 286 289 312 270 Q 348 246 426 258 Q 456 264 489 267 L 539 276 Z",
+      "M 453 65 Q 423 72 394 79 Q 382 82 383 74 Q 384 67 394 59 Q 458 -4 479 -40 Q 492 -58 509 -44 Q 545 -11 546 61 Q 543 92 539 276 L 540 327 Q 541 358 551 379 Q 560 398 543 411 Q 518 433 488 442 Q 469 449 461 441 Q 455 434 466 419 Q 485 386 487 314 L 489 267 Q 490 158 486 93 Q 485 74 474 67 Q 467 61 453 65 Z",
+      "M 325 177 Q 291 134 251 98 Q 241 89 236 73 Q 227 49 232 32 Q 235 11 259 19 Q 314 40 336 112 Q 349 143 349 171 Q 346 181 341 184 Q 331 184 325 177 Z",
+      "M 621 174 Q 673 123 734 50 Q 750 28 767 22 Q 777 21 785 31 Q 800 44 787 93 Q 777 148 624 208 Q 614 214 611 200 Q 610 185 621 174 Z",
+    ],
+    medians: [
+      [[213,662],[259,656],[323,660],[441,681],[727,715],[788,711],[823,697]],
+      [[336,778],[359,768],[379,748],[408,597]],
+      [[616,833],[632,823],[650,791],[580,603]],
+      [[514,577],[484,571],[398,460],[306,374],[214,304],[115,249]],
+      [[527,555],[531,542],[547,526],[620,463],[710,395],[779,355],[839,341],[971,331]],
+      [[315,283],[355,275],[414,278],[624,320],[675,318]],
+      [[470,435],[515,389],[512,61],[493,23],[443,42],[390,73]],
+      [[338,173],[307,112],[249,33]],
+      [[623,195],[737,105],[758,75],[769,39]],
+    ],
+  },
+  "啤": {
+    strokes: [
+      "M 135 626 Q 125 632 98 637 Q 86 641 83 636 Q 76 630 84 615 Q 115 540 128 420 Q 129 384 149 359 Q 165 338 171 353 Q 178 375 173 418 L 168 452 Q 152 564 148 598 C 145 621 145 621 135 626 Z",
+      "M 312 481 Q 331 578 357 608 Q 379 633 356 647 Q 293 680 290 680 Q 280 680 272 674 Q 232 647 135 626 C 106 619 119 591 148 598 Q 155 599 164 602 Q 209 615 248 624 Q 273 631 280 620 Q 289 613 281 574 Q 272 532 262 483 C 256 454 306 452 312 481 Z",
+      "M 173 418 Q 248 436 327 449 Q 337 450 338 460 Q 338 467 312 481 L 262 483 Q 259 483 258 482 Q 209 464 168 452 C 139 443 144 411 173 418 Z",
+      "M 507 701 Q 523 716 583 775 Q 598 794 618 807 Q 637 820 624 834 Q 608 847 582 857 Q 557 866 546 861 Q 534 857 541 846 Q 548 825 501 738 Q 489 719 477 696 C 463 669 485 680 507 701 Z",
+      "M 429 689 Q 413 698 394 702 Q 388 703 384 699 Q 377 695 386 684 Q 423 623 434 496 Q 440 433 474 415 L 475 414 Q 491 411 491 436 L 489 463 Q 488 482 480 502 Q 462 613 461 656 Q 461 657 460 658 C 458 674 456 675 429 689 Z",
+      "M 703 463 Q 721 438 737 429 Q 747 420 763 443 Q 779 470 812 618 Q 822 649 846 674 Q 859 687 847 701 Q 832 719 789 745 Q 773 754 678 733 Q 633 733 520 705 Q 513 704 507 701 L 477 696 Q 452 693 429 689 C 399 684 431 650 460 658 Q 502 671 562 681 L 601 688 Q 647 698 702 705 Q 738 711 749 699 Q 762 681 760 665 Q 733 523 717 496 C 705 468 703 463 703 463 Z",
+      "M 613 569 Q 653 578 688 582 Q 709 586 701 597 Q 691 610 669 614 Q 650 615 618 606 L 572 592 Q 539 585 510 575 Q 495 572 514 559 Q 517 556 570 561 L 613 569 Z",
+      "M 589 448 Q 650 458 703 463 C 733 466 745 485 717 496 Q 689 511 598 485 L 556 477 Q 522 470 489 463 C 460 457 461 435 491 436 Q 498 436 508 437 Q 526 440 545 442 L 589 448 Z",
+      "M 459 282 Q 555 337 589 448 L 598 485 Q 605 522 613 569 L 618 606 Q 619 618 621 630 Q 625 645 627 654 Q 634 670 617 679 Q 608 685 601 688 C 575 702 549 708 562 681 Q 563 681 564 679 Q 576 655 572 592 L 570 561 Q 561 497 556 477 L 545 442 Q 506 349 435 292 Q 423 283 421 278 Q 420 278 420 277 C 400 255 433 266 459 282 Z",
+      "M 687 272 Q 927 275 937 282 Q 937 283 939 284 Q 945 296 928 310 Q 873 352 803 334 Q 752 325 688 313 L 632 305 Q 605 302 577 297 Q 519 290 459 282 L 420 277 Q 339 270 257 258 Q 235 257 251 239 Q 264 226 283 220 Q 304 214 320 218 Q 464 258 632 268 L 687 272 Z",
+      "M 631 -40 Q 635 -64 642 -73 Q 648 -80 655 -78 Q 682 -60 683 95 Q 682 135 687 272 L 688 313 Q 688 316 689 318 Q 690 346 698 377 Q 701 393 688 403 Q 657 424 643 427 Q 631 431 616 423 Q 607 416 614 405 Q 632 374 632 305 L 632 268 Q 626 7 631 -40 Z",
+    ],
+    medians: [
+      [[91,628],[116,605],[122,591],[161,359]],
+      [[146,622],[156,615],[281,650],[310,635],[321,623],[292,506],[269,490]],
+      [[179,425],[192,440],[265,461],[311,464],[329,458]],
+      [[553,850],[575,818],[514,728],[484,699]],
+      [[391,692],[415,674],[434,646],[459,487],[480,420]],
+      [[436,685],[465,677],[718,725],[738,726],[776,716],[800,688],[796,666],[744,478],[737,468],[716,464]],
+      [[511,567],[655,596],[692,592]],
+      [[495,443],[512,453],[689,482],[711,492]],
+      [[571,677],[599,655],[583,508],[563,432],[544,392],[503,335],[460,296],[432,286],[427,278]],
+      [[254,249],[304,240],[513,274],[832,307],[882,305],[934,287]],
+      [[623,413],[640,404],[662,377],[651,-69]],
+    ],
+  },
+  "酒": {
+    strokes: [
+      "M 234 749 Q 262 725 293 697 Q 308 684 325 685 Q 335 686 341 700 Q 345 716 335 747 Q 323 778 227 799 Q 211 802 204 799 Q 198 795 201 781 Q 205 771 234 749 Z",
+      "M 143 554 Q 186 500 221 486 Q 237 482 247 497 Q 254 510 251 528 Q 239 571 157 595 Q 139 601 129 597 Q 123 596 125 582 Q 126 569 143 554 Z",
+      "M 130 186 Q 117 183 120 165 Q 132 87 168 67 Q 175 60 186 62 Q 193 63 195 90 Q 205 147 316 411 Q 323 427 323 434 Q 322 444 313 437 Q 297 428 175 232 Q 160 210 130 186 Z",
+      "M 669 700 Q 730 713 793 723 Q 860 736 870 745 Q 880 754 875 763 Q 868 776 837 785 Q 810 791 709 762 Q 540 720 416 711 Q 376 707 404 687 Q 447 660 509 672 Q 510 673 513 672 L 548 679 Q 581 686 616 691 L 669 700 Z",
+      "M 428 528 Q 410 543 388 549 Q 379 550 373 543 Q 370 537 377 527 Q 420 413 383 209 Q 364 125 366 113 Q 373 82 385 68 Q 395 55 405 68 Q 415 80 422 102 L 428 134 Q 434 168 438 318 Q 441 460 448 495 C 451 512 451 512 428 528 Z",
+      "M 744 118 Q 775 78 799 41 Q 809 22 820 23 Q 838 24 853 60 Q 872 100 868 149 Q 858 260 850 465 Q 849 499 866 521 Q 876 534 866 545 Q 847 566 792 591 Q 773 601 757 591 Q 718 576 670 563 L 634 554 Q 606 550 577 545 Q 573 545 573 544 L 533 538 Q 464 531 428 528 C 398 525 418 490 448 495 Q 464 496 487 502 Q 509 506 531 508 L 570 515 Q 600 521 633 526 L 667 532 Q 754 550 776 532 Q 810 502 792 151 Q 788 133 773 137 C 750 117 741 122 744 118 Z",
+      "M 513 672 Q 513 671 522 658 Q 532 648 533 538 L 531 508 Q 525 439 486 352 Q 483 348 483 342 Q 482 335 489 337 Q 516 346 550 429 Q 550 432 552 434 Q 570 494 570 515 L 573 544 Q 576 569 576 627 Q 576 636 578 644 Q 582 654 577 664 Q 565 673 548 679 C 520 690 497 697 513 672 Z",
+      "M 670 563 Q 674 614 690 671 Q 694 684 685 693 Q 679 697 669 700 C 641 711 600 716 616 691 Q 637 670 634 554 L 633 526 Q 624 402 663 373 Q 676 360 732 365 Q 763 366 772 380 Q 781 390 774 397 Q 770 401 708 406 Q 663 406 667 532 L 670 563 Z",
+      "M 504 262 Q 486 258 507 242 Q 517 235 537 237 Q 634 249 704 255 Q 729 258 721 272 Q 711 288 684 294 Q 659 298 615 288 Q 557 273 504 262 Z",
+      "M 422 102 L 423 101 Q 433 98 446 100 Q 542 116 744 118 C 774 118 789 118 773 137 Q 766 147 750 158 Q 735 168 704 163 Q 550 139 428 134 C 398 133 393 109 422 102 Z",
+    ],
+    medians: [
+      [[210,791],[299,738],[321,705]],
+      [[136,587],[212,531],[227,508]],
+      [[181,72],[169,105],[167,156],[316,430]],
+      [[407,701],[430,693],[480,693],[632,718],[808,756],[863,757]],
+      [[381,539],[410,510],[420,455],[419,306],[395,119],[395,72]],
+      [[434,524],[463,514],[776,566],[814,541],[823,529],[830,139],[816,101],[753,115]],
+      [[519,673],[552,649],[552,524],[533,423],[490,344]],
+      [[623,691],[658,666],[648,513],[654,437],[662,412],[675,394],[690,386],[739,384],[769,391]],
+      [[505,252],[677,274],[709,267]],
+      [[427,106],[442,117],[492,123],[699,140],[765,139]],
+    ],
+  },
+  "辣": {
+    strokes: [
+      "M 260 750 Q 279 731 297 707 Q 310 692 327 692 Q 339 691 345 705 Q 351 720 344 752 Q 340 768 314 782 Q 250 809 236 803 Q 230 799 231 786 Q 234 774 260 750 Z",
+      "M 144 618 Q 110 612 135 597 Q 174 576 224 588 Q 303 606 384 624 Q 421 633 427 638 Q 434 645 431 653 Q 424 663 398 670 Q 370 676 343 664 Q 300 649 255 637 Q 203 624 144 618 Z",
+      "M 158 523 Q 194 454 215 449 Q 225 445 235 460 Q 239 470 234 490 Q 228 506 209 518 Q 181 540 167 545 Q 160 548 157 538 Q 154 532 158 523 Z",
+      "M 312 446 Q 336 479 359 515 Q 366 528 382 546 Q 395 556 388 566 Q 381 581 356 598 Q 346 608 330 603 Q 321 600 326 590 Q 335 560 290 462 Q 283 449 281 437 C 275 408 294 422 312 446 Z",
+      "M 255 390 Q 291 402 397 417 Q 407 416 414 428 Q 415 438 394 447 Q 370 465 312 446 L 281 437 Q 265 434 250 429 Q 196 414 147 406 Q 113 402 75 394 Q 50 390 70 375 Q 100 354 123 359 Q 168 371 221 383 L 255 390 Z",
+      "M 276 285 Q 324 298 385 312 Q 398 315 398 321 Q 399 331 384 337 Q 362 344 343 340 Q 310 331 284 322 L 226 305 Q 139 284 97 276 Q 87 275 85 267 Q 84 260 96 250 Q 129 231 162 244 Q 193 257 221 266 L 276 285 Z",
+      "M 221 266 Q 205 145 147 58 Q 134 36 119 14 Q 115 10 112 4 Q 111 -5 119 -4 Q 158 5 214 97 Q 259 181 276 285 L 284 322 Q 285 332 290 340 Q 297 352 292 363 Q 279 379 255 390 C 228 404 209 411 221 383 Q 220 383 221 382 Q 233 366 227 315 Q 227 309 226 305 L 221 266 Z",
+      "M 625 616 Q 758 652 764 657 Q 773 664 768 673 Q 761 683 732 689 Q 705 693 626 662 L 580 649 Q 540 639 495 633 Q 461 626 486 610 Q 534 589 581 605 L 625 616 Z",
+      "M 450 505 Q 437 509 417 512 Q 405 515 403 509 Q 397 503 405 489 Q 430 444 447 371 Q 451 349 464 334 Q 482 315 486 329 Q 487 336 488 348 L 485 378 Q 472 450 470 474 C 467 500 467 500 450 505 Z",
+      "M 758 425 Q 779 473 809 495 Q 825 511 812 529 Q 796 542 748 566 Q 732 573 711 567 Q 665 549 624 537 L 581 527 Q 518 514 450 505 C 420 501 441 467 470 474 Q 479 475 491 480 Q 534 489 580 497 L 624 506 Q 709 527 722 515 Q 729 508 727 494 Q 718 457 709 426 C 701 397 745 398 758 425 Z",
+      "M 623 372 Q 687 382 773 392 Q 783 393 784 401 Q 784 408 758 425 C 745 434 738 432 709 426 Q 663 416 623 405 L 578 395 Q 529 385 485 378 C 455 373 458 348 488 348 Q 495 347 504 349 Q 529 356 564 361 L 623 372 Z",
+      "M 624 537 Q 624 576 625 616 L 626 662 Q 630 732 644 782 Q 654 798 650 811 Q 643 821 585 857 Q 560 875 539 858 Q 533 852 540 837 Q 577 783 578 730 Q 578 691 580 649 L 581 605 Q 581 566 581 527 L 580 497 Q 579 448 578 395 L 576 293 Q 576 164 550 72 Q 538 32 566 -33 Q 573 -52 581 -55 Q 588 -62 596 -53 Q 603 -49 614 -27 Q 624 0 623 32 Q 622 71 622 321 L 623 405 Q 623 453 624 506 L 624 537 Z",
+      "M 622 364 Q 622 368 623 372 C 632 401 579 387 564 361 Q 497 238 316 57 Q 309 48 321 46 Q 340 42 465 154 Q 522 208 576 293 C 592 318 622 364 622 364 Z",
+      "M 622 321 Q 694 210 788 91 Q 807 70 838 71 Q 944 72 977 78 Q 987 79 988 85 Q 989 89 975 98 Q 834 158 762 223 Q 696 283 622 364 C 602 386 606 346 622 321 Z",
+    ],
+    medians: [
+      [[240,795],[304,751],[328,710]],
+      [[137,609],[160,603],[198,604],[378,648],[420,648]],
+      [[167,534],[219,466]],
+      [[338,593],[355,559],[303,457],[285,442]],
+      [[71,385],[124,381],[356,434],[404,429]],
+      [[95,266],[121,260],[149,263],[340,321],[387,322]],
+      [[227,383],[252,365],[260,349],[235,207],[217,152],[182,78],[121,5]],
+      [[488,622],[554,620],[720,667],[758,667]],
+      [[412,502],[431,488],[444,466],[476,334]],
+      [[458,503],[469,495],[495,495],[614,518],[679,537],[735,541],[766,510],[740,449],[715,431]],
+      [[492,356],[502,365],[706,405],[752,408],[775,400]],
+      [[553,849],[596,810],[607,785],[600,236],[584,51],[587,-41]],
+      [[616,369],[613,361],[579,341],[515,245],[442,159],[323,53]],
+      [[627,357],[635,328],[666,288],[758,182],[824,121],[981,84]],
+    ],
+  },
+  "冰": {
+    strokes: [
+      "M 176 611 Q 204 580 235 544 Q 248 528 266 528 Q 278 527 285 541 Q 292 557 285 590 Q 278 627 176 664 Q 160 670 152 667 Q 146 663 146 649 Q 149 636 176 611 Z",
+      "M 86 203 Q 74 200 76 184 Q 85 115 116 95 Q 123 88 132 91 Q 139 92 141 115 Q 148 151 256 394 Q 263 409 262 414 Q 262 424 253 418 Q 241 411 126 242 Q 113 223 86 203 Z",
+      "M 601 463 Q 597 661 623 759 Q 642 793 580 818 Q 543 837 521 830 Q 502 823 519 797 Q 543 767 545 729 Q 549 692 542 133 Q 541 109 529 100 Q 520 94 449 107 Q 412 120 415 108 Q 416 99 439 84 Q 508 29 525 -2 Q 544 -38 562 -39 Q 578 -40 595 -1 Q 614 50 612 132 Q 602 274 601 418 L 601 463 Z",
+      "M 274 475 Q 261 474 261 466 Q 260 460 273 453 Q 316 431 341 439 Q 410 461 416 461 Q 429 460 420 432 Q 345 231 206 113 Q 193 101 202 100 Q 212 99 229 108 Q 299 147 359 213 Q 414 274 485 431 Q 495 453 505 463 Q 518 473 510 483 Q 501 495 466 506 Q 445 516 397 495 Q 337 480 274 475 Z",
+      "M 630 435 Q 661 457 787 556 Q 808 575 834 587 Q 858 600 845 619 Q 829 638 799 653 Q 772 668 758 664 Q 743 661 749 646 Q 755 609 618 448 Q 617 448 617 447 C 597 424 606 417 630 435 Z",
+      "M 617 447 Q 610 456 601 463 C 579 483 583 442 601 418 Q 680 315 779 203 Q 800 182 832 185 Q 941 192 977 201 Q 987 204 988 209 Q 988 215 974 222 Q 815 279 730 349 Q 682 389 630 435 L 617 447 Z",
+    ],
+    medians: [
+      [[158,658],[242,591],[267,547]],
+      [[127,101],[117,137],[119,177],[256,412]],
+      [[524,817],[581,770],[572,502],[576,106],[553,52],[512,64],[423,108]],
+      [[270,466],[325,458],[413,482],[443,478],[460,467],[453,434],[430,379],[371,269],[297,177],[207,105]],
+      [[758,653],[778,631],[783,606],[665,479],[621,444]],
+      [[602,456],[618,422],[648,390],[712,325],[815,236],[980,209]],
+    ],
+  },
+  "坏": {
+    strokes: [
+      "M 303 510 Q 396 537 400 539 Q 409 548 404 556 Q 397 568 366 574 Q 335 578 305 565 Q 304 565 304 564 L 253 546 Q 178 527 124 518 Q 87 511 114 495 Q 159 471 218 489 Q 234 493 254 497 L 303 510 Z",
+      "M 295 313 Q 299 415 303 510 L 304 564 Q 305 639 326 747 Q 330 759 308 775 Q 271 794 244 799 Q 226 802 218 793 Q 211 784 219 768 Q 247 728 248 699 Q 252 626 253 546 L 254 497 Q 254 401 250 296 C 249 266 294 283 295 313 Z",
+      "M 250 296 Q 121 251 91 249 Q 78 246 76 236 Q 75 223 85 214 Q 110 199 145 182 Q 155 181 168 190 Q 201 220 359 304 Q 381 316 397 330 Q 410 339 410 349 Q 401 355 295 313 L 250 296 Z",
+      "M 675 632 Q 741 642 833 642 Q 884 642 892 652 Q 898 665 880 678 Q 823 717 764 698 Q 629 671 416 635 Q 395 632 411 615 Q 441 588 490 600 Q 605 633 630 626 L 675 632 Z",
+      "M 634 446 Q 679 519 710 555 Q 719 568 711 584 Q 695 617 677 631 Q 676 632 675 632 C 653 652 628 656 630 626 L 631 625 Q 637 588 603 512 Q 600 506 597 498 L 566 445 Q 479 306 284 138 Q 277 134 276 126 Q 275 119 282 120 Q 309 120 415 201 Q 416 204 420 206 Q 493 269 582 377 L 634 446 Z",
+      "M 582 377 Q 597 302 563 73 Q 551 19 600 -15 Q 616 -27 618 -14 Q 627 -10 630 15 Q 639 49 632 163 Q 625 364 633 436 Q 634 442 634 446 C 637 476 624 485 597 498 Q 564 514 562 515 Q 555 519 549 511 Q 545 504 548 489 Q 558 467 566 445 L 582 377 Z",
+      "M 719 338 Q 789 274 875 181 Q 894 159 911 153 Q 921 152 929 163 Q 942 178 929 227 Q 914 291 720 373 Q 710 379 708 364 Q 707 349 719 338 Z",
+    ],
+    medians: [
+      [[116,508],[139,502],[188,507],[345,549],[395,548]],
+      [[230,783],[282,741],[283,727],[273,335],[253,304]],
+      [[92,232],[148,223],[407,345]],
+      [[414,625],[445,619],[478,621],[598,647],[801,673],[883,659]],
+      [[639,621],[665,593],[669,573],[615,469],[583,421],[524,344],[440,253],[358,179],[284,128]],
+      [[558,504],[578,482],[601,437],[608,291],[597,50],[609,-12]],
+      [[721,359],[871,244],[897,210],[912,170]],
+    ],
+  },
+  "快": {
+    strokes: [
+      "M 143 510 Q 130 449 107 392 Q 95 355 118 323 Q 130 307 148 323 Q 193 377 181 456 Q 180 490 168 515 Q 161 522 155 522 Q 146 519 143 510 Z",
+      "M 312 518 Q 319 511 333 502 Q 357 483 382 461 Q 395 451 408 452 Q 418 453 421 464 Q 425 477 415 503 Q 409 519 383 530 Q 323 546 313 543 C 288 540 290 538 312 518 Z",
+      "M 313 543 Q 313 646 334 716 Q 349 741 323 759 Q 307 771 278 789 Q 254 807 233 791 Q 229 787 234 770 Q 265 722 266 674 Q 267 604 268 523 Q 264 384 259 231 Q 255 155 234 85 Q 222 45 248 -18 Q 254 -36 262 -39 Q 268 -46 276 -37 Q 303 -21 304 45 Q 303 93 312 518 L 313 543 Z",
+      "M 749 404 Q 773 506 815 544 Q 833 565 816 584 Q 734 641 679 613 Q 640 598 606 587 L 556 575 Q 501 563 443 555 Q 424 554 427 543 Q 430 533 450 528 Q 478 516 515 529 Q 534 533 555 537 L 603 547 Q 697 574 712 562 Q 724 550 721 526 Q 709 453 693 394 C 685 365 742 375 749 404 Z",
+      "M 543 372 Q 459 362 368 349 Q 347 348 363 331 Q 376 318 394 313 Q 413 307 430 312 Q 481 327 539 334 L 589 343 Q 643 361 919 361 Q 938 361 943 370 Q 949 380 932 394 Q 875 436 803 415 Q 778 411 749 404 L 693 394 Q 630 388 592 379 L 543 372 Z",
+      "M 555 537 Q 552 455 543 372 L 539 334 Q 518 181 434 103 Q 394 70 334 35 Q 321 28 321 23 Q 322 19 334 19 Q 350 15 389 29 Q 524 72 566 218 Q 576 251 582 290 L 588 336 Q 588 340 589 343 L 592 379 Q 598 466 603 547 L 606 587 Q 609 648 634 729 Q 641 744 631 755 Q 607 774 567 787 Q 542 794 532 787 Q 522 780 530 767 Q 552 728 555 679 Q 556 627 556 575 L 555 537 Z",
+      "M 582 290 Q 759 2 812 0 Q 882 4 942 9 Q 967 10 968 17 Q 969 24 941 39 Q 791 105 732 167 Q 648 257 588 336 C 570 360 566 316 582 290 Z",
+    ],
+    medians: [
+      [[157,510],[153,429],[133,333]],
+      [[316,537],[329,525],[378,502],[407,466]],
+      [[245,784],[297,729],[283,212],[267,62],[267,-26]],
+      [[438,544],[503,544],[611,566],[695,592],[734,587],[765,558],[728,427],[699,399]],
+      [[365,340],[413,332],[625,369],[843,392],[889,388],[931,376]],
+      [[539,776],[566,758],[590,728],[568,375],[547,245],[521,174],[473,105],[405,55],[328,23]],
+      [[589,328],[605,284],[663,205],[716,139],[790,67],[818,47],[962,18]],
+    ],
+  },
+  "慢": {
+    strokes: [
+      "M 125 556 Q 109 489 81 426 Q 66 393 88 363 Q 97 347 115 362 Q 163 407 157 505 Q 158 536 147 559 Q 141 566 136 567 Q 129 564 125 556 Z",
+      "M 282 601 Q 303 589 358 544 Q 371 534 384 535 Q 394 536 397 548 Q 400 561 391 587 Q 378 620 291 631 Q 287 632 284 631 C 254 629 256 616 282 601 Z",
+      "M 284 631 Q 288 692 301 738 Q 310 753 307 766 Q 300 776 246 809 Q 224 825 203 811 Q 199 807 205 791 Q 236 740 238 664 Q 238 243 220 151 Q 214 123 206 93 Q 196 56 220 -6 Q 227 -24 235 -27 Q 241 -34 248 -25 Q 275 -9 275 54 Q 274 105 282 575 Q 282 588 282 601 L 284 631 Z",
+      "M 462 781 Q 455 782 446 784 Q 436 787 432 782 Q 428 776 435 762 Q 463 704 481 606 Q 485 578 501 558 Q 517 539 522 553 Q 525 563 525 579 L 524 600 Q 523 609 521 617 Q 515 642 511 664 L 507 684 Q 497 738 496 754 C 494 776 492 776 462 781 Z",
+      "M 686 600 Q 702 578 717 570 Q 727 563 741 582 Q 751 601 776 700 Q 783 728 806 751 Q 818 761 808 775 Q 795 791 755 815 Q 742 821 668 810 Q 667 810 563 796 Q 512 787 472 784 Q 465 784 462 781 C 433 774 467 747 496 754 Q 526 764 684 779 Q 709 780 716 772 Q 726 760 725 749 Q 710 637 691 625 C 679 609 679 609 686 600 Z",
+      "M 511 664 Q 517 663 528 664 Q 598 676 652 682 Q 673 686 665 697 Q 655 710 633 714 Q 605 718 507 684 C 479 674 481 667 511 664 Z",
+      "M 525 579 Q 531 578 539 579 Q 623 592 686 600 C 716 604 718 612 691 625 Q 673 640 530 601 Q 527 601 524 600 C 494 595 495 582 525 579 Z",
+      "M 426 502 Q 416 508 386 512 Q 376 513 372 509 Q 368 505 375 490 Q 399 445 416 371 Q 420 349 433 334 Q 449 315 454 329 Q 455 336 456 348 L 455 370 Q 454 374 454 378 Q 441 444 437 470 C 432 499 432 499 426 502 Z",
+      "M 758 385 Q 774 358 789 350 Q 798 343 813 361 Q 822 371 846 430 Q 856 458 878 482 Q 891 492 881 507 Q 868 523 828 550 Q 813 559 737 544 L 426 502 C 396 498 407 466 437 470 Q 443 470 450 471 Q 478 478 514 483 L 535 488 Q 577 495 631 502 L 674 507 Q 774 522 791 505 Q 798 498 796 490 Q 783 415 767 407 C 754 391 754 391 758 385 Z",
+      "M 514 483 Q 517 471 518 447 Q 518 402 536 383 C 548 369 548 369 555 386 Q 555 387 556 387 Q 560 412 542 472 Q 541 482 535 488 C 516 511 507 512 514 483 Z",
+      "M 631 502 Q 640 487 630 417 Q 627 407 627 398 C 626 368 635 377 649 403 Q 653 410 658 421 Q 680 473 685 478 Q 695 488 687 496 Q 683 502 674 507 C 648 523 619 529 631 502 Z",
+      "M 456 348 Q 469 344 492 347 Q 643 372 758 385 C 788 388 795 395 767 407 Q 751 420 649 403 L 627 398 Q 590 394 555 386 L 536 383 Q 493 379 455 370 C 426 363 427 354 456 348 Z",
+      "M 577 128 Q 511 62 377 32 Q 362 28 374 19 Q 380 15 422 17 Q 525 26 610 93 L 640 123 Q 674 165 706 226 Q 721 254 742 271 Q 764 286 751 301 Q 739 314 708 329 Q 687 338 599 309 Q 545 297 488 290 Q 473 290 468 283 Q 464 276 483 267 Q 520 251 571 265 Q 625 284 634 283 Q 655 279 648 258 Q 632 200 601 156 L 577 128 Z",
+      "M 610 93 Q 691 8 771 -41 Q 795 -50 880 -30 Q 899 -24 919 -20 Q 932 -17 943 -11 Q 949 -4 937 4 Q 922 10 806 36 Q 743 49 640 123 L 601 156 Q 573 181 543 210 Q 524 231 492 233 Q 479 234 471 226 Q 467 219 477 212 Q 525 182 577 128 L 610 93 Z",
+    ],
+    medians: [
+      [[136,556],[131,478],[106,401],[102,370]],
+      [[288,623],[356,583],[382,550]],
+      [[214,805],[242,781],[264,751],[257,319],[249,153],[239,81],[240,-14]],
+      [[440,777],[472,741],[512,558]],
+      [[468,778],[502,771],[578,786],[703,798],[744,786],[763,761],[719,608],[723,587]],
+      [[515,670],[522,677],[576,690],[623,697],[656,692]],
+      [[528,595],[537,591],[685,620]],
+      [[380,504],[408,478],[444,334]],
+      [[434,499],[452,489],[751,532],[805,527],[818,520],[836,495],[794,386],[796,367]],
+      [[520,479],[533,459],[542,399],[550,392]],
+      [[638,501],[659,481],[651,438],[632,402]],
+      [[462,354],[477,361],[761,403]],
+      [[475,281],[544,278],[638,303],[676,295],[692,285],[647,178],[588,106],[500,52],[412,27],[379,25]],
+      [[480,222],[518,207],[643,91],[765,8],[795,-3],[935,-6]],
+    ],
+  },
+  "热": {
+    strokes: [
+      "M 388 581 Q 401 587 418 591 Q 449 601 454 606 Q 461 615 456 622 Q 449 632 421 636 Q 405 637 389 632 L 347 615 Q 281 590 201 571 Q 168 562 193 549 Q 230 534 291 552 Q 316 561 346 568 L 388 581 Z",
+      "M 342 443 Q 341 395 340 337 Q 339 321 330 316 Q 324 313 260 321 Q 232 330 235 321 Q 236 315 254 304 Q 311 264 325 241 Q 343 213 356 213 Q 368 212 380 241 Q 395 278 392 340 Q 388 407 387 472 L 387 496 Q 386 539 388 581 L 389 632 Q 389 689 407 753 Q 422 778 376 797 Q 348 813 332 808 Q 317 802 330 783 Q 348 761 348 732 Q 349 720 347 615 L 346 568 Q 345 528 343 476 L 342 443 Z",
+      "M 343 476 Q 262 442 193 406 Q 162 391 142 388 Q 132 384 128 377 Q 127 370 138 356 Q 154 341 173 333 Q 182 330 209 348 Q 248 382 342 443 L 387 472 Q 420 491 428 501 Q 435 511 425 512 Q 416 512 387 496 L 343 476 Z",
+      "M 576 447 Q 601 519 614 587 L 619 619 Q 631 745 636 758 Q 643 771 637 783 Q 621 799 593 811 Q 575 821 563 816 Q 553 809 559 797 Q 583 752 566 601 L 561 568 Q 552 513 538 467 Q 537 466 537 465 L 525 433 Q 504 379 450 285 Q 446 278 443 273 Q 442 263 451 265 Q 481 268 544 377 Q 551 392 560 407 L 576 447 Z",
+      "M 614 587 Q 668 614 682 608 Q 694 604 689 582 Q 653 426 693 366 Q 699 357 707 348 Q 731 318 816 275 Q 862 250 893 251 Q 921 254 924 266 Q 931 279 919 326 Q 910 357 898 447 Q 895 460 885 466 Q 881 470 877 457 Q 864 363 852 341 Q 845 328 819 335 Q 785 341 750 371 Q 720 398 712 433 Q 702 478 723 520 Q 733 560 774 597 Q 799 621 743 655 Q 715 674 697 661 Q 678 645 621 620 Q 620 620 619 619 L 566 601 Q 460 573 459 571 Q 455 567 464 558 Q 482 545 561 568 L 614 587 Z",
+      "M 560 407 Q 621 353 634 351 Q 640 350 644 358 Q 651 368 640 397 Q 631 424 576 447 L 537 465 Q 500 481 477 488 Q 470 491 470 482 Q 471 473 479 467 Q 501 452 525 433 L 560 407 Z",
+      "M 239 190 Q 208 141 170 98 Q 142 62 157 24 Q 163 2 188 14 Q 245 44 259 122 Q 269 158 266 186 Q 262 196 255 199 Q 245 198 239 190 Z",
+      "M 374 162 Q 407 66 428 57 Q 441 50 454 65 Q 461 78 460 101 Q 451 144 390 187 Q 381 191 376 181 Q 372 174 374 162 Z",
+      "M 547 174 Q 601 75 623 69 Q 636 65 648 82 Q 652 95 648 118 Q 641 142 615 160 Q 576 193 558 201 Q 548 205 545 193 Q 541 186 547 174 Z",
+      "M 714 190 Q 763 133 821 53 Q 836 29 851 23 Q 860 22 869 30 Q 884 43 876 91 Q 867 152 719 223 Q 710 229 707 216 Q 704 203 714 190 Z",
+    ],
+    medians: [
+      [[195,561],[236,560],[400,611],[446,615]],
+      [[338,795],[373,767],[377,753],[367,650],[365,315],[348,279],[241,320]],
+      [[137,374],[177,365],[422,505]],
+      [[570,805],[603,765],[591,596],[575,517],[559,461],[523,376],[483,310],[452,274]],
+      [[463,565],[547,578],[555,586],[619,603],[684,629],[717,627],[730,614],[705,545],[690,458],[702,398],[721,367],[749,341],[786,319],[838,300],[866,298],[877,300],[879,306],[887,376],[885,458]],
+      [[478,480],[599,407],[624,382],[634,361]],
+      [[253,190],[233,132],[173,26]],
+      [[388,173],[423,116],[437,75]],
+      [[557,189],[615,119],[628,86]],
+      [[719,210],[788,150],[831,103],[845,76],[853,38]],
+    ],
+  },
+  "冷": {
+    strokes: [
+      "M 174 661 Q 201 633 229 600 Q 242 584 261 583 Q 274 582 280 597 Q 287 613 280 648 Q 276 670 243 689 Q 164 725 148 719 Q 142 715 142 701 Q 146 688 174 661 Z",
+      "M 93 223 Q 81 220 83 203 Q 95 131 126 111 Q 132 104 142 106 Q 149 107 152 132 Q 159 177 268 421 Q 275 437 275 442 Q 274 452 265 446 Q 253 437 134 263 Q 121 242 93 223 Z",
+      "M 568 699 Q 584 727 601 742 Q 611 754 606 769 Q 602 782 569 807 Q 539 826 518 826 Q 497 825 507 800 Q 523 766 510 737 Q 473 638 414 547 Q 357 459 279 362 Q 269 350 266 344 Q 262 331 278 334 Q 339 349 484 561 Q 515 607 549 664 Q 552 671 555 676 L 568 699 Z",
+      "M 555 676 Q 649 558 755 447 Q 779 422 820 419 Q 895 412 973 425 Q 992 426 995 432 Q 998 439 982 445 Q 781 532 776 534 Q 668 600 571 697 Q 568 698 568 699 C 546 719 536 699 555 676 Z",
+      "M 511 455 Q 538 430 566 398 Q 578 385 593 384 Q 603 384 609 397 Q 613 410 608 440 Q 604 459 573 477 Q 506 507 488 503 Q 484 499 484 487 Q 487 477 511 455 Z",
+      "M 579 98 Q 703 251 757 277 Q 778 284 770 303 Q 766 319 691 355 Q 669 365 645 354 Q 576 327 471 295 Q 444 285 377 287 Q 352 287 361 265 Q 371 252 391 239 Q 425 220 462 244 Q 487 254 619 303 Q 635 310 649 300 Q 664 290 657 274 Q 614 198 563 108 C 548 82 560 75 579 98 Z",
+      "M 563 108 Q 508 141 475 155 Q 466 162 463 149 Q 462 134 472 123 Q 533 62 604 -26 Q 620 -48 635 -54 Q 645 -55 653 -45 Q 666 -32 656 15 Q 649 57 579 98 L 563 108 Z",
+    ],
+    medians: [
+      [[152,711],[238,647],[262,601]],
+      [[138,116],[128,146],[127,196],[160,245],[268,440]],
+      [[518,811],[537,795],[558,760],[524,684],[457,565],[405,489],[323,386],[276,343]],
+      [[566,693],[571,677],[590,656],[687,560],[791,477],[873,452],[989,434]],
+      [[492,497],[563,447],[577,433],[592,402]],
+      [[372,274],[398,262],[432,260],[634,328],[669,327],[686,316],[704,298],[690,268],[584,125],[581,113],[572,113]],
+      [[473,143],[542,90],[609,28],[626,-1],[637,-39]],
+    ],
+  },
+  "贵": {
+    strokes: [
+      "M 355 713 Q 343 719 312 725 Q 300 728 297 723 Q 290 717 299 701 Q 324 652 339 572 Q 342 547 356 532 Q 374 510 379 525 Q 382 535 383 550 L 380 581 Q 370 656 367 682 C 364 709 364 709 355 713 Z",
+      "M 696 624 Q 717 675 745 695 Q 761 711 748 730 Q 685 781 647 770 Q 593 752 546 739 L 490 729 Q 423 720 355 713 C 325 710 337 680 367 682 Q 380 682 395 686 Q 443 695 491 701 L 544 710 Q 578 717 614 722 Q 642 729 653 717 Q 662 708 645 624 C 639 595 684 597 696 624 Z",
+      "M 536 571 Q 609 581 712 588 Q 722 589 723 597 Q 724 604 696 624 C 686 631 675 629 645 624 Q 588 614 538 603 L 494 596 Q 433 587 380 581 C 350 578 353 550 383 550 Q 390 549 400 551 Q 437 560 494 566 L 536 571 Z",
+      "M 532 515 Q 533 543 536 571 L 538 603 Q 541 658 544 710 L 546 739 Q 553 784 561 809 Q 564 819 545 834 Q 511 852 489 855 Q 473 858 466 850 Q 459 843 467 829 Q 486 801 487 781 Q 488 756 490 729 L 491 701 Q 492 652 494 596 L 494 566 Q 494 539 493 509 C 492 479 531 485 532 515 Z",
+      "M 493 509 Q 316 487 109 460 Q 87 457 104 439 Q 119 424 138 419 Q 160 413 178 418 Q 469 499 917 500 Q 918 500 921 500 Q 943 500 948 509 Q 954 522 936 537 Q 879 577 823 566 Q 711 544 532 515 L 493 509 Z",
+      "M 384 396 Q 371 403 357 408 Q 350 409 343 402 Q 340 398 347 387 Q 377 287 349 185 Q 342 160 346 143 Q 355 112 365 100 Q 375 87 385 100 Q 407 127 408 206 Q 411 285 416 366 C 417 379 411 382 384 396 Z",
+      "M 591 181 Q 584 159 596 138 Q 609 110 618 110 Q 631 111 648 142 Q 663 167 662 187 Q 647 328 675 372 Q 685 388 678 397 Q 650 422 603 443 Q 588 449 513 420 Q 420 399 384 396 C 354 393 387 360 416 366 Q 419 367 422 367 Q 573 398 586 391 Q 593 375 596 333 Q 597 206 591 181 Z",
+      "M 474 265 Q 481 97 387 26 Q 353 1 278 -32 Q 265 -36 262 -39 Q 258 -43 272 -47 Q 353 -54 449 18 Q 456 25 465 34 Q 516 97 526 219 Q 529 267 540 293 Q 544 303 537 311 Q 489 354 453 344 Q 434 337 449 321 Q 474 293 474 265 Z",
+      "M 563 58 Q 617 15 681 -49 Q 697 -68 713 -71 Q 722 -72 729 -61 Q 739 -48 725 -5 Q 712 46 562 89 Q 552 93 551 81 Q 551 68 563 58 Z",
+    ],
+    medians: [
+      [[306,715],[336,688],[368,531]],
+      [[363,710],[385,699],[657,746],[680,736],[699,711],[677,650],[651,636]],
+      [[387,558],[398,567],[430,573],[651,604],[690,606],[714,597]],
+      [[477,841],[510,817],[521,801],[514,537],[499,516]],
+      [[107,449],[150,441],[178,443],[295,466],[544,501],[832,533],[877,532],[936,516]],
+      [[354,397],[374,375],[387,346],[375,104]],
+      [[398,392],[432,383],[585,418],[599,415],[622,395],[632,374],[626,321],[628,195],[619,120]],
+      [[454,332],[479,321],[504,294],[493,162],[473,95],[449,54],[400,8],[318,-31],[268,-42]],
+      [[562,77],[628,39],[682,-1],[713,-54]],
+    ],
+  },
+  "便": {
+    strokes: [
+      "M 227 530 Q 267 585 312 655 Q 339 704 363 727 Q 373 739 368 753 Q 364 766 333 791 Q 305 810 284 811 Q 265 810 273 785 Q 286 754 275 726 Q 238 635 181 549 Q 126 467 51 377 Q 41 367 38 359 Q 34 347 50 350 Q 90 362 200 497 Q 200 498 202 499 L 227 530 Z",
+      "M 202 499 Q 205 489 211 481 Q 242 423 223 227 Q 216 172 202 115 Q 192 70 226 19 Q 227 19 229 16 Q 247 0 259 27 Q 274 67 273 114 Q 269 384 277 444 Q 284 471 275 482 Q 235 525 227 530 C 204 550 189 526 202 499 Z",
+      "M 600 721 Q 753 752 763 759 Q 772 766 767 776 Q 760 788 730 795 Q 705 801 603 769 Q 531 751 466 746 Q 429 739 455 722 Q 488 704 535 707 L 600 721 Z",
+      "M 410 578 Q 398 582 380 584 Q 368 587 365 581 Q 358 575 368 559 Q 402 495 424 388 Q 428 355 447 335 Q 466 313 471 330 Q 472 336 473 342 L 472 374 Q 471 386 468 400 Q 443 511 437 545 C 432 572 432 572 410 578 Z",
+      "M 722 367 Q 726 348 740 348 Q 756 349 766 365 Q 781 381 813 465 Q 835 519 877 548 Q 899 564 883 582 Q 865 601 813 635 Q 797 647 720 630 Q 696 630 621 615 L 568 605 Q 546 604 527 598 Q 460 585 410 578 C 380 574 409 533 437 545 Q 446 555 569 576 L 619 584 Q 754 609 774 597 Q 784 590 775 555 Q 771 540 723 396 C 716 376 716 376 722 367 Z",
+      "M 620 468 Q 662 475 699 481 Q 721 485 713 497 Q 703 510 679 515 Q 657 518 620 506 L 571 492 Q 531 482 495 472 Q 479 468 498 455 Q 508 448 529 451 Q 550 455 571 458 L 620 468 Z",
+      "M 616 359 Q 662 363 722 367 C 752 369 747 378 723 396 Q 702 417 618 396 L 568 387 Q 516 380 472 374 C 442 370 443 342 473 342 Q 477 341 488 343 Q 518 350 565 354 L 616 359 Z",
+      "M 590 195 Q 606 237 616 359 L 618 396 Q 619 432 620 468 L 620 506 Q 620 545 619 584 L 621 615 Q 624 649 634 685 Q 638 697 629 704 Q 617 714 600 721 C 574 735 515 730 535 707 Q 563 680 566 651 Q 567 629 568 605 L 569 576 Q 570 533 571 492 L 571 458 Q 570 422 568 387 L 565 354 Q 561 276 544 228 L 526 191 Q 525 190 525 189 Q 489 126 343 57 Q 330 53 327 49 Q 321 45 337 41 Q 352 40 406 55 Q 446 65 500 93 Q 542 115 564 146 Q 565 150 569 153 L 590 195 Z",
+      "M 569 153 Q 755 -1 768 -8 Q 792 -15 908 2 Q 914 3 922 4 Q 959 11 972 19 Q 991 28 973 36 Q 958 42 811 73 Q 747 85 590 195 L 544 228 Q 433 315 390 314 Q 372 314 356 309 Q 343 306 343 299 Q 344 292 359 288 Q 410 288 485 225 Q 506 207 526 191 L 569 153 Z",
+    ],
+    medians: [
+      [[285,795],[302,780],[321,745],[274,650],[177,501],[74,381],[48,359]],
+      [[225,523],[230,496],[250,465],[251,437],[247,198],[236,93],[242,28]],
+      [[458,735],[527,729],[691,767],[733,773],[756,770]],
+      [[374,573],[397,557],[411,534],[459,335]],
+      [[417,575],[442,566],[735,619],[775,619],[798,611],[826,568],[791,497],[741,367]],
+      [[496,463],[548,469],[649,494],[681,497],[703,491]],
+      [[480,348],[491,360],[654,384],[703,385],[713,375]],
+      [[542,704],[587,688],[597,671],[592,367],[583,276],[571,225],[544,166],[506,126],[419,76],[333,46]],
+      [[350,299],[399,297],[448,275],[507,234],[594,160],[780,36],[892,26],[973,27]],
+    ],
+  },
+  "宜": {
+    strokes: [
+      "M 479 806 Q 534 742 573 728 Q 591 724 602 741 Q 609 757 606 777 Q 590 828 495 852 Q 494 853 493 853 Q 474 859 462 854 Q 455 853 457 837 Q 460 824 479 806 Z",
+      "M 285 628 Q 272 655 259 664 Q 238 680 236 652 Q 240 628 215 583 Q 164 520 163 510 Q 157 491 179 443 Q 195 413 218 444 Q 237 472 252 514 Q 270 565 284 597 C 292 615 292 615 285 628 Z",
+      "M 284 597 Q 311 584 357 595 Q 498 640 704 663 Q 753 669 770 667 Q 788 657 786 650 Q 786 647 746 563 Q 739 550 745 545 Q 752 541 770 553 Q 831 596 880 611 Q 922 624 920 634 Q 919 644 843 700 Q 816 719 756 705 Q 603 683 395 645 Q 340 635 285 628 C 255 624 255 605 284 597 Z",
+      "M 421 479 Q 405 492 389 500 Q 377 504 367 499 Q 360 495 362 484 Q 383 441 384 402 Q 385 365 383 46 C 383 16 427 21 427 51 Q 428 121 430 184 L 430 213 Q 431 265 433 313 L 434 344 Q 434 437 439 443 C 443 462 443 462 421 479 Z",
+      "M 667 76 Q 668 415 698 455 Q 711 471 697 488 Q 687 498 636 528 Q 620 538 558 512 Q 461 485 421 479 C 391 474 410 434 439 443 Q 529 473 591 480 Q 607 484 613 478 Q 622 463 615 70 C 614 40 667 46 667 76 Z",
+      "M 433 313 Q 503 326 556 335 Q 578 339 569 352 Q 559 367 533 370 Q 497 373 434 344 C 407 332 404 308 433 313 Z",
+      "M 430 184 Q 505 196 559 203 Q 581 207 573 220 Q 563 235 537 239 Q 504 242 430 213 C 402 202 400 179 430 184 Z",
+      "M 383 46 Q 281 39 171 29 Q 147 28 164 7 Q 198 -27 243 -19 Q 489 41 870 18 Q 870 19 873 18 Q 895 17 902 26 Q 909 39 890 56 Q 827 108 767 91 Q 722 85 667 76 L 615 70 Q 566 66 511 59 Q 469 56 427 51 L 383 46 Z",
+    ],
+    medians: [
+      [[468,843],[549,789],[572,768],[579,753]],
+      [[248,657],[257,639],[257,606],[202,499],[197,447]],
+      [[294,620],[305,610],[329,612],[653,674],[769,688],[800,682],[817,673],[834,646],[750,551]],
+      [[376,488],[400,461],[410,416],[406,74],[389,60]],
+      [[427,474],[460,467],[531,489],[613,505],[632,500],[655,470],[645,326],[642,99],[620,85]],
+      [[441,321],[450,334],[495,346],[537,351],[560,345]],
+      [[437,191],[446,204],[511,217],[531,220],[563,214]],
+      [[168,18],[223,6],[464,36],[792,59],[837,53],[890,33]],
+    ],
+  },
+  "一": {
+    strokes: [
+      "M 518 382 Q 572 385 623 389 Q 758 399 900 383 Q 928 379 935 390 Q 944 405 930 419 Q 896 452 845 475 Q 829 482 798 473 Q 723 460 480 434 Q 180 409 137 408 Q 130 408 124 408 Q 108 408 106 395 Q 105 380 127 363 Q 146 348 183 334 Q 195 330 216 338 Q 232 344 306 354 Q 400 373 518 382 Z",
+    ],
+    medians: [
+      [[121,393],[193,372],[417,402],[827,434],[920,401]],
+    ],
+  },
+  "点": {
+    strokes: [
+      "M 533 507 Q 537 564 541 618 L 543 649 Q 546 728 560 775 Q 563 785 543 800 Q 507 819 482 823 Q 466 826 458 817 Q 451 810 459 794 Q 478 769 479 752 Q 491 637 491 500 C 491 470 531 477 533 507 Z",
+      "M 541 618 Q 547 617 559 618 Q 656 634 728 643 Q 756 647 745 663 Q 733 679 703 685 Q 672 691 543 649 C 514 640 511 620 541 618 Z",
+      "M 379 486 Q 364 492 334 497 Q 321 501 317 495 Q 310 489 319 471 Q 347 413 363 317 Q 366 289 382 269 Q 401 244 408 262 Q 411 271 412 283 L 410 323 L 410 324 Q 397 417 394 449 C 391 479 391 482 379 486 Z",
+      "M 690 349 Q 715 430 750 455 Q 769 474 753 495 Q 675 556 614 530 Q 571 517 533 507 L 491 500 Q 436 491 379 486 C 349 483 364 445 394 449 Q 425 452 612 483 Q 637 487 646 477 Q 655 470 654 450 Q 647 401 638 359 C 632 330 681 320 690 349 Z",
+      "M 412 283 Q 422 282 436 283 Q 521 299 704 308 Q 717 309 719 319 Q 719 328 690 349 L 638 359 Q 634 360 628 358 Q 507 333 410 323 C 380 320 382 284 412 283 Z",
+      "M 260 218 Q 224 154 178 99 Q 151 63 166 27 Q 172 8 196 17 Q 221 32 242 64 Q 272 110 280 152 Q 290 186 286 215 Q 282 225 275 226 Q 266 226 260 218 Z",
+      "M 378 181 Q 394 135 412 89 Q 422 64 439 57 Q 452 50 467 66 Q 474 79 473 103 Q 470 128 447 153 Q 413 193 394 206 Q 385 212 379 201 Q 375 194 378 181 Z",
+      "M 547 196 Q 583 84 614 69 Q 627 62 642 78 Q 649 91 648 118 Q 644 145 619 168 Q 582 211 563 223 Q 553 229 548 216 Q 542 209 547 196 Z",
+      "M 711 213 Q 769 149 835 57 Q 851 33 867 27 Q 876 24 885 35 Q 901 48 892 97 Q 883 160 716 247 Q 706 254 703 240 Q 702 225 711 213 Z",
+    ],
+    medians: [
+      [[471,807],[509,778],[517,765],[514,533],[497,509]],
+      [[545,626],[561,637],[652,657],[705,662],[734,655]],
+      [[325,487],[356,462],[363,444],[396,268]],
+      [[387,482],[408,470],[548,490],[629,509],[660,506],[700,474],[671,381],[646,365]],
+      [[418,290],[431,304],[625,331],[679,329],[710,319]],
+      [[274,214],[247,139],[198,65],[185,33]],
+      [[390,194],[435,118],[448,78]],
+      [[557,215],[608,131],[623,90]],
+      [[715,234],[836,121],[860,82],[871,43]],
+    ],
+  },
+  "登": {
+    strokes: [
+      "M 295 540 Q 213 416 78 317 Q 65 305 74 303 Q 83 302 102 310 Q 196 356 274 435 Q 349 507 442 694 Q 452 715 464 724 Q 477 734 470 744 Q 461 756 427 770 Q 409 779 367 764 Q 298 749 243 747 Q 230 747 229 739 Q 228 733 242 725 Q 284 700 309 709 Q 370 728 376 727 Q 389 724 377 699 Q 346 627 314 572 L 295 540 Z",
+      "M 314 572 Q 304 608 265 619 Q 222 635 205 637 Q 195 638 195 626 Q 194 616 259 555 Q 278 539 295 540 C 324 540 323 543 314 572 Z",
+      "M 565 738 Q 644 783 684 800 Q 700 803 697 813 Q 693 828 678 846 Q 662 864 643 867 Q 630 868 629 851 Q 630 830 552 752 C 531 731 539 723 565 738 Z",
+      "M 650 639 Q 680 651 763 689 Q 782 702 806 707 Q 828 714 820 731 Q 810 750 788 767 Q 769 783 756 782 Q 743 783 746 770 Q 746 742 639 651 C 616 632 622 628 650 639 Z",
+      "M 639 651 Q 606 690 565 738 L 552 752 Q 545 758 536 759 Q 506 760 498 751 Q 494 744 504 738 Q 541 716 566 680 Q 765 404 807 391 Q 924 391 965 397 Q 983 398 990 406 Q 994 413 983 417 Q 812 474 729 557 Q 692 593 650 639 L 639 651 Z",
+      "M 381 522 Q 347 516 371 501 Q 405 479 460 491 Q 524 503 591 515 Q 622 522 627 526 Q 634 533 631 541 Q 624 551 598 559 Q 570 565 543 554 Q 509 544 471 534 Q 429 525 381 522 Z",
+      "M 366 396 Q 356 400 329 404 Q 317 405 315 401 Q 309 395 318 380 Q 342 338 359 269 Q 363 247 376 234 Q 394 215 398 229 Q 399 236 400 243 L 398 273 Q 386 342 382 366 C 378 392 378 392 366 396 Z",
+      "M 626 299 Q 650 353 675 368 Q 691 387 678 404 Q 612 458 578 446 Q 574 446 572 444 Q 493 414 366 396 C 336 392 352 362 382 366 Q 385 366 556 395 Q 575 399 582 392 Q 591 383 573 305 C 566 276 613 272 626 299 Z",
+      "M 400 243 Q 410 242 420 243 Q 487 258 636 268 Q 646 269 647 277 Q 647 284 626 299 C 608 313 602 311 573 305 Q 476 284 398 273 C 368 269 370 245 400 243 Z",
+      "M 343 154 Q 362 129 380 100 Q 390 87 404 84 Q 414 83 421 93 Q 428 106 426 134 Q 423 162 348 198 Q 335 204 328 203 Q 324 200 322 188 Q 323 178 343 154 Z",
+      "M 557 72 Q 582 99 616 144 Q 626 157 643 174 Q 659 184 652 196 Q 645 214 618 237 Q 605 250 587 245 Q 577 242 581 230 Q 588 200 534 95 Q 525 80 522 68 C 513 39 537 50 557 72 Z",
+      "M 522 68 Q 333 50 206 38 Q 184 37 199 19 Q 214 4 232 -2 Q 254 -9 270 -5 Q 483 49 801 27 Q 801 28 804 27 Q 825 26 830 35 Q 836 47 819 62 Q 762 107 699 92 Q 639 83 557 72 L 522 68 Z",
+    ],
+    medians: [
+      [[236,738],[293,729],[383,748],[419,732],[410,699],[369,613],[290,489],[220,413],[165,364],[79,309]],
+      [[205,627],[276,580],[290,550]],
+      [[686,811],[654,823],[569,756],[570,749]],
+      [[759,769],[770,732],[669,660],[653,655],[652,646]],
+      [[506,747],[541,736],[709,535],[757,486],[815,439],[926,414],[982,408]],
+      [[373,513],[433,506],[557,534],[620,536]],
+      [[324,394],[349,374],[358,357],[388,235]],
+      [[375,395],[384,386],[406,385],[574,420],[599,417],[629,386],[608,331],[581,316]],
+      [[405,251],[420,260],[569,284],[618,284],[637,277]],
+      [[332,197],[393,135],[405,102]],
+      [[589,235],[602,225],[613,193],[549,87],[527,73]],
+      [[202,29],[261,18],[477,47],[724,64],[785,55],[818,42]],
+    ],
+  },
+  "录": {
+    strokes: [
+      "M 652 516 Q 683 654 729 694 Q 747 713 732 733 Q 714 748 660 775 Q 641 784 618 775 Q 516 739 353 729 Q 337 729 338 719 Q 339 710 358 703 Q 383 691 418 701 Q 509 713 595 726 Q 617 730 626 720 Q 641 707 637 676 Q 619 582 596 508 C 587 479 645 487 652 516 Z",
+      "M 332 607 Q 305 604 326 587 Q 353 566 399 572 Q 510 593 578 596 Q 588 595 597 607 Q 598 617 576 628 Q 548 649 465 626 Q 459 626 456 624 Q 420 618 332 607 Z",
+      "M 596 508 Q 553 504 505 495 Q 354 476 174 456 Q 152 455 168 435 Q 184 419 203 413 Q 227 407 244 412 Q 350 440 468 452 Q 471 453 475 452 L 531 458 Q 640 468 805 467 Q 833 466 859 467 Q 881 466 887 476 Q 894 489 875 504 Q 812 552 747 533 Q 704 527 652 516 L 596 508 Z",
+      "M 475 452 Q 517 410 498 113 Q 497 107 497 101 Q 496 80 484 73 Q 475 66 461 70 Q 421 80 383 91 Q 370 94 371 86 Q 372 79 383 71 Q 464 2 491 -40 Q 506 -58 523 -43 Q 562 -4 560 67 Q 557 98 555 291 L 555 329 Q 556 375 568 405 Q 577 424 560 438 Q 547 450 531 458 C 505 473 459 477 475 452 Z",
+      "M 311 329 Q 333 310 358 286 Q 371 274 386 275 Q 396 276 401 288 Q 405 303 396 331 Q 386 358 305 375 Q 290 378 284 375 Q 280 371 281 359 Q 285 349 311 329 Z",
+      "M 188 104 Q 175 98 177 86 Q 178 71 192 66 Q 222 59 264 50 Q 276 50 285 64 Q 357 148 432 232 Q 442 245 440 255 Q 433 259 420 251 Q 234 119 188 104 Z",
+      "M 614 269 Q 614 270 615 270 Q 712 336 761 360 Q 780 364 776 376 Q 770 394 750 414 Q 729 433 706 437 Q 690 437 690 416 Q 694 389 600 283 C 580 261 590 251 614 269 Z",
+      "M 555 291 Q 637 176 742 55 Q 761 34 793 36 Q 902 39 936 45 Q 946 48 948 53 Q 948 59 934 66 Q 784 121 707 185 Q 662 224 614 269 L 600 283 Q 578 305 555 329 C 534 351 538 315 555 291 Z",
+    ],
+    medians: [
+      [[348,719],[392,713],[620,750],[653,741],[681,711],[679,699],[631,539],[602,514]],
+      [[327,598],[374,591],[518,614],[546,616],[587,609]],
+      [[171,445],[226,435],[486,474],[773,503],[826,498],[874,483]],
+      [[485,448],[524,424],[531,411],[529,138],[523,59],[503,26],[464,39],[378,85]],
+      [[289,369],[363,324],[383,293]],
+      [[193,89],[257,93],[435,250]],
+      [[763,373],[723,385],[618,287],[611,273]],
+      [[558,323],[570,292],[630,224],[707,144],[777,85],[940,52]],
+    ],
+  },
+  "用": {
+    strokes: [
+      "M 312 737 Q 264 773 237 761 Q 225 752 233 739 Q 251 712 258 659 Q 258 416 232 316 Q 207 219 133 77 Q 129 70 127 63 Q 126 51 136 54 Q 166 63 231 179 Q 247 213 262 251 Q 316 413 318 594 Q 321 688 323 695 C 326 725 326 728 312 737 Z",
+      "M 506 728 Q 582 741 671 751 Q 696 755 706 741 Q 722 732 727 662 Q 746 428 734 161 Q 733 121 719 111 Q 704 101 631 118 Q 613 122 614 111 Q 615 102 629 96 Q 695 47 729 9 Q 751 -13 766 -10 Q 779 -6 791 25 Q 809 74 807 146 Q 786 513 788 650 Q 788 692 801 717 Q 814 741 803 753 Q 793 769 741 796 Q 717 808 646 787 Q 492 756 312 737 C 282 734 294 687 323 695 Q 327 701 454 720 L 506 728 Z",
+      "M 536 519 Q 641 546 643 548 Q 650 555 647 562 Q 640 572 615 578 Q 591 582 537 562 L 481 546 Q 439 539 391 532 Q 360 526 382 512 Q 410 497 481 507 L 536 519 Z",
+      "M 534 361 Q 546 364 650 378 Q 660 377 669 390 Q 670 402 647 411 Q 617 432 537 408 Q 536 408 534 407 L 479 395 Q 455 391 434 388 Q 406 385 376 381 Q 348 377 370 360 Q 403 336 434 343 Q 453 347 479 351 L 534 361 Z",
+      "M 481 126 Q 487 101 494 91 Q 500 84 507 86 Q 522 96 529 155 Q 533 203 534 361 L 534 407 Q 534 455 536 519 L 537 562 Q 537 616 549 681 Q 552 700 538 709 Q 519 722 506 728 C 480 742 440 747 454 720 Q 454 717 469 693 Q 481 672 481 546 L 481 507 Q 481 455 479 395 L 479 351 Q 472 221 481 126 Z",
+    ],
+    medians: [
+      [[245,748],[281,717],[289,667],[286,523],[271,384],[250,292],[208,178],[136,63]],
+      [[321,732],[336,720],[413,729],[683,775],[726,767],[760,734],[757,676],[771,178],[765,106],[748,66],[708,74],[624,111]],
+      [[384,523],[469,523],[600,558],[638,557]],
+      [[371,371],[425,364],[605,397],[658,392]],
+      [[461,718],[501,696],[512,679],[503,95]],
+    ],
+  },
+  "户": {
+    strokes: [
+      "M 496 784 Q 529 760 563 730 Q 579 717 599 718 Q 612 719 616 736 Q 620 755 607 789 Q 592 825 486 840 Q 467 844 460 840 Q 454 834 457 819 Q 463 806 496 784 Z",
+      "M 713 451 Q 750 547 786 568 Q 808 590 790 612 Q 700 682 639 652 Q 543 613 382 583 C 353 577 359 542 389 547 Q 404 548 419 554 Q 528 579 633 604 Q 661 611 672 601 Q 682 591 678 568 Q 663 505 645 455 C 635 427 702 423 713 451 Z",
+      "M 367 364 Q 368 364 371 363 Q 383 359 398 363 Q 501 388 726 413 Q 739 414 740 425 Q 740 432 713 451 C 692 466 674 462 645 455 Q 492 418 371 399 C 341 394 338 371 367 364 Z",
+      "M 382 583 Q 381 586 376 588 Q 324 616 306 615 Q 284 612 301 587 Q 331 529 305 323 Q 295 238 248 140 Q 215 71 110 -26 Q 94 -39 89 -46 Q 88 -53 100 -54 Q 148 -54 229 27 Q 278 76 307 133 Q 335 193 352 277 Q 359 317 367 364 L 371 399 Q 378 454 383 519 Q 387 535 389 547 C 395 575 395 575 382 583 Z",
+    ],
+    medians: [
+      [[467,832],[479,821],[563,781],[597,737]],
+      [[392,579],[406,568],[642,629],[673,633],[693,627],[731,590],[691,486],[652,460]],
+      [[371,370],[408,386],[642,429],[705,432],[731,424]],
+      [[307,600],[325,589],[348,562],[351,534],[332,316],[304,200],[267,116],[227,60],[152,-14],[97,-46]],
+    ],
+  },
+  "密": {
+    strokes: [
+      "M 481 809 Q 503 790 529 765 Q 545 750 563 752 Q 575 753 580 768 Q 584 786 573 819 Q 566 838 536 849 Q 461 871 448 863 Q 442 859 445 844 Q 449 831 481 809 Z",
+      "M 265 662 Q 255 684 245 694 Q 227 710 223 684 Q 227 660 208 633 Q 189 614 163 593 Q 151 583 153 561 Q 156 530 163 511 Q 176 483 199 509 Q 217 531 232 564 Q 250 604 263 629 C 272 647 272 647 265 662 Z",
+      "M 263 629 Q 282 620 317 628 Q 399 653 639 686 Q 712 695 731 692 Q 747 680 745 672 Q 745 671 721 602 Q 714 589 721 585 Q 728 581 744 593 Q 796 630 838 643 Q 874 655 872 663 Q 871 673 800 723 Q 776 741 664 719 Q 595 713 365 676 Q 316 669 265 662 C 235 658 234 636 263 629 Z",
+      "M 254 481 Q 230 438 198 400 Q 174 367 190 334 Q 196 315 218 326 Q 269 356 275 421 Q 282 454 278 479 Q 274 488 268 490 Q 259 489 254 481 Z",
+      "M 453 358 Q 574 292 715 300 Q 758 303 781 322 Q 800 338 773 359 Q 724 398 669 465 Q 665 471 659 469 Q 655 465 659 452 Q 683 377 673 365 Q 663 356 600 360 Q 530 367 485 389 L 447 412 Q 405 443 356 501 Q 350 511 343 505 Q 339 501 344 488 Q 368 434 419 384 L 453 358 Z",
+      "M 401 569 Q 434 529 466 512 Q 479 509 488 521 Q 492 531 491 547 Q 479 587 414 601 Q 413 602 412 602 Q 397 606 389 603 Q 383 602 386 591 Q 387 581 401 569 Z",
+      "M 419 384 Q 322 300 131 187 Q 122 183 132 179 Q 201 179 349 275 Q 349 276 453 358 L 485 389 Q 543 447 622 537 Q 637 555 647 561 Q 654 565 655 575 Q 655 585 645 599 Q 614 638 585 633 Q 576 633 576 620 Q 576 542 447 412 L 419 384 Z",
+      "M 728 497 Q 777 464 838 414 Q 856 398 871 396 Q 878 396 885 407 Q 894 420 876 460 Q 863 496 792 513 Q 749 523 725 526 Q 715 530 715 518 Q 716 505 728 497 Z",
+      "M 523 77 Q 533 188 547 252 Q 550 261 534 273 Q 506 288 486 292 Q 473 295 466 288 Q 460 281 466 269 Q 479 253 480 239 Q 487 161 488 71 C 488 41 520 47 523 77 Z",
+      "M 706 99 Q 609 92 523 77 L 488 71 Q 412 59 349 42 Q 330 38 336 61 Q 340 85 346 109 Q 352 134 342 148 Q 329 167 304 182 Q 294 189 283 187 Q 273 183 278 164 Q 294 122 285 82 Q 278 45 262 28 Q 243 12 249 -4 Q 259 -20 276 -31 Q 285 -37 309 -25 Q 330 -6 460 25 Q 658 77 705 59 Q 706 60 711 60 C 741 57 736 101 706 99 Z",
+      "M 711 60 Q 712 35 709 16 Q 702 -11 737 -56 Q 749 -69 758 -55 Q 771 -31 760 84 Q 753 156 760 181 Q 764 197 752 207 Q 730 217 695 229 Q 682 233 671 225 Q 665 221 670 208 Q 686 195 706 99 L 711 60 Z",
+    ],
+    medians: [
+      [[454,855],[539,806],[560,772]],
+      [[234,688],[243,658],[238,635],[191,567],[180,514]],
+      [[270,634],[283,644],[425,671],[678,708],[739,711],[775,695],[791,674],[726,592]],
+      [[267,479],[247,416],[206,338]],
+      [[349,500],[378,454],[436,395],[512,354],[599,333],[659,329],[690,334],[716,347],[707,379],[677,438],[669,442],[663,464]],
+      [[395,595],[454,555],[471,531]],
+      [[591,619],[608,586],[601,565],[522,459],[429,363],[328,286],[259,242],[189,204],[156,190],[141,190],[137,184]],
+      [[726,515],[831,463],[853,440],[869,410]],
+      [[476,280],[512,248],[506,93],[493,79]],
+      [[288,176],[317,130],[304,28],[305,20],[312,18],[359,21],[520,59],[636,78],[683,81],[707,66]],
+      [[681,216],[710,195],[723,177],[737,70],[737,3],[747,-51]],
+    ],
+  },
+  "码": {
+    strokes: [
+      "M 259 618 Q 415 666 417 667 Q 426 676 420 684 Q 413 696 382 701 Q 357 704 268 670 Q 195 649 155 643 Q 118 634 146 619 Q 179 604 217 607 L 259 618 Z",
+      "M 234 416 Q 259 471 292 550 Q 305 589 306 590 Q 294 614 259 618 C 230 624 208 628 217 607 Q 226 598 225 559 Q 216 496 195 444 Q 191 432 185 419 L 169 384 Q 126 303 31 179 Q 24 173 35 172 Q 95 193 183 322 Q 183 325 186 327 L 234 416 Z",
+      "M 185 419 Q 182 420 178 421 Q 166 425 163 420 Q 156 414 164 399 Q 165 392 169 384 L 186 327 Q 196 284 203 229 Q 204 198 221 176 Q 237 154 243 169 Q 250 187 247 218 L 243 254 Q 230 357 228 384 L 185 419 Z",
+      "M 377 286 Q 392 367 414 393 Q 436 420 412 433 Q 393 443 365 459 Q 344 471 305 442 Q 298 439 234 416 C 196 402 200 374 228 384 Q 252 393 310 406 Q 332 412 337 403 Q 346 397 339 360 Q 333 326 326 283 C 321 253 371 257 377 286 Z",
+      "M 247 218 Q 296 234 396 252 Q 406 255 406 264 Q 406 271 377 286 C 360 295 354 293 326 283 Q 280 267 243 254 C 215 244 218 209 247 218 Z",
+      "M 711 408 Q 735 444 754 613 Q 766 668 801 703 Q 819 722 801 736 Q 780 752 726 775 Q 708 784 654 764 Q 636 764 556 738 Q 513 725 486 720 Q 468 719 466 713 Q 462 707 481 697 Q 517 681 539 689 Q 579 705 674 723 Q 690 726 698 723 Q 714 714 709 666 Q 688 482 675 445 Q 666 418 680 403 C 693 376 698 381 711 408 Z",
+      "M 680 403 Q 640 399 581 384 Q 556 380 555 401 Q 564 566 575 593 Q 582 609 574 622 Q 556 641 529 652 Q 510 659 501 650 Q 494 646 503 633 Q 515 606 508 470 Q 508 416 495 371 Q 489 349 505 334 Q 526 316 547 332 Q 598 368 756 379 Q 789 380 802 367 Q 815 354 799 310 Q 792 243 781 173 Q 774 119 750 84 Q 741 71 715 71 Q 678 80 646 86 Q 630 90 631 83 Q 631 77 640 69 Q 701 17 725 -19 Q 735 -40 753 -29 Q 817 5 829 79 Q 848 176 860 282 Q 867 321 887 354 Q 900 370 888 384 Q 870 406 831 428 Q 809 441 779 427 Q 746 414 714 409 Q 713 409 711 408 L 680 403 Z",
+      "M 567 196 Q 673 217 745 213 Q 764 213 769 221 Q 775 233 763 241 Q 736 260 698 273 Q 686 277 666 268 Q 431 211 356 203 Q 344 202 345 192 Q 345 182 362 172 Q 377 163 404 156 Q 413 155 427 162 Q 451 177 567 196 Z",
+    ],
+    medians: [
+      [[147,632],[209,629],[364,676],[400,680],[413,675]],
+      [[224,607],[262,579],[262,572],[245,508],[211,420],[149,307],[77,215],[39,185],[38,178]],
+      [[171,412],[202,370],[233,175]],
+      [[229,394],[250,408],[342,433],[378,408],[356,309],[332,291]],
+      [[251,224],[263,242],[325,260],[372,267],[396,262]],
+      [[473,711],[529,708],[593,729],[689,750],[714,748],[747,721],[752,714],[729,625],[706,463],[686,414]],
+      [[509,642],[528,628],[543,601],[528,400],[531,366],[560,364],[651,384],[796,403],[821,395],[847,367],[830,296],[807,137],[781,57],[751,28],[705,45],[639,82]],
+      [[357,191],[407,183],[483,204],[688,243],[758,228]],
+    ],
+  },
+  "确": {
+    strokes: [
+      "M 253 602 Q 418 644 424 649 Q 433 656 427 665 Q 420 675 392 682 Q 362 686 334 673 Q 297 660 255 647 Q 209 635 155 628 Q 121 621 146 606 Q 179 591 219 594 L 253 602 Z",
+      "M 228 408 Q 253 462 285 540 Q 291 556 296 562 Q 302 568 299 576 Q 286 598 253 602 C 224 608 217 609 219 594 Q 225 543 226 540 Q 214 477 189 419 L 175 387 Q 136 314 43 194 Q 37 188 46 188 Q 91 204 187 331 Q 187 334 190 336 L 228 408 Z",
+      "M 189 419 Q 188 420 183 421 Q 173 425 169 420 Q 163 416 170 400 Q 171 394 175 387 L 190 336 Q 199 294 205 241 Q 206 211 222 191 Q 237 170 242 184 Q 248 200 247 226 L 243 259 Q 233 350 230 380 L 189 419 Z",
+      "M 376 291 Q 391 367 412 391 Q 431 416 410 428 Q 391 438 365 453 Q 350 462 301 433 Q 253 415 228 408 C 199 400 202 368 230 380 Q 239 386 312 403 Q 334 410 339 401 Q 348 392 328 287 C 322 258 370 262 376 291 Z",
+      "M 247 226 Q 292 241 396 259 Q 405 260 406 269 Q 406 276 376 291 C 361 299 356 297 328 287 Q 282 271 243 259 C 214 250 218 217 247 226 Z",
+      "M 598 719 Q 641 776 655 786 Q 665 795 661 807 Q 658 819 635 840 Q 613 858 596 859 Q 580 859 586 839 Q 598 805 525 701 Q 491 655 444 602 Q 434 595 432 589 Q 428 579 441 581 Q 486 587 586 705 L 598 719 Z",
+      "M 655 544 Q 674 565 718 616 Q 758 665 797 692 Q 815 702 803 715 Q 790 727 755 748 Q 745 752 703 738 Q 613 720 598 719 C 573 716 573 716 586 705 Q 593 695 615 692 Q 625 691 692 700 Q 699 701 702 698 Q 706 695 701 684 Q 664 600 641 560 Q 634 547 630 539 C 616 512 635 522 655 544 Z",
+      "M 504 519 Q 491 528 473 534 Q 455 543 445 537 Q 435 530 441 518 Q 481 470 451 238 Q 447 219 442 198 Q 421 119 368 16 Q 364 10 363 4 Q 362 -6 370 -3 Q 386 0 411 41 Q 513 174 513 417 Q 513 453 517 481 C 520 510 520 510 504 519 Z",
+      "M 645 510 Q 694 523 756 533 Q 778 537 789 527 Q 801 520 805 469 Q 818 295 811 97 Q 811 69 800 60 Q 787 48 716 55 Q 700 56 702 47 Q 703 40 717 36 Q 781 0 817 -29 Q 839 -47 850 -44 Q 862 -40 871 -13 Q 884 30 880 94 Q 861 353 860 448 Q 860 485 871 508 Q 881 529 872 539 Q 862 554 816 575 Q 798 584 780 579 Q 743 566 660 546 Q 657 546 655 544 L 630 539 Q 567 529 504 519 C 474 514 487 476 517 481 Q 524 481 536 483 Q 567 493 605 501 L 645 510 Z",
+      "M 674 356 Q 713 366 748 372 Q 770 376 761 389 Q 751 402 727 405 Q 706 406 675 397 L 626 380 Q 586 368 550 357 Q 534 353 554 339 Q 563 335 626 346 L 674 356 Z",
+      "M 672 235 Q 721 245 767 253 Q 789 257 781 269 Q 771 282 747 286 Q 701 292 672 273 L 626 260 Q 577 248 535 236 Q 519 232 538 219 Q 547 213 626 226 L 672 235 Z",
+      "M 672 273 Q 672 307 674 356 L 675 397 Q 675 407 683 471 Q 686 486 674 494 Q 656 504 645 510 C 619 524 590 527 605 501 Q 605 498 616 483 Q 622 473 626 380 L 626 346 Q 626 307 626 260 L 626 226 Q 626 73 639 50 Q 643 44 650 47 Q 657 50 661 62 Q 671 98 672 235 L 672 273 Z",
+    ],
+    medians: [
+      [[148,618],[170,613],[220,616],[372,659],[419,658]],
+      [[227,584],[257,565],[256,542],[208,411],[153,313],[86,230],[61,204],[50,201],[48,193]],
+      [[177,413],[206,369],[233,189]],
+      [[228,389],[237,398],[336,428],[357,424],[377,405],[375,394],[356,312],[333,299]],
+      [[250,232],[261,247],[327,266],[371,273],[397,268]],
+      [[595,847],[619,811],[606,777],[533,674],[465,605],[440,589]],
+      [[594,704],[694,720],[720,718],[744,705],[666,575],[636,542]],
+      [[452,526],[481,500],[487,476],[489,389],[474,237],[455,165],[429,101],[396,38],[371,5]],
+      [[513,515],[531,503],[782,556],[814,544],[835,521],[833,434],[846,125],[842,52],[830,22],[781,27],[710,48]],
+      [[552,348],[612,357],[700,383],[731,387],[752,382]],
+      [[536,227],[612,238],[722,267],[771,263]],
+      [[612,501],[618,493],[641,485],[652,463],[647,56]],
+    ],
+  },
+  "认": {
+    strokes: [
+      "M 278 734 Q 309 709 343 678 Q 359 665 375 665 Q 387 666 392 680 Q 398 696 387 729 Q 380 751 345 767 Q 263 795 248 787 Q 242 783 244 769 Q 248 756 278 734 Z",
+      "M 127 476 Q 75 463 47 461 Q 32 462 29 454 Q 25 447 36 438 Q 73 413 112 424 Q 241 476 252 473 Q 253 473 255 471 Q 265 464 258 436 Q 252 256 215 146 Q 196 115 237 60 Q 247 47 258 53 Q 267 60 279 84 Q 321 130 407 208 Q 420 218 418 226 Q 417 235 405 226 Q 366 207 327 182 Q 272 142 285 207 Q 286 271 313 427 Q 317 452 342 475 Q 355 485 345 498 Q 335 514 295 534 Q 283 541 265 530 Q 177 488 127 476 Z",
+      "M 629 390 Q 630 409 634 427 Q 656 649 676 693 Q 685 708 672 721 Q 648 742 605 755 Q 578 764 568 756 Q 558 749 566 735 Q 623 633 568 327 Q 538 195 463 119 Q 415 76 338 32 Q 325 25 324 19 Q 325 15 338 15 Q 354 9 398 25 Q 542 70 598 240 Q 611 285 621 340 L 629 390 Z",
+      "M 621 340 Q 765 28 817 20 Q 890 13 952 6 Q 979 3 980 9 Q 983 16 955 34 Q 823 106 782 155 Q 701 254 629 390 C 615 416 608 367 621 340 Z",
+    ],
+    medians: [
+      [[253,779],[339,730],[373,684]],
+      [[39,450],[78,443],[117,448],[251,498],[286,496],[295,480],[254,182],[260,132],[312,148],[412,223]],
+      [[576,745],[624,702],[628,677],[612,442],[593,322],[575,254],[535,166],[481,99],[425,59],[331,19]],
+      [[631,371],[639,333],[677,263],[755,140],[799,86],[829,61],[974,11]],
+    ],
+  },
+  "取": {
+    strokes: [
+      "M 419 734 Q 474 743 519 748 Q 529 747 537 759 Q 538 769 516 780 Q 489 801 387 771 Q 267 744 224 738 Q 182 734 136 727 Q 109 723 130 707 Q 163 683 191 690 L 240 701 Q 306 717 388 729 L 419 734 Z",
+      "M 191 690 Q 206 660 206 624 Q 207 587 208 272 C 208 242 250 254 250 284 Q 251 357 252 422 L 252 449 Q 253 500 254 545 L 255 576 Q 255 627 258 661 Q 265 685 240 701 C 217 720 179 717 191 690 Z",
+      "M 449 348 Q 450 469 450 597 Q 449 685 452 698 Q 455 710 446 717 Q 436 724 419 734 C 393 750 380 758 388 729 Q 388 728 390 725 Q 406 695 401 332 L 400 295 Q 400 163 389 46 Q 386 4 411 -29 Q 424 -44 433 -26 Q 460 26 453 71 Q 450 116 449 316 L 449 348 Z",
+      "M 254 545 Q 309 555 352 561 Q 374 565 365 577 Q 355 590 331 594 Q 283 597 255 576 C 231 559 224 540 254 545 Z",
+      "M 252 422 Q 258 422 349 440 Q 371 446 362 457 Q 350 470 326 472 Q 287 475 252 449 C 228 431 222 419 252 422 Z",
+      "M 449 316 Q 476 329 496 343 Q 509 350 510 360 Q 504 366 492 363 Q 470 356 449 348 L 401 332 Q 328 310 250 284 L 208 272 Q 121 248 90 249 Q 77 248 75 237 Q 74 224 82 214 Q 106 198 140 178 Q 150 175 163 184 Q 217 223 400 295 L 449 316 Z",
+      "M 705 325 Q 754 425 790 561 Q 800 595 819 617 Q 838 636 822 650 Q 806 662 770 671 Q 742 675 715 657 Q 625 620 530 604 Q 515 603 511 594 Q 507 587 527 579 Q 567 566 620 584 Q 684 609 696 610 Q 727 609 722 575 Q 706 466 665 370 L 641 328 Q 578 235 470 190 Q 457 183 471 176 Q 475 169 517 173 Q 599 185 677 282 L 705 325 Z",
+      "M 677 282 Q 765 171 803 161 Q 816 158 939 162 Q 952 163 966 167 Q 973 174 962 183 Q 947 193 829 239 Q 781 257 705 325 L 665 370 Q 620 422 573 490 Q 554 517 520 526 Q 508 530 498 524 Q 492 517 501 509 Q 508 502 515 497 Q 545 481 640 329 L 641 328 L 677 282 Z",
+    ],
+    medians: [
+      [[131,718],[182,711],[472,766],[527,760]],
+      [[198,686],[230,669],[231,657],[229,300],[212,285]],
+      [[398,726],[424,699],[427,609],[422,-24]],
+      [[261,553],[272,566],[293,572],[322,577],[356,571]],
+      [[253,429],[268,441],[306,452],[352,451]],
+      [[89,235],[146,218],[504,357]],
+      [[520,592],[591,595],[701,630],[739,630],[763,622],[755,561],[726,451],[689,356],[665,313],[627,266],[584,227],[541,201],[504,186],[479,184]],
+      [[506,518],[548,492],[682,314],[765,232],[813,201],[959,174]],
+    ],
+  },
+  "消": {
+    strokes: [
+      "M 243 723 Q 271 698 301 668 Q 314 655 332 654 Q 342 655 349 669 Q 353 684 345 715 Q 339 737 307 752 Q 234 783 216 775 Q 210 771 212 758 Q 216 746 243 723 Z",
+      "M 149 525 Q 197 474 235 460 Q 251 459 259 472 Q 265 485 261 503 Q 246 543 159 565 Q 143 569 133 564 Q 126 563 130 550 Q 131 538 149 525 Z",
+      "M 136 166 Q 124 162 126 144 Q 144 66 177 47 Q 184 40 194 43 Q 203 44 203 71 Q 209 113 317 391 Q 324 407 323 414 Q 322 424 313 417 Q 303 411 179 212 Q 166 190 136 166 Z",
+      "M 620 525 Q 633 702 648 785 Q 652 795 633 810 Q 599 828 577 831 Q 561 834 554 826 Q 547 819 555 805 Q 573 781 573 764 Q 582 649 581 515 C 581 485 618 495 620 525 Z",
+      "M 418 663 Q 472 582 495 579 Q 510 576 518 595 Q 522 608 514 631 Q 505 650 480 662 Q 443 686 426 691 Q 416 694 414 681 Q 411 674 418 663 Z",
+      "M 755 719 Q 728 679 675 618 Q 669 611 675 603 Q 682 602 691 606 Q 787 672 833 696 Q 852 700 848 712 Q 842 730 822 750 Q 801 769 777 772 Q 761 772 762 751 Q 765 736 755 719 Z",
+      "M 477 256 Q 480 313 484 355 L 486 380 Q 489 449 495 475 C 499 497 499 497 488 505 Q 484 511 477 514 Q 446 530 427 530 Q 412 526 418 513 Q 466 404 411 167 Q 384 95 385 93 Q 385 56 405 31 Q 412 16 424 22 Q 472 55 473 194 Q 473 213 475 231 L 477 256 Z",
+      "M 495 475 Q 591 491 688 510 Q 710 514 715 503 Q 736 449 730 136 Q 724 69 719 58 Q 713 52 694 57 Q 660 67 624 78 Q 603 85 604 75 Q 671 18 709 -23 Q 722 -44 739 -49 Q 749 -53 757 -42 Q 800 7 799 66 Q 769 441 797 491 Q 810 512 797 523 Q 775 542 735 558 Q 716 565 700 558 Q 651 536 620 525 L 581 515 Q 544 511 488 505 C 458 502 465 470 495 475 Z",
+      "M 484 355 Q 512 343 593 356 Q 665 368 671 372 Q 678 379 674 386 Q 668 396 643 403 Q 618 407 592 398 Q 568 391 544 386 Q 516 382 486 380 C 456 378 456 365 484 355 Z",
+      "M 475 231 Q 509 216 550 225 Q 602 234 655 244 Q 679 248 682 252 Q 689 259 686 266 Q 680 276 656 283 Q 635 287 558 267 Q 522 258 477 256 C 447 254 447 242 475 231 Z",
+    ],
+    medians: [
+      [[222,767],[298,719],[311,707],[329,672]],
+      [[141,555],[216,508],[238,483]],
+      [[189,55],[177,84],[175,139],[317,411]],
+      [[565,817],[609,781],[602,556],[597,534],[586,523]],
+      [[427,678],[486,621],[498,599]],
+      [[777,756],[797,720],[679,611]],
+      [[427,519],[460,487],[465,392],[445,183],[423,86],[418,33]],
+      [[498,499],[506,492],[559,499],[712,535],[743,520],[758,502],[756,332],[763,104],[756,39],[739,14],[707,23],[614,72]],
+      [[491,361],[615,382],[665,381]],
+      [[485,249],[491,241],[525,240],[636,262],[675,262]],
+    ],
+  },
+  "提": {
+    strokes: [
+      "M 323 545 Q 347 554 372 559 Q 408 569 413 575 Q 422 584 416 592 Q 409 604 378 609 Q 350 613 324 601 L 275 581 Q 191 554 127 543 Q 90 534 118 519 Q 160 501 236 521 Q 254 527 274 530 L 323 545 Z",
+      "M 271 349 Q 268 252 267 128 Q 266 103 252 94 Q 245 90 181 102 Q 148 115 151 105 Q 152 98 172 82 Q 233 33 248 4 Q 264 -29 280 -31 Q 295 -32 310 3 Q 328 48 327 122 Q 320 255 320 389 L 320 422 Q 320 483 323 545 L 324 601 Q 331 731 346 776 Q 362 807 308 829 Q 274 848 255 841 Q 237 835 253 812 Q 275 785 276 751 Q 277 732 275 581 L 274 530 Q 273 469 271 390 L 271 349 Z",
+      "M 271 390 Q 63 258 58 255 Q 43 249 42 240 Q 41 231 56 219 Q 75 206 97 199 Q 113 195 122 208 Q 191 283 271 349 L 320 389 Q 335 404 352 415 Q 371 428 381 444 Q 387 457 376 456 Q 373 456 320 422 L 271 390 Z",
+      "M 504 746 Q 495 750 478 753 Q 466 756 463 751 Q 456 745 464 730 Q 494 661 509 551 Q 510 518 529 495 Q 545 474 551 489 Q 552 496 554 505 L 554 537 Q 548 592 543 613 L 539 637 Q 529 701 529 719 C 528 737 528 737 504 746 Z",
+      "M 675 521 Q 688 503 701 497 Q 711 490 726 510 Q 741 535 771 670 Q 780 700 802 723 Q 815 735 804 748 Q 789 764 749 789 Q 730 799 715 792 Q 693 786 663 780 Q 623 773 573 761 Q 534 752 504 746 C 475 740 500 711 529 719 Q 584 735 682 751 Q 704 755 711 748 Q 724 732 721 717 Q 696 572 677 557 C 663 535 663 535 675 521 Z",
+      "M 543 613 Q 546 613 657 632 Q 679 638 669 649 Q 659 662 634 665 Q 604 666 539 637 C 512 625 513 609 543 613 Z",
+      "M 554 505 Q 560 505 568 506 Q 602 513 675 521 C 705 524 704 545 677 557 Q 676 558 675 558 Q 660 565 632 557 Q 589 545 554 537 C 525 530 524 504 554 505 Z",
+      "M 624 403 Q 703 416 826 421 Q 877 421 884 430 Q 888 440 874 452 Q 826 482 796 474 Q 643 438 390 396 Q 372 393 386 379 Q 399 367 414 364 Q 432 360 446 364 Q 507 385 578 395 L 624 403 Z",
+      "M 635 151 Q 638 212 641 265 L 643 296 Q 646 383 647 383 Q 637 393 624 403 C 601 422 567 423 578 395 Q 587 383 590 281 Q 590 242 590 179 C 590 149 634 121 635 151 Z",
+      "M 641 265 Q 662 262 721 272 Q 790 290 792 290 Q 799 297 795 305 Q 788 315 761 321 Q 733 325 707 312 Q 691 306 671 302 Q 658 299 643 296 C 614 290 611 268 641 265 Z",
+      "M 496 247 Q 503 263 513 276 Q 520 289 507 301 Q 462 328 442 322 Q 432 319 435 306 Q 453 222 374 113 Q 368 107 340 67 Q 334 52 347 58 Q 399 73 465 186 Q 478 214 481 217 L 496 247 Z",
+      "M 481 217 Q 574 130 770 8 Q 792 -2 848 7 Q 885 14 928 24 Q 964 34 972 46 Q 978 59 957 59 Q 891 69 850 71 Q 754 80 635 151 L 590 179 Q 544 210 496 247 C 472 265 459 237 481 217 Z",
+    ],
+    medians: [
+      [[119,532],[189,533],[340,579],[406,585]],
+      [[261,826],[278,818],[309,783],[298,594],[297,113],[290,81],[274,51],[170,95],[168,102],[157,102]],
+      [[55,239],[101,238],[243,353],[377,449]],
+      [[472,743],[503,705],[541,495]],
+      [[511,744],[534,736],[701,771],[729,768],[751,747],[760,734],[707,545],[707,516]],
+      [[543,619],[570,634],[600,641],[630,646],[661,642]],
+      [[561,510],[576,525],[655,540],[673,551]],
+      [[388,387],[431,382],[530,405],[805,448],[877,435]],
+      [[586,396],[615,369],[614,204],[617,185],[632,159]],
+      [[646,272],[659,282],[742,300],[788,299]],
+      [[445,311],[473,279],[449,203],[401,120],[349,67]],
+      [[499,239],[505,218],[612,138],[729,69],[781,45],[833,38],[962,50]],
+    ],
+  },
+  "保": {
+    strokes: [
+      "M 262 533 Q 299 582 341 643 Q 368 688 391 709 Q 401 721 396 736 Q 392 749 361 776 Q 331 797 311 797 Q 290 796 299 770 Q 312 740 300 715 Q 266 630 211 550 Q 159 474 88 390 Q 76 378 74 372 Q 70 359 86 362 Q 125 365 225 488 Q 228 492 231 496 L 262 533 Z",
+      "M 231 496 Q 252 433 253 427 Q 252 426 253 423 Q 253 240 221 119 Q 206 70 243 22 Q 244 19 248 16 Q 267 0 279 28 Q 294 70 294 118 Q 297 388 306 449 Q 313 479 287 507 Q 281 513 262 533 C 241 555 222 524 231 496 Z",
+      "M 477 736 Q 465 740 440 744 Q 428 747 425 742 Q 418 735 427 720 Q 457 663 475 570 Q 479 542 496 523 Q 514 501 519 517 Q 522 529 522 547 L 518 579 Q 502 670 497 701 C 492 731 492 732 477 736 Z",
+      "M 745 600 Q 779 685 813 707 Q 832 726 817 746 Q 736 813 679 781 Q 601 757 477 736 C 447 731 468 694 497 701 Q 506 704 683 737 Q 705 741 713 733 Q 722 724 718 706 Q 706 654 691 610 C 682 582 734 572 745 600 Z",
+      "M 603 556 Q 658 565 751 570 Q 761 571 763 579 Q 763 586 745 600 L 691 610 Q 690 611 687 610 Q 593 588 518 579 C 488 575 492 552 522 547 Q 532 544 547 547 Q 559 550 575 552 L 603 556 Z",
+      "M 641 405 Q 726 418 854 422 Q 914 422 921 432 Q 925 445 908 458 Q 851 497 789 478 Q 726 465 639 446 L 589 436 Q 483 420 360 399 Q 339 396 355 379 Q 370 366 388 361 Q 409 357 425 362 Q 482 381 549 391 L 641 405 Z",
+      "M 639 446 Q 638 510 640 518 Q 643 530 634 537 Q 624 546 603 556 C 576 570 568 575 575 552 Q 575 549 578 545 Q 584 533 589 436 L 589 356 Q 582 10 583 3 Q 589 -21 603 -37 Q 616 -52 625 -34 Q 643 3 644 73 Q 644 83 639 363 L 639 446 Z",
+      "M 549 391 Q 516 286 329 144 Q 313 131 329 130 Q 357 127 447 187 Q 532 274 538 279 Q 569 319 588 354 Q 588 355 589 356 C 617 406 568 444 549 391 Z",
+      "M 639 363 Q 705 266 789 160 Q 807 141 837 141 Q 940 144 973 150 Q 983 151 984 157 Q 985 161 971 170 Q 824 230 745 305 Q 694 350 641 405 L 639 405 C 616 423 622 388 639 363 Z",
+    ],
+    medians: [
+      [[311,781],[329,766],[347,725],[310,655],[185,473],[134,414],[84,371]],
+      [[264,524],[263,489],[275,465],[278,404],[270,224],[254,78],[260,25]],
+      [[434,734],[456,717],[470,692],[508,522]],
+      [[487,734],[498,725],[513,723],[705,764],[734,757],[765,727],[727,632],[699,614]],
+      [[526,575],[535,565],[550,565],[683,588],[753,580]],
+      [[358,389],[415,384],[527,408],[804,451],[851,452],[913,438]],
+      [[582,551],[601,536],[612,509],[614,-32]],
+      [[583,390],[524,298],[442,209],[367,155],[332,137]],
+      [[641,398],[653,370],[715,297],[823,191],[977,156]],
+    ],
+  },
+  "存": {
+    strokes: [
+      "M 480 666 Q 573 685 670 701 Q 743 716 754 725 Q 764 734 759 743 Q 752 756 721 765 Q 688 772 655 761 Q 582 737 504 718 L 431 703 Q 350 690 264 683 Q 224 679 252 659 Q 297 632 383 649 Q 396 652 413 654 L 480 666 Z",
+      "M 331 403 Q 403 506 480 666 L 504 718 Q 537 796 550 809 Q 557 816 554 829 Q 551 839 534 852 Q 489 882 454 871 Q 444 867 449 853 Q 462 805 431 703 L 413 654 Q 359 530 299 444 L 267 401 Q 206 323 76 182 Q 67 175 80 173 Q 123 186 240 295 Q 243 301 273 330 L 331 403 Z",
+      "M 273 330 Q 273 209 246 107 Q 236 62 270 11 Q 271 11 273 8 Q 291 -8 303 19 Q 318 59 317 106 Q 321 326 329 376 Q 333 394 331 403 C 331 403 317 420 299 444 Q 292 459 265 471 Q 255 472 251 466 Q 245 454 267 401 L 273 330 Z",
+      "M 649 412 Q 748 502 786 515 Q 805 522 799 539 Q 796 555 729 590 Q 710 600 687 590 Q 632 568 546 542 Q 524 535 470 535 Q 446 536 455 515 Q 462 503 482 492 Q 513 476 547 496 Q 566 503 663 544 Q 676 550 688 542 Q 701 535 695 521 Q 667 478 633 426 C 617 401 627 392 649 412 Z",
+      "M 680 340 Q 668 389 649 412 L 633 426 Q 621 433 607 439 Q 586 446 576 440 Q 563 433 576 420 Q 612 393 620 348 Q 621 339 625 329 L 633 292 Q 654 142 622 64 Q 607 43 579 52 Q 546 62 516 73 Q 506 77 509 66 Q 513 57 531 43 Q 570 4 581 -24 Q 590 -42 606 -41 Q 619 -40 648 -15 Q 723 57 689 296 Q 688 299 688 300 L 680 340 Z",
+      "M 688 300 Q 797 312 889 312 Q 908 313 913 322 Q 917 334 901 346 Q 841 386 783 363 Q 738 354 680 340 L 625 329 Q 621 329 618 328 Q 509 309 379 286 Q 360 283 375 267 Q 388 254 406 250 Q 427 246 442 251 Q 547 284 633 292 L 688 300 Z",
+    ],
+    medians: [
+      [[255,673],[285,665],[352,668],[512,695],[690,737],[747,737]],
+      [[459,860],[500,818],[451,670],[383,532],[322,433],[250,340],[145,232],[82,179]],
+      [[261,461],[300,389],[295,231],[280,85],[286,20]],
+      [[465,523],[512,510],[676,566],[712,563],[738,538],[735,531],[652,429],[643,429]],
+      [[580,430],[617,411],[647,358],[669,236],[667,110],[651,49],[629,20],[612,10],[518,64]],
+      [[378,276],[432,272],[558,300],[799,339],[843,341],[902,327]],
+    ],
+  },
+  "删": {
+    strokes: [
+      "M 253 718 Q 241 725 226 730 Q 210 737 198 732 Q 189 725 195 714 Q 211 695 219 639 Q 219 450 216 434 L 209 383 Q 185 245 103 87 Q 100 81 99 76 Q 98 66 106 69 Q 136 81 195 196 Q 208 224 220 256 Q 241 322 253 395 L 259 439 Q 266 512 266 583 Q 269 640 272 696 C 273 709 273 709 253 718 Z",
+      "M 367 458 Q 367 665 382 690 Q 392 706 382 714 Q 366 729 337 741 Q 321 750 280 726 Q 277 726 253 718 C 224 709 243 688 272 696 Q 287 700 302 705 Q 317 709 321 701 Q 327 685 329 658 Q 329 544 327 450 L 325 414 Q 316 239 311 230 Q 308 226 297 229 Q 281 236 263 244 Q 250 253 248 245 Q 279 199 294 167 Q 303 151 314 146 Q 321 142 328 149 Q 364 186 368 226 Q 365 311 366 423 L 367 458 Z",
+      "M 467 723 Q 431 744 414 735 Q 405 728 412 717 Q 449 680 441 472 L 439 436 Q 427 298 343 115 Q 339 109 338 104 Q 337 94 346 98 Q 355 99 388 149 Q 458 249 480 424 Q 481 434 482 443 L 485 482 Q 488 539 486 593 Q 483 650 487 689 Q 488 695 489 699 C 491 711 491 711 467 723 Z",
+      "M 528 163 Q 509 167 489 171 Q 473 177 473 168 Q 516 128 540 98 Q 552 82 565 78 Q 572 74 580 83 Q 610 120 612 186 Q 605 301 601 460 L 600 504 Q 596 676 608 701 Q 618 717 608 726 Q 589 742 558 754 Q 542 760 529 753 Q 510 740 496 734 Q 486 730 467 723 C 439 712 461 687 489 699 Q 505 706 523 713 Q 539 719 544 711 Q 551 692 554 662 Q 557 574 559 496 L 560 455 Q 561 187 548 164 Q 544 160 528 163 Z",
+      "M 601 460 Q 617 463 636 464 Q 652 465 653 473 Q 654 486 637 495 Q 618 505 600 504 L 559 496 Q 519 490 485 482 L 441 472 Q 401 466 367 458 L 327 450 Q 285 444 259 439 L 216 434 Q 152 427 102 422 Q 89 421 86 413 Q 83 403 97 391 Q 131 364 189 378 Q 198 381 209 383 L 253 395 Q 290 405 325 414 L 366 423 Q 384 430 439 436 L 482 443 Q 518 450 560 455 L 601 460 Z",
+      "M 661 617 Q 689 554 663 372 Q 654 338 681 306 Q 688 296 698 306 Q 719 336 717 382 Q 711 497 725 589 Q 732 608 714 619 Q 699 629 685 636 Q 675 640 665 636 Q 658 630 661 617 Z",
+      "M 793 722 Q 797 685 795 127 Q 795 105 782 95 Q 775 89 721 102 Q 688 115 691 105 Q 692 98 711 82 Q 766 31 780 4 Q 796 -29 810 -31 Q 825 -32 840 3 Q 859 49 857 122 Q 841 369 847 616 Q 850 704 863 749 Q 879 780 824 801 Q 790 820 771 812 Q 753 805 770 783 Q 792 756 793 722 Z",
+    ],
+    medians: [
+      [[205,722],[241,685],[242,505],[234,405],[219,328],[190,233],[164,172],[106,76]],
+      [[264,717],[279,712],[324,724],[353,699],[350,522],[339,222],[320,195],[255,239]],
+      [[421,725],[448,706],[458,686],[465,585],[459,418],[444,334],[423,260],[373,146],[345,105]],
+      [[476,724],[495,718],[541,736],[557,731],[578,709],[583,350],[583,191],[577,149],[564,129],[482,165]],
+      [[97,409],[160,400],[524,471],[614,483],[642,476]],
+      [[672,627],[695,600],[698,586],[690,311]],
+      [[777,797],[794,789],[826,758],[820,327],[826,113],[820,82],[805,53],[746,75],[710,95],[708,102],[697,102]],
+    ],
+  },
+  "除": {
+    strokes: [
+      "M 207 640 Q 238 647 274 666 Q 290 676 299 667 Q 305 661 297 645 Q 281 609 268 574 Q 255 552 269 533 Q 317 452 303 437 Q 299 427 277 428 Q 252 429 223 427 Q 201 427 227 415 Q 275 393 318 363 Q 331 351 343 363 Q 356 370 363 394 Q 378 449 317 522 Q 281 558 321 606 Q 352 654 373 667 Q 391 680 381 692 Q 368 710 331 727 Q 312 734 298 724 Q 256 687 198 670 C 169 661 178 632 207 640 Z",
+      "M 198 670 Q 177 691 142 700 Q 132 701 126 693 Q 122 687 130 676 Q 187 543 148 242 Q 141 194 125 145 Q 118 117 122 97 Q 132 63 144 49 Q 156 34 166 49 Q 199 88 199 325 Q 199 583 207 640 C 209 661 209 661 198 670 Z",
+      "M 616 680 Q 631 707 645 721 Q 654 733 648 746 Q 644 758 614 779 Q 586 795 568 794 Q 549 791 559 770 Q 572 745 564 720 Q 537 641 494 564 Q 452 491 393 411 Q 383 401 382 394 Q 379 382 393 386 Q 456 404 597 644 Q 600 651 604 656 L 616 680 Z",
+      "M 604 656 Q 686 551 779 454 Q 800 430 837 427 Q 904 420 977 431 Q 995 432 997 437 Q 998 443 985 449 Q 810 525 785 542 Q 740 569 621 676 Q 618 679 616 680 C 593 699 585 680 604 656 Z",
+      "M 601 415 Q 637 427 678 438 Q 702 445 705 449 Q 714 456 708 465 Q 701 475 671 480 Q 643 483 614 469 Q 589 459 559 449 Q 528 439 490 433 Q 456 424 482 410 Q 516 395 559 403 L 601 415 Z",
+      "M 626 291 Q 689 298 778 301 Q 826 301 832 310 Q 836 320 822 332 Q 768 368 711 347 Q 674 341 628 329 L 571 319 Q 486 304 386 287 Q 368 286 382 271 Q 395 259 410 255 Q 428 251 442 256 Q 500 275 571 284 L 626 291 Z",
+      "M 528 65 Q 512 69 492 75 Q 482 79 481 72 Q 481 65 490 55 Q 538 6 568 -34 Q 578 -43 593 -28 Q 635 29 629 138 Q 625 232 626 291 L 628 329 Q 628 344 630 358 Q 636 383 630 393 Q 623 403 601 415 C 575 431 548 431 559 403 Q 569 393 571 319 L 571 284 Q 572 215 572 101 Q 571 73 561 63 Q 551 57 528 65 Z",
+      "M 416 209 Q 391 163 358 121 Q 337 91 350 57 Q 356 39 377 50 Q 428 80 436 152 Q 443 183 438 207 Q 434 216 429 217 Q 420 217 416 209 Z",
+      "M 701 189 Q 749 144 806 79 Q 822 58 837 54 Q 846 53 853 63 Q 866 76 853 119 Q 841 170 702 220 Q 693 224 691 213 Q 690 200 701 189 Z",
+    ],
+    medians: [
+      [[211,649],[225,663],[295,693],[317,696],[333,683],[326,655],[281,561],[288,530],[309,503],[331,458],[331,414],[323,405],[299,404],[230,423]],
+      [[136,688],[166,660],[176,633],[183,490],[176,264],[153,106],[155,53]],
+      [[569,780],[586,767],[606,736],[579,673],[500,529],[436,439],[391,395]],
+      [[615,673],[630,647],[718,558],[813,479],[862,462],[992,438]],
+      [[483,422],[507,418],[545,423],[642,454],[700,458]],
+      [[384,279],[426,273],[567,302],[758,328],[824,315]],
+      [[566,404],[600,377],[601,110],[596,62],[575,24],[549,32],[488,70]],
+      [[427,206],[410,147],[366,61]],
+      [[702,208],[811,125],[827,102],[838,70]],
+    ],
+  },
+  "搜": {
+    strokes: [
+      "M 323 538 Q 395 562 397 563 Q 406 572 400 580 Q 393 592 362 597 Q 343 600 325 595 L 278 576 Q 202 551 135 539 Q 98 530 126 515 Q 169 497 246 517 Q 259 521 277 525 L 323 538 Z",
+      "M 274 336 Q 273 252 271 148 Q 270 126 257 116 Q 250 110 192 123 Q 161 135 163 125 Q 164 118 183 103 Q 240 55 254 29 Q 270 -2 284 -4 Q 297 -5 312 28 Q 330 71 329 143 Q 322 258 321 374 L 321 406 Q 320 473 323 538 L 325 595 Q 325 703 345 767 Q 361 795 308 817 Q 277 835 257 829 Q 241 822 256 800 Q 275 775 277 742 Q 278 724 278 576 L 277 525 Q 276 461 274 377 L 274 336 Z",
+      "M 274 377 Q 82 256 65 246 Q 46 246 42 229 Q 41 220 56 207 Q 75 194 97 186 Q 113 183 122 195 Q 165 246 274 336 L 321 374 Q 387 431 389 432 Q 395 445 384 444 Q 362 438 321 406 L 274 377 Z",
+      "M 474 604 Q 492 616 541 649 Q 554 662 573 670 Q 589 677 580 691 Q 570 704 550 714 Q 531 724 522 722 Q 512 721 516 711 Q 520 690 484 647 Q 472 634 460 616 C 443 591 449 587 474 604 Z",
+      "M 504 430 Q 503 440 501 451 Q 494 482 490 508 L 485 536 Q 476 582 476 596 Q 475 600 474 604 C 472 612 472 612 460 616 Q 450 620 426 624 Q 416 627 412 622 Q 408 616 415 602 Q 443 541 461 440 Q 464 410 481 390 Q 497 371 502 385 Q 503 394 505 404 L 504 430 Z",
+      "M 490 508 Q 536 521 571 529 Q 592 536 582 546 Q 570 556 548 557 Q 506 557 485 536 C 463 515 461 500 490 508 Z",
+      "M 752 441 Q 753 440 754 438 Q 770 401 797 424 Q 810 436 828 478 Q 861 601 891 631 Q 907 647 895 664 Q 880 683 852 705 Q 837 714 821 710 Q 769 692 707 686 Q 686 685 690 675 Q 694 665 710 658 Q 728 654 784 668 Q 808 672 816 667 Q 823 660 816 633 Q 810 615 805 596 L 795 560 Q 773 479 764 470 C 750 445 750 445 752 441 Z",
+      "M 805 596 Q 784 600 687 575 Q 672 572 690 558 Q 696 554 709 554 Q 755 558 795 560 C 825 562 835 593 805 596 Z",
+      "M 651 426 Q 705 436 752 441 C 782 444 792 458 764 470 Q 752 482 652 460 L 612 451 Q 555 441 504 430 C 475 424 475 405 505 404 Q 514 403 528 405 Q 571 414 611 420 L 651 426 Z",
+      "M 648 357 Q 649 393 651 426 L 652 460 Q 661 737 678 798 Q 681 810 662 825 Q 628 843 604 847 Q 588 850 580 841 Q 573 834 581 819 Q 609 779 609 751 Q 616 610 612 451 L 611 420 Q 610 384 608 345 C 607 315 647 327 648 357 Z",
+      "M 668 137 Q 710 179 740 259 Q 750 292 771 307 Q 787 320 772 336 Q 753 354 722 370 Q 703 379 680 370 Q 664 363 648 357 L 608 345 Q 571 338 531 334 Q 504 333 493 326 Q 484 320 502 310 Q 527 295 565 306 Q 619 316 671 325 Q 687 331 688 311 Q 688 242 632 171 L 606 143 Q 537 92 398 57 Q 382 56 391 46 Q 398 39 426 40 Q 570 53 636 106 L 668 137 Z",
+      "M 636 106 Q 751 -24 805 -26 Q 806 -26 918 -9 Q 931 -8 943 -2 Q 950 5 938 13 Q 923 20 810 53 Q 744 74 668 137 L 632 171 Q 595 205 557 249 Q 538 271 507 276 Q 497 277 487 271 Q 483 264 492 258 Q 499 252 506 248 Q 527 239 606 143 L 636 106 Z",
+    ],
+    medians: [
+      [[127,528],[184,527],[345,572],[392,572]],
+      [[264,815],[289,798],[309,771],[297,433],[300,134],[278,75],[252,82],[169,123]],
+      [[58,228],[99,224],[228,326],[383,437]],
+      [[527,712],[540,684],[481,625],[474,611]],
+      [[420,617],[450,589],[492,390]],
+      [[496,516],[503,529],[517,535],[574,539]],
+      [[701,676],[736,673],[830,687],[842,679],[857,650],[800,479],[779,442],[762,445]],
+      [[688,566],[781,577],[801,591]],
+      [[510,411],[529,421],[758,464]],
+      [[593,831],[638,795],[640,769],[630,379],[613,353]],
+      [[501,320],[553,319],[694,348],[714,338],[727,316],[711,260],[685,202],[625,128],[588,103],[537,80],[473,60],[397,50]],
+      [[495,267],[532,250],[677,96],[774,26],[804,14],[934,3]],
+    ],
+  },
+  "索": {
+    strokes: [
+      "M 542 700 Q 707 731 714 737 Q 723 744 719 752 Q 712 764 684 772 Q 660 778 550 747 L 491 734 Q 430 724 362 719 Q 326 715 351 698 Q 390 671 448 685 Q 467 689 490 691 L 542 700 Z",
+      "M 526 601 Q 533 653 542 700 L 550 747 Q 550 771 569 819 Q 573 829 555 844 Q 524 863 501 870 Q 485 874 478 866 Q 471 859 477 845 Q 490 823 491 808 Q 492 772 491 734 L 490 691 Q 489 646 485 596 C 483 566 522 571 526 601 Z",
+      "M 255 567 Q 245 592 234 601 Q 216 617 213 591 Q 217 561 167 505 Q 124 469 151 407 Q 164 379 186 406 Q 205 430 220 467 Q 239 512 252 537 C 261 554 261 554 255 567 Z",
+      "M 499 567 Q 721 601 761 593 Q 779 580 776 572 Q 776 568 753 503 Q 746 490 753 485 Q 760 481 777 494 Q 829 530 872 542 Q 908 554 907 562 Q 906 572 832 624 Q 811 640 734 628 Q 629 618 526 601 L 485 596 Q 431 590 369 580 Q 311 573 255 567 C 225 564 224 548 252 537 Q 279 521 314 531 Q 425 562 459 562 L 499 567 Z",
+      "M 504 386 Q 494 390 474 392 Q 432 399 408 404 Q 402 408 403 412 Q 403 415 506 498 Q 545 514 499 567 C 480 590 458 592 459 562 Q 465 538 426 483 Q 375 426 352 422 Q 310 421 310 377 Q 309 373 311 369 Q 314 353 329 360 Q 347 372 475 366 Q 476 366 478 365 C 508 362 533 378 504 386 Z",
+      "M 515 263 Q 582 279 648 289 C 678 294 665 309 635 306 Q 538 297 423 275 Q 414 274 420 279 Q 466 316 573 388 Q 609 415 637 428 Q 650 434 648 444 Q 644 465 618 490 Q 605 503 596 503 Q 586 502 584 487 Q 578 451 504 386 L 478 365 Q 364 278 345 272 Q 332 266 331 254 Q 330 241 350 219 Q 357 206 373 214 Q 425 239 482 254 L 515 263 Z",
+      "M 648 289 Q 666 267 685 240 Q 694 227 706 225 Q 715 224 721 233 Q 728 243 726 269 Q 723 305 630 358 Q 618 364 612 363 Q 608 360 606 350 Q 607 340 625 319 Q 629 313 635 306 L 648 289 Z",
+      "M 482 254 Q 482 253 484 249 Q 497 215 494 107 Q 493 59 488 48 Q 484 35 459 38 Q 425 47 387 55 Q 377 55 375 49 Q 374 42 384 34 Q 457 -20 483 -52 Q 501 -67 512 -63 Q 522 -59 535 -26 Q 551 7 548 67 Q 547 152 548 183 Q 555 223 539 243 Q 526 256 515 263 C 491 281 472 282 482 254 Z",
+      "M 326 168 Q 295 120 254 80 Q 230 53 239 15 Q 243 -4 266 4 Q 321 31 341 106 Q 351 137 350 163 Q 346 173 341 175 Q 332 175 326 168 Z",
+      "M 649 140 Q 697 97 753 31 Q 769 10 784 6 Q 793 5 801 15 Q 814 28 802 73 Q 789 130 651 172 Q 641 178 639 165 Q 638 152 649 140 Z",
+    ],
+    medians: [
+      [[353,710],[375,703],[422,702],[553,722],[567,730],[666,749],[707,748]],
+      [[489,856],[528,817],[509,626],[491,604]],
+      [[224,596],[233,566],[228,547],[181,469],[167,409]],
+      [[263,559],[273,549],[289,548],[438,576],[510,581],[683,608],[766,613],[805,598],[822,571],[758,492]],
+      [[466,558],[487,536],[487,526],[445,473],[387,421],[376,398],[399,386],[440,380],[476,379],[497,386]],
+      [[598,491],[607,451],[536,386],[410,294],[399,282],[392,259],[427,256],[513,278],[631,297],[640,290]],
+      [[615,354],[694,275],[707,240]],
+      [[488,254],[511,238],[521,208],[520,57],[508,13],[495,-2],[383,47]],
+      [[339,164],[314,105],[256,18]],
+      [[650,160],[723,112],[758,81],[774,56],[785,22]],
+    ],
+  },
+  "帮": {
+    strokes: [
+      "M 399 666 Q 499 691 503 694 Q 512 701 507 709 Q 500 719 474 726 Q 444 730 403 714 L 356 699 Q 260 678 224 674 Q 190 668 215 653 Q 251 632 307 646 Q 329 652 353 655 L 399 666 Z",
+      "M 386 566 Q 477 591 480 593 Q 487 600 483 607 Q 476 616 453 621 Q 426 625 392 609 C 389 608 376 604 347 595 Q 346 595 346 594 Q 339 593 334 591 Q 294 581 246 574 Q 216 568 238 556 Q 268 540 327 553 Q 333 554 340 555 L 386 566 Z",
+      "M 360 462 Q 420 478 494 492 Q 510 495 510 502 Q 511 514 494 522 Q 463 534 373 506 L 321 491 Q 201 463 135 453 Q 123 452 120 444 Q 119 434 133 423 Q 167 402 216 416 Q 262 434 304 446 L 360 462 Z",
+      "M 304 446 Q 301 442 300 437 Q 267 362 183 292 Q 170 280 167 275 Q 166 269 176 269 Q 212 269 283 340 Q 325 383 360 462 L 373 506 Q 379 531 385 559 Q 385 563 386 566 L 392 609 Q 395 637 399 666 L 403 714 Q 403 736 413 798 Q 419 816 400 825 Q 357 847 344 846 Q 326 843 340 823 Q 358 790 356 699 L 353 655 Q 350 628 347 595 L 340 555 Q 333 525 321 491 L 304 446 Z",
+      "M 618 725 Q 633 734 694 751 Q 698 754 709 748 Q 719 741 711 720 Q 690 659 685 651 Q 678 638 679 630 Q 679 620 698 613 Q 797 550 769 493 Q 768 493 767 491 Q 751 484 727 489 Q 687 499 654 506 Q 647 507 647 501 Q 648 494 662 485 Q 740 443 755 417 Q 762 404 774 403 Q 784 402 799 413 Q 826 447 826 489 Q 826 553 737 622 Q 698 650 758 703 Q 758 704 760 705 Q 773 723 792 731 Q 817 746 795 763 Q 761 791 741 800 Q 725 806 711 797 Q 687 779 591 750 C 562 741 591 713 618 725 Z",
+      "M 566 423 Q 570 402 576 394 Q 580 388 586 391 Q 593 394 597 406 Q 610 443 608 521 Q 607 552 612 676 Q 615 700 618 725 C 619 736 618 736 591 750 Q 578 757 571 759 Q 561 763 548 755 Q 541 749 546 740 Q 558 722 560 702 Q 563 630 562 517 Q 563 447 566 423 Z",
+      "M 363 322 Q 342 343 310 339 Q 298 335 304 324 Q 335 272 314 169 Q 292 135 325 91 Q 325 90 328 87 Q 335 75 344 81 Q 368 99 369 232 Q 369 272 369 289 C 369 317 369 317 363 322 Z",
+      "M 542 316 Q 594 325 647 328 Q 677 329 678 309 Q 687 167 670 144 Q 664 141 607 160 Q 592 166 589 161 Q 585 157 595 145 Q 646 100 676 66 Q 691 51 704 66 Q 732 99 734 169 Q 728 265 738 316 Q 742 335 732 345 Q 707 367 688 378 Q 676 384 667 375 Q 660 366 553 345 Q 549 345 544 343 L 482 335 Q 436 331 363 322 C 333 318 339 284 369 289 L 483 307 L 542 316 Z",
+      "M 486 -35 Q 492 -60 498 -69 Q 504 -76 511 -74 Q 538 -56 539 100 Q 538 146 542 316 L 544 343 Q 547 355 551 379 Q 555 397 541 406 Q 510 428 494 430 Q 482 434 466 426 Q 457 419 464 408 Q 482 378 482 335 L 483 307 Q 483 -12 486 -35 Z",
+    ],
+    medians: [
+      [[217,665],[239,659],[294,664],[445,702],[497,704]],
+      [[239,566],[298,564],[445,603],[475,601]],
+      [[130,441],[156,435],[202,438],[409,496],[457,506],[499,505]],
+      [[345,834],[381,799],[382,774],[370,605],[345,490],[322,433],[281,366],[237,318],[174,275]],
+      [[601,752],[621,744],[687,767],[723,772],[751,749],[715,683],[702,635],[782,557],[797,522],[794,474],[775,453],[653,500]],
+      [[559,746],[575,733],[588,710],[583,400]],
+      [[311,330],[336,313],[344,284],[347,220],[334,136],[338,90]],
+      [[375,296],[382,308],[391,310],[646,347],[687,345],[707,325],[708,316],[707,177],[699,130],[687,110],[679,111],[594,158]],
+      [[473,416],[493,406],[514,378],[507,-65]],
+    ],
+  },
+  "助": {
+    strokes: [
+      "M 240 658 Q 221 676 201 684 Q 189 687 180 683 Q 171 679 175 668 Q 196 622 200 535 Q 201 448 202 199 C 202 169 247 181 247 211 Q 247 284 248 350 L 248 372 Q 248 429 249 481 L 249 508 Q 249 625 252 627 C 254 646 254 646 240 658 Z",
+      "M 434 263 Q 440 603 465 634 Q 478 652 466 667 Q 456 677 409 704 Q 396 713 330 685 Q 278 667 240 658 C 211 651 226 613 252 627 Q 267 642 371 661 Q 384 664 389 659 Q 398 643 384 249 C 383 219 433 233 434 263 Z",
+      "M 249 481 Q 250 481 255 481 Q 309 491 349 496 Q 371 500 361 513 Q 351 526 326 529 Q 289 532 249 508 C 223 493 219 481 249 481 Z",
+      "M 248 350 Q 252 349 262 349 Q 314 359 353 364 Q 375 370 365 381 Q 355 394 330 397 Q 296 400 248 372 C 222 357 218 355 248 350 Z",
+      "M 202 199 Q 186 196 169 191 Q 147 184 112 186 Q 99 185 96 174 Q 93 161 103 151 Q 127 133 162 112 Q 172 108 186 117 Q 231 148 280 168 Q 356 198 430 228 Q 458 240 480 255 Q 493 262 495 272 Q 489 279 476 276 Q 454 270 434 263 L 384 249 Q 317 231 247 211 L 202 199 Z",
+      "M 639 502 Q 552 486 503 486 Q 482 489 482 477 Q 481 467 504 452 Q 532 433 558 442 Q 592 452 629 462 L 691 476 Q 746 489 800 497 Q 816 498 820 490 Q 827 474 823 429 Q 807 269 775 184 Q 759 130 740 114 Q 727 101 700 109 Q 669 116 640 125 Q 616 132 633 110 Q 678 62 701 25 Q 711 4 731 10 Q 750 13 775 39 Q 844 109 877 384 Q 884 445 908 481 Q 926 503 916 514 Q 900 533 862 550 Q 835 563 808 550 Q 762 532 700 516 L 639 502 Z",
+      "M 629 462 Q 557 210 442 86 Q 415 59 381 27 Q 368 20 365 15 Q 361 8 378 8 Q 408 5 508 96 Q 629 210 691 476 L 700 516 Q 730 682 757 742 Q 764 752 756 763 Q 738 782 702 803 Q 680 816 662 812 Q 640 808 654 786 Q 679 752 676 718 Q 660 597 639 502 L 629 462 Z",
+    ],
+    medians: [
+      [[188,672],[215,642],[221,624],[226,522],[224,229],[207,210]],
+      [[252,633],[259,648],[381,683],[406,679],[429,648],[418,540],[412,305],[409,280],[387,264]],
+      [[252,488],[265,500],[306,510],[353,506]],
+      [[255,356],[263,365],[304,376],[334,379],[357,374]],
+      [[112,170],[170,152],[488,270]],
+      [[493,476],[540,463],[825,524],[843,519],[865,497],[827,251],[800,155],[775,100],[748,70],[729,63],[633,119]],
+      [[662,798],[685,785],[714,743],[662,473],[625,350],[582,247],[520,144],[486,102],[437,56],[402,28],[372,13]],
+    ],
+  },
+  "设": {
+    strokes: [
+      "M 298 741 Q 331 716 365 685 Q 380 672 397 673 Q 407 674 413 688 Q 417 704 406 735 Q 399 757 364 772 Q 280 797 268 791 Q 262 787 265 773 Q 269 763 298 741 Z",
+      "M 131 466 Q 82 453 55 452 Q 40 452 38 445 Q 34 438 45 429 Q 84 404 110 414 Q 174 438 233 463 Q 260 476 269 468 Q 276 464 269 362 Q 266 259 236 164 Q 217 134 260 82 Q 270 70 280 76 Q 287 83 299 106 Q 341 155 428 240 Q 441 250 438 258 Q 437 267 426 257 Q 383 232 341 202 Q 292 165 302 223 Q 302 281 325 426 Q 329 450 352 472 Q 364 482 355 495 Q 345 511 307 528 Q 295 535 278 524 Q 184 481 131 466 Z",
+      "M 543 724 Q 512 740 502 737 Q 484 734 498 715 Q 516 688 506 573 Q 502 548 490 517 Q 475 481 435 439 Q 422 429 419 423 Q 418 416 428 417 Q 455 417 496 457 Q 550 512 563 665 Q 566 681 567 689 C 570 711 570 711 543 724 Z",
+      "M 918 491 Q 933 497 924 513 Q 909 532 891 542 Q 879 548 856 538 Q 819 522 772 523 Q 742 524 733 546 Q 720 567 731 631 Q 732 670 770 709 Q 788 725 770 739 Q 746 758 720 771 Q 710 777 692 766 Q 622 736 543 724 C 513 719 538 681 567 689 Q 573 690 655 715 Q 674 722 682 720 Q 691 716 689 700 Q 680 558 682 545 Q 691 508 717 489 Q 751 470 819 471 Q 885 472 918 491 Z",
+      "M 673 177 Q 713 235 741 328 Q 748 362 768 380 Q 784 393 767 409 Q 746 425 714 439 Q 692 446 671 436 Q 619 409 546 399 Q 521 396 509 390 Q 500 383 518 374 Q 543 361 582 372 Q 622 382 663 391 Q 684 398 684 374 Q 684 293 635 212 L 608 173 Q 550 106 393 58 Q 377 54 387 46 Q 394 40 423 44 Q 516 54 571 81 Q 608 100 639 133 L 673 177 Z",
+      "M 639 133 Q 681 84 733 32 Q 749 11 778 10 Q 866 4 937 11 Q 974 14 972 24 Q 969 33 800 95 Q 745 119 673 177 L 635 212 Q 598 249 559 294 Q 523 334 489 336 Q 471 337 467 333 Q 466 326 480 315 Q 528 279 608 173 L 639 133 Z",
+    ],
+    medians: [
+      [[272,784],[366,732],[393,693]],
+      [[47,441],[99,435],[259,493],[280,495],[299,491],[307,483],[273,194],[281,154],[320,164],[432,254]],
+      [[503,726],[528,705],[537,677],[532,599],[522,548],[493,481],[464,448],[426,423]],
+      [[552,721],[581,711],[678,740],[711,738],[727,721],[707,636],[704,560],[722,518],[741,505],[764,499],[813,498],[874,510],[914,504]],
+      [[516,384],[558,384],[686,415],[708,406],[722,385],[707,312],[681,242],[656,196],[622,152],[586,119],[534,89],[431,56],[393,51]],
+      [[472,330],[529,298],[665,146],[773,57],[968,22]],
+    ],
+  },
+  "置": {
+    strokes: [
+      "M 295 758 Q 283 762 264 763 Q 252 766 249 760 Q 243 753 253 738 Q 281 690 303 610 Q 307 585 323 570 Q 342 549 346 566 Q 347 573 348 585 L 345 612 Q 339 630 322 727 C 318 752 318 752 295 758 Z",
+      "M 688 628 Q 701 603 716 594 Q 726 587 741 605 Q 751 618 780 694 Q 790 722 813 745 Q 826 755 816 770 Q 803 786 763 813 Q 745 823 730 818 Q 687 808 624 801 Q 545 792 444 778 Q 362 765 295 758 C 265 755 293 720 322 727 Q 365 737 421 747 L 444 751 Q 498 761 567 770 L 603 774 Q 708 790 728 769 Q 735 759 733 750 Q 714 668 701 654 C 688 629 688 629 688 628 Z",
+      "M 469 629 Q 473 663 456 718 Q 453 725 451 734 Q 450 744 444 751 C 426 775 418 777 421 747 Q 427 693 436 637 L 443 625 C 458 599 466 599 469 629 Z",
+      "M 580 646 Q 599 685 608 707 Q 612 720 624 738 Q 634 748 626 755 Q 619 765 603 774 C 577 789 555 798 567 770 Q 574 755 574 739 Q 570 702 555 649 Q 554 645 553 641 C 546 612 567 619 580 646 Z",
+      "M 497 603 Q 600 619 688 628 C 718 631 728 641 701 654 Q 697 658 690 659 Q 677 662 580 646 L 553 641 Q 510 637 469 629 L 443 625 Q 391 621 345 612 C 316 606 318 582 348 585 Q 351 585 463 597 L 497 603 Z",
+      "M 516 486 Q 600 499 778 514 Q 788 511 799 525 Q 800 537 778 549 Q 739 573 673 554 Q 564 536 526 526 L 473 517 Q 242 499 238 498 Q 208 495 230 476 Q 263 446 293 453 Q 372 466 470 480 L 516 486 Z",
+      "M 498 415 Q 507 452 516 486 L 526 526 Q 530 539 534 548 Q 538 555 540 562 Q 544 569 530 583 Q 512 596 497 603 C 470 616 452 625 463 597 Q 475 570 473 517 L 470 480 Q 466 447 462 409 C 459 379 491 386 498 415 Z",
+      "M 379 404 Q 369 411 358 416 Q 348 420 339 415 Q 332 411 334 401 Q 352 364 355 274 Q 356 201 359 45 C 360 15 401 18 401 48 Q 401 76 401 102 L 401 130 Q 401 160 402 187 L 402 213 Q 402 241 403 268 L 403 294 Q 403 357 407 369 C 410 385 404 388 379 404 Z",
+      "M 670 70 Q 676 343 699 373 Q 712 388 700 405 Q 690 415 642 445 Q 627 455 605 445 Q 562 432 498 415 L 462 409 Q 422 405 379 404 C 349 403 378 361 407 369 Q 411 370 416 372 Q 540 399 590 402 Q 611 405 616 398 Q 622 388 620 66 C 620 36 669 40 670 70 Z",
+      "M 403 268 Q 407 268 413 269 Q 498 285 560 297 Q 582 301 573 313 Q 563 326 539 330 Q 512 331 403 294 C 375 284 373 266 403 268 Z",
+      "M 402 187 Q 406 187 412 187 Q 497 200 559 209 Q 581 213 573 225 Q 563 238 539 243 Q 512 246 402 213 C 373 204 372 187 402 187 Z",
+      "M 401 102 Q 402 102 406 102 Q 499 117 567 125 Q 589 129 581 141 Q 571 154 547 159 Q 526 163 401 130 C 372 122 371 101 401 102 Z",
+      "M 517 17 Q 568 18 617 23 Q 755 35 884 15 Q 906 12 913 20 Q 920 33 909 44 Q 881 72 840 92 Q 827 98 802 91 Q 736 79 670 70 L 620 66 Q 541 60 494 55 Q 442 52 401 48 L 359 45 Q 182 36 151 35 Q 138 35 137 24 Q 136 12 153 -2 Q 169 -15 198 -27 Q 208 -31 226 -24 Q 242 -18 312 -8 Q 403 10 517 17 Z",
+    ],
+    medians: [
+      [[258,753],[282,737],[298,711],[335,570]],
+      [[302,755],[338,746],[502,775],[614,784],[668,795],[742,792],[765,771],[771,756],[724,635],[723,612]],
+      [[428,740],[437,735],[452,644],[461,635]],
+      [[574,764],[599,746],[571,657],[559,644]],
+      [[349,592],[367,602],[449,608],[678,643],[693,650]],
+      [[232,488],[284,477],[475,498],[718,536],[753,536],[787,527]],
+      [[469,594],[493,578],[504,554],[485,441],[467,416]],
+      [[347,404],[372,370],[378,327],[380,69],[365,55]],
+      [[386,400],[423,388],[604,424],[627,423],[645,407],[659,385],[648,256],[645,93],[625,81]],
+      [[407,275],[441,292],[510,307],[542,312],[564,307]],
+      [[407,194],[440,209],[495,219],[542,225],[563,219]],
+      [[404,109],[417,121],[496,135],[539,141],[571,135]],
+      [[149,23],[210,5],[410,29],[825,59],[902,29]],
+    ],
+  },
+};
@@ -0,0 +1,234 @@
+// Stroke Order Player
+// Answer panel component: play, pause, step, scrub and change speed of a
+// character's stroke order animation, with numbered strokes
+
+class StrokePlayer {
+    /**
+     * @param renderer - StrokeRenderer used to build and update the SVG
+     * @param glyph - vector stroke data for one character
+     * @param markedStrokes - stroke indices to flag (e.g. the ones the grader marked wrong)
+     */
+    constructor(renderer, glyph, markedStrokes = []) {
+        this.renderer = renderer;
+        this.glyph = glyph;
+        this.strokeCount = glyph.strokes.length;
+        this.markedStrokes = new Set(markedStrokes);
+
+        this.config = {
+            strokeDuration: 600,   // ms to draw one stroke at 1x
+            strokePause: 150,      // ms between strokes at 1x
+            loopPause: 1500,       // ms to hold the finished character before replaying
+            speeds: [0.25, 0.5, 1, 2],
+            numberColor: '#c5cad1',
+            currentColor: '#667eea',
+            markedColor: '#ef4444'
+        };
+
+        this.position = 0;         // Strokes drawn so far; fractional while a stroke is animating
+        this.speed = 1;
+        this.playing = false;
+        this.holdRemaining = 0;    // ms left in the current pause between strokes
+        this.frame = null;
+        this.lastTime = null;
+
+        this.element = this.buildElement();
+        this.render();
+    }
+
+    buildElement() {
+        const element = document.createElement('div');
+        element.className = 'stroke-player';
+
+        this.svg = this.renderer.createSVG(this.glyph);
+        element.appendChild(this.svg);
+        this.numbers = this.addStrokeNumbers(this.svg);
+
+        const controls = document.createElement('div');
+        controls.className = 'stroke-player-controls';
+
+        this.backBtn = this.createButton('⏮', 'Previous stroke', () => this.stepBack());
+        this.playBtn = this.createButton('▶', 'Play / pause', () => this.toggle());
+        this.forwardBtn = this.createButton('⏭', 'Next stroke', () => this.stepForward());
+
+        this.scrubber = document.createElement('input');
+        this.scrubber.type = 'range';
+        this.scrubber.className = 'stroke-player-scrubber';
+        this.scrubber.min = 0;
+        this.scrubber.max = this.strokeCount;
+        this.scrubber.step = 0.01;
+        this.scrubber.addEventListener('input', () => this.seek(parseFloat(this.scrubber.value)));
+
+        this.speedSelect = document.createElement('select');
+        this.speedSelect.className = 'stroke-player-speed';
+        this.speedSelect.title = 'Animation speed';
+        for (const speed of this.config.speeds) {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            option.selected = speed === this.speed;
+            this.speedSelect.appendChild(option);
+        }
+        this.speedSelect.addEventListener('change', () => this.setSpeed(parseFloat(this.speedSelect.value)));
+
+        this.counter = document.createElement('span');
+        this.counter.className = 'stroke-player-counter';
+
+        controls.append(this.backBtn, this.playBtn, this.forwardBtn, this.scrubber, this.speedSelect, this.counter);
+        element.appendChild(controls);
+
+        return element;
+    }
+
+    createButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'stroke-player-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Number each stroke at its starting point. Numbers live outside the flipped
+     * stroke group so the text stays upright.
+     */
+    addStrokeNumbers(svg) {
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', 'stroke-numbers');
+
+        const numbers = this.glyph.medians.map((median, i) => {
+            const [x, y] = median[0];
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('x', x);
+            text.setAttribute('y', STROKE_BOX_TOP - y);
+            text.setAttribute('font-size', 56);
+            text.setAttribute('font-weight', 'bold');
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('dominant-baseline', 'central');
+            text.setAttribute('stroke', '#2c2f3a');
+            text.setAttribute('stroke-width', 10);
+            text.setAttribute('paint-order', 'stroke');
+            text.textContent = i + 1;
+            group.appendChild(text);
+            return text;
+        });
+
+        svg.appendChild(group);
+        return numbers;
+    }
+
+    play() {
+        if (this.playing) return;
+
+        // Restart from the beginning if the animation already finished
+        if (this.position >= this.strokeCount) {
+            this.position = 0;
+        }
+
+        this.playing = true;
+        this.lastTime = null;
+        this.frame = requestAnimationFrame(time => this.tick(time));
+        this.render();
+    }
+
+    pause() {
+        this.playing = false;
+        this.holdRemaining = 0;
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.render();
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    stepForward() {
+        this.pause();
+        this.seek(Math.min(this.strokeCount, Math.floor(this.position) + 1));
+    }
+
+    stepBack() {
+        this.pause();
+        this.seek(Math.max(0, Math.ceil(this.position) - 1));
+    }
+
+    /**
+     * Jump to a position (in strokes). Scrubbing pauses playback.
+     */
+    seek(position) {
+        if (this.playing) this.pause();
+        this.position = Math.max(0, Math.min(this.strokeCount, position));
+        this.render();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.speedSelect.value = speed;
+    }
+
+    tick(time) {
+        if (!this.playing) return;
+
+        const elapsed = this.lastTime === null ? 0 : (time - this.lastTime) * this.speed;
+        this.lastTime = time;
+
+        if (this.holdRemaining > 0) {
+            this.holdRemaining -= elapsed;
+            if (this.holdRemaining <= 0 && this.position >= this.strokeCount) {
+                // Finished holding the full character: loop like the old GIFs
+                this.position = 0;
+            }
+        } else {
+            const previous = this.position;
+            this.position += elapsed / this.config.strokeDuration;
+
+            // Stop briefly at the end of each stroke, and longer at the end of the character
+            const boundary = Math.floor(previous) + 1;
+            if (this.position >= boundary) {
+                this.position = boundary;
+                this.holdRemaining = boundary >= this.strokeCount
+                    ? this.config.loopPause
+                    : this.config.strokePause;
+            }
+        }
+
+        this.render();
+        this.frame = requestAnimationFrame(t => this.tick(t));
+    }
+
+    render() {
+        const current = Math.ceil(this.position) - 1; // Stroke currently being drawn
+
+        for (let i = 0; i < this.strokeCount; i++) {
+            this.renderer.setStrokeProgress(this.svg, i, this.position - i);
+
+            let color = this.config.numberColor;
+            if (this.markedStrokes.has(i)) {
+                color = this.config.markedColor;
+            } else if (i === current) {
+                color = this.config.currentColor;
+            }
+            this.numbers[i].setAttribute('fill', color);
+        }
+
+        this.scrubber.value = this.position;
+        this.playBtn.textContent = this.playing ? '⏸' : '▶';
+        this.counter.textContent = `${Math.ceil(this.position)} / ${this.strokeCount}`;
+    }
+
+    /**
+     * Stop the animation loop; call before discarding the player
+     */
+    destroy() {
+        this.pause();
+        this.element.remove();
+    }
+}
@@ -0,0 +1,135 @@
+// Stroke Rendering Module
+// Draws vector stroke data (see stroke_data.js) as an SVG for the answer
+// panel (animated by StrokePlayer) and as a faint background guide on the canvas
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class StrokeRenderer {
+    constructor() {
+        this.config = {
+            revealWidth: 160,        // Brush width (box units) that uncovers each stroke outline
+            outlineColor: '#4a4f5c', // Not-yet-drawn strokes
+            strokeColor: '#d4d7dc'   // Drawn strokes
+        };
+        this.svgCount = 0;           // Keeps clip-path ids unique across SVGs
+        this.pathCache = new WeakMap();
+    }
+
+    /**
+     * Total length of a median polyline in box units
+     */
+    medianLength(median) {
+        let length = 0;
+        for (let i = 1; i < median.length; i++) {
+            length += Math.hypot(median[i][0] - median[i - 1][0], median[i][1] - median[i - 1][1]);
+        }
+        return length;
+    }
+
+    /**
+     * Build an SVG for one character. Every stroke starts hidden behind its outline;
+     * reveal strokes with setStrokeProgress().
+     */
+    createSVG(glyph) {
+        const id = `stroke-svg-${this.svgCount++}`;
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${STROKE_BOX_SIZE} ${STROKE_BOX_SIZE}`);
+        svg.classList.add('stroke-svg');
+
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('transform', `translate(0, ${STROKE_BOX_TOP}) scale(1, -1)`);
+        svg.appendChild(group);
+
+        const defs = document.createElementNS(SVG_NS, 'defs');
+        group.appendChild(defs);
+
+        // Faint outline of the whole character
+        for (const d of glyph.strokes) {
+            const outline = document.createElementNS(SVG_NS, 'path');
+            outline.setAttribute('d', d);
+            outline.setAttribute('fill', this.config.outlineColor);
+            group.appendChild(outline);
+        }
+
+        // Each stroke is revealed by a thick line along its median, clipped to the outline
+        svg.strokeReveals = glyph.strokes.map((d, i) => {
+            const clipPath = document.createElementNS(SVG_NS, 'clipPath');
+            clipPath.setAttribute('id', `${id}-${i}`);
+            const clipShape = document.createElementNS(SVG_NS, 'path');
+            clipShape.setAttribute('d', d);
+            clipPath.appendChild(clipShape);
+            defs.appendChild(clipPath);
+
+            const median = glyph.medians[i];
+            const length = this.medianLength(median);
+            const reveal = document.createElementNS(SVG_NS, 'path');
+            reveal.setAttribute('d', 'M ' + median.map(([x, y]) => `${x} ${y}`).join(' L '));
+            reveal.setAttribute('fill', 'none');
+            reveal.setAttribute('stroke', this.config.strokeColor);
+            reveal.setAttribute('stroke-width', this.config.revealWidth);
+            reveal.setAttribute('stroke-linecap', 'round');
+            reveal.setAttribute('stroke-linejoin', 'round');
+            reveal.setAttribute('stroke-dasharray', `${length} ${length}`);
+            reveal.setAttribute('clip-path', `url(#${id}-${i})`);
+            reveal.strokeLength = length;
+            group.appendChild(reveal);
+            return reveal;
+        });
+
+        for (let i = 0; i < svg.strokeReveals.length; i++) {
+            this.setStrokeProgress(svg, i, 0);
+        }
+
+        return svg;
+    }
+
+    /**
+     * Show a stroke partially drawn: 0 = hidden, 1 = complete
+     */
+    setStrokeProgress(svg, index, fraction) {
+        const reveal = svg.strokeReveals[index];
+        if (!reveal) return;
+
+        const clamped = Math.max(0, Math.min(1, fraction));
+        reveal.setAttribute('stroke-dashoffset', reveal.strokeLength * (1 - clamped));
+        // A zero-length dash still paints a round cap, so hide untouched strokes outright
+        reveal.style.opacity = clamped > 0 ? 1 : 0;
+    }
+
+    /**
+     * Fill a character's stroke outlines on a canvas, centred in the given box.
+     * Pass strokeIndices to draw only some strokes.
+     * Uses the context's current fillStyle and globalAlpha.
+     */
+    drawGlyph(ctx, glyph, x, y, width, height, strokeIndices = null) {
+        let paths = this.pathCache.get(glyph);
+        if (!paths) {
+            paths = glyph.strokes.map(d => new Path2D(d));
+            this.pathCache.set(glyph, paths);
+        }
+
+        const scale = Math.min(width, height) / STROKE_BOX_SIZE;
+        ctx.save();
+        ctx.translate(
+            x + (width - STROKE_BOX_SIZE * scale) / 2,
+            y + (height - STROKE_BOX_SIZE * scale) / 2
+        );
+        ctx.scale(scale, -scale);
+        ctx.translate(0, -STROKE_BOX_TOP);
+        for (const index of strokeIndices || paths.keys()) {
+            ctx.fill(paths[index]);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Map a box-unit point to canvas coordinates for a glyph drawn with drawGlyph()
+     */
+    toCanvasPoint([px, py], x, y, width, height) {
+        const scale = Math.min(width, height) / STROKE_BOX_SIZE;
+        return {
+            x: x + (width - STROKE_BOX_SIZE * scale) / 2 + px * scale,
+            y: y + (height - STROKE_BOX_SIZE * scale) / 2 + (STROKE_BOX_TOP - py) * scale
+        };
+    }
+}
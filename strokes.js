@@ -0,0 +1,257 @@
+// Stroke Recognition Module
+// Grades a handwritten canvas attempt against reference stroke medians
+
+// Reference data uses the 1024-unit Make Me a Hanzi box with the y axis pointing up
+const STROKE_BOX_SIZE = 1024;
+const STROKE_BOX_TOP = 900;
+
+class StrokeGrader {
+    constructor() {
+        this.config = {
+            samplePoints: 16,          // Points each stroke is resampled to before comparing
+            matchThreshold: 0.18,      // Max mean point distance (fraction of a cell) to count as a match
+            directionMargin: 0.7,      // Reversed match must beat forward match by this ratio to flag direction
+            wrongDirectionCredit: 0.5, // Partial credit for a right stroke drawn backwards
+            ratingThresholds: [0.3, 0.6, 0.8, 0.95], // Score needed for ratings 2, 3, 4, 5
+            hintPenalty: 0.1           // Score lost per hint needed in guided tracing
+        };
+    }
+
+    /**
+     * Convert reference medians for one character into cell coordinates (0-1, y down)
+     */
+    normalizeReference(medians) {
+        return medians.map(median => median.map(([x, y]) => ({
+            x: x / STROKE_BOX_SIZE,
+            y: (STROKE_BOX_TOP - y) / STROKE_BOX_SIZE
+        })));
+    }
+
+    /**
+     * Convert a drawn canvas stroke into coordinates (0-1) within one character cell
+     */
+    toCellCoordinates(stroke, cell, width, height, cellCount) {
+        const cellWidth = width / cellCount;
+        return stroke.map(p => ({
+            x: (p.x - cell * cellWidth) / cellWidth,
+            y: p.y / height
+        }));
+    }
+
+    /**
+     * Split drawn canvas strokes into one list per character cell, in drawing order,
+     * with points converted to cell coordinates (0-1)
+     */
+    splitIntoCells(strokes, width, height, cellCount) {
+        const cellWidth = width / cellCount;
+        const cells = Array.from({ length: cellCount }, () => []);
+
+        for (const stroke of strokes) {
+            if (stroke.length === 0) continue;
+
+            // A stroke belongs to the cell its average x position falls in
+            const meanX = stroke.reduce((sum, p) => sum + p.x, 0) / stroke.length;
+            const cell = Math.min(cellCount - 1, Math.max(0, Math.floor(meanX / cellWidth)));
+
+            cells[cell].push(this.toCellCoordinates(stroke, cell, width, height, cellCount));
+        }
+
+        return cells;
+    }
+
+    /**
+     * Resample a polyline to n points evenly spaced along its length
+     */
+    resample(points, n) {
+        if (points.length === 1) {
+            return Array.from({ length: n }, () => ({ ...points[0] }));
+        }
+
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            const dx = points[i].x - points[i - 1].x;
+            const dy = points[i].y - points[i - 1].y;
+            lengths.push(lengths[i - 1] + Math.hypot(dx, dy));
+        }
+
+        const total = lengths[lengths.length - 1];
+        if (total === 0) {
+            return Array.from({ length: n }, () => ({ ...points[0] }));
+        }
+
+        const result = [];
+        let segment = 1;
+        for (let i = 0; i < n; i++) {
+            const target = (total * i) / (n - 1);
+            while (segment < points.length - 1 && lengths[segment] < target) {
+                segment++;
+            }
+            const segLength = lengths[segment] - lengths[segment - 1];
+            const t = segLength > 0 ? (target - lengths[segment - 1]) / segLength : 0;
+            const a = points[segment - 1];
+            const b = points[segment];
+            result.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+
+        return result;
+    }
+
+    /**
+     * Average distance between corresponding points of two equal-length polylines
+     */
+    meanDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+        }
+        return sum / a.length;
+    }
+
+    /**
+     * Compare one drawn stroke with one reference stroke.
+     * Returns forward and reversed distances so direction can be judged.
+     */
+    compareStroke(drawn, reference) {
+        const n = this.config.samplePoints;
+        const a = this.resample(drawn, n);
+        const b = this.resample(reference, n);
+
+        const forward = this.meanDistance(a, b);
+        const reversed = this.meanDistance([...a].reverse(), b);
+
+        return { forward, reversed, distance: Math.min(forward, reversed) };
+    }
+
+    /**
+     * Check a single drawn stroke against one expected stroke (guided tracing).
+     * Returns 'correct', 'wrongDirection' or 'wrongShape'.
+     */
+    checkStroke(stroke, median, cell, width, height, cellCount) {
+        const drawn = this.toCellCoordinates(stroke, cell, width, height, cellCount);
+        const reference = this.normalizeReference([median])[0];
+        const match = this.compareStroke(drawn, reference);
+
+        if (match.distance > this.config.matchThreshold) return 'wrongShape';
+        return match.reversed < match.forward * this.config.directionMargin
+            ? 'wrongDirection'
+            : 'correct';
+    }
+
+    /**
+     * Grade the strokes drawn for a single character.
+     * Each expected stroke is judged against the stroke drawn in the same position:
+     * 'correct', 'wrongDirection', 'outOfOrder' (matches a different expected stroke),
+     * 'wrongShape' or 'missing'.
+     */
+    gradeCharacter(drawnStrokes, referenceStrokes) {
+        const threshold = this.config.matchThreshold;
+        const strokes = [];
+
+        for (let i = 0; i < referenceStrokes.length; i++) {
+            const drawn = drawnStrokes[i];
+            if (!drawn) {
+                strokes.push({ index: i, status: 'missing', distance: null });
+                continue;
+            }
+
+            const match = this.compareStroke(drawn, referenceStrokes[i]);
+            let status;
+
+            if (match.distance <= threshold) {
+                status = match.reversed < match.forward * this.config.directionMargin
+                    ? 'wrongDirection'
+                    : 'correct';
+            } else {
+                // Not this stroke — check whether it is another stroke drawn out of order
+                const matchesOther = referenceStrokes.some((reference, j) =>
+                    j !== i && this.compareStroke(drawn, reference).distance <= threshold
+                );
+                status = matchesOther ? 'outOfOrder' : 'wrongShape';
+            }
+
+            strokes.push({ index: i, status, distance: match.distance });
+        }
+
+        const credit = strokes.reduce((sum, s) => {
+            if (s.status === 'correct') return sum + 1;
+            if (s.status === 'wrongDirection') return sum + this.config.wrongDirectionCredit;
+            return sum;
+        }, 0);
+
+        return {
+            expectedCount: referenceStrokes.length,
+            drawnCount: drawnStrokes.length,
+            correctCount: strokes.filter(s => s.status === 'correct').length,
+            credit,
+            strokes,
+            wrongStrokes: strokes
+                .filter(s => s.status === 'wrongShape' || s.status === 'wrongDirection' || s.status === 'missing')
+                .map(s => s.index),
+            outOfOrderStrokes: strokes.filter(s => s.status === 'outOfOrder').map(s => s.index)
+        };
+    }
+
+    /**
+     * Grade a full canvas attempt.
+     * @param strokes - drawn strokes as arrays of {x, y} canvas points
+     * @param references - one medians array per character in the word
+     * @param width, height - canvas size the strokes were drawn on
+     */
+    grade(strokes, references, width, height) {
+        const cells = this.splitIntoCells(strokes, width, height, references.length);
+
+        const characters = references.map((medians, i) =>
+            this.gradeCharacter(cells[i], this.normalizeReference(medians))
+        );
+
+        const expectedCount = characters.reduce((sum, c) => sum + c.expectedCount, 0);
+        const drawnCount = characters.reduce((sum, c) => sum + c.drawnCount, 0);
+        const correctCount = characters.reduce((sum, c) => sum + c.correctCount, 0);
+        const credit = characters.reduce((sum, c) => sum + c.credit, 0);
+
+        // Extra strokes count against the score just like missing ones
+        const score = expectedCount > 0 ? credit / Math.max(expectedCount, drawnCount) : 0;
+
+        return {
+            characters,
+            expectedCount,
+            drawnCount,
+            correctCount,
+            score,
+            suggestedRating: this.suggestRating(score, drawnCount)
+        };
+    }
+
+    /**
+     * Fold the hints needed during guided tracing into a grade.
+     * Traced strokes are always right by the end, so hints are what separates attempts:
+     * each hinted stroke is reported as wrong and costs hintPenalty of the score.
+     * @param hintedStrokes - one {cell, index} per hint shown
+     */
+    applyHints(grade, hintedStrokes) {
+        const hints = hintedStrokes.length;
+        const score = Math.max(0, grade.score - hints * this.config.hintPenalty);
+
+        const characters = grade.characters.map((character, cell) => {
+            const hinted = hintedStrokes.filter(h => h.cell === cell).map(h => h.index);
+            const wrongStrokes = [...new Set([...character.wrongStrokes, ...hinted])].sort((a, b) => a - b);
+            return { ...character, wrongStrokes };
+        });
+
+        return {
+            ...grade,
+            characters,
+            hints,
+            score,
+            suggestedRating: this.suggestRating(score, grade.drawnCount)
+        };
+    }
+
+    /**
+     * Map a 0-1 score onto the app's 1-5 difficulty scale
+     */
+    suggestRating(score, drawnCount) {
+        if (drawnCount === 0) return 1;
+        return 1 + this.config.ratingThresholds.filter(t => score >= t).length;
+    }
+}
@@ -1,6 +1,6 @@
 // Service Worker for Chinese Character Learning App
 const CACHE_NAME = 'chinese-chars-v1';
-const STATIC_CACHE = 'static-v1';
+const STATIC_CACHE = 'static-v2';  // Bump when the core files change, so returning users get them
 
 // Core app files that should always be cached
 const CORE_FILES = [
@@ -9,7 +9,21 @@ const CORE_FILES = [
     './app.js',
     './chars_data.js',
     './style.css',
-    './algorithms.js'
+    './algorithms.js',
+    './pinyin.js',
+    './deck.js',
+    './storage.js',
+    './settings.js',
+    './optimizer.js',
+    './strokes.js',
+    './stroke_render.js',
+    './stroke_player.js',
+    './brush.js',
+    './canvas_layout.js',
+    './grid.js',
+    './attempts.js',
+    './stats.js',
+    './stroke_data.js'
 ];
 
 // Install event - cache core files
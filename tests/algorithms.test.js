@@ -0,0 +1,595 @@
+// Unit tests for algorithms.js
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    ImprovedSSRAlgorithm,
+    AnkiAlgorithm,
+    AggressiveAlgorithm,
+    MasteryBasedAlgorithm,
+    BucketAlgorithm,
+    FocusedSetsAlgorithm,
+    KnownSetAlgorithm,
+    RollingWindowAlgorithm,
+    FSRSAlgorithm,
+    ALGORITHMS,
+    createAlgorithm,
+    recordRating,
+    sanitizeProgress
+} = require('../algorithms.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// ===== Fixtures =====
+
+function makeCharacters(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        character: String.fromCharCode(0x4E00 + i),
+        frequency_rank: i + 1
+    }));
+}
+
+// A card seen a while ago (not today), not yet due
+function makeProgress(overrides = {}) {
+    const longAgo = Date.now() - 30 * DAY;
+    return {
+        firstSeen: longAgo,
+        reviewCount: 3,
+        successCount: 3,
+        successRate: 1,
+        lastDifficulty: 4,
+        lastSeen: longAgo,
+        nextReview: Date.now() + DAY,
+        interval: DAY,
+        history: [4, 4, 4],
+        ...overrides
+    };
+}
+
+function makeState(overrides = {}) {
+    return {
+        recentFailedCards: new Set(),
+        sessionCorrectStreak: 0,
+        todayReviews: 0,
+        lastShownIndex: null,
+        ...overrides
+    };
+}
+
+// Run fn with Math.random returning the given values in turn (the last one repeats)
+function withRandom(values, fn) {
+    const realRandom = Math.random;
+    let i = 0;
+    Math.random = () => values[Math.min(i++, values.length - 1)];
+    try {
+        return fn();
+    } finally {
+        Math.random = realRandom;
+    }
+}
+
+// ===== Every algorithm =====
+
+test('createAlgorithm builds every registered algorithm and defaults to Rolling Window', () => {
+    for (const [type, AlgorithmClass] of Object.entries(ALGORITHMS)) {
+        assert.ok(createAlgorithm(type) instanceof AlgorithmClass, type);
+    }
+    assert.ok(createAlgorithm('nope') instanceof RollingWindowAlgorithm);
+    assert.ok(createAlgorithm() instanceof RollingWindowAlgorithm);
+});
+
+test('every algorithm picks a card in range from empty and partly seen progress', () => {
+    const characters = makeCharacters(10);
+    for (const type of Object.keys(ALGORITHMS)) {
+        for (const userProgress of [{}, { 0: makeProgress(), 3: makeProgress({ inSet: true }) }]) {
+            const result = createAlgorithm(type).getNextCard(characters, userProgress, makeState());
+            assert.ok(result && result.index >= 0 && result.index < characters.length, type);
+            assert.strictEqual(result.char, characters[result.index], type);
+        }
+    }
+});
+
+// ===== Improved SSR =====
+
+test('ImprovedSSR shows recently failed cards first, harder failures first', () => {
+    const algorithm = new ImprovedSSRAlgorithm();
+    const now = Date.now();
+    const userProgress = {
+        0: makeProgress({ nextReview: now - HOUR }),                            // due
+        1: makeProgress({ lastSeen: now - MINUTE, lastDifficulty: 2 }),         // failed
+        2: makeProgress({ lastSeen: now - MINUTE, lastDifficulty: 1 })          // failed, No Idea
+    };
+    const state = makeState({ recentFailedCards: new Set([1, 2]) });
+    assert.strictEqual(algorithm.getNextCard(makeCharacters(5), userProgress, state).index, 2);
+});
+
+test('ImprovedSSR shows due cards before new ones, the most overdue first', () => {
+    const algorithm = new ImprovedSSRAlgorithm();
+    const now = Date.now();
+    const userProgress = {
+        0: makeProgress({ nextReview: now - HOUR }),
+        1: makeProgress({ nextReview: now - 10 * HOUR }),
+        2: makeProgress()  // not due
+    };
+    const state = makeState({ sessionCorrectStreak: 10 });
+    assert.strictEqual(algorithm.getNextCard(makeCharacters(5), userProgress, state).index, 1);
+});
+
+test('ImprovedSSR only introduces new cards on a correct streak', () => {
+    const algorithm = new ImprovedSSRAlgorithm();
+    const now = Date.now();
+    const userProgress = {
+        0: makeProgress({ lastSeen: now - HOUR }),
+        1: makeProgress({ lastSeen: now - 2 * HOUR })
+    };
+    const characters = makeCharacters(5);
+
+    // Streak reached: the next new card in order
+    const streak = makeState({ sessionCorrectStreak: algorithm.config.minCorrectStreakForNew });
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, streak).index, 2);
+
+    // No streak: the longest-unseen card instead
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, makeState()).index, 1);
+});
+
+test('ImprovedSSR stops introducing new cards at the daily limit', () => {
+    const algorithm = new ImprovedSSRAlgorithm();
+    const now = Date.now();
+    const userProgress = {};
+    for (let i = 0; i < algorithm.config.maxNewCardsPerDay; i++) {
+        userProgress[i] = makeProgress({ firstSeen: now, lastSeen: now - (i + 1) * MINUTE });
+    }
+    const state = makeState({ sessionCorrectStreak: 10 });
+    const result = algorithm.getNextCard(makeCharacters(10), userProgress, state);
+    assert.strictEqual(result.index, algorithm.config.maxNewCardsPerDay - 1);  // Longest unseen
+});
+
+test('ImprovedSSR intervals grow with the rating and success rate, within bounds', () => {
+    const algorithm = new ImprovedSSRAlgorithm();
+    assert.strictEqual(algorithm.calculateInitialInterval(1), 30 * 1000);
+    assert.strictEqual(algorithm.calculateInitialInterval(4), 4 * HOUR);
+    assert.strictEqual(algorithm.calculateInitialInterval(5), DAY);
+
+    assert.strictEqual(algorithm.calculateNextInterval(1, DAY, 1), 30 * 1000);  // Reset
+    assert.strictEqual(algorithm.calculateNextInterval(4, HOUR, 0.7), 2 * HOUR);
+    assert.strictEqual(algorithm.calculateNextInterval(4, HOUR, 0.95), 2 * 1.3 * HOUR);
+    assert.strictEqual(algorithm.calculateNextInterval(4, HOUR, 0.4), 2 * 0.6 * HOUR);
+    assert.strictEqual(algorithm.calculateNextInterval(5, 5 * DAY, 1), algorithm.config.maxInterval);
+    assert.strictEqual(algorithm.calculateNextInterval(2, 1000, 0.1), 30 * 1000);  // Floor
+});
+
+// ===== Classic Anki =====
+
+test('Anki shows the most overdue card, then new cards in order', () => {
+    const algorithm = new AnkiAlgorithm();
+    const now = Date.now();
+    const characters = makeCharacters(5);
+    const userProgress = {
+        0: makeProgress({ nextReview: now - HOUR }),
+        1: makeProgress({ nextReview: now - DAY })
+    };
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, makeState()).index, 1);
+
+    const nothingDue = { 0: makeProgress(), 1: makeProgress() };
+    assert.strictEqual(algorithm.getNextCard(characters, nothingDue, makeState()).index, 2);
+});
+
+test('Anki intervals multiply by the ease, reset on a fail and cap at a year', () => {
+    const algorithm = new AnkiAlgorithm();
+    const ease = algorithm.config.startingEase;
+    assert.strictEqual(algorithm.calculateInitialInterval(3), DAY);
+    assert.strictEqual(algorithm.calculateNextInterval(1, 10 * DAY, 1), MINUTE);
+    assert.strictEqual(algorithm.calculateNextInterval(4, DAY, 1), ease * DAY);
+    assert.strictEqual(algorithm.calculateNextInterval(5, DAY, 1), ease * algorithm.config.easyBonus * DAY);
+    assert.strictEqual(algorithm.calculateNextInterval(5, 300 * DAY, 1), 365 * DAY);
+});
+
+// ===== Aggressive Learning =====
+
+test('Aggressive Learning picks cards with Improved SSR\'s default new-card limits', () => {
+    // Its own maxNewCardsPerDay/minCorrectStreakForNew aren't used for selection
+    const algorithm = new AggressiveAlgorithm();
+    const defaults = new ImprovedSSRAlgorithm().config;
+    const userProgress = { 0: makeProgress() };
+    const characters = makeCharacters(5);
+
+    const shortStreak = makeState({ sessionCorrectStreak: defaults.minCorrectStreakForNew - 1 });
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, shortStreak).index, 0);
+
+    const streak = makeState({ sessionCorrectStreak: defaults.minCorrectStreakForNew });
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, streak).index, 1);
+});
+
+test('Aggressive Learning intervals are short and capped at 3 days', () => {
+    const algorithm = new AggressiveAlgorithm();
+    assert.strictEqual(algorithm.calculateInitialInterval(5), 2 * HOUR);
+    assert.strictEqual(algorithm.calculateNextInterval(1, DAY, 1), 15 * 1000);
+    assert.strictEqual(algorithm.calculateNextInterval(5, HOUR, 0.9), 2 * 1.2 * HOUR);
+    assert.strictEqual(algorithm.calculateNextInterval(5, HOUR, 0.5), 2 * 0.8 * HOUR);
+    assert.strictEqual(algorithm.calculateNextInterval(5, 2 * DAY, 1), 3 * DAY);
+});
+
+// ===== Mastery Based =====
+
+test('MasteryBased mastery levels follow review count and success rate', () => {
+    const algorithm = new MasteryBasedAlgorithm();
+    assert.strictEqual(algorithm.getMasteryLevel(undefined), 'new');
+    assert.strictEqual(algorithm.getMasteryLevel({ reviewCount: 0, successRate: 0 }), 'new');
+    assert.strictEqual(algorithm.getMasteryLevel({ reviewCount: 2, successRate: 1 }), 'learning');
+    assert.strictEqual(algorithm.getMasteryLevel({ reviewCount: 3, successRate: 0.6 }), 'familiar');
+    assert.strictEqual(algorithm.getMasteryLevel({ reviewCount: 3, successRate: 0.9 }), 'mastered');
+    assert.strictEqual(algorithm.getMasteryLevel({ reviewCount: 5, successRate: 0.8 }), 'mastered');
+    assert.strictEqual(algorithm.getMasteryLevel({ reviewCount: 10, successRate: 0.7 }), 'familiar');
+});
+
+test('MasteryBased shows cards when their position comes up, new cards when nothing is due', () => {
+    const algorithm = new MasteryBasedAlgorithm();
+    const characters = makeCharacters(5);
+    const userProgress = {
+        0: makeProgress({ targetReviewPosition: 3 }),
+        1: makeProgress({ targetReviewPosition: 20 })
+    };
+    const streak = makeState({ sessionCorrectStreak: 1 });
+
+    // Card 1 is shown (position 1): nothing due yet, so a new card
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, streak).index, 2);
+    assert.strictEqual(algorithm.sessionCardsSeen, 1);
+
+    // Without a streak, the card due soonest
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, makeState()).index, 0);
+
+    // Position 3: card 0 is due
+    assert.strictEqual(algorithm.getNextCard(characters, userProgress, streak).index, 0);
+});
+
+test('MasteryBased target positions fall in each rating\'s range', () => {
+    const algorithm = new MasteryBasedAlgorithm();
+    algorithm.sessionCardsSeen = 10;
+    for (const [rating, { min, max }] of Object.entries(algorithm.config.difficultyIntervals)) {
+        assert.strictEqual(withRandom([0], () => algorithm.calculateTargetReviewPosition(Number(rating))), 10 + min);
+        const latest = withRandom([0.999], () => algorithm.calculateTargetReviewPosition(Number(rating)));
+        assert.ok(latest >= 10 + min && latest < 10 + max, `rating ${rating}`);
+    }
+});
+
+// ===== Bucket Learning =====
+
+test('Bucket cards are mastered after enough consecutive good ratings, unless unmastered', () => {
+    const algorithm = new BucketAlgorithm();
+    const threshold = algorithm.config.masteryThreshold;
+    assert.strictEqual(algorithm.isCardMastered({ consecutiveGood: threshold - 1 }), false);
+    assert.strictEqual(algorithm.isCardMastered({ consecutiveGood: threshold }), true);
+    assert.strictEqual(algorithm.isCardMastered({ consecutiveGood: threshold, wasUnmastered: true }), false);
+    assert.strictEqual(algorithm.isCardCorrect(3), false);
+    assert.strictEqual(algorithm.isCardCorrect(4), true);
+});
+
+test('Bucket fills up with new cards or mastery checks, then drills the bucket', () => {
+    const algorithm = new BucketAlgorithm();
+    const characters = makeCharacters(10);
+    const userProgress = {
+        0: makeProgress({ inBucket: true }),
+        1: makeProgress({ consecutiveGood: 5 })  // Mastered
+    };
+
+    const newCard = withRandom([0.9], () => algorithm.getNextCard(characters, userProgress, makeState()));
+    assert.deepStrictEqual([newCard.index, newCard.addToBucket], [2, true]);
+
+    const check = withRandom([0.1, 0], () => algorithm.getNextCard(characters, userProgress, makeState()));
+    assert.deepStrictEqual([check.index, check.isMasteryCheck], [1, true]);
+
+    // Full bucket: only bucket cards
+    const full = {};
+    for (let i = 0; i < algorithm.config.bucketSize; i++) full[i] = makeProgress({ inBucket: true });
+    for (let draw = 0; draw < 20; draw++) {
+        assert.ok(algorithm.getNextCard(characters, full, makeState()).index < algorithm.config.bucketSize);
+    }
+});
+
+// ===== Focused Sets =====
+
+test('FocusedSets scores rise for hard ratings and fall for easy ones', () => {
+    const algorithm = new FocusedSetsAlgorithm();
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(rating => algorithm.updateScore(0, rating)), [5, 3, 1, -1, -3]);
+    assert.strictEqual(algorithm.updateScore(2, 7), 2);  // Unknown rating: unchanged
+    assert.strictEqual(algorithm.getCardScore(undefined), algorithm.config.initialScore);
+});
+
+test('FocusedSets weighted selection favours higher scores and handles negative ones', () => {
+    const algorithm = new FocusedSetsAlgorithm();
+    const items = [{ score: -3 }, { score: 5 }];
+    // Offset by 4: weights 1 and 9
+    assert.strictEqual(withRandom([0.05], () => algorithm.weightedRandomSelect(items, item => item.score)), items[0]);
+    assert.strictEqual(withRandom([0.5], () => algorithm.weightedRandomSelect(items, item => item.score)), items[1]);
+    assert.strictEqual(algorithm.weightedRandomSelect([], item => item.score), null);
+});
+
+test('FocusedSets starts a set of setSize distinct cards, once', () => {
+    const algorithm = new FocusedSetsAlgorithm();
+    const characters = makeCharacters(20);
+    const indices = algorithm.initializeSet(characters, {});
+    assert.strictEqual(indices.length, algorithm.config.setSize);
+    assert.strictEqual(new Set(indices).size, indices.length);
+
+    assert.deepStrictEqual(algorithm.initializeSet(characters, { 4: makeProgress({ inSet: true }) }), []);
+});
+
+test('FocusedSets backfills a short set and otherwise only shows set cards', () => {
+    const algorithm = new FocusedSetsAlgorithm();
+    const characters = makeCharacters(20);
+    const userProgress = { 3: makeProgress({ inSet: true }) };
+
+    const backfill = algorithm.getNextCard(characters, userProgress, makeState());
+    assert.strictEqual(backfill.addToSet, true);
+    assert.notStrictEqual(backfill.index, 3);
+
+    for (const i of [5, 6, 7, 8]) userProgress[i] = makeProgress({ inSet: true });
+    for (let draw = 0; draw < 20; draw++) {
+        const result = algorithm.getNextCard(characters, userProgress, makeState());
+        assert.ok([3, 5, 6, 7, 8].includes(result.index));
+        assert.strictEqual(result.addToSet, undefined);
+    }
+});
+
+test('FocusedSets cards graduate when their score drops below their entry score', () => {
+    const algorithm = new FocusedSetsAlgorithm();
+    const options = { character: '一', log: () => {} };
+
+    const easy = recordRating(algorithm, makeProgress({ inSet: true, setEntryScore: 0, score: 0 }), 5, options);
+    assert.deepStrictEqual([easy.progress.score, easy.progress.inSet, easy.graduated], [-3, false, true]);
+
+    const hard = recordRating(algorithm, makeProgress({ inSet: true, setEntryScore: 0, score: 0 }), 1, options);
+    assert.deepStrictEqual([hard.progress.score, hard.progress.inSet, hard.graduated], [5, true, false]);
+
+    // Joining the set records the score it joined with
+    const joined = recordRating(algorithm, makeProgress({ score: 2 }), 3, { ...options, result: { addToSet: true } });
+    assert.deepStrictEqual([joined.progress.inSet, joined.progress.setEntryScore, joined.progress.score], [true, 2, 3]);
+});
+
+// ===== Known Set =====
+
+test('KnownSet grows to setSize, then only as its cards are mastered', () => {
+    const algorithm = new KnownSetAlgorithm();
+    const card = (score, reviewCount = 5) => ({ score, progress: { reviewCount } });
+
+    assert.strictEqual(algorithm.shouldAddNewCard([card(0)]), true);  // Below setSize
+
+    // Unreviewed cards don't count towards mastery
+    assert.strictEqual(algorithm.calculateSetMastery([card(-10, 1), card(-10, 2)]), 0);
+    assert.strictEqual(algorithm.calculateSetMastery([card(-10), card(10)]), 0.5);
+
+    const struggling = Array.from({ length: 5 }, () => card(10));
+    assert.strictEqual(withRandom([0.01], () => algorithm.shouldAddNewCard(struggling)), false);
+    const mastered = Array.from({ length: 5 }, () => card(-10));
+    assert.strictEqual(withRandom([0.5], () => algorithm.shouldAddNewCard(mastered)), true);
+
+    const full = Array.from({ length: algorithm.config.maxSetSize }, () => card(-10));
+    assert.strictEqual(algorithm.shouldAddNewCard(full), false);
+});
+
+test('KnownSet adds cards in frequency order', () => {
+    const algorithm = new KnownSetAlgorithm();
+    const userProgress = { 0: makeProgress({ inSet: true }), 1: makeProgress() };
+    assert.deepStrictEqual(
+        algorithm.findNextCardByFrequency(makeCharacters(5), userProgress),
+        { char: makeCharacters(5)[1], index: 1, isNew: false }
+    );
+    assert.strictEqual(algorithm.findNextCardByFrequency(makeCharacters(1), { 0: makeProgress({ inSet: true }) }), null);
+});
+
+// ===== Rolling Window =====
+
+test('RollingWindow strength is a weighted average of the last windowSize ratings', () => {
+    const algorithm = new RollingWindowAlgorithm();
+    assert.strictEqual(algorithm.getCardStrength({ history: [5, 5, 5, 5, 5] }), 1);
+    assert.strictEqual(algorithm.getCardStrength({ history: [1] }), 0);
+    assert.strictEqual(algorithm.getCardStrength({ history: [1, 1, 1, 1, 1, 5, 5, 5, 5, 5] }), 1);  // Only the window counts
+
+    // Two ratings use the last two weights (2.5, 3): (1 × 2.5 + 5 × 3) / 5.5
+    const expected = ((1 * 2.5 + 5 * 3) / 5.5 - 1) / 4;
+    assert.ok(Math.abs(algorithm.getCardStrength({ history: [1, 5] }) - expected) < 1e-12);
+});
+
+test('RollingWindow strength ignores corrupt history', () => {
+    const algorithm = new RollingWindowAlgorithm();
+    assert.strictEqual(algorithm.getCardStrength(undefined), 0);
+    assert.strictEqual(algorithm.getCardStrength({}), 0);
+    assert.strictEqual(algorithm.getCardStrength({ history: [NaN, null, 'x'] }), 0);
+    assert.strictEqual(algorithm.getCardStrength({ history: [5, NaN, 5] }), 1);
+    assert.ok(Number.isFinite(algorithm.getEffectiveStrength({ history: [NaN, 4] })));
+});
+
+test('RollingWindow discounts strength until a card has enough reviews', () => {
+    const algorithm = new RollingWindowAlgorithm();
+    const proven = algorithm.config.minReviewsToProve;
+    assert.strictEqual(algorithm.getEffectiveStrength({ history: [5] }), 1 / proven);
+    assert.strictEqual(algorithm.getEffectiveStrength({ history: Array(proven).fill(5) }), 1);
+});
+
+test('RollingWindow adds a card when the set is strong on average', () => {
+    const algorithm = new RollingWindowAlgorithm();
+    const set = strength => Array.from({ length: algorithm.config.setSize }, () => ({ strength }));
+    assert.strictEqual(algorithm.shouldAddNewCard(set(0).slice(1)), true);
+    assert.strictEqual(algorithm.shouldAddNewCard(set(algorithm.config.addCardThreshold)), true);
+    assert.strictEqual(algorithm.shouldAddNewCard(set(algorithm.config.addCardThreshold - 0.01)), false);
+});
+
+test('RollingWindow drills the weakest tier, never the card just shown', () => {
+    const algorithm = new RollingWindowAlgorithm();
+    const setCards = [
+        { index: 0, strength: 0.1 },
+        { index: 1, strength: 0.15 },
+        { index: 2, strength: 0.9 },
+        { index: 3, strength: NaN }  // Corrupt: treated as weakest
+    ];
+    for (let draw = 0; draw < 20; draw++) {
+        const selected = algorithm.selectWeakestCard(setCards, 3);
+        assert.ok([0, 1].includes(selected.index));
+    }
+    assert.strictEqual(withRandom([0], () => algorithm.selectWeakestCard(setCards, 0)).index, 1);
+    assert.strictEqual(algorithm.selectWeakestCard([{ index: 5, strength: 1 }], 5).index, 5);  // Only card
+});
+
+test('RollingWindow refreshes the least recently shown mastered card', () => {
+    const algorithm = new RollingWindowAlgorithm();
+    const setCards = [
+        { index: 0, strength: 1, progress: { lastSeen: 300 } },
+        { index: 1, strength: 0.95, progress: { lastSeen: 100 } },
+        { index: 2, strength: 0.2, progress: { lastSeen: 0 } }
+    ];
+    assert.strictEqual(algorithm.selectRefreshCard(setCards, null).index, 1);
+    assert.strictEqual(algorithm.selectRefreshCard(setCards, 1).index, 0);
+    assert.strictEqual(algorithm.selectRefreshCard(setCards.slice(2), null), null);
+});
+
+// ===== FSRS =====
+
+test('FSRS retrievability is 90% after stability days, and intervals follow the target retention', () => {
+    const algorithm = new FSRSAlgorithm();
+    assert.ok(Math.abs(FSRSAlgorithm.retrievability(10, 10) - 0.9) < 1e-12);
+    assert.ok(Math.abs(algorithm.stabilityToInterval(10) - 10 * DAY) < 1);
+
+    algorithm.config.requestRetention = 0.8;
+    assert.ok(algorithm.stabilityToInterval(10) > 10 * DAY);
+});
+
+test('FSRS first ratings start from the grade\'s initial stability and difficulty', () => {
+    const algorithm = new FSRSAlgorithm();
+    const w = algorithm.config.w;
+    // App ratings 1, 3, 4 and 5 are FSRS grades Again, Hard, Good and Easy
+    const [again, hard, good, easy] = [1, 3, 4, 5].map(rating => algorithm.scheduleReview(null, rating, 1000));
+
+    assert.deepStrictEqual([again, hard, good, easy].map(r => r.memory.stability), [w[0], w[1], w[2], w[3]]);
+    assert.ok(Math.abs(good.memory.difficulty - w[4]) < 1e-12);
+    assert.ok(Math.abs(again.memory.difficulty - (w[4] + 2 * w[5])) < 1e-12);
+    assert.ok(Math.abs(easy.memory.difficulty - (w[4] - w[5])) < 1e-12);
+    assert.deepStrictEqual([good.memory.retrievability, good.memory.lastReview], [1, 1000]);
+
+    // Difficulty stays within 1-10 however extreme the weights
+    algorithm.config.w = [...w];
+    algorithm.config.w[5] = 10;
+    assert.strictEqual(algorithm.scheduleReview(null, 1, 0).memory.difficulty, 10);
+    assert.strictEqual(algorithm.scheduleReview(null, 5, 0).memory.difficulty, 1);
+});
+
+test('FSRS first intervals come due when recall falls to the target retention', () => {
+    const algorithm = new FSRSAlgorithm();
+    for (const retention of [0.7, 0.8, 0.9, 0.95]) {
+        algorithm.config.requestRetention = retention;
+        const { memory, interval } = algorithm.scheduleReview(null, 4, 0);
+        const recallWhenDue = FSRSAlgorithm.retrievability(interval / DAY, memory.stability);
+        assert.ok(Math.abs(recallWhenDue - retention) < 1e-9, `retention ${retention}`);
+    }
+
+    // Failed cards come back after againInterval; intervals stay within bounds
+    assert.strictEqual(algorithm.scheduleReview(null, 1, 0).interval, algorithm.config.againInterval);
+    algorithm.config.requestRetention = 0.9;
+    assert.strictEqual(algorithm.stabilityToInterval(10000), algorithm.config.maxInterval);
+    assert.strictEqual(algorithm.stabilityToInterval(0.0001), algorithm.config.againInterval);
+});
+
+test('FSRS maps ratings to grades and relearns failed cards quickly', () => {
+    const algorithm = new FSRSAlgorithm();
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(rating => algorithm.getGrade(rating)), [1, 1, 2, 3, 4]);
+    assert.strictEqual(algorithm.isCardFailed(2), true);
+    assert.strictEqual(algorithm.isCardCorrect(3), true);
+
+    const first = algorithm.scheduleReview(null, 4, 0);
+    assert.strictEqual(first.memory.stability, algorithm.config.w[2]);
+
+    const later = first.interval;
+    const recalled = algorithm.scheduleReview(first.memory, 4, later);
+    assert.ok(recalled.memory.stability > first.memory.stability);
+    assert.ok(Math.abs(recalled.memory.retrievability - 0.9) < 1e-9);  // Reviewed right when due
+
+    const forgotten = algorithm.scheduleReview(first.memory, 1, later);
+    assert.ok(forgotten.memory.stability <= first.memory.stability);
+    assert.ok(forgotten.memory.difficulty > first.memory.difficulty);
+    assert.strictEqual(forgotten.interval, algorithm.config.againInterval);
+});
+
+// ===== recordRating =====
+
+test('recordRating starts a record on the first rating', () => {
+    const algorithm = new ImprovedSSRAlgorithm();
+    const { progress } = recordRating(algorithm, undefined, 4, { character: '一', now: 1000, log: () => {} });
+    assert.strictEqual(progress.character, '一');
+    assert.deepStrictEqual(progress.history, [4]);
+    assert.deepStrictEqual([progress.reviewCount, progress.successCount, progress.successRate], [1, 1, 1]);
+    assert.strictEqual(progress.nextReview, 1000 + algorithm.calculateInitialInterval(4));
+    assert.strictEqual(progress.consecutiveGood, 1);
+});
+
+test('recordRating updates history, success rate and interval', () => {
+    const algorithm = new ImprovedSSRAlgorithm();
+    const record = makeProgress({ reviewCount: 1, successCount: 1, history: [4], interval: HOUR });
+    const { progress } = recordRating(algorithm, record, 1, { character: '一', now: 5000, log: () => {} });
+    assert.strictEqual(progress, record);  // Updated in place
+    assert.deepStrictEqual(progress.history, [4, 1]);
+    assert.strictEqual(progress.successRate, 0.5);
+    assert.strictEqual(progress.interval, 30 * 1000);
+    assert.strictEqual(progress.nextReview, 5000 + 30 * 1000);
+    assert.strictEqual(progress.consecutiveGood, 0);
+});
+
+test('recordRating repairs a record without history', () => {
+    const algorithm = new RollingWindowAlgorithm();
+    const record = makeProgress({ history: undefined });
+    const { progress } = recordRating(algorithm, record, 5, { character: '一', log: () => {} });
+    assert.deepStrictEqual(progress.history, [5]);
+});
+
+test('recordRating masters bucket cards after a good streak and unmasters them on a slip', () => {
+    const algorithm = new BucketAlgorithm();
+    const options = { character: '一', log: () => {} };
+    let progress = recordRating(algorithm, undefined, 4, { ...options, result: { addToBucket: true } }).progress;
+    assert.strictEqual(progress.inBucket, true);
+
+    for (let i = 1; i < algorithm.config.masteryThreshold; i++) {
+        progress = recordRating(algorithm, progress, 5, { ...options, now: 1000 + i }).progress;
+    }
+    assert.strictEqual(progress.masteredAt, 1000 + algorithm.config.masteryThreshold - 1);
+    assert.strictEqual(progress.inBucket, false);
+    assert.strictEqual(algorithm.isCardMastered(progress), true);
+
+    progress = recordRating(algorithm, progress, 3, options).progress;
+    assert.deepStrictEqual([progress.masteredAt, progress.wasUnmastered, progress.inBucket], [null, true, true]);
+    assert.strictEqual(algorithm.isCardMastered(progress), false);
+});
+
+// ===== sanitizeProgress =====
+
+test('sanitizeProgress strips corrupt ratings and backs out their review counts', () => {
+    const progress = {
+        '一': makeProgress({ reviewCount: 5, successCount: 3, successRate: 0.6, history: [4, NaN, 4, null, 4], lastDifficulty: 4 })
+    };
+    assert.strictEqual(sanitizeProgress(progress), 2);
+    assert.deepStrictEqual(progress['一'].history, [4, 4, 4]);
+    assert.strictEqual(progress['一'].reviewCount, 3);
+    assert.strictEqual(progress['一'].successRate, 1);
+});
+
+test('sanitizeProgress restores a corrupt lastDifficulty from the last valid rating, or clears it', () => {
+    const progress = {
+        '一': makeProgress({ reviewCount: 3, successCount: 2, history: [5, 2, NaN], lastDifficulty: NaN }),
+        '二': makeProgress({ reviewCount: 1, successCount: 0, history: [NaN], lastDifficulty: NaN })
+    };
+    assert.strictEqual(sanitizeProgress(progress), 4);
+    assert.strictEqual(progress['一'].lastDifficulty, 2);
+    assert.strictEqual(progress['二'].lastDifficulty, null);
+    assert.deepStrictEqual(progress['二'].history, []);
+    assert.strictEqual(progress['二'].reviewCount, 0);
+    assert.strictEqual(progress['二'].successRate, 0);
+});
+
+test('sanitizeProgress leaves clean records and non-record values alone', () => {
+    const clean = makeProgress();
+    const progress = { '一': clean, '二': makeProgress({ history: undefined }), '三': null };
+    const before = JSON.stringify(progress);
+    assert.strictEqual(sanitizeProgress(progress), 0);
+    assert.strictEqual(JSON.stringify(progress), before);
+    assert.strictEqual(progress['一'], clean);
+});
@@ -0,0 +1,141 @@
+// Unit tests for pinyin.js
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    markPinyinSyllable,
+    segmentPinyin,
+    parsePinyin,
+    formatPinyin,
+    checkPinyin
+} = require('../pinyin.js');
+
+test('markPinyinSyllable places the tone mark by the standard rules', () => {
+    assert.strictEqual(markPinyinSyllable('hao', 3), 'hǎo');  // a wins
+    assert.strictEqual(markPinyinSyllable('xie', 4), 'xiè');  // e wins
+    assert.strictEqual(markPinyinSyllable('hou', 4), 'hòu');  // o of ou
+    assert.strictEqual(markPinyinSyllable('gui', 4), 'guì');  // last vowel
+    assert.strictEqual(markPinyinSyllable('niu', 2), 'niú');  // last vowel
+    assert.strictEqual(markPinyinSyllable('nü', 3), 'nǚ');
+    assert.strictEqual(markPinyinSyllable('le', 5), 'le');    // neutral: no mark
+});
+
+test('segmentPinyin splits runs of syllables', () => {
+    assert.deepStrictEqual(segmentPinyin('keyi'), ['ke', 'yi']);
+    assert.deepStrictEqual(segmentPinyin('xian'), ['xian']);
+    assert.deepStrictEqual(segmentPinyin('gongjiao'), ['gong', 'jiao']);
+    assert.deepStrictEqual(segmentPinyin('zhidao'), ['zhi', 'dao']);
+    assert.strictEqual(segmentPinyin('xx'), null);
+});
+
+test('parsePinyin reads tone marks, tone numbers and toneless input alike', () => {
+    const ni3 = [{ letters: 'ni', tone: 3 }];
+    assert.deepStrictEqual(parsePinyin('ni3'), ni3);
+    assert.deepStrictEqual(parsePinyin('nǐ'), ni3);
+    assert.deepStrictEqual(parsePinyin('NI3'), ni3);
+    assert.deepStrictEqual(parsePinyin('ni'), [{ letters: 'ni', tone: null }]);
+});
+
+test('parsePinyin handles multi-syllable entries with or without separators', () => {
+    const keyi = [{ letters: 'ke', tone: 3 }, { letters: 'yi', tone: 3 }];
+    assert.deepStrictEqual(parsePinyin('kěyǐ'), keyi);
+    assert.deepStrictEqual(parsePinyin('ke3yi3'), keyi);
+    assert.deepStrictEqual(parsePinyin('ke3 yi3'), keyi);
+    assert.deepStrictEqual(parsePinyin("ke3'yi3"), keyi);
+    assert.deepStrictEqual(parsePinyin('keyi'), [{ letters: 'ke', tone: null }, { letters: 'yi', tone: null }]);
+});
+
+test('parsePinyin treats untoned syllables as neutral once any tone is given', () => {
+    const xiexie = [{ letters: 'xie', tone: 4 }, { letters: 'xie', tone: 5 }];
+    assert.deepStrictEqual(parsePinyin('xièxie'), xiexie);
+    assert.deepStrictEqual(parsePinyin('xie4xie'), xiexie);
+    assert.deepStrictEqual(parsePinyin('xie4xie5'), xiexie);
+    assert.deepStrictEqual(parsePinyin('xie4xie0'), xiexie);
+});
+
+test('parsePinyin accepts ü, v and u: interchangeably', () => {
+    const nv3 = [{ letters: 'nü', tone: 3 }];
+    assert.deepStrictEqual(parsePinyin('nǚ'), nv3);
+    assert.deepStrictEqual(parsePinyin('nü3'), nv3);
+    assert.deepStrictEqual(parsePinyin('nv3'), nv3);
+    assert.deepStrictEqual(parsePinyin('nu:3'), nv3);
+});
+
+test('parsePinyin rejects text that is not pinyin', () => {
+    assert.strictEqual(parsePinyin(''), null);
+    assert.strictEqual(parsePinyin('   '), null);
+    assert.strictEqual(parsePinyin('xx'), null);
+    assert.strictEqual(parsePinyin('3ni'), null);
+    assert.strictEqual(parsePinyin('你'), null);
+});
+
+test('formatPinyin writes syllables back with tone marks', () => {
+    assert.strictEqual(formatPinyin(parsePinyin('ni3 hao3')), 'nǐ hǎo');
+    assert.strictEqual(formatPinyin(parsePinyin('nv3')), 'nǚ');
+    assert.strictEqual(formatPinyin(parsePinyin('xie4xie')), 'xiè xie');
+});
+
+test('checkPinyin accepts ni3, nǐ and (tone-optional) ni for nǐ', () => {
+    for (const typed of ['ni3', 'nǐ']) {
+        const result = checkPinyin(typed, 'nǐ');
+        assert.strictEqual(result.correct, true, typed);
+        assert.strictEqual(result.syllableCorrect, true, typed);
+        assert.strictEqual(result.toneCorrect, true, typed);
+    }
+
+    const optional = checkPinyin('ni', 'nǐ', { toneOptional: true });
+    assert.strictEqual(optional.correct, true);
+    assert.strictEqual(optional.syllableCorrect, true);
+    assert.strictEqual(optional.toneCorrect, null);
+
+    const strict = checkPinyin('ni', 'nǐ');
+    assert.strictEqual(strict.correct, false);
+    assert.strictEqual(strict.syllableCorrect, true);
+    assert.strictEqual(strict.toneCorrect, false);
+});
+
+test('checkPinyin separates wrong tones from wrong syllables', () => {
+    const wrongTone = checkPinyin('ni2', 'nǐ');
+    assert.strictEqual(wrongTone.correct, false);
+    assert.strictEqual(wrongTone.syllableCorrect, true);
+    assert.strictEqual(wrongTone.toneCorrect, false);
+
+    const wrongSyllable = checkPinyin('li3', 'nǐ');
+    assert.strictEqual(wrongSyllable.correct, false);
+    assert.strictEqual(wrongSyllable.syllableCorrect, false);
+    assert.strictEqual(wrongSyllable.toneCorrect, true);
+});
+
+test('checkPinyin reports per-syllable results for multi-syllable entries', () => {
+    const result = checkPinyin('ke3yi2', 'kěyǐ');
+    assert.strictEqual(result.correct, false);
+    assert.strictEqual(result.syllableCorrect, true);
+    assert.strictEqual(result.toneCorrect, false);
+    assert.deepStrictEqual(result.syllables.map(s => s.toneCorrect), [true, false]);
+
+    assert.strictEqual(checkPinyin('shui3guo3', 'shuǐguǒ').correct, true);
+    assert.strictEqual(checkPinyin('shui3', 'shuǐguǒ').correct, false);  // syllable missing
+    assert.strictEqual(checkPinyin('shui3guo3ren2', 'shuǐguǒ').correct, false);  // one too many
+});
+
+test('checkPinyin handles neutral tones', () => {
+    assert.strictEqual(checkPinyin('le', 'le').correct, true);
+    assert.strictEqual(checkPinyin('le5', 'le').correct, true);
+    assert.strictEqual(checkPinyin('le4', 'le').correct, false);
+    assert.strictEqual(checkPinyin('xie4xie', 'xièxie').correct, true);
+    assert.strictEqual(checkPinyin('xie4xie4', 'xièxie').correct, false);
+});
+
+test('checkPinyin treats ü and v the same', () => {
+    assert.strictEqual(checkPinyin('nv3', 'nǚ').correct, true);
+    assert.strictEqual(checkPinyin('nu3', 'nǚ').syllableCorrect, false);
+});
+
+test('checkPinyin marks unparseable input wrong without throwing', () => {
+    const result = checkPinyin('???', 'nǐ');
+    assert.strictEqual(result.correct, false);
+    assert.strictEqual(result.syllableCorrect, false);
+    assert.strictEqual(result.toneCorrect, false);
+    assert.strictEqual(result.syllables[0].typed, null);
+});